@@ -0,0 +1,12 @@
+// Departments offered at reception, with the words visitors typically use for each.
+// Keep names in sync with the options in public/register.html.
+module.exports = [
+  { name: 'Sales', keywords: ['sales', 'buy', 'purchase', 'pricing', 'price', 'quote', 'order', 'demo'] },
+  { name: 'Support', keywords: ['support', 'help', 'problem', 'issue', 'broken', 'repair', 'complaint', 'fault'] },
+  { name: 'Management', keywords: ['management', 'manager', 'director', 'partnership', 'executive'] },
+  { name: 'HR', keywords: ['hr', 'human resources', 'interview', 'job', 'career', 'hiring', 'recruitment', 'vacancy'] },
+  { name: 'IT', keywords: ['it department', 'it support', 'computer', 'network', 'password', 'laptop', 'wifi', 'software', 'access'] },
+  { name: 'Marketing', keywords: ['marketing', 'advertising', 'campaign', 'press', 'media', 'sponsorship'] },
+  { name: 'Finance', keywords: ['finance', 'invoice', 'payment', 'billing', 'refund', 'accounts', 'tax'] },
+  { name: 'Operations', keywords: ['operations', 'delivery', 'shipping', 'logistics', 'supplier', 'facilities'] }
+];
@@ -0,0 +1,61 @@
+// Languages offered on the visitor page. `speech` is the locale for speech recognition
+// and synthesis. Languages with their own script are detected by `scripts` (Unicode
+// script names); the rest by common words (`stopwords`).
+module.exports = [
+  {
+    code: 'en',
+    name: 'English',
+    nativeName: 'English',
+    speech: 'en-US',
+    stopwords: ['the', 'and', 'is', 'are', 'you', 'i', 'to', 'of', 'a', 'in', 'for', 'my', 'with', 'have', 'can', 'what', 'this', 'please', 'hello', 'thanks', 'would', 'like', 'want', 'need', 'how', 'when', 'where']
+  },
+  {
+    code: 'es',
+    name: 'Spanish',
+    nativeName: 'Español',
+    speech: 'es-ES',
+    stopwords: ['el', 'la', 'los', 'las', 'y', 'es', 'en', 'que', 'de', 'por', 'para', 'con', 'una', 'un', 'hola', 'gracias', 'quiero', 'necesito', 'tengo', 'cita', 'cómo', 'dónde', 'cuándo', 'mi', 'usted', 'favor', 'buenos']
+  },
+  {
+    code: 'fr',
+    name: 'French',
+    nativeName: 'Français',
+    speech: 'fr-FR',
+    stopwords: ['le', 'la', 'les', 'et', 'est', 'je', 'vous', 'une', 'un', 'des', 'pour', 'avec', 'bonjour', 'merci', 'voudrais', 'rendez', 'suis', 'pas', 'mon', 'ma', 'où', 'quand', 'comment', 'ici', 'plaît', 'du', 'au']
+  },
+  {
+    code: 'de',
+    name: 'German',
+    nativeName: 'Deutsch',
+    speech: 'de-DE',
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'ich', 'sie', 'ein', 'eine', 'mit', 'für', 'nicht', 'hallo', 'danke', 'bitte', 'möchte', 'termin', 'habe', 'wir', 'mein', 'wo', 'wann', 'wie', 'guten', 'tag', 'zu', 'auf']
+  },
+  {
+    code: 'it',
+    name: 'Italian',
+    nativeName: 'Italiano',
+    speech: 'it-IT',
+    stopwords: ['il', 'lo', 'gli', 'e', 'è', 'sono', 'che', 'di', 'per', 'con', 'una', 'ciao', 'grazie', 'vorrei', 'appuntamento', 'buongiorno', 'mio', 'dove', 'quando', 'come', 'non', 'ho', 'della', 'favore', 'sì']
+  },
+  {
+    code: 'pt',
+    name: 'Portuguese',
+    nativeName: 'Português',
+    speech: 'pt-PT',
+    stopwords: ['o', 'os', 'as', 'e', 'é', 'que', 'de', 'do', 'da', 'para', 'com', 'uma', 'um', 'olá', 'obrigado', 'obrigada', 'quero', 'preciso', 'tenho', 'não', 'onde', 'quando', 'como', 'meu', 'você', 'bom', 'dia']
+  },
+  {
+    code: 'nl',
+    name: 'Dutch',
+    nativeName: 'Nederlands',
+    speech: 'nl-NL',
+    stopwords: ['de', 'het', 'een', 'en', 'is', 'ik', 'u', 'je', 'van', 'voor', 'met', 'niet', 'hallo', 'dank', 'graag', 'wil', 'afspraak', 'heb', 'mijn', 'waar', 'wanneer', 'hoe', 'goedemorgen', 'alstublieft', 'dit', 'op']
+  },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский', speech: 'ru-RU', scripts: ['Cyrillic'] },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية', speech: 'ar-SA', scripts: ['Arabic'] },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', speech: 'hi-IN', scripts: ['Devanagari'] },
+  // Japanese before Chinese: Japanese text mixes kana with Chinese characters
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', speech: 'ja-JP', scripts: ['Hiragana', 'Katakana'] },
+  { code: 'zh', name: 'Chinese', nativeName: '中文', speech: 'zh-CN', scripts: ['Han'] },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', speech: 'ko-KR', scripts: ['Hangul'] }
+];
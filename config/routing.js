@@ -0,0 +1,47 @@
+// Call routing settings. JSON-valued environment variables override the defaults below.
+
+const parseJson = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (error) {
+    console.error(`Ignoring invalid JSON in ${name}:`, error.message);
+    return fallback;
+  }
+};
+
+module.exports = {
+  // How long a call is offered to its department before every staff member sees it
+  escalationTimeoutMs: parseInt(process.env.ROUTING_ESCALATION_MS) || 60000,
+
+  // How often every instance looks for calls whose escalation timer died with another instance
+  escalationCheckMs: parseInt(process.env.ROUTING_ESCALATION_CHECK_MS) || 15000,
+
+  // Purpose chosen on the kiosk form -> department (null means "work it out from the chat")
+  purposeDepartments: parseJson('ROUTING_PURPOSE_DEPARTMENTS', {
+    'General Inquiry': null,
+    'Appointment Booking': null,
+    'Support Request': 'Support',
+    'Sales Inquiry': 'Sales',
+    'Feedback': 'Management',
+    'Other': null
+  }),
+
+  // Wait estimates: average over this many recent completed calls, or the default
+  // handle time (seconds) until there is any history
+  waitHistorySize: parseInt(process.env.QUEUE_HISTORY_SIZE) || 20,
+  defaultHandleSeconds: parseInt(process.env.QUEUE_DEFAULT_HANDLE_SECONDS) || 300,
+
+  // Higher numbers are answered first; unknown purposes use "default"
+  priorities: parseJson('CALL_PRIORITIES', {
+    'Support Request': 3,
+    'Appointment Booking': 2,
+    'Sales Inquiry': 2,
+    'General Inquiry': 1,
+    'Feedback': 0,
+    'Other': 1,
+    default: 1
+  })
+};
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; terminal states have no outgoing transitions
+const CALL_TRANSITIONS = {
+  'waiting': ['ringing', 'in-progress', 'abandoned', 'rejected'],
+  'ringing': ['waiting', 'in-progress', 'abandoned', 'rejected'],
+  'in-progress': ['on-hold', 'transferred', 'completed', 'abandoned'],
+  'on-hold': ['in-progress', 'transferred', 'completed', 'abandoned'],
+  'transferred': ['in-progress', 'abandoned', 'rejected'],
+  'completed': [],
+  'abandoned': [],
+  'rejected': []
+};
+
+const transitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: Object.keys(CALL_TRANSITIONS)
+  },
+  to: {
+    type: String,
+    enum: Object.keys(CALL_TRANSITIONS),
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  }
+}, { _id: false });
+
 const callSchema = new mongoose.Schema({
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,9 +47,14 @@ const callSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['waiting', 'in-progress', 'completed', 'rejected'],
+    enum: Object.keys(CALL_TRANSITIONS),
     default: 'waiting'
   },
+  transitions: [transitionSchema],
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   callType: {
     type: String,
     enum: ['video', 'audio'],
@@ -27,6 +67,20 @@ const callSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  department: {
+    type: String
+  },
+  priority: {
+    type: Number,
+    default: 1
+  },
+  offeredTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  escalatedAt: {
+    type: Date
+  },
   startTime: {
     type: Date
   },
@@ -36,6 +90,9 @@ const callSchema = new mongoose.Schema({
   duration: {
     type: Number // in seconds
   },
+  holdDuration: {
+    type: Number // in seconds, included in duration
+  },
   decision: {
     type: String,
     enum: ['accepted', 'rejected', 'pending'],
@@ -54,9 +111,23 @@ const callSchema = new mongoose.Schema({
   }
 });
 
+callSchema.statics.canTransition = function(from, to) {
+  return (CALL_TRANSITIONS[from] || []).includes(to);
+};
+
+callSchema.statics.isTerminal = function(status) {
+  return (CALL_TRANSITIONS[status] || []).length === 0;
+};
+
 callSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-module.exports = mongoose.model('Call', callSchema);
+const Call = mongoose.model('Call', callSchema);
+
+// Statuses in which a call is still waiting for a staff member to pick it up
+Call.QUEUED_STATUSES = ['waiting', 'ringing', 'transferred'];
+Call.TRANSITIONS = CALL_TRANSITIONS;
+
+module.exports = Call;
@@ -1,9 +1,35 @@
 const mongoose = require('mongoose');
 
+const sourceSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeDocument'
+  },
+  title: {
+    type: String
+  }
+}, { _id: false });
+
+// A tool RexBot called and what it returned; the call and its result are separate messages
+const toolSchema = new mongoose.Schema({
+  callId: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  arguments: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: String,
-    enum: ['user', 'rexbot', 'staff', 'system'],
+    enum: ['user', 'rexbot', 'staff', 'system', 'tool'],
     required: true
   },
   content: {
@@ -16,9 +42,19 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'speech', 'system'],
+    enum: ['text', 'speech', 'system', 'tool-call', 'tool-result'],
     default: 'text'
-  }
+  },
+  // Language code of a visitor or RexBot message, and its English translation for staff
+  language: {
+    type: String
+  },
+  translation: {
+    type: String
+  },
+  // Knowledge-base documents a RexBot reply cites
+  sources: [sourceSchema],
+  tool: toolSchema
 });
 
 const conversationSchema = new mongoose.Schema({
@@ -32,12 +68,45 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // The call request opened alongside the conversation
+  callId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  // The kiosk the visitor started from and the persona answering them
+  kiosk: {
+    type: String
+  },
+  personaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Persona'
+  },
+  // The visitor's language code, picked on the kiosk or detected from their messages
+  language: {
+    type: String
+  },
+  // Auto-detection stops once the visitor picks a language themselves
+  languageSelected: {
+    type: Boolean,
+    default: false
+  },
   messages: [messageSchema],
+  // The visitor proved the email they gave with a code sent to it; until then RexBot
+  // cannot see their earlier calls
+  identityCheck: {
+    codeHash: { type: String },
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 }
+  },
+  identityVerifiedAt: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['active', 'completed', 'transferred'],
     default: 'active'
   },
+  // While a staff member has taken over the chat (status 'transferred'), RexBot stays quiet
   transferredTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -52,6 +121,9 @@ const conversationSchema = new mongoose.Schema({
   }
 });
 
+// Full-text search over transcripts
+conversationSchema.index({ 'messages.content': 'text' });
+
 conversationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
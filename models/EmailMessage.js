@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// An outgoing email and how its delivery went; the mail queue retries it until it is sent
+const emailMessageSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  // Id the mail server gave the message
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // What the message is about
+  related: {
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Call'
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    visitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Visit'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ createdAt: -1 });
+
+emailMessageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A passage of a document; the unit the knowledge base retrieves
+const chunkSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  // The nearest heading above the passage, if the document has headings
+  heading: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const knowledgeDocumentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  filename: {
+    type: String
+  },
+  format: {
+    type: String,
+    enum: ['markdown', 'text'],
+    default: 'text'
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  chunks: [chunkSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+knowledgeDocumentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Canned replies for when the language model cannot answer
+const fallbackSchema = new mongoose.Schema({
+  // Used when no model is configured
+  greeting: [String],
+  // Used while the provider is rate limiting
+  rateLimited: [String],
+  // Used for any other failure
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+// Browser text-to-speech settings for the kiosk
+const voiceSchema = new mongoose.Schema({
+  // Preferred speechSynthesis voice name; the kiosk falls back to any voice for the language
+  name: {
+    type: String
+  },
+  rate: {
+    type: Number,
+    min: 0.5,
+    max: 2,
+    default: 0.9
+  },
+  pitch: {
+    type: Number,
+    min: 0,
+    max: 2,
+    default: 1.1
+  }
+}, { _id: false });
+
+const personaSchema = new mongoose.Schema({
+  // The name the assistant introduces itself with
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First message of a conversation; {assistant}, {name} and {purpose} are filled in
+  greeting: {
+    type: String
+  },
+  // Short description of how the assistant should sound, e.g. "warm and informal"
+  tone: {
+    type: String
+  },
+  systemPrompt: {
+    type: String
+  },
+  fallbacks: {
+    type: fallbackSchema,
+    default: () => ({})
+  },
+  voice: {
+    type: voiceSchema,
+    default: () => ({})
+  },
+  // BCP 47 tag for speech recognition, text-to-speech and replies
+  language: {
+    type: String,
+    default: 'en-US'
+  },
+  // Kiosks (the ?kiosk= id in the visitor page URL) and departments this persona serves
+  kiosks: [String],
+  departments: [String],
+  // Used wherever no other persona matches
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+personaSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Persona', personaSchema);
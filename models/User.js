@@ -19,13 +19,51 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['staff', 'client'],
+    enum: ['admin', 'staff', 'client'],
     default: 'client'
   },
+  // invited: waiting to set a password; pending: self-registered, waiting for an admin
+  status: {
+    type: String,
+    enum: ['invited', 'pending', 'active', 'disabled'],
+    default: 'active'
+  },
+  // One-time link for invitations and password resets (only the SHA-256 hash is stored)
+  setupTokenHash: {
+    type: String
+  },
+  setupTokenExpires: {
+    type: Date
+  },
+  // Set on every password reset or change; tokens issued before it stop working
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   department: {
     type: String,
     required: function() { return this.role === 'staff'; }
   },
+  workingHours: {
+    days: {
+      type: [Number], // 0 = Sunday
+      default: [1, 2, 3, 4, 5]
+    },
+    start: {
+      type: String,
+      default: '09:00'
+    },
+    end: {
+      type: String,
+      default: '17:00'
+    }
+  },
+  // Held while an appointment is being booked with this staff member, so two bookings
+  // cannot both pass the conflict check (see services/scheduling.js)
+  bookingLockUntil: {
+    type: Date,
+    default: null
+  },
   isAvailable: {
     type: Boolean,
     default: true
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// How the host heard about their visitor, per channel
+const notificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'skipped'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const visitSchema = new mongoose.Schema({
+  visitorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  company: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The conversation the visitor checked in from, if any
+  sessionId: {
+    type: String
+  },
+  kiosk: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['checked-in', 'checked-out'],
+    default: 'checked-in'
+  },
+  // Secret in the badge's QR code and URL; whoever holds the badge can view it and check out
+  badgeToken: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Short code printed on the badge for reception to read out
+  badgeCode: {
+    type: String,
+    required: true
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkedOutAt: {
+    type: Date
+  },
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hostNotification: {
+    inApp: notificationSchema,
+    email: notificationSchema
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+visitSchema.index({ status: 1, checkedInAt: -1 });
+visitSchema.index({ hostId: 1, checkedInAt: -1 });
+
+visitSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Visit', visitSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// An admin-configured endpoint that receives signed POSTs for the events it subscribes to
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Event names (see services/webhooks.js), or '*' for all of them
+  events: [{
+    type: String
+  }],
+  // Key for the HMAC-SHA256 signature on every delivery
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
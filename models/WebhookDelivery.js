@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being retried) to one webhook; kept as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body: { id, event, createdAt, data }; redeliveries reuse it unchanged
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'delivering', 'delivered', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The delivery this one repeats, when an admin redelivered it
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  responseStatus: {
+    type: Number
+  },
+  // Start of the receiver's reply, for debugging
+  responseBody: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+webhookDeliverySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,956 @@
+// Admin Dashboard JavaScript
+class AdminDashboard {
+    constructor() {
+        this.token = localStorage.getItem('adminToken');
+        this.departments = [];
+        this.personas = [];
+        this.deliveriesWebhook = null;
+
+        this.initializeElements();
+        this.bindEvents();
+
+        // Resume a previous session if the token is still accepted
+        if (this.token) {
+            this.showDashboard();
+        }
+    }
+
+    initializeElements() {
+        this.loginSection = document.getElementById('loginSection');
+        this.dashboardSection = document.getElementById('dashboardSection');
+        this.loginForm = document.getElementById('loginForm');
+        this.loginError = document.getElementById('loginError');
+        this.adminInfo = document.getElementById('adminInfo');
+        this.logoutBtn = document.getElementById('logoutBtn');
+
+        this.inviteForm = document.getElementById('inviteForm');
+        this.inviteDepartment = document.getElementById('inviteDepartment');
+        this.setupLink = document.getElementById('setupLink');
+        this.statusFilter = document.getElementById('statusFilter');
+        this.userTable = document.getElementById('userTable');
+        this.emailStatusFilter = document.getElementById('emailStatusFilter');
+        this.emailTable = document.getElementById('emailTable');
+
+        this.apiKeyForm = document.getElementById('apiKeyForm');
+        this.apiKeySecret = document.getElementById('apiKeySecret');
+        this.apiKeyTable = document.getElementById('apiKeyTable');
+
+        this.webhookForm = document.getElementById('webhookForm');
+        this.webhookEvents = document.getElementById('webhookEvents');
+        this.webhookSecret = document.getElementById('webhookSecret');
+        this.webhookTable = document.getElementById('webhookTable');
+        this.webhookDeliveries = document.getElementById('webhookDeliveries');
+        this.webhookDeliveriesTitle = document.getElementById('webhookDeliveriesTitle');
+        this.deliveryTable = document.getElementById('deliveryTable');
+
+        this.knowledgeForm = document.getElementById('knowledgeForm');
+        this.knowledgeTable = document.getElementById('knowledgeTable');
+        this.knowledgeSearchForm = document.getElementById('knowledgeSearchForm');
+        this.knowledgeResults = document.getElementById('knowledgeResults');
+
+        this.personaTable = document.getElementById('personaTable');
+        this.personaForm = document.getElementById('personaForm');
+        this.personaDepartments = document.getElementById('personaDepartments');
+        this.personaSubmitLabel = document.getElementById('personaSubmitLabel');
+        this.personaReset = document.getElementById('personaReset');
+    }
+
+    bindEvents() {
+        this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        this.logoutBtn.addEventListener('click', () => this.handleLogout());
+        this.inviteForm.addEventListener('submit', (e) => this.handleInvite(e));
+        this.statusFilter.addEventListener('change', () => this.loadUsers());
+        this.emailStatusFilter.addEventListener('change', () => this.loadEmails());
+        this.apiKeyForm.addEventListener('submit', (e) => this.createApiKey(e));
+        this.webhookForm.addEventListener('submit', (e) => this.createWebhook(e));
+        this.knowledgeForm.addEventListener('submit', (e) => this.handleUpload(e));
+        this.knowledgeSearchForm.addEventListener('submit', (e) => this.testKnowledgeSearch(e));
+        this.personaForm.addEventListener('submit', (e) => this.savePersona(e));
+        this.personaReset.addEventListener('click', () => this.editPersona(null));
+    }
+
+    /**
+     * Call the admin API; an expired or rejected token returns the page to the login form
+     */
+    async api(path, options = {}) {
+        // File uploads send FormData, which sets its own multipart content type
+        const isForm = options.body instanceof FormData;
+        const response = await fetch(path, {
+            ...options,
+            headers: {
+                ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+                'Authorization': `Bearer ${this.token}`,
+                ...(options.headers || {})
+            }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 401 || (response.status === 403 && result.error === 'Invalid token')) {
+            this.handleLogout();
+            this.showLoginError('Your session has expired. Please sign in again.');
+            throw new Error(result.error || 'Session expired');
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed with status ${response.status}`);
+        }
+        return result;
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+        const formData = new FormData(this.loginForm);
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: formData.get('email'), password: formData.get('password') })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showLoginError(result.error || 'Login failed');
+                return;
+            }
+            if (result.user.role !== 'admin') {
+                this.showLoginError('This page is for administrators only');
+                return;
+            }
+
+            this.token = result.token;
+            localStorage.setItem('adminToken', result.token);
+            localStorage.setItem('adminName', result.user.name);
+            this.showDashboard();
+        } catch (error) {
+            console.error('Error logging in:', error);
+            this.showLoginError('Login failed');
+        }
+    }
+
+    showLoginError(message) {
+        this.loginError.textContent = message;
+        this.loginError.style.display = 'block';
+    }
+
+    async showDashboard() {
+        this.loginSection.style.display = 'none';
+        this.dashboardSection.style.display = 'block';
+        this.adminInfo.textContent = localStorage.getItem('adminName') || '';
+
+        await this.loadDepartments();
+        await this.loadUsers();
+        await this.loadDocuments();
+        await this.loadPersonas();
+        await this.loadEmails();
+        await this.loadApiKeys();
+        await this.loadWebhooks();
+    }
+
+    handleLogout() {
+        this.token = null;
+        localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminName');
+        this.dashboardSection.style.display = 'none';
+        this.loginSection.style.display = 'flex';
+        this.loginForm.reset();
+        this.loginError.style.display = 'none';
+    }
+
+    async loadDepartments() {
+        try {
+            const response = await fetch('/api/departments');
+            this.departments = response.ok ? await response.json() : [];
+            this.inviteDepartment.innerHTML = this.departments
+                .map(name => `<option value="${name}">${name}</option>`)
+                .join('');
+            this.personaDepartments.innerHTML = this.inviteDepartment.innerHTML;
+        } catch (error) {
+            console.error('Error loading departments:', error);
+        }
+    }
+
+    async loadUsers() {
+        try {
+            const status = this.statusFilter.value;
+            const users = await this.api(`/api/admin/users${status ? `?status=${status}` : ''}`);
+            this.displayUsers(users);
+        } catch (error) {
+            console.error('Error loading users:', error);
+        }
+    }
+
+    displayUsers(users) {
+        this.userTable.innerHTML = '';
+
+        if (users.length === 0) {
+            this.userTable.innerHTML = '<tr><td colspan="6" class="empty-state">No accounts</td></tr>';
+            return;
+        }
+
+        users.forEach(user => {
+            const row = document.createElement('tr');
+            // Names and emails come from the public registration form, so they are set as text
+            [user.name, user.email, user.role].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            row.appendChild(this.createDepartmentCell(user));
+
+            const statusCell = document.createElement('td');
+            statusCell.innerHTML = `<span class="status-badge ${user.status}">${user.status}</span>`;
+            row.appendChild(statusCell);
+
+            row.appendChild(this.createActionsCell(user));
+            this.userTable.appendChild(row);
+        });
+    }
+
+    createDepartmentCell(user) {
+        const cell = document.createElement('td');
+        if (user.role !== 'staff') {
+            cell.textContent = user.department || '-';
+            return cell;
+        }
+
+        const select = document.createElement('select');
+        select.innerHTML = this.departments
+            .map(name => `<option value="${name}" ${name === user.department ? 'selected' : ''}>${name}</option>`)
+            .join('');
+        select.addEventListener('change', () => this.changeDepartment(user, select.value));
+        cell.appendChild(select);
+        return cell;
+    }
+
+    createActionsCell(user) {
+        const cell = document.createElement('td');
+        const actions = document.createElement('div');
+        actions.className = 'user-actions';
+
+        const addButton = (label, className, handler) => {
+            const button = document.createElement('button');
+            button.className = `btn ${className}`;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+
+        if (user.status === 'pending') {
+            addButton('Approve', 'btn-success', () => this.changeStatus(user, 'approve'));
+        }
+        if (user.status === 'disabled') {
+            addButton('Enable', 'btn-success', () => this.changeStatus(user, 'enable'));
+        } else {
+            addButton('Disable', 'btn-danger', () => this.changeStatus(user, 'disable'));
+        }
+        addButton('Reset password', 'btn-secondary', () => this.resetPassword(user));
+
+        cell.appendChild(actions);
+        return cell;
+    }
+
+    async handleInvite(e) {
+        e.preventDefault();
+        const formData = new FormData(this.inviteForm);
+
+        try {
+            const result = await this.api('/api/admin/invitations', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: formData.get('name'),
+                    email: formData.get('email'),
+                    department: formData.get('department'),
+                    role: formData.get('role')
+                })
+            });
+            this.inviteForm.reset();
+            this.showSetupLink(`Invitation link for ${result.user.email}`, result.inviteUrl);
+            this.showNotification(result.emailStatus === 'queued' ? 'Invitation created and emailed' : 'Invitation created', 'success');
+            this.loadUsers();
+            this.loadEmails();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async changeStatus(user, action) {
+        if (action === 'disable' && !confirm(`Disable ${user.name}? They will be signed out immediately.`)) {
+            return;
+        }
+
+        try {
+            await this.api(`/api/admin/users/${user.id}/${action}`, { method: 'POST' });
+            this.showNotification(`${user.name}: ${action}d`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async changeDepartment(user, department) {
+        try {
+            await this.api(`/api/admin/users/${user.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ department })
+            });
+            this.showNotification(`${user.name} moved to ${department}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            this.loadUsers();
+        }
+    }
+
+    async resetPassword(user) {
+        if (!confirm(`Reset the password for ${user.name}? Their current password stops working.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.api(`/api/admin/users/${user.id}/reset-password`, { method: 'POST' });
+            this.showSetupLink(`Password reset link for ${user.email}`, result.resetUrl);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadEmails() {
+        try {
+            const status = this.emailStatusFilter.value;
+            const result = await this.api(`/api/admin/emails${status ? `?status=${status}` : ''}`);
+            this.displayEmails(result.emails);
+        } catch (error) {
+            console.error('Error loading emails:', error);
+        }
+    }
+
+    displayEmails(emails) {
+        this.emailTable.innerHTML = '';
+
+        if (emails.length === 0) {
+            this.emailTable.innerHTML = '<tr><td colspan="7" class="empty-state">No emails</td></tr>';
+            return;
+        }
+
+        emails.forEach(email => {
+            const row = document.createElement('tr');
+            [new Date(email.createdAt).toLocaleString(), email.to, email.subject].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `status-badge ${email.status}`;
+            badge.textContent = email.status;
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+
+            [email.attempts, email.lastError || '-'].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            if (email.status === 'failed') {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = 'Retry';
+                button.addEventListener('click', () => this.retryEmail(email));
+                const actions = document.createElement('div');
+                actions.className = 'user-actions';
+                actions.appendChild(button);
+                actionsCell.appendChild(actions);
+            }
+            row.appendChild(actionsCell);
+
+            this.emailTable.appendChild(row);
+        });
+    }
+
+    async retryEmail(email) {
+        try {
+            await this.api(`/api/admin/emails/${email.id}/retry`, { method: 'POST' });
+            this.showNotification(`Email to ${email.to} queued again`, 'success');
+            this.loadEmails();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadApiKeys() {
+        try {
+            this.displayApiKeys(await this.api('/api/admin/api-keys'));
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+        }
+    }
+
+    displayApiKeys(apiKeys) {
+        this.apiKeyTable.innerHTML = '';
+
+        if (apiKeys.length === 0) {
+            this.apiKeyTable.innerHTML = '<tr><td colspan="6" class="empty-state">No API keys</td></tr>';
+            return;
+        }
+
+        apiKeys.forEach(apiKey => {
+            const row = document.createElement('tr');
+            const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never';
+            [apiKey.name, `${apiKey.prefix}…`, apiKey.role, lastUsed].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `status-badge ${apiKey.revokedAt ? 'disabled' : 'active'}`;
+            badge.textContent = apiKey.revokedAt ? 'revoked' : 'active';
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+
+            const actionsCell = document.createElement('td');
+            if (!apiKey.revokedAt) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-danger';
+                button.textContent = 'Revoke';
+                button.addEventListener('click', () => this.revokeApiKey(apiKey));
+                const actions = document.createElement('div');
+                actions.className = 'user-actions';
+                actions.appendChild(button);
+                actionsCell.appendChild(actions);
+            }
+            row.appendChild(actionsCell);
+
+            this.apiKeyTable.appendChild(row);
+        });
+    }
+
+    async createApiKey(e) {
+        e.preventDefault();
+        const formData = new FormData(this.apiKeyForm);
+
+        try {
+            const result = await this.api('/api/admin/api-keys', {
+                method: 'POST',
+                body: JSON.stringify({ name: formData.get('name'), role: formData.get('role') })
+            });
+            this.apiKeyForm.reset();
+            this.apiKeySecret.textContent = '';
+            const text = document.createElement('strong');
+            text.textContent = `API key for ${result.apiKey.name} (copy it now; it is shown only once): `;
+            const code = document.createElement('code');
+            code.textContent = result.key;
+            this.apiKeySecret.appendChild(text);
+            this.apiKeySecret.appendChild(code);
+            this.apiKeySecret.style.display = 'block';
+            this.loadApiKeys();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async revokeApiKey(apiKey) {
+        if (!confirm(`Revoke the API key ${apiKey.name}? Clients using it stop working immediately.`)) {
+            return;
+        }
+
+        try {
+            await this.api(`/api/admin/api-keys/${apiKey.id}`, { method: 'DELETE' });
+            this.showNotification(`API key ${apiKey.name} revoked`, 'success');
+            this.loadApiKeys();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadWebhooks() {
+        try {
+            const result = await this.api('/api/admin/webhooks');
+            if (!this.webhookEvents.options.length) {
+                this.webhookEvents.innerHTML = ['*', ...result.events]
+                    .map(event => `<option value="${event}">${event === '*' ? 'All events' : event}</option>`)
+                    .join('');
+            }
+            this.displayWebhooks(result.webhooks);
+        } catch (error) {
+            console.error('Error loading webhooks:', error);
+        }
+    }
+
+    displayWebhooks(webhooks) {
+        this.webhookTable.innerHTML = '';
+
+        if (webhooks.length === 0) {
+            this.webhookTable.innerHTML = '<tr><td colspan="5" class="empty-state">No webhooks</td></tr>';
+            return;
+        }
+
+        webhooks.forEach(webhook => {
+            const row = document.createElement('tr');
+            [webhook.name, webhook.url, webhook.events.join(', ')].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 1) cell.className = 'webhook-url';
+                row.appendChild(cell);
+            });
+
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `status-badge ${webhook.active ? 'active' : 'disabled'}`;
+            badge.textContent = webhook.active ? 'active' : 'disabled';
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+
+            const actionsCell = document.createElement('td');
+            const actions = document.createElement('div');
+            actions.className = 'user-actions';
+            const addButton = (label, className, handler) => {
+                const button = document.createElement('button');
+                button.className = `btn ${className}`;
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+            addButton('Deliveries', 'btn-secondary', () => this.loadDeliveries(webhook));
+            if (webhook.active) {
+                addButton('Disable', 'btn-secondary', () => this.updateWebhook(webhook, { active: false }));
+            } else {
+                addButton('Enable', 'btn-success', () => this.updateWebhook(webhook, { active: true }));
+            }
+            addButton('Rotate secret', 'btn-secondary', () => this.rotateWebhookSecret(webhook));
+            addButton('Delete', 'btn-danger', () => this.deleteWebhook(webhook));
+            actionsCell.appendChild(actions);
+            row.appendChild(actionsCell);
+
+            this.webhookTable.appendChild(row);
+        });
+    }
+
+    async createWebhook(e) {
+        e.preventDefault();
+        const formData = new FormData(this.webhookForm);
+
+        try {
+            const result = await this.api('/api/admin/webhooks', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: formData.get('name'),
+                    url: formData.get('url'),
+                    events: formData.getAll('events')
+                })
+            });
+            this.webhookForm.reset();
+            this.showWebhookSecret(result.webhook, result.secret);
+            this.showNotification(`Webhook ${result.webhook.name} added`, 'success');
+            this.loadWebhooks();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async updateWebhook(webhook, patch) {
+        try {
+            await this.api(`/api/admin/webhooks/${webhook.id}`, { method: 'PATCH', body: JSON.stringify(patch) });
+            this.showNotification(`Webhook ${webhook.name} ${patch.active ? 'enabled' : 'disabled'}`, 'success');
+            this.loadWebhooks();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async rotateWebhookSecret(webhook) {
+        if (!confirm(`Issue a new signing secret for ${webhook.name}? Signatures made with the old one stop verifying.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.api(`/api/admin/webhooks/${webhook.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ rotateSecret: true })
+            });
+            this.showWebhookSecret(result.webhook, result.secret);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async deleteWebhook(webhook) {
+        if (!confirm(`Delete the webhook ${webhook.name}? Deliveries still waiting to be retried will not be sent.`)) {
+            return;
+        }
+
+        try {
+            await this.api(`/api/admin/webhooks/${webhook.id}`, { method: 'DELETE' });
+            this.showNotification(`Webhook ${webhook.name} deleted`, 'success');
+            if (this.deliveriesWebhook && this.deliveriesWebhook.id === webhook.id) {
+                this.deliveriesWebhook = null;
+                this.webhookDeliveries.style.display = 'none';
+            }
+            this.loadWebhooks();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    showWebhookSecret(webhook, secret) {
+        this.webhookSecret.textContent = '';
+        const text = document.createElement('strong');
+        text.textContent = `Signing secret for ${webhook.name} (copy it now; it is shown only once): `;
+        const code = document.createElement('code');
+        code.textContent = secret;
+        this.webhookSecret.appendChild(text);
+        this.webhookSecret.appendChild(code);
+        this.webhookSecret.style.display = 'block';
+    }
+
+    async loadDeliveries(webhook) {
+        try {
+            const result = await this.api(`/api/admin/webhooks/${webhook.id}/deliveries`);
+            this.deliveriesWebhook = webhook;
+            this.webhookDeliveriesTitle.textContent = `Deliveries to ${webhook.name} (${result.total})`;
+            this.webhookDeliveries.style.display = 'block';
+            this.displayDeliveries(result.deliveries);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    displayDeliveries(deliveries) {
+        this.deliveryTable.innerHTML = '';
+
+        if (deliveries.length === 0) {
+            this.deliveryTable.innerHTML = '<tr><td colspan="7" class="empty-state">No deliveries yet</td></tr>';
+            return;
+        }
+
+        deliveries.forEach(delivery => {
+            const row = document.createElement('tr');
+            [new Date(delivery.createdAt).toLocaleString(), delivery.event].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `status-badge ${delivery.status}`;
+            badge.textContent = delivery.status;
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+
+            const response = delivery.responseStatus
+                ? `${delivery.responseStatus}${delivery.durationMs !== null ? ` in ${delivery.durationMs} ms` : ''}`
+                : '-';
+            [delivery.attempts, response, delivery.lastError || '-'].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            if (['delivered', 'failed'].includes(delivery.status)) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = 'Redeliver';
+                button.addEventListener('click', () => this.redeliver(delivery));
+                const actions = document.createElement('div');
+                actions.className = 'user-actions';
+                actions.appendChild(button);
+                actionsCell.appendChild(actions);
+            }
+            row.appendChild(actionsCell);
+
+            this.deliveryTable.appendChild(row);
+        });
+    }
+
+    async redeliver(delivery) {
+        try {
+            await this.api(`/api/admin/webhooks/deliveries/${delivery.id}/redeliver`, { method: 'POST' });
+            this.showNotification(`${delivery.event} queued for redelivery`, 'success');
+            // Give the first attempt a moment before refreshing the log
+            setTimeout(() => this.deliveriesWebhook && this.loadDeliveries(this.deliveriesWebhook), 1000);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadDocuments() {
+        try {
+            this.displayDocuments(await this.api('/api/knowledge'));
+        } catch (error) {
+            console.error('Error loading documents:', error);
+        }
+    }
+
+    displayDocuments(documents) {
+        this.knowledgeTable.innerHTML = '';
+
+        if (documents.length === 0) {
+            this.knowledgeTable.innerHTML = '<tr><td colspan="6" class="empty-state">No documents yet</td></tr>';
+            return;
+        }
+
+        documents.forEach(doc => {
+            const row = document.createElement('tr');
+            [doc.title, doc.filename || '-', doc.chunks, doc.uploadedBy || '-', new Date(doc.updatedAt).toLocaleString()].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'btn btn-danger';
+            button.textContent = 'Delete';
+            button.addEventListener('click', () => this.deleteDocument(doc));
+            const actions = document.createElement('div');
+            actions.className = 'user-actions';
+            actions.appendChild(button);
+            actionsCell.appendChild(actions);
+            row.appendChild(actionsCell);
+
+            this.knowledgeTable.appendChild(row);
+        });
+    }
+
+    async handleUpload(e) {
+        e.preventDefault();
+
+        try {
+            const doc = await this.api('/api/knowledge', {
+                method: 'POST',
+                body: new FormData(this.knowledgeForm)
+            });
+            this.knowledgeForm.reset();
+            this.showNotification(`${doc.title} indexed (${doc.chunks} passages)`, 'success');
+            this.loadDocuments();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async deleteDocument(doc) {
+        if (!confirm(`Delete ${doc.title}? RexBot will no longer use it.`)) {
+            return;
+        }
+
+        try {
+            await this.api(`/api/knowledge/${doc.id}`, { method: 'DELETE' });
+            this.showNotification(`${doc.title} deleted`, 'success');
+            this.loadDocuments();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the passages RexBot would be given for a question
+     */
+    async testKnowledgeSearch(e) {
+        e.preventDefault();
+        const query = new FormData(this.knowledgeSearchForm).get('q');
+
+        try {
+            const passages = await this.api(`/api/knowledge/search?q=${encodeURIComponent(query)}`);
+            this.knowledgeResults.innerHTML = '';
+            if (passages.length === 0) {
+                this.knowledgeResults.innerHTML = '<div class="empty-state">No passage matches; RexBot will say it is not sure</div>';
+                return;
+            }
+
+            passages.forEach(passage => {
+                const item = document.createElement('div');
+                item.className = 'knowledge-passage';
+                const score = document.createElement('span');
+                score.className = 'passage-score';
+                score.textContent = `score ${passage.score}`;
+                const title = document.createElement('strong');
+                title.textContent = passage.heading ? `${passage.title} - ${passage.heading}` : passage.title;
+                const text = document.createElement('div');
+                text.textContent = passage.text;
+                item.append(score, title, text);
+                this.knowledgeResults.appendChild(item);
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadPersonas() {
+        try {
+            const { personas, defaults } = await this.api('/api/personas');
+            this.personas = personas;
+            this.showPersonaDefaults(defaults);
+            this.displayPersonas(personas);
+        } catch (error) {
+            console.error('Error loading personas:', error);
+        }
+    }
+
+    /**
+     * Empty fields fall back to the built-in persona, so its texts are shown as placeholders
+     */
+    showPersonaDefaults(defaults) {
+        const fields = this.personaForm.elements;
+        fields.greeting.placeholder = defaults.greeting;
+        fields.systemPrompt.placeholder = defaults.systemPrompt;
+        fields.fallbackGreeting.placeholder = defaults.fallbacks.greeting.join('\n');
+        fields.fallbackRateLimited.placeholder = defaults.fallbacks.rateLimited.join('\n');
+        fields.fallbackError.placeholder = defaults.fallbacks.error;
+        fields.voiceRate.placeholder = defaults.voice.rate;
+        fields.voicePitch.placeholder = defaults.voice.pitch;
+    }
+
+    displayPersonas(personas) {
+        this.personaTable.innerHTML = '';
+
+        if (personas.length === 0) {
+            this.personaTable.innerHTML = '<tr><td colspan="6" class="empty-state">No personas yet; RexBot uses its built-in persona</td></tr>';
+            return;
+        }
+
+        personas.forEach(persona => {
+            const row = document.createElement('tr');
+            const name = persona.isDefault ? `${persona.name} (default)` : persona.name;
+            [name, persona.language, persona.kiosks.join(', ') || '-', persona.departments.join(', ') || '-',
+                new Date(persona.updatedAt).toLocaleString()].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            const actions = document.createElement('div');
+            actions.className = 'user-actions';
+            const addButton = (label, className, handler) => {
+                const button = document.createElement('button');
+                button.className = `btn ${className}`;
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+            addButton('Edit', 'btn-secondary', () => this.editPersona(persona));
+            addButton('Delete', 'btn-danger', () => this.deletePersona(persona));
+            actionsCell.appendChild(actions);
+            row.appendChild(actionsCell);
+
+            this.personaTable.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the form with a persona to edit, or clear it for a new one
+     */
+    editPersona(persona) {
+        this.personaForm.reset();
+        const fields = this.personaForm.elements;
+        fields.id.value = persona ? persona.id : '';
+        this.personaSubmitLabel.textContent = persona ? `Save ${persona.name}` : 'Create persona';
+        if (!persona) {
+            return;
+        }
+
+        ['name', 'language', 'greeting', 'tone', 'systemPrompt'].forEach(field => {
+            fields[field].value = persona[field];
+        });
+        fields.kiosks.value = persona.kiosks.join(', ');
+        Array.from(this.personaDepartments.options).forEach(option => {
+            option.selected = persona.departments.includes(option.value);
+        });
+        fields.isDefault.checked = persona.isDefault;
+        fields.fallbackGreeting.value = persona.fallbacks.greeting.join('\n');
+        fields.fallbackRateLimited.value = persona.fallbacks.rateLimited.join('\n');
+        fields.fallbackError.value = persona.fallbacks.error;
+        fields.voiceName.value = persona.voice.name || '';
+        fields.voiceRate.value = persona.voice.rate;
+        fields.voicePitch.value = persona.voice.pitch;
+        this.personaForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async savePersona(e) {
+        e.preventDefault();
+        const fields = this.personaForm.elements;
+        const id = fields.id.value;
+        const persona = {
+            name: fields.name.value,
+            language: fields.language.value || 'en-US',
+            kiosks: fields.kiosks.value,
+            departments: Array.from(this.personaDepartments.selectedOptions).map(option => option.value),
+            isDefault: fields.isDefault.checked,
+            greeting: fields.greeting.value,
+            tone: fields.tone.value,
+            systemPrompt: fields.systemPrompt.value,
+            fallbacks: {
+                greeting: fields.fallbackGreeting.value.split('\n'),
+                rateLimited: fields.fallbackRateLimited.value.split('\n'),
+                error: fields.fallbackError.value
+            },
+            voice: { name: fields.voiceName.value, rate: fields.voiceRate.value, pitch: fields.voicePitch.value }
+        };
+
+        try {
+            const saved = await this.api(id ? `/api/personas/${id}` : '/api/personas', {
+                method: id ? 'PATCH' : 'POST',
+                body: JSON.stringify(persona)
+            });
+            this.showNotification(`${saved.name} saved; it applies from the next message`, 'success');
+            this.editPersona(null);
+            this.loadPersonas();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async deletePersona(persona) {
+        if (!confirm(`Delete the persona ${persona.name}? Its kiosks and departments go back to the default persona.`)) {
+            return;
+        }
+
+        try {
+            await this.api(`/api/personas/${persona.id}`, { method: 'DELETE' });
+            this.showNotification(`${persona.name} deleted`, 'success');
+            if (this.personaForm.elements.id.value === String(persona.id)) {
+                this.editPersona(null);
+            }
+            this.loadPersonas();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    showSetupLink(label, url) {
+        this.setupLink.textContent = '';
+        const text = document.createElement('strong');
+        text.textContent = `${label} (share it with them; it is shown only once): `;
+        const link = document.createElement('a');
+        link.href = url;
+        link.textContent = url;
+        this.setupLink.appendChild(text);
+        this.setupLink.appendChild(link);
+        this.setupLink.style.display = 'block';
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+
+        const container = document.getElementById('notificationContainer');
+        container.appendChild(notification);
+
+        // Auto remove after 5 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 5000);
+    }
+}
+
+// Initialize the admin dashboard when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminDashboard();
+});
@@ -0,0 +1,260 @@
+// Analytics Dashboard JavaScript
+class AnalyticsDashboard {
+    constructor() {
+        // Admins and staff sign in on their own pages; either session works here
+        this.tokenKey = localStorage.getItem('adminToken') ? 'adminToken' : 'token';
+        this.token = localStorage.getItem(this.tokenKey);
+
+        this.initializeElements();
+        this.bindEvents();
+
+        if (this.token) {
+            this.showDashboard();
+        }
+    }
+
+    initializeElements() {
+        this.loginSection = document.getElementById('loginSection');
+        this.dashboardSection = document.getElementById('dashboardSection');
+        this.loginForm = document.getElementById('loginForm');
+        this.loginError = document.getElementById('loginError');
+        this.rangeInfo = document.getElementById('rangeInfo');
+        this.backLink = document.getElementById('backLink');
+        this.logoutBtn = document.getElementById('logoutBtn');
+
+        this.rangeForm = document.getElementById('rangeForm');
+        this.summaryCards = document.getElementById('summaryCards');
+        this.hourChart = document.getElementById('hourChart');
+        this.dayChart = document.getElementById('dayChart');
+        this.staffTable = document.getElementById('staffTable');
+        this.departmentTable = document.getElementById('departmentTable');
+        this.purposeList = document.getElementById('purposeList');
+    }
+
+    bindEvents() {
+        this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        this.logoutBtn.addEventListener('click', () => this.handleLogout());
+        this.rangeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadReport();
+        });
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+        const formData = new FormData(this.loginForm);
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: formData.get('email'), password: formData.get('password') })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showLoginError(result.error || 'Login failed');
+                return;
+            }
+            if (!['staff', 'admin'].includes(result.user.role)) {
+                this.showLoginError('This page is for staff and administrators only');
+                return;
+            }
+
+            this.tokenKey = result.user.role === 'admin' ? 'adminToken' : 'token';
+            this.token = result.token;
+            localStorage.setItem(this.tokenKey, result.token);
+            if (result.user.role === 'admin') {
+                localStorage.setItem('adminName', result.user.name);
+            }
+            this.showDashboard();
+        } catch (error) {
+            console.error('Error logging in:', error);
+            this.showLoginError('Login failed');
+        }
+    }
+
+    showLoginError(message) {
+        this.loginError.textContent = message;
+        this.loginError.style.display = 'block';
+    }
+
+    showDashboard() {
+        this.loginSection.style.display = 'none';
+        this.dashboardSection.style.display = 'block';
+        this.backLink.href = this.tokenKey === 'adminToken' ? '/admin' : '/staff';
+        this.loadReport();
+    }
+
+    handleLogout() {
+        this.token = null;
+        localStorage.removeItem(this.tokenKey);
+        if (this.tokenKey === 'adminToken') {
+            localStorage.removeItem('adminName');
+        }
+        this.dashboardSection.style.display = 'none';
+        this.loginSection.style.display = 'flex';
+        this.loginForm.reset();
+        this.loginError.style.display = 'none';
+    }
+
+    async loadReport() {
+        const params = new URLSearchParams();
+        const formData = new FormData(this.rangeForm);
+        ['from', 'to'].forEach(name => {
+            if (formData.get(name)) params.set(name, formData.get(name));
+        });
+
+        try {
+            const response = await fetch(`/api/analytics?${params}`, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (response.status === 401 || (response.status === 403 && result.error === 'Invalid token')) {
+                this.handleLogout();
+                this.showLoginError('Your session has expired. Please sign in again.');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(result.error || `Request failed with status ${response.status}`);
+            }
+            this.displayReport(result);
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    displayReport(report) {
+        const from = new Date(report.range.from).toLocaleDateString();
+        const to = new Date(report.range.to).toLocaleDateString();
+        this.rangeInfo.textContent = `${from} – ${to} (${report.range.timezone})`;
+
+        this.displaySummary(report.calls, report.conversations);
+        this.displayBars(this.hourChart, report.callsPerHour.map(({ hour, calls }) => ({
+            label: String(hour).padStart(2, '0'),
+            value: calls
+        })));
+        this.displayBars(this.dayChart, report.callsPerDay.map(({ date, calls }) => ({
+            label: date.slice(5),
+            value: calls
+        })));
+        this.displayRows(this.staffTable, report.staff, 7, row => [
+            row.name, row.department || '-', row.calls, row.accepted, row.rejected,
+            this.formatRate(row.acceptRate), this.formatSeconds(row.averageHandleSeconds)
+        ]);
+        this.displayRows(this.departmentTable, report.departments, 7, row => [
+            row.department, row.calls, row.accepted, row.rejected, row.abandoned,
+            this.formatRate(row.acceptRate), this.formatSeconds(row.averageHandleSeconds)
+        ]);
+        this.displayPurposes(report.purposes);
+    }
+
+    displaySummary(calls, conversations) {
+        const cards = [
+            ['fa-phone', 'Calls', calls.total],
+            ['fa-hourglass-half', 'Avg. wait', this.formatSeconds(calls.averageWaitSeconds)],
+            ['fa-stopwatch', 'Avg. handle time', this.formatSeconds(calls.averageHandleSeconds)],
+            ['fa-door-open', 'Abandonment rate', this.formatRate(calls.abandonmentRate)],
+            ['fa-check-circle', 'Accept rate', this.formatRate(calls.acceptRate)],
+            ['fa-comments', 'Conversations', conversations.total],
+            ['fa-user-tie', 'Taken over by staff', this.formatRate(conversations.takeoverRate)]
+        ];
+
+        this.summaryCards.innerHTML = cards.map(([icon, label, value]) => `
+            <div class="analytics-card">
+                <i class="fas ${icon}"></i>
+                <div class="analytics-value">${value}</div>
+                <div class="analytics-label">${label}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Vertical bar chart; bars are scaled against the busiest bucket and long
+     * ranges only label every few bars
+     */
+    displayBars(container, buckets) {
+        const max = Math.max(1, ...buckets.map(bucket => bucket.value));
+        const labelEvery = Math.ceil(buckets.length / 12);
+        container.innerHTML = buckets.map(({ label, value }, index) => `
+            <div class="bar" title="${label}: ${value}">
+                <div class="bar-fill" style="height: ${(value / max) * 100}%"></div>
+                ${index % labelEvery === 0 ? `<span class="bar-label">${label}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    displayRows(tbody, rows, columns, toCells) {
+        tbody.innerHTML = '';
+        if (rows.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${columns}" class="empty-state">No calls in this range</td></tr>`;
+            return;
+        }
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            // Staff names come from the registration form, so every cell is set as text
+            toCells(row).forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            tbody.appendChild(tr);
+        });
+    }
+
+    displayPurposes(purposes) {
+        this.purposeList.innerHTML = '';
+        if (purposes.length === 0) {
+            this.purposeList.innerHTML = '<div class="empty-state">No calls in this range</div>';
+            return;
+        }
+
+        const max = purposes[0].calls;
+        purposes.forEach(({ purpose, calls }) => {
+            const row = document.createElement('div');
+            row.className = 'bar-row';
+            row.innerHTML = `
+                <span class="bar-row-label"></span>
+                <div class="bar-row-track"><div class="bar-row-fill" style="width: ${(calls / max) * 100}%"></div></div>
+                <span class="bar-row-value">${calls}</span>
+            `;
+            // Purposes are typed by visitors
+            row.querySelector('.bar-row-label').textContent = purpose;
+            this.purposeList.appendChild(row);
+        });
+    }
+
+    formatSeconds(seconds) {
+        if (seconds === null || seconds === undefined) {
+            return '-';
+        }
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+
+    formatRate(rate) {
+        return rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+
+        const container = document.getElementById('notificationContainer');
+        container.appendChild(notification);
+
+        // Auto remove after 5 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 5000);
+    }
+}
+
+// Initialize the analytics dashboard when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new AnalyticsDashboard();
+});
@@ -0,0 +1,88 @@
+// Visitor Badge JavaScript
+class VisitorBadge {
+    constructor() {
+        // The page is served at /badge/<token>; the token is also what the QR code encodes
+        this.token = decodeURIComponent(window.location.pathname.split('/').pop() || '');
+
+        this.card = document.getElementById('badgeCard');
+        this.actions = document.getElementById('badgeActions');
+        this.checkOutButton = document.getElementById('checkOut');
+        this.error = document.getElementById('badgeError');
+
+        document.getElementById('printBadge').addEventListener('click', () => window.print());
+        this.checkOutButton.addEventListener('click', () => this.checkOut());
+
+        this.loadBadge();
+    }
+
+    async loadBadge() {
+        try {
+            const response = await fetch(`/api/visits/badge/${encodeURIComponent(this.token)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'This badge could not be found');
+            }
+
+            // The QR code is an SVG generated by the server; everything else is visitor input
+            document.getElementById('badgeQr').innerHTML = result.qrCode;
+            this.render(result.visit);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    render(visit) {
+        document.getElementById('badgeName').textContent = visit.name;
+        document.getElementById('badgeCompany').textContent = visit.company || '';
+        document.getElementById('badgeHost').textContent = visit.host ? visit.host.name : 'Reception';
+        document.getElementById('badgeCode').textContent = visit.badgeCode;
+        document.getElementById('badgeDate').textContent = new Date(visit.checkedInAt).toLocaleDateString(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+
+        const checkedOut = visit.status === 'checked-out';
+        const status = document.getElementById('badgeStatus');
+        status.textContent = checkedOut
+            ? `Checked out at ${new Date(visit.checkedOutAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        status.style.display = checkedOut ? 'block' : 'none';
+        this.card.classList.toggle('expired', checkedOut);
+        this.checkOutButton.style.display = checkedOut ? 'none' : '';
+
+        this.card.style.display = 'block';
+        this.actions.style.display = 'flex';
+    }
+
+    async checkOut() {
+        if (!confirm('Check out and end your visit?')) {
+            return;
+        }
+
+        this.checkOutButton.disabled = true;
+        try {
+            const response = await fetch(`/api/visits/badge/${encodeURIComponent(this.token)}/check-out`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Check-out failed');
+            }
+            this.render(result.visit);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.checkOutButton.disabled = false;
+        }
+    }
+
+    showError(message) {
+        this.error.textContent = message;
+        this.error.style.display = 'block';
+    }
+}
+
+// Initialize the badge page when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new VisitorBadge();
+});
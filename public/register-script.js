@@ -5,7 +5,38 @@ class StaffRegistration {
         this.registerError = document.getElementById('registerError');
         this.registerSuccess = document.getElementById('registerSuccess');
         
+        // Invitation and password-reset links carry a one-time token
+        this.setupToken = new URLSearchParams(window.location.search).get('token');
+        
         this.setupEventListeners();
+        if (this.setupToken) {
+            this.loadAccountSetup();
+        }
+    }
+
+    async loadAccountSetup() {
+        const departmentGroup = document.getElementById('departmentGroup');
+        departmentGroup.style.display = 'none';
+        departmentGroup.querySelector('select').required = false;
+        
+        try {
+            const response = await fetch(`/api/auth/setup/${encodeURIComponent(this.setupToken)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'This link is invalid or has expired');
+            }
+            
+            document.getElementById('registerTitle').textContent = result.invited ? 'Welcome to RexBot' : 'Reset Password';
+            document.getElementById('registerSubtitle').textContent = 'Choose a password for your staff account';
+            ['name', 'email'].forEach(field => {
+                const input = document.getElementById(field);
+                input.value = result[field];
+                input.readOnly = true;
+            });
+        } catch (error) {
+            this.showError(error.message);
+            this.registerForm.querySelector('button[type="submit"]').disabled = true;
+        }
     }
 
     setupEventListeners() {
@@ -22,8 +53,7 @@ class StaffRegistration {
             email: formData.get('email'),
             password: formData.get('password'),
             confirmPassword: formData.get('confirmPassword'),
-            department: formData.get('department'),
-            role: 'staff'
+            department: this.setupToken ? 'n/a' : formData.get('department')
         };
         
         // Validate form
@@ -37,12 +67,14 @@ class StaffRegistration {
         this.setLoadingState(true);
         
         try {
-            const response = await fetch('/api/auth/register', {
+            const response = await fetch(this.setupToken ? '/api/auth/setup' : '/api/auth/register', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(data)
+                body: JSON.stringify(this.setupToken
+                    ? { token: this.setupToken, password: data.password }
+                    : data)
             });
             
             const result = await response.json();
@@ -51,12 +83,19 @@ class StaffRegistration {
                 throw new Error(result.error || 'Registration failed');
             }
             
+            if (!this.setupToken) {
+                // Self-registered accounts wait for an administrator
+                this.showSuccess(result.message);
+                this.registerForm.reset();
+                return;
+            }
+            
             // Show success message
-            this.showSuccess('Registration successful! Redirecting to login...');
+            this.showSuccess('Password saved! Redirecting to login...');
             
             // Redirect to login page after 2 seconds
             setTimeout(() => {
-                window.location.href = '/staff';
+                window.location.href = result.user.role === 'admin' ? '/admin' : '/staff';
             }, 2000);
             
         } catch (error) {
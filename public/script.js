@@ -2,6 +2,9 @@
  * RexBot AI Reception System - Client Script
  */
 
+// Longest recording sent to the server speech recognition in one go
+const MAX_RECORDING_MS = 30000;
+
 class RexBot {
     constructor() {
         this.socket = io();
@@ -13,6 +16,37 @@ class RexBot {
         this.isSpeechEnabled = true;
         this.isTyping = false;
         this.isConversationStarted = false;
+        this.streamingMessage = null;
+        this.pendingSpeech = '';
+        // Name of the staff member answering in place of RexBot, if any
+        this.chatStaffName = null;
+        
+        // Server speech pipeline: recognition for browsers without their own, and the
+        // server's voice for RexBot when an admin has set one up
+        this.serverSpeech = { recognition: false, synthesis: false };
+        this.recorder = null;
+        this.recordingUpload = Promise.resolve();
+        this.recordingTimer = null;
+        this.speechRequests = new Map();
+        this.speechRequestId = 0;
+        this.speechGeneration = 0;
+        this.audioQueue = Promise.resolve();
+        this.currentAudio = null;
+        
+        // The persona (name, language, voice) is configured per kiosk: /?kiosk=<id>
+        this.kiosk = new URLSearchParams(window.location.search).get('kiosk');
+        this.persona = { name: 'RexBot', language: 'en-US', voice: { name: null, rate: 0.9, pitch: 1.1 } };
+        
+        // Language picked by the visitor, or 'auto' to follow the one detected from their messages
+        this.languages = [];
+        this.language = 'auto';
+        this.detectedLanguage = null;
+        
+        // Video call with staff
+        this.callId = null;
+        this.peerConnection = null;
+        this.localStream = null;
+        this.pendingCandidates = [];
         
         this.initializeElements();
         this.initializeSpeechRecognition();
@@ -20,6 +54,9 @@ class RexBot {
         this.setupSocketListeners();
         this.setWelcomeTime();
         this.setupKeyboardShortcuts();
+        this.loadPersona();
+        this.loadLanguages();
+        this.loadSpeechSettings();
     }
 
     initializeElements() {
@@ -33,6 +70,19 @@ class RexBot {
         this.speechStatus = document.getElementById('speechStatus');
         this.statusDot = document.getElementById('statusDot');
         this.statusText = document.getElementById('statusText');
+        this.botName = document.getElementById('botName');
+        this.welcomeText = document.getElementById('welcomeText');
+        this.languageSelect = document.getElementById('languageSelect');
+        
+        // Video call elements
+        this.videoCall = document.getElementById('videoCall');
+        this.localVideo = document.getElementById('localVideo');
+        this.remoteVideo = document.getElementById('remoteVideo');
+        this.videoCallStatus = document.getElementById('videoCallStatus');
+        this.queueStatus = document.getElementById('queueStatus');
+        this.queueStatusText = document.getElementById('queueStatusText');
+        this.callMuteButton = document.getElementById('callMuteButton');
+        this.endCallButton = document.getElementById('endCallButton');
         
         // Error handling
         this.errorModal = document.getElementById('errorModal');
@@ -48,21 +98,14 @@ class RexBot {
             
             this.speechRecognition.continuous = false;
             this.speechRecognition.interimResults = false;
-            this.speechRecognition.lang = 'en-US';
+            this.speechRecognition.lang = this.speechLocale();
             
-            this.speechRecognition.onstart = () => {
-                this.isListening = true;
-                this.speechInputButton.classList.add('recording');
-                this.micIcon.className = 'fas fa-stop';
-                this.speechStatusDisplay.textContent = 'Listening...';
-                this.speechStatusDisplay.classList.add('listening');
-                this.updateStatus('Listening...', 'listening');
-            };
+            this.speechRecognition.onstart = () => this.showListening();
             
             this.speechRecognition.onresult = (event) => {
                 const transcript = event.results[0][0].transcript;
                 this.speechStatusDisplay.textContent = `Heard: "${transcript}"`;
-                this.sendMessage(transcript);
+                this.sendMessage(transcript, 'speech');
             };
             
             this.speechRecognition.onerror = (event) => {
@@ -75,9 +118,9 @@ class RexBot {
                 this.resetSpeechInput();
             };
         } else {
-            console.warn('Speech recognition not supported');
+            // The server may transcribe recordings instead; see loadSpeechSettings
+            console.warn('Speech recognition not supported in this browser');
             this.speechInputButton.style.display = 'none';
-            this.showError('Speech recognition is not supported in your browser. Please use a modern browser like Chrome or Edge.');
         }
     }
 
@@ -90,7 +133,7 @@ class RexBot {
             }
             
             if (this.isListening) {
-                this.speechRecognition.stop();
+                this.stopSpeechRecognition();
             } else {
                 this.startSpeechRecognition();
             }
@@ -101,6 +144,15 @@ class RexBot {
             this.toggleSpeech();
         });
 
+        // Language picker
+        this.languageSelect.addEventListener('change', () => {
+            this.setLanguage(this.languageSelect.value);
+        });
+
+        // Video call controls
+        this.callMuteButton.addEventListener('click', () => this.toggleCallMute());
+        this.endCallButton.addEventListener('click', () => this.endVideoCall());
+
         // Error modal
         if (this.closeError) {
             this.closeError.addEventListener('click', () => {
@@ -121,11 +173,60 @@ class RexBot {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.updateStatus('Connected', 'ready');
+            
+            // Reattach to an earlier conversation after a reload or a dropped connection
+            const sessionToken = localStorage.getItem('rexbotSession');
+            if (sessionToken) {
+                this.socket.emit('resume-session', { token: sessionToken });
+            }
         });
 
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
-            this.updateStatus('Disconnected', 'error');
+            this.updateStatus(this.isConversationStarted ? 'Reconnecting...' : 'Disconnected', 'error');
+        });
+
+        this.socket.on('session-resumed', (data) => this.restoreSession(data));
+
+        // Server speech pipeline
+        this.socket.on('speech-transcript', (data) => {
+            if (data.text) {
+                this.speechStatusDisplay.textContent = `Heard: "${data.text}"`;
+                this.showSentMessage(data.text);
+            } else {
+                this.speechStatusDisplay.textContent = "Sorry, I didn't catch that. Please try again.";
+                this.updateStatus('Ready', 'ready');
+            }
+        });
+
+        this.socket.on('speech-audio', (data) => this.resolveSpeechRequest(data.id, data));
+
+        this.socket.on('speech-error', (data) => {
+            // A sentence the server could not speak is skipped
+            if (data.id !== undefined) {
+                this.resolveSpeechRequest(data.id, null);
+                return;
+            }
+            this.resetSpeechInput();
+            this.showError(data.message);
+        });
+
+        this.socket.on('visitor-language', (data) => {
+            if (data.auto) {
+                this.detectedLanguage = data.language ? data.language.code : null;
+            }
+            this.updateLanguagePicker();
+            this.applySpeechLanguage();
+        });
+
+        this.socket.on('session-expired', (data) => {
+            localStorage.removeItem('rexbotSession');
+            this.hideQueueStatus();
+            if (this.isConversationStarted) {
+                this.isConversationStarted = false;
+                this.teardownVideoCall();
+                this.addMessage(`${data.message}. Press the microphone to start a new conversation.`, 'system');
+            }
         });
 
         // Conversation events
@@ -134,6 +235,11 @@ class RexBot {
             this.sessionId = data.sessionId;
             this.conversationId = data.callId;
             this.isConversationStarted = true;
+            this.chatStaffName = null;
+            localStorage.setItem('rexbotSession', data.sessionToken);
+            if (data.persona) {
+                this.applyPersona(data.persona);
+            }
             this.updateStatus('Ready to chat', 'ready');
             this.speechStatusDisplay.textContent = 'Click the microphone to speak';
             
@@ -141,29 +247,111 @@ class RexBot {
             this.userData = data;
             
             // Add welcome message
-            this.addMessage(`Welcome! I'm RexBot, your AI receptionist. I understand you're here for: ${data.purpose}. How can I assist you today?`, 'bot');
+            this.addMessage(data.greeting, 'bot');
+        });
+
+        this.socket.on('ai-response-chunk', (data) => {
+            this.appendResponseChunk(data.text);
+        });
+
+        this.socket.on('ai-response-end', (data) => {
+            this.finishResponse(data.response);
         });
 
-        this.socket.on('ai-response', (data) => {
+        // A staff member can take over the chat from RexBot and hand it back later
+        this.socket.on('staff-joined-chat', (data) => {
+            this.chatStaffName = data.staffName;
             this.hideTypingIndicator();
-            this.addMessage(data.response, 'bot');
-            
-            if (this.isSpeechEnabled) {
-                this.speak(data.response);
-            }
-            
-            this.updateStatus('Ready', 'ready');
+            this.updateStatus('Ready to chat', 'ready');
+            this.addMessage(`${data.staffName} from reception has joined the chat.`, 'system');
         });
 
+        this.socket.on('staff-message', (data) => {
+            this.addMessage(data.content, 'staff', data.timestamp, data.staffName);
+        });
+
+        this.socket.on('staff-left-chat', (data) => {
+            this.chatStaffName = null;
+            this.addMessage(`${data.staffName} has left the chat. ${this.persona.name} is back to help you.`, 'system');
+        });
+
+        // Appointment booking
+        this.socket.on('appointment-proposal', (data) => {
+            this.showAppointmentProposal(data);
+        });
+
+        this.socket.on('appointment-confirmed', (data) => {
+            this.addMessage(`Your appointment with ${data.staffName} (${data.department}) is confirmed for ${this.formatSlot(data.startTime)}.`, 'system');
+        });
+
+        this.socket.on('appointment-declined', () => {
+            this.addMessage(`No problem, the appointment was not booked. Let ${this.persona.name} know if you would like a different time.`, 'system');
+        });
+
+        this.socket.on('appointment-error', (data) => {
+            const alternatives = (data.alternatives || []).map(slot => this.formatSlot(slot)).join(', ');
+            this.addMessage(`${data.message}.${alternatives ? ' Available times: ' + alternatives : ''}`, 'system');
+        });
+
+        this.socket.on('queue-update', (data) => this.showQueueStatus(data));
+
         this.socket.on('call-accepted', (data) => {
+            this.hideQueueStatus();
             this.addMessage(`Your call has been accepted by ${data.staffName} from ${data.staffDepartment}. You will be connected shortly.`, 'system');
+            this.startVideoCall(data.callId);
+        });
+
+        // RexBot keeps helping when staff decline the call
+        this.socket.on('call-rejected', (data) => {
+            this.hideQueueStatus();
+            this.addMessage(`${data.message}. RexBot can still help you, or take a message for the team.`, 'system');
+        });
+
+        // Video call signaling (the staff member sends the offer)
+        this.socket.on('offer', (data) => this.handleOffer(data));
+        this.socket.on('ice-candidate', (data) => this.handleIceCandidate(data));
+        this.socket.on('call-ended', (data) => {
+            if (data.callId !== this.callId) return;
+            this.teardownVideoCall();
+            this.addMessage('The video call has ended.', 'system');
+        });
+
+        this.socket.on('call-held', (data) => {
+            if (data.callId !== this.callId) return;
+            this.videoCallStatus.textContent = `${data.by} has put you on hold. Please wait...`;
+            this.videoCallStatus.style.display = '';
+        });
+
+        this.socket.on('call-resumed', (data) => {
+            if (data.callId !== this.callId) return;
+            this.videoCallStatus.style.display = 'none';
+        });
+
+        this.socket.on('call-transferred', (data) => {
+            if (data.callId !== this.callId) return;
+            this.teardownVideoCall();
+            const target = data.toStaffName ? `${data.toStaffName} (${data.department})` : `the ${data.department} team`;
+            this.addMessage(`${data.by} is transferring you to ${target}. Please wait to be connected.`, 'system');
         });
 
         this.socket.on('call-completed', (data) => {
+            this.teardownVideoCall();
+            this.hideQueueStatus();
+            // The visit is over; a kiosk reload should not bring this conversation back
+            localStorage.removeItem('rexbotSession');
             const decision = data.decision === 'accepted' ? 'accepted' : 'declined';
             this.addMessage(`Your meeting request has been ${decision}. ${data.notes ? 'Notes: ' + data.notes : ''}`, 'system');
         });
 
+        this.socket.on('visit-checked-in', (data) => {
+            this.showVisitCheckedIn(data.visit, data.badgeUrl);
+        });
+
+        // The conversation goes ahead even when the check-in does not
+        this.socket.on('visit-error', (data) => {
+            this.addMessage(`We couldn't check you in: ${data.message.replace(/\.$/, '')}. Please ask at reception.`, 'system');
+        });
+
         // Error handling
         this.socket.on('error', (data) => {
             console.error('Socket error:', data);
@@ -189,9 +377,9 @@ class RexBot {
                     return;
                 }
                 
-                if (this.speechRecognition) {
+                if (this.hasSpeechInput()) {
                     if (this.isListening) {
-                        this.speechRecognition.stop();
+                        this.stopSpeechRecognition();
                     } else {
                         this.startSpeechRecognition();
                     }
@@ -210,7 +398,7 @@ class RexBot {
             <div class="conversation-form-overlay">
                 <div class="conversation-form">
                     <h2>Start Your Conversation</h2>
-                    <p>Please provide your information to begin chatting with RexBot</p>
+                    <p id="conversationFormIntro"></p>
                     
                     <form id="conversationForm">
                         <div class="form-group">
@@ -236,6 +424,18 @@ class RexBot {
                             </select>
                         </div>
                         
+                        <div class="form-group">
+                            <label for="hostId">Who are you visiting? (optional)</label>
+                            <select id="hostId" name="hostId">
+                                <option value="">No one in particular</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="company">Company (optional)</label>
+                            <input type="text" id="company" name="company" maxlength="100">
+                        </div>
+                        
                         <div class="form-actions">
                             <button type="submit" class="btn btn-primary">
                                 <i class="fas fa-play"></i>
@@ -248,9 +448,51 @@ class RexBot {
         `;
         
         document.body.insertAdjacentHTML('beforeend', formHTML);
+        // The persona name is set by an admin, so it goes in as text
+        document.getElementById('conversationFormIntro').textContent =
+            `Please provide your information to begin chatting with ${this.persona.name}`;
         
         const form = document.getElementById('conversationForm');
         form.addEventListener('submit', (e) => this.handleConversationSubmit(e));
+        this.loadHosts();
+    }
+
+    // Visitors who pick a host are checked in and get a badge
+    async loadHosts() {
+        try {
+            const response = await fetch('/api/visits/hosts');
+            if (!response.ok) {
+                return;
+            }
+            const hosts = await response.json();
+            const select = document.getElementById('hostId');
+            if (!select) {
+                return;
+            }
+            hosts.forEach(host => {
+                const option = document.createElement('option');
+                option.value = host.id;
+                option.textContent = host.department ? `${host.name} (${host.department})` : host.name;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading hosts:', error);
+        }
+    }
+
+    showVisitCheckedIn(visit, badgeUrl) {
+        const host = visit.host ? visit.host.name : 'your host';
+        const messageDiv = this.addMessage(
+            `You're checked in to see ${host}, who has been told you are here. Your badge code is ${visit.badgeCode}.`,
+            'system'
+        );
+        const link = document.createElement('a');
+        link.className = 'badge-link';
+        link.href = badgeUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.innerHTML = '<i class="fas fa-id-badge"></i> Print your badge';
+        messageDiv.querySelector('.message-content').insertBefore(link, messageDiv.querySelector('.message-time'));
     }
 
     handleConversationSubmit(e) {
@@ -260,7 +502,11 @@ class RexBot {
         const data = {
             name: formData.get('name'),
             email: formData.get('email'),
-            purpose: formData.get('purpose')
+            purpose: formData.get('purpose'),
+            hostId: formData.get('hostId') || undefined,
+            company: formData.get('company') || undefined,
+            kiosk: this.kiosk,
+            language: this.language
         };
         
         // Validate form data
@@ -299,9 +545,237 @@ class RexBot {
         }
     }
 
+    showQueueStatus(data) {
+        let wait;
+        if (data.estimatedWaitSeconds === null) {
+            wait = 'Staff will be with you as soon as someone is available';
+        } else {
+            const minutes = Math.round(data.estimatedWaitSeconds / 60);
+            wait = minutes < 1 ? 'Estimated wait: less than a minute' : `Estimated wait: about ${minutes} min`;
+        }
+        
+        this.queueStatusText.textContent = `You are number ${data.position} in line. ${wait}.`;
+        this.queueStatus.style.display = 'flex';
+    }
+
+    hideQueueStatus() {
+        this.queueStatus.style.display = 'none';
+    }
+
+    restoreSession(data) {
+        // After a page reload the chat history has to be drawn again
+        const isReload = this.sessionId !== data.sessionId;
+        this.sessionId = data.sessionId;
+        this.conversationId = data.callId;
+        this.userData = data;
+        this.isConversationStarted = true;
+        this.chatStaffName = data.chatStaffName;
+        if (data.persona) {
+            this.applyPersona(data.persona);
+        }
+        if (data.language && data.languageSelected) {
+            this.language = data.language.code;
+        } else {
+            this.language = 'auto';
+            this.detectedLanguage = data.language ? data.language.code : null;
+        }
+        this.updateLanguagePicker();
+        this.applySpeechLanguage();
+        
+        if (isReload) {
+            data.messages.forEach(msg => {
+                this.addMessage(msg.content, ['user', 'staff'].includes(msg.sender) ? msg.sender : 'bot', msg.timestamp);
+            });
+            this.addMessage(`Welcome back, ${data.name}. Your conversation has been restored.`, 'system');
+        }
+        this.updateStatus('Ready to chat', 'ready');
+        this.speechStatusDisplay.textContent = 'Click the microphone to speak';
+        
+        // The old peer connection did not survive the disconnect; join the call again
+        if (['in-progress', 'on-hold'].includes(data.callStatus)) {
+            this.teardownVideoCall();
+            this.addMessage(`Reconnecting you to ${data.staffName}...`, 'system');
+            this.startVideoCall(data.callId);
+        }
+    }
+
+    async startVideoCall(callId) {
+        this.callId = callId;
+        this.videoCall.style.display = 'block';
+        this.videoCallStatus.textContent = 'Connecting to staff...';
+        
+        this.peerConnection = new RTCPeerConnection({
+            iceServers: [
+                { urls: 'stun:stun.l.google.com:19302' }
+            ]
+        });
+        
+        try {
+            this.localStream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+            this.localVideo.srcObject = this.localStream;
+            this.localStream.getTracks().forEach(track => {
+                this.peerConnection.addTrack(track, this.localStream);
+            });
+        } catch (error) {
+            // Without a camera the visitor can still see and hear the staff member
+            console.warn('Camera/microphone unavailable:', error);
+            this.localVideo.style.display = 'none';
+            this.peerConnection.addTransceiver('video', { direction: 'recvonly' });
+            this.peerConnection.addTransceiver('audio', { direction: 'recvonly' });
+        }
+        
+        this.peerConnection.ontrack = (event) => {
+            this.remoteVideo.srcObject = event.streams[0];
+            this.videoCallStatus.style.display = 'none';
+        };
+        
+        this.peerConnection.onicecandidate = (event) => {
+            if (event.candidate && this.callId) {
+                this.socket.emit('ice-candidate', { callId: this.callId, candidate: event.candidate });
+            }
+        };
+        
+        // Joining the call room tells the staff member to send an offer
+        this.socket.emit('join-call', { callId });
+    }
+
+    async handleOffer(data) {
+        if (!this.peerConnection || data.callId !== this.callId) return;
+        
+        try {
+            await this.peerConnection.setRemoteDescription(new RTCSessionDescription(data.offer));
+            const candidates = this.pendingCandidates;
+            this.pendingCandidates = [];
+            for (const candidate of candidates) {
+                await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+            }
+            
+            const answer = await this.peerConnection.createAnswer();
+            await this.peerConnection.setLocalDescription(answer);
+            this.socket.emit('answer', { callId: this.callId, answer: this.peerConnection.localDescription });
+        } catch (error) {
+            console.error('Error answering call:', error);
+            this.showError('Failed to connect the video call.');
+        }
+    }
+
+    async handleIceCandidate(data) {
+        if (!this.peerConnection || data.callId !== this.callId) return;
+        
+        // Candidates can arrive before the offer has been applied
+        if (!this.peerConnection.remoteDescription) {
+            this.pendingCandidates.push(data.candidate);
+            return;
+        }
+        await this.peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
+    }
+
+    toggleCallMute() {
+        const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+        if (audioTrack) {
+            audioTrack.enabled = !audioTrack.enabled;
+            this.callMuteButton.innerHTML = audioTrack.enabled ? '<i class="fas fa-microphone"></i>' : '<i class="fas fa-microphone-slash"></i>';
+        }
+    }
+
+    endVideoCall() {
+        if (this.callId) {
+            this.socket.emit('end-call', { callId: this.callId });
+            this.addMessage('You ended the video call.', 'system');
+        }
+        this.teardownVideoCall();
+    }
+
+    teardownVideoCall() {
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+        }
+        if (this.peerConnection) {
+            this.peerConnection.close();
+        }
+        
+        this.callId = null;
+        this.peerConnection = null;
+        this.localStream = null;
+        this.pendingCandidates = [];
+        
+        this.localVideo.srcObject = null;
+        this.remoteVideo.srcObject = null;
+        this.localVideo.style.display = '';
+        this.videoCallStatus.style.display = '';
+        this.callMuteButton.innerHTML = '<i class="fas fa-microphone"></i>';
+        this.videoCall.style.display = 'none';
+    }
+
     startSpeechRecognition() {
-        if (this.speechRecognition && this.isConversationStarted) {
+        if (!this.isConversationStarted) return;
+        
+        if (this.speechRecognition) {
             this.speechRecognition.start();
+        } else if (this.serverSpeech.recognition) {
+            this.startRecording();
+        }
+    }
+
+    stopSpeechRecognition() {
+        if (this.recorder) {
+            this.recorder.stop();
+        } else if (this.speechRecognition) {
+            this.speechRecognition.stop();
+        }
+    }
+
+    hasSpeechInput() {
+        return Boolean(this.speechRecognition || this.serverSpeech.recognition);
+    }
+
+    showListening() {
+        this.isListening = true;
+        this.speechInputButton.classList.add('recording');
+        this.micIcon.className = 'fas fa-stop';
+        this.speechStatusDisplay.textContent = 'Listening...';
+        this.speechStatusDisplay.classList.add('listening');
+        this.updateStatus('Listening...', 'listening');
+    }
+
+    /**
+     * Record from the microphone and stream the audio to the server for transcription
+     */
+    async startRecording() {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            
+            this.socket.emit('speech-start', { mimeType: recorder.mimeType });
+            // Chunks are read one after another so they reach the server in order
+            this.recordingUpload = Promise.resolve();
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    this.recordingUpload = this.recordingUpload
+                        .then(() => event.data.arrayBuffer())
+                        .then(buffer => this.socket.emit('speech-chunk', buffer));
+                }
+            };
+            recorder.onstop = () => {
+                clearTimeout(this.recordingTimer);
+                stream.getTracks().forEach(track => track.stop());
+                this.recorder = null;
+                this.recordingUpload.then(() => this.socket.emit('speech-end'));
+                this.resetSpeechInput();
+                this.speechStatusDisplay.textContent = 'Transcribing...';
+                this.updateStatus('Processing...', 'processing');
+            };
+            
+            this.recorder = recorder;
+            recorder.start(250);
+            this.recordingTimer = setTimeout(() => this.stopSpeechRecognition(), MAX_RECORDING_MS);
+            this.showListening();
+        } catch (error) {
+            console.error('Error recording speech:', error);
+            this.showError(`Could not use the microphone: ${error.message}`);
+            this.resetSpeechInput();
         }
     }
 
@@ -314,26 +788,31 @@ class RexBot {
         this.updateStatus('Ready', 'ready');
     }
 
-    sendMessage(message) {
+    sendMessage(message, messageType = 'text') {
         if (!message.trim() || !this.isConversationStarted) return;
         
-        // Add user message to chat
-        this.addMessage(message, 'user');
-        
-        // Show typing indicator
-        this.showTypingIndicator();
-        
-        // Update status
-        this.updateStatus('Processing...', 'processing');
+        this.showSentMessage(message);
         
         // Send message via Socket.IO
         this.socket.emit('chat-message', {
             sessionId: this.sessionId,
-            message: message
+            message: message,
+            messageType
         });
     }
 
-    addMessage(text, sender) {
+    showSentMessage(message) {
+        // Add user message to chat
+        this.addMessage(message, 'user');
+        
+        // While staff are answering there is no RexBot reply to wait for
+        if (!this.chatStaffName) {
+            this.showTypingIndicator();
+            this.updateStatus('Processing...', 'processing');
+        }
+    }
+
+    addMessage(text, sender, timestamp, author) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message`;
         messageDiv.setAttribute('role', 'article');
@@ -346,6 +825,8 @@ class RexBot {
             icon.className = 'fas fa-robot';
         } else if (sender === 'user') {
             icon.className = 'fas fa-user';
+        } else if (sender === 'staff') {
+            icon.className = 'fas fa-user-tie';
         } else if (sender === 'system') {
             icon.className = 'fas fa-info-circle';
         }
@@ -354,13 +835,20 @@ class RexBot {
         const content = document.createElement('div');
         content.className = 'message-content';
         
+        if (author) {
+            const authorName = document.createElement('div');
+            authorName.className = 'message-author';
+            authorName.textContent = author;
+            content.appendChild(authorName);
+        }
+        
         const messageText = document.createElement('div');
         messageText.className = 'message-text';
         messageText.textContent = text;
         
         const time = document.createElement('div');
         time.className = 'message-time';
-        time.textContent = new Date().toLocaleTimeString();
+        time.textContent = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString();
         
         content.appendChild(messageText);
         content.appendChild(time);
@@ -370,6 +858,111 @@ class RexBot {
         
         this.chatMessages.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageDiv;
+    }
+
+    appendResponseChunk(text) {
+        if (!this.streamingMessage) {
+            this.hideTypingIndicator();
+            // A new reply interrupts whatever RexBot was still saying
+            this.cancelSpeech();
+            this.streamingMessage = this.addMessage('', 'bot').querySelector('.message-text');
+            this.updateStatus('Responding...', 'processing');
+        }
+
+        this.streamingMessage.textContent += text;
+        this.scrollToBottom();
+
+        // Speak each sentence as soon as it is complete
+        this.pendingSpeech += text;
+        const sentencePattern = /^[\s\S]*?[.!?]+["')\]]*(\s+|$)/;
+        let match;
+        while ((match = this.pendingSpeech.match(sentencePattern)) && match[1]) {
+            this.queueSpeech(match[0].trim());
+            this.pendingSpeech = this.pendingSpeech.slice(match[0].length);
+        }
+    }
+
+    finishResponse(response) {
+        if (!this.streamingMessage) {
+            this.appendResponseChunk(response);
+        } else if (response) {
+            this.streamingMessage.textContent = response;
+        }
+
+        if (this.pendingSpeech.trim()) {
+            this.queueSpeech(this.pendingSpeech.trim());
+        }
+
+        this.streamingMessage = null;
+        this.pendingSpeech = '';
+        
+        // Video call with staff
+        this.callId = null;
+        this.peerConnection = null;
+        this.localStream = null;
+        this.pendingCandidates = [];
+        this.updateStatus('Ready', 'ready');
+    }
+
+    showAppointmentProposal(appointment) {
+        const messageDiv = this.addMessage('Please confirm your appointment:', 'system');
+        const content = messageDiv.querySelector('.message-content');
+
+        const card = document.createElement('div');
+        card.className = 'appointment-card';
+
+        const details = [
+            ['Name', appointment.name],
+            ['Department', appointment.department],
+            ['When', this.formatSlot(appointment.startTime)],
+            ['Reason', appointment.reason]
+        ];
+        details.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'appointment-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('strong');
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            card.appendChild(row);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'appointment-actions';
+        const confirmButton = document.createElement('button');
+        confirmButton.className = 'btn btn-primary';
+        confirmButton.innerHTML = '<i class="fas fa-check"></i> Confirm';
+        const declineButton = document.createElement('button');
+        declineButton.className = 'btn btn-secondary';
+        declineButton.innerHTML = '<i class="fas fa-times"></i> Decline';
+
+        const respond = (event) => {
+            confirmButton.disabled = true;
+            declineButton.disabled = true;
+            this.socket.emit(event, { appointmentId: appointment.appointmentId });
+        };
+        confirmButton.addEventListener('click', () => respond('appointment-confirm'));
+        declineButton.addEventListener('click', () => respond('appointment-decline'));
+
+        actions.appendChild(confirmButton);
+        actions.appendChild(declineButton);
+        card.appendChild(actions);
+
+        content.insertBefore(card, content.querySelector('.message-time'));
+        this.scrollToBottom();
+    }
+
+    formatSlot(date) {
+        return new Date(date).toLocaleString([], {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
     }
 
     showTypingIndicator() {
@@ -419,41 +1012,221 @@ class RexBot {
         
         if (this.isSpeechEnabled) {
             this.speechIcon.className = 'fas fa-volume-up';
-            this.speechStatus.textContent = 'RexBot voice enabled';
             this.speechToggle.classList.remove('disabled');
         } else {
             this.speechIcon.className = 'fas fa-volume-mute';
-            this.speechStatus.textContent = 'RexBot voice disabled';
             this.speechToggle.classList.add('disabled');
         }
+        this.updateSpeechLabel();
+    }
+
+    updateSpeechLabel() {
+        this.speechStatus.textContent = `${this.persona.name} voice ${this.isSpeechEnabled ? 'enabled' : 'disabled'}`;
+    }
+
+    /**
+     * Fetch the persona configured for this kiosk (or the default one)
+     */
+    async loadPersona() {
+        try {
+            const query = this.kiosk ? `?kiosk=${encodeURIComponent(this.kiosk)}` : '';
+            const response = await fetch(`/api/persona${query}`);
+            if (response.ok) {
+                this.applyPersona(await response.json());
+            }
+        } catch (error) {
+            console.error('Error loading persona:', error);
+        }
+    }
+
+    applyPersona(persona) {
+        this.persona = persona;
+        document.title = `${persona.name} - AI Character`;
+        if (this.botName) {
+            this.botName.textContent = persona.name;
+        }
+        if (this.welcomeText && !this.isConversationStarted) {
+            this.welcomeText.textContent = `Beep! Hello there! I'm ${persona.name}, your friendly AI companion! *whirr* How can I help you today?`;
+        }
+        this.applySpeechLanguage();
+        this.updateSpeechLabel();
+    }
+
+    /**
+     * Fetch the languages RexBot can answer in for the picker
+     */
+    async loadLanguages() {
+        try {
+            const response = await fetch('/api/languages');
+            if (response.ok) {
+                this.languages = await response.json();
+                this.languages.forEach(language => {
+                    const option = document.createElement('option');
+                    option.value = language.code;
+                    option.textContent = language.nativeName;
+                    this.languageSelect.appendChild(option);
+                });
+                this.updateLanguagePicker();
+                this.applySpeechLanguage();
+            }
+        } catch (error) {
+            console.error('Error loading languages:', error);
+        }
+    }
+
+    setLanguage(code) {
+        this.language = code;
+        this.updateLanguagePicker();
+        this.applySpeechLanguage();
+        if (this.isConversationStarted) {
+            this.socket.emit('set-language', { language: code });
+        }
+    }
+
+    updateLanguagePicker() {
+        this.languageSelect.value = this.language;
+        const detected = this.languages.find(language => language.code === this.detectedLanguage);
+        this.languageSelect.options[0].textContent = detected ? `Auto-detect (${detected.nativeName})` : 'Auto-detect';
+    }
+
+    /**
+     * Locale for speech recognition and synthesis: the visitor's language once it is
+     * picked or detected, else the persona's
+     */
+    speechLocale() {
+        const code = this.language === 'auto' ? this.detectedLanguage : this.language;
+        const language = this.languages.find(option => option.code === code);
+        return language ? language.speech : this.persona.language;
+    }
+
+    applySpeechLanguage() {
+        if (this.speechRecognition) {
+            this.speechRecognition.lang = this.speechLocale();
+        }
     }
 
     speak(text) {
-        if (this.speechSynthesis && this.isSpeechEnabled) {
-            // Stop any current speech
+        // Stop any current speech
+        this.cancelSpeech();
+        this.queueSpeech(text);
+    }
+
+    queueSpeech(text) {
+        if (!this.isSpeechEnabled || !text) return;
+        
+        if (this.serverSpeech.synthesis) {
+            this.queueServerSpeech(text);
+        } else if (this.speechSynthesis) {
+            // speechSynthesis plays queued utterances in order, so sentences follow each other
+            this.speechSynthesis.speak(this.createUtterance(text));
+        }
+    }
+
+    cancelSpeech() {
+        if (this.speechSynthesis) {
             this.speechSynthesis.cancel();
-            
-            const utterance = new SpeechSynthesisUtterance(text);
-            utterance.rate = 0.9;
-            utterance.pitch = 1.1;
-            utterance.volume = 0.8;
-            
-            // Try to use a more natural voice
-            const voices = this.speechSynthesis.getVoices();
-            const preferredVoice = voices.find(voice => 
-                voice.name.includes('Google') || 
-                voice.name.includes('Natural') ||
-                voice.name.includes('Premium')
-            );
-            
-            if (preferredVoice) {
-                utterance.voice = preferredVoice;
+        }
+        // Sentences already requested from the server are dropped when they arrive
+        this.speechGeneration++;
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio.dispatchEvent(new Event('ended'));
+        }
+    }
+
+    /**
+     * Ask the server to speak a sentence. Requests go out at once; the audio plays in order.
+     */
+    queueServerSpeech(text) {
+        const id = ++this.speechRequestId;
+        const generation = this.speechGeneration;
+        const audio = new Promise(resolve => this.speechRequests.set(id, resolve));
+        this.socket.emit('synthesize-speech', { id, text });
+        
+        this.audioQueue = this.audioQueue.then(async () => {
+            const data = await audio;
+            if (data && generation === this.speechGeneration) {
+                await this.playAudio(data);
             }
-            
-            this.speechSynthesis.speak(utterance);
+        });
+    }
+
+    resolveSpeechRequest(id, data) {
+        const resolve = this.speechRequests.get(id);
+        if (resolve) {
+            this.speechRequests.delete(id);
+            resolve(data);
         }
     }
 
+    playAudio({ audio, mimeType }) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(new Blob([audio], { type: mimeType }));
+            const player = new Audio(url);
+            const done = () => {
+                URL.revokeObjectURL(url);
+                if (this.currentAudio === player) {
+                    this.currentAudio = null;
+                }
+                resolve();
+            };
+            player.addEventListener('ended', done, { once: true });
+            player.addEventListener('error', done, { once: true });
+            this.currentAudio = player;
+            player.play().catch(done);
+        });
+    }
+
+    /**
+     * Find out which parts of the server speech pipeline are on
+     */
+    async loadSpeechSettings() {
+        try {
+            const response = await fetch('/api/speech');
+            if (response.ok) {
+                this.serverSpeech = await response.json();
+            }
+        } catch (error) {
+            console.error('Error loading speech settings:', error);
+        }
+        
+        if (this.speechRecognition) return;
+        if (this.serverSpeech.recognition && navigator.mediaDevices && window.MediaRecorder) {
+            this.speechInputButton.style.display = '';
+        } else {
+            this.showError('Speech recognition is not supported in your browser. Please use a modern browser like Chrome or Edge.');
+        }
+    }
+
+    createUtterance(text) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.persona.voice || {};
+        utterance.rate = voice.rate || 0.9;
+        utterance.pitch = voice.pitch ?? 1.1;
+        utterance.volume = 0.8;
+        const locale = this.speechLocale();
+        utterance.lang = locale;
+        
+        // The persona's voice if this browser has it and it speaks the visitor's language,
+        // else a natural-sounding one for that language
+        const language = locale.split('-')[0].toLowerCase();
+        const voices = this.speechSynthesis.getVoices();
+        const forLanguage = voices.filter(option => option.lang.toLowerCase().startsWith(language));
+        const preferredVoice = forLanguage.find(option => voice.name && option.name === voice.name) ||
+            forLanguage.find(option =>
+                option.name.includes('Google') ||
+                option.name.includes('Natural') ||
+                option.name.includes('Premium')
+            ) ||
+            forLanguage[0];
+        
+        if (preferredVoice) {
+            utterance.voice = preferredVoice;
+        }
+        
+        return utterance;
+    }
+
     updateStatus(text, status) {
         if (this.statusText) {
             this.statusText.textContent = text;
@@ -1,14 +1,31 @@
 // Staff Dashboard JavaScript
 class StaffDashboard {
     constructor() {
-        this.socket = io();
+        // The stored token is sent on every (re)connect, so a reload resumes the session
+        this.socket = io({
+            auth: (cb) => {
+                const token = localStorage.getItem('token');
+                cb(token ? { token } : {});
+            }
+        });
+        this.refreshTimer = null;
         this.currentUser = null;
         this.currentCall = null;
         this.peerConnection = null;
         this.localStream = null;
         this.remoteStream = null;
+        this.pendingCandidates = [];
+        this.peerJoined = false;
         this.isMuted = false;
         this.isVideoOff = false;
+        this.isOnHold = false;
+        
+        // Live chats by session id, and the one open in the conversation panel
+        this.liveChats = new Map();
+        this.visits = new Map();
+        this.openConversation = null;
+        this.historyPage = 1;
+        this.historySessionId = null;
         
         this.initializeElements();
         this.bindEvents();
@@ -28,9 +45,40 @@ class StaffDashboard {
         this.waitingCount = document.getElementById('waitingCount');
         this.callQueue = document.getElementById('callQueue');
         this.callHistory = document.getElementById('callHistory');
+        this.appointmentList = document.getElementById('appointmentList');
+        this.liveChatList = document.getElementById('liveChatList');
+        this.liveChatCount = document.getElementById('liveChatCount');
+        this.visitList = document.getElementById('visitList');
+        this.visitCount = document.getElementById('visitCount');
+        
+        // Live chat elements
+        this.conversationPanel = document.getElementById('conversationPanel');
+        this.conversationTitle = document.getElementById('conversationTitle');
+        this.conversationStatus = document.getElementById('conversationStatus');
+        this.conversationTranscript = document.getElementById('conversationTranscript');
+        this.conversationReply = document.getElementById('conversationReply');
+        this.conversationInput = document.getElementById('conversationInput');
+        this.takeOverBtn = document.getElementById('takeOverBtn');
+        this.handBackBtn = document.getElementById('handBackBtn');
+        this.closeConversationBtn = document.getElementById('closeConversationBtn');
+        
+        // Conversation history elements
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyOverlay = document.getElementById('historyOverlay');
+        this.closeHistoryBtn = document.getElementById('closeHistoryBtn');
+        this.historyFilters = document.getElementById('historyFilters');
+        this.historyResults = document.getElementById('historyResults');
+        this.historyTranscript = document.getElementById('historyTranscript');
+        this.historyPrevBtn = document.getElementById('historyPrevBtn');
+        this.historyNextBtn = document.getElementById('historyNextBtn');
+        this.historyPageInfo = document.getElementById('historyPageInfo');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportRangeBtn = document.getElementById('exportRangeBtn');
+        this.exportTranscriptBtn = document.getElementById('exportTranscriptBtn');
         
         // Video elements
         this.videoContainer = document.getElementById('videoContainer');
+        this.videoPlaceholder = document.getElementById('videoPlaceholder');
         this.localVideo = document.getElementById('localVideo');
         this.remoteVideo = document.getElementById('remoteVideo');
         this.callControls = document.getElementById('callControls');
@@ -40,6 +88,12 @@ class StaffDashboard {
         this.muteBtn = document.getElementById('muteBtn');
         this.videoBtn = document.getElementById('videoBtn');
         this.endCallBtn = document.getElementById('endCallBtn');
+        this.holdBtn = document.getElementById('holdBtn');
+        this.transferBtn = document.getElementById('transferBtn');
+        this.transferPanel = document.getElementById('transferPanel');
+        this.transferTarget = document.getElementById('transferTarget');
+        this.transferConfirmBtn = document.getElementById('transferConfirmBtn');
+        this.transferCancelBtn = document.getElementById('transferCancelBtn');
         this.acceptBtn = document.getElementById('acceptBtn');
         this.rejectBtn = document.getElementById('rejectBtn');
         this.callNotes = document.getElementById('callNotes');
@@ -56,23 +110,61 @@ class StaffDashboard {
         this.muteBtn.addEventListener('click', () => this.toggleMute());
         this.videoBtn.addEventListener('click', () => this.toggleVideo());
         this.endCallBtn.addEventListener('click', () => this.endCall());
+        this.holdBtn.addEventListener('click', () => this.toggleHold());
+        this.transferBtn.addEventListener('click', () => this.openTransferPanel());
+        this.transferConfirmBtn.addEventListener('click', () => this.transferCall());
+        this.transferCancelBtn.addEventListener('click', () => this.closeTransferPanel());
         
         // Decision buttons
         this.acceptBtn.addEventListener('click', () => this.makeDecision('accepted'));
         this.rejectBtn.addEventListener('click', () => this.makeDecision('rejected'));
+        
+        // Live chat
+        this.takeOverBtn.addEventListener('click', () => this.takeOverConversation());
+        this.handBackBtn.addEventListener('click', () => this.handBackConversation());
+        this.closeConversationBtn.addEventListener('click', () => this.closeConversation());
+        this.conversationReply.addEventListener('submit', (e) => this.sendStaffMessage(e));
+        
+        // Conversation history
+        this.historyBtn.addEventListener('click', () => this.openHistory());
+        this.closeHistoryBtn.addEventListener('click', () => this.closeHistory());
+        this.historyFilters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadHistory(1);
+        });
+        this.historyPrevBtn.addEventListener('click', () => this.loadHistory(this.historyPage - 1));
+        this.historyNextBtn.addEventListener('click', () => this.loadHistory(this.historyPage + 1));
+        this.exportRangeBtn.addEventListener('click', () => this.exportRange());
+        this.exportTranscriptBtn.addEventListener('click', () => this.exportTranscript());
     }
 
     setupSocketListeners() {
         // Login responses
         this.socket.on('login-success', (data) => this.handleLoginSuccess(data));
-        this.socket.on('login-error', (data) => this.handleLoginError(data));
+        this.socket.on('authenticated', (data) => this.scheduleTokenRefresh(data.expiresAt));
+        this.socket.on('auth-error', (data) => this.handleAuthError(data));
+        this.socket.on('connect_error', (error) => {
+            // The handshake rejected the stored token; carry on as a signed-out socket
+            if (error.data && error.data.code) {
+                localStorage.removeItem('token');
+                this.handleLoginError({ message: 'Your session has expired. Please sign in again.' });
+                this.socket.connect();
+            }
+        });
         
         // Call management
         this.socket.on('new-call-request', (data) => this.handleNewCall(data));
+        this.socket.on('call-removed', (data) => this.handleCallRemoved(data));
         this.socket.on('call-started', (data) => this.handleCallStarted(data));
         this.socket.on('call-completed', (data) => this.handleCallCompleted(data));
+        this.socket.on('call-held', (data) => this.handleCallHeld(data));
+        this.socket.on('call-resumed', (data) => this.handleCallResumed(data));
+        this.socket.on('call-transferred', (data) => this.handleCallTransferred(data));
         
         // Video call signaling
+        this.socket.on('peer-joined', (data) => this.handlePeerJoined(data));
+        this.socket.on('call-ended', (data) => this.handleCallEnded(data));
+        this.socket.on('peer-disconnected', (data) => this.handlePeerDisconnected(data));
         this.socket.on('offer', (data) => this.handleOffer(data));
         this.socket.on('answer', (data) => this.handleAnswer(data));
         this.socket.on('ice-candidate', (data) => this.handleIceCandidate(data));
@@ -80,6 +172,19 @@ class StaffDashboard {
         // Decision responses
         this.socket.on('decision-saved', (data) => this.handleDecisionSaved(data));
         
+        // Appointments
+        this.socket.on('appointment-booked', (data) => this.handleAppointmentBooked(data));
+        
+        // Live chats
+        this.socket.on('conversation-updated', (data) => this.handleConversationUpdated(data));
+        this.socket.on('conversation-transcript', (data) => this.showTranscript(data));
+        this.socket.on('conversation-message', (data) => this.handleConversationMessage(data));
+        this.socket.on('conversation-translation', (data) => this.handleConversationTranslation(data));
+        
+        // Visitors
+        this.socket.on('visitor-arrived', (data) => this.handleVisitorArrived(data));
+        this.socket.on('visit-updated', (data) => this.handleVisitUpdated(data));
+        
         // Error handling
         this.socket.on('error', (data) => this.showNotification(data.message, 'error'));
     }
@@ -90,17 +195,49 @@ class StaffDashboard {
         const email = formData.get('email');
         const password = formData.get('password');
 
-        this.socket.emit('staff-login', { email, password });
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.handleLoginError({ message: result.error || 'Login failed' });
+                return;
+            }
+            if (result.user.role !== 'staff') {
+                this.handleLoginError({ message: 'This dashboard is for staff accounts only' });
+                return;
+            }
+            
+            // The socket signs in with the token; the server answers with login-success
+            localStorage.setItem('token', result.token);
+            this.socket.emit('authenticate', { token: result.token });
+        } catch (error) {
+            console.error('Error logging in:', error);
+            this.handleLoginError({ message: 'Login failed' });
+        }
     }
 
     handleLoginSuccess(data) {
         this.currentUser = data.user;
+        this.scheduleTokenRefresh(data.expiresAt);
         this.loginSection.style.display = 'none';
         this.dashboardSection.style.display = 'block';
         this.staffInfo.textContent = `${data.user.name} - ${data.user.department}`;
         
         this.showNotification('Login successful!', 'success');
         this.loadCallHistory();
+        this.loadAppointments();
+        this.loadLiveChats();
+        this.loadVisits();
+        
+        // After a reconnect the socket has to rejoin the open conversation
+        if (this.openConversation) {
+            this.socket.emit('watch-conversation', { sessionId: this.openConversation.sessionId });
+        }
     }
 
     handleLoginError(data) {
@@ -108,51 +245,150 @@ class StaffDashboard {
         this.loginError.style.display = 'block';
     }
 
+    handleAuthError(data) {
+        if (data.code === 'token_expired') {
+            if (this.currentUser) {
+                this.handleLogout();
+            }
+            this.handleLoginError({ message: 'Your session has expired. Please sign in again.' });
+        } else if (data.event === 'authenticate') {
+            this.handleLoginError(data);
+        } else {
+            this.showNotification(data.message, 'error');
+        }
+    }
+
+    scheduleTokenRefresh(expiresAt) {
+        clearTimeout(this.refreshTimer);
+        if (!expiresAt) return;
+        
+        // Swap the token a minute before it expires so the socket never lapses
+        const delay = Math.max(0, expiresAt - Date.now() - 60 * 1000);
+        this.refreshTimer = setTimeout(() => this.refreshToken(), delay);
+    }
+
+    async refreshToken() {
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            if (!response.ok) {
+                throw new Error(`Refresh failed with status ${response.status}`);
+            }
+            
+            const { token } = await response.json();
+            localStorage.setItem('token', token);
+            this.socket.emit('authenticate', { token });
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+            this.handleAuthError({ code: 'token_expired' });
+        }
+    }
+
     handleLogout() {
+        if (this.currentCall) {
+            this.endCall();
+            this.cleanupCall();
+        }
+        this.closeConversation();
+        this.closeHistory();
+        
         this.currentUser = null;
+        clearTimeout(this.refreshTimer);
+        localStorage.removeItem('token');
         this.dashboardSection.style.display = 'none';
         this.loginSection.style.display = 'flex';
         this.loginForm.reset();
         this.loginError.style.display = 'none';
         
-        if (this.currentCall) {
-            this.endCall();
-        }
+        // Reconnect without a token so the server takes this staff member off duty
+        this.socket.disconnect().connect();
     }
 
     handleNewCall(data) {
-        this.showNotification(`New call from ${data.clientName}`, 'success');
+        const isNew = !this.findQueuedCall(data.callId);
         this.addCallToQueue(data);
         this.updateWaitingCount();
+        
+        if (isNew) {
+            this.showNotification(`New call from ${data.clientName}${data.escalated ? ' (escalated)' : ''}`, 'success');
+        }
+    }
+
+    findQueuedCall(callId) {
+        return this.callQueue.querySelector(`.call-item[data-call-id="${callId}"]`);
     }
 
     addCallToQueue(callData) {
+        // Calls are re-sent when escalated or re-routed; replace the existing entry
+        const existing = this.findQueuedCall(callData.callId);
+        if (existing) {
+            existing.remove();
+        }
+        
+        const emptyState = this.callQueue.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+        
+        const priority = Number(callData.priority) || 0;
         const callItem = document.createElement('div');
-        callItem.className = 'call-item';
+        callItem.className = `call-item${callData.escalated ? ' escalated' : ''}`;
+        callItem.dataset.callId = callData.callId;
+        callItem.dataset.priority = priority;
         callItem.innerHTML = `
-            <h3>${callData.clientName}</h3>
-            <p>${callData.purpose}</p>
+            <h3></h3>
+            <p></p>
+            <div class="call-tags">
+                <span class="call-tag"></span>
+                <span class="call-tag priority-${Math.min(priority, 3)}">Priority ${priority}</span>
+                ${callData.escalated ? '<span class="call-tag escalated">Escalated</span>' : ''}
+            </div>
             <div class="time">${new Date(callData.timestamp).toLocaleTimeString()}</div>
-            <button class="accept-call-btn" onclick="staffDashboard.acceptCall('${callData.callId}')">
-                Accept Call
-            </button>
+            <div class="call-actions">
+                <button class="accept-call-btn">Accept Call</button>
+                <button class="reject-call-btn">Decline</button>
+            </div>
         `;
+        // The visitor typed their name and purpose, so they are set as text
+        callItem.querySelector('h3').textContent = callData.clientName;
+        callItem.querySelector('p').textContent = callData.purpose;
+        callItem.querySelector('.call-tag').textContent = callData.department || 'Any department';
+        callItem.querySelector('.accept-call-btn').addEventListener('click', () => this.acceptCall(callData.callId));
+        callItem.querySelector('.reject-call-btn').addEventListener('click', () => this.rejectCall(callData.callId));
         
-        this.callQueue.appendChild(callItem);
+        // Keep the queue ordered by priority, oldest first within a priority
+        const lowerPriority = Array.from(this.callQueue.querySelectorAll('.call-item'))
+            .find(item => Number(item.dataset.priority) < priority);
+        this.callQueue.insertBefore(callItem, lowerPriority || null);
     }
 
-    async acceptCall(callId) {
-        try {
-            this.socket.emit('accept-call', { callId });
-            this.currentCall = { id: callId };
-            
-            // Initialize video call
-            await this.initializeVideoCall();
-            
-            this.showNotification('Call accepted!', 'success');
-        } catch (error) {
-            this.showNotification('Failed to accept call', 'error');
+    handleCallRemoved(data) {
+        const callItem = this.findQueuedCall(data.callId);
+        if (callItem) {
+            callItem.remove();
+            this.updateWaitingCount();
+        }
+    }
+
+    acceptCall(callId) {
+        if (this.currentCall) {
+            this.showNotification('Finish the current call first', 'error');
+            return;
         }
+        
+        // Video starts once the server confirms with call-started
+        this.socket.emit('accept-call', { callId });
+    }
+
+    rejectCall(callId) {
+        if (!confirm('Decline this call? The visitor will be told nobody can take it.')) {
+            return;
+        }
+        this.socket.emit('reject-call', { callId });
     }
 
     async initializeVideoCall() {
@@ -165,6 +401,9 @@ class StaffDashboard {
             
             this.localVideo.srcObject = this.localStream;
             this.localVideo.style.display = 'block';
+            this.videoPlaceholder.style.display = 'none';
+            // Reconnecting to a visitor who is still on hold
+            this.setLocalTracksEnabled(!this.isOnHold);
             
             // Setup peer connection
             this.peerConnection = new RTCPeerConnection({
@@ -187,9 +426,9 @@ class StaffDashboard {
             
             // Handle ICE candidates
             this.peerConnection.onicecandidate = (event) => {
-                if (event.candidate) {
+                if (event.candidate && this.currentCall) {
                     this.socket.emit('ice-candidate', {
-                        target: this.currentCall.clientSocketId,
+                        callId: this.currentCall.id,
                         candidate: event.candidate
                     });
                 }
@@ -199,45 +438,110 @@ class StaffDashboard {
             this.callControls.style.display = 'flex';
             this.callDecision.style.display = 'block';
             
+            // The visitor may have joined while the camera prompt was open
+            if (this.peerJoined) {
+                await this.createOffer();
+            }
         } catch (error) {
             console.error('Error initializing video call:', error);
             this.showNotification('Failed to initialize video call', 'error');
+            // A decision can still be recorded without video
+            this.callDecision.style.display = 'block';
         }
     }
 
-    handleCallStarted(data) {
-        this.currentCall = data;
+    async handleCallStarted(data) {
+        this.currentCall = { id: data.callId, clientId: data.clientId };
+        this.peerJoined = false;
         this.showNotification('Call started!', 'success');
+        await this.initializeVideoCall();
     }
 
-    handleOffer(data) {
+    async handlePeerJoined(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        this.peerJoined = true;
         if (this.peerConnection) {
-            this.peerConnection.setRemoteDescription(new RTCSessionDescription(data.offer))
-                .then(() => this.peerConnection.createAnswer())
-                .then(answer => this.peerConnection.setLocalDescription(answer))
-                .then(() => {
-                    this.socket.emit('answer', {
-                        target: data.from,
-                        answer: this.peerConnection.localDescription
-                    });
-                });
+            await this.createOffer();
+        } else {
+            // The visitor came back after dropping out; start a fresh media session
+            await this.initializeVideoCall();
         }
     }
 
-    handleAnswer(data) {
-        if (this.peerConnection) {
-            this.peerConnection.setRemoteDescription(new RTCSessionDescription(data.answer));
+    async createOffer() {
+        try {
+            const offer = await this.peerConnection.createOffer();
+            await this.peerConnection.setLocalDescription(offer);
+            this.socket.emit('offer', {
+                callId: this.currentCall.id,
+                offer: this.peerConnection.localDescription
+            });
+        } catch (error) {
+            console.error('Error creating offer:', error);
+            this.showNotification('Failed to connect video', 'error');
         }
     }
 
-    handleIceCandidate(data) {
-        if (this.peerConnection) {
-            this.peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
+    async handleOffer(data) {
+        if (!this.peerConnection || !this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        await this.peerConnection.setRemoteDescription(new RTCSessionDescription(data.offer));
+        await this.flushPendingCandidates();
+        const answer = await this.peerConnection.createAnswer();
+        await this.peerConnection.setLocalDescription(answer);
+        this.socket.emit('answer', {
+            callId: this.currentCall.id,
+            answer: this.peerConnection.localDescription
+        });
+    }
+
+    async handleAnswer(data) {
+        if (!this.peerConnection || !this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        await this.peerConnection.setRemoteDescription(new RTCSessionDescription(data.answer));
+        await this.flushPendingCandidates();
+    }
+
+    async handleIceCandidate(data) {
+        if (!this.peerConnection || !this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        // Candidates can arrive before the remote description; hold them until it is set
+        if (!this.peerConnection.remoteDescription) {
+            this.pendingCandidates.push(data.candidate);
+            return;
+        }
+        await this.peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
+    }
+
+    async flushPendingCandidates() {
+        const candidates = this.pendingCandidates;
+        this.pendingCandidates = [];
+        for (const candidate of candidates) {
+            await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
         }
     }
 
+    handlePeerDisconnected(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        const seconds = Math.round(data.graceMs / 1000);
+        this.showNotification(`The visitor lost their connection. Waiting up to ${seconds}s for them to return...`, 'info');
+        this.teardownMedia();
+        // A decision can still be recorded while waiting
+        this.callDecision.style.display = 'block';
+    }
+
+    handleCallEnded(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+        
+        const reason = data.endedBy === 'disconnect' ? 'The visitor disconnected' : 'The visitor ended the call';
+        this.showNotification(`${reason}. Please record a decision.`, 'info');
+        this.teardownMedia();
+    }
+
     toggleMute() {
-        if (this.localStream) {
+        if (this.localStream && !this.isOnHold) {
             const audioTrack = this.localStream.getAudioTracks()[0];
             if (audioTrack) {
                 audioTrack.enabled = !audioTrack.enabled;
@@ -248,7 +552,7 @@ class StaffDashboard {
     }
 
     toggleVideo() {
-        if (this.localStream) {
+        if (this.localStream && !this.isOnHold) {
             const videoTrack = this.localStream.getVideoTracks()[0];
             if (videoTrack) {
                 videoTrack.enabled = !videoTrack.enabled;
@@ -258,14 +562,112 @@ class StaffDashboard {
         }
     }
 
+    toggleHold() {
+        if (!this.currentCall) return;
+        this.socket.emit(this.isOnHold ? 'resume-call' : 'hold-call', { callId: this.currentCall.id });
+    }
+
+    setLocalTracksEnabled(enabled) {
+        if (!this.localStream) return;
+        // Muted/camera-off choices still apply once the call is resumed
+        this.localStream.getAudioTracks().forEach(track => { track.enabled = enabled && !this.isMuted; });
+        this.localStream.getVideoTracks().forEach(track => { track.enabled = enabled && !this.isVideoOff; });
+    }
+
+    handleCallHeld(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+
+        this.isOnHold = true;
+        this.setLocalTracksEnabled(false);
+        this.holdBtn.classList.add('active');
+        this.holdBtn.innerHTML = '<i class="fas fa-play"></i>';
+        this.holdBtn.title = 'Resume';
+        this.showNotification('Call on hold', 'info');
+    }
+
+    handleCallResumed(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+
+        this.isOnHold = false;
+        this.setLocalTracksEnabled(true);
+        this.resetHoldButton();
+        this.showNotification('Call resumed', 'info');
+    }
+
+    resetHoldButton() {
+        this.holdBtn.classList.remove('active');
+        this.holdBtn.innerHTML = '<i class="fas fa-pause"></i>';
+        this.holdBtn.title = 'Hold';
+    }
+
+    async openTransferPanel() {
+        if (!this.currentCall) return;
+
+        try {
+            const [staffResponse, departmentResponse] = await Promise.all([
+                fetch('/api/staff/available'),
+                fetch('/api/departments')
+            ]);
+            const staff = staffResponse.ok ? await staffResponse.json() : [];
+            const departments = departmentResponse.ok ? await departmentResponse.json() : [];
+
+            const colleagues = staff.filter(member => member._id !== this.currentUser.id);
+            // Names come from staff profiles, so they go in as text
+            const group = (label, options) => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = label;
+                options.forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    optgroup.appendChild(option);
+                });
+                return optgroup;
+            };
+            this.transferTarget.replaceChildren(
+                group('Staff', colleagues.map(member => [`staff:${member._id}`, `${member.name} (${member.department})`])),
+                group('Departments', departments.map(name => [`department:${name}`, name]))
+            );
+            this.transferPanel.style.display = 'flex';
+        } catch (error) {
+            console.error('Error loading transfer targets:', error);
+            this.showNotification('Failed to load transfer options', 'error');
+        }
+    }
+
+    closeTransferPanel() {
+        this.transferPanel.style.display = 'none';
+    }
+
+    transferCall() {
+        if (!this.currentCall || !this.transferTarget.value) return;
+
+        const [type, value] = this.transferTarget.value.split(':');
+        this.socket.emit('transfer-call', {
+            callId: this.currentCall.id,
+            toStaffId: type === 'staff' ? value : undefined,
+            toDepartment: type === 'department' ? value : undefined
+        });
+        this.closeTransferPanel();
+    }
+
+    handleCallTransferred(data) {
+        if (!this.currentCall || data.callId !== this.currentCall.id) return;
+
+        this.showNotification(`Call transferred to ${data.toStaffName || data.department}`, 'success');
+        this.cleanupCall();
+        this.loadCallHistory();
+    }
+
     endCall() {
         if (this.currentCall) {
             this.socket.emit('end-call', { callId: this.currentCall.id });
-            this.cleanupCall();
+            // Media stops now; the decision panel stays until a decision is saved
+            this.teardownMedia();
         }
     }
 
-    cleanupCall() {
+    teardownMedia() {
         // Stop all tracks
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
@@ -276,26 +678,31 @@ class StaffDashboard {
             this.peerConnection.close();
         }
         
-        // Reset video elements
+        this.peerConnection = null;
+        this.localStream = null;
+        this.remoteStream = null;
+        this.pendingCandidates = [];
+        this.peerJoined = false;
+        
+        // Reset video elements and show placeholder
+        this.localVideo.srcObject = null;
+        this.remoteVideo.srcObject = null;
         this.localVideo.style.display = 'none';
         this.remoteVideo.style.display = 'none';
         this.callControls.style.display = 'none';
+        this.closeTransferPanel();
+        this.videoPlaceholder.style.display = '';
+    }
+
+    cleanupCall() {
+        this.teardownMedia();
+        this.isOnHold = false;
+        this.resetHoldButton();
         this.callDecision.style.display = 'none';
+        this.callNotes.value = '';
         
         // Clear current call
         this.currentCall = null;
-        this.peerConnection = null;
-        this.localStream = null;
-        this.remoteStream = null;
-        
-        // Show placeholder
-        this.videoContainer.innerHTML = `
-            <div class="video-placeholder">
-                <i class="fas fa-video"></i>
-                <h3>No Active Call</h3>
-                <p>Accept a call from the queue to start video communication</p>
-            </div>
-        `;
     }
 
     makeDecision(decision) {
@@ -356,20 +763,545 @@ class StaffDashboard {
             const historyItem = document.createElement('div');
             historyItem.className = `history-item ${call.decision === 'rejected' ? 'rejected' : ''}`;
             historyItem.innerHTML = `
-                <h3>${call.clientId.name}</h3>
-                <p>${call.purpose}</p>
+                <h3></h3>
+                <p></p>
                 <div class="meta">
                     <span>${new Date(call.createdAt).toLocaleDateString()}</span>
-                    <span class="decision-badge ${call.decision}">${call.decision}</span>
+                    <span class="decision-badge"></span>
                 </div>
             `;
+            historyItem.querySelector('h3').textContent = call.clientId.name;
+            historyItem.querySelector('p').textContent = call.purpose;
+            const badge = historyItem.querySelector('.decision-badge');
+            badge.textContent = call.decision;
+            if (call.decision) {
+                badge.classList.add(call.decision);
+            }
             this.callHistory.appendChild(historyItem);
         });
     }
 
+    async loadAppointments() {
+        try {
+            const response = await fetch('/api/appointments', {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            if (response.ok) {
+                const appointments = await response.json();
+                this.displayAppointments(appointments);
+            }
+        } catch (error) {
+            console.error('Error loading appointments:', error);
+        }
+    }
+
+    displayAppointments(appointments) {
+        this.appointmentList.innerHTML = '';
+        
+        if (appointments.length === 0) {
+            this.appointmentList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar"></i>
+                    <p>No upcoming appointments</p>
+                </div>
+            `;
+            return;
+        }
+        
+        appointments.forEach(appointment => {
+            const item = document.createElement('div');
+            item.className = `history-item appointment-item ${appointment.status}`;
+            const staffName = appointment.staffId ? appointment.staffId.name : 'Unassigned';
+            item.innerHTML = `
+                <h3>${new Date(appointment.startTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</h3>
+                <p></p>
+                <div class="meta">
+                    <span></span>
+                    <span class="decision-badge ${appointment.status}">${appointment.status}</span>
+                </div>
+            `;
+            // Names and reasons come from the visitor's chat, so they are set as text
+            item.querySelector('p').textContent = `${appointment.name} - ${appointment.reason}`;
+            item.querySelector('.meta span').textContent = `${appointment.department} · ${staffName}`;
+            this.appointmentList.appendChild(item);
+        });
+    }
+
+    handleAppointmentBooked(data) {
+        this.showNotification(`Appointment booked: ${data.name} (${data.department})`, 'success');
+        this.loadAppointments();
+    }
+
+    async loadLiveChats() {
+        try {
+            const response = await fetch('/api/conversations/live', {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            if (response.ok) {
+                const chats = await response.json();
+                this.liveChats = new Map(chats.map(chat => [chat.sessionId, chat]));
+                this.displayLiveChats();
+            }
+        } catch (error) {
+            console.error('Error loading live chats:', error);
+        }
+    }
+
+    handleConversationUpdated(summary) {
+        if (['active', 'transferred'].includes(summary.status)) {
+            this.liveChats.set(summary.sessionId, summary);
+        } else {
+            this.liveChats.delete(summary.sessionId);
+        }
+        this.displayLiveChats();
+        
+        if (this.openConversation && this.openConversation.sessionId === summary.sessionId) {
+            this.openConversation = summary;
+            this.updateConversationControls();
+        }
+    }
+
+    displayLiveChats() {
+        const chats = Array.from(this.liveChats.values())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        this.liveChatCount.textContent = chats.length;
+        this.liveChatList.innerHTML = '';
+        
+        if (chats.length === 0) {
+            this.liveChatList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-comment-slash"></i>
+                    <p>No active chats</p>
+                </div>
+            `;
+            return;
+        }
+        
+        chats.forEach(chat => {
+            const isOpen = this.openConversation && this.openConversation.sessionId === chat.sessionId;
+            const item = document.createElement('div');
+            item.className = `history-item chat-item ${chat.status}${isOpen ? ' selected' : ''}`;
+            item.innerHTML = `
+                <h3></h3>
+                <p></p>
+                <div class="meta">
+                    <span></span>
+                    <span class="decision-badge ${chat.status}">${chat.status === 'transferred' ? 'staff' : 'rexbot'}</span>
+                </div>
+            `;
+            // Visitor names and purposes come from the kiosk, so they are set as text
+            item.querySelector('h3').textContent = chat.name || 'Visitor';
+            item.querySelector('p').textContent = chat.purpose || '';
+            item.querySelector('.meta span').textContent = chat.staffName
+                ? `With ${chat.staffName}`
+                : new Date(chat.updatedAt).toLocaleTimeString();
+            item.addEventListener('click', () => this.openChat(chat.sessionId));
+            this.liveChatList.appendChild(item);
+        });
+    }
+
+    async loadVisits() {
+        try {
+            const response = await fetch('/api/visits', {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            if (response.ok) {
+                const visits = await response.json();
+                this.visits = new Map(visits.map(visit => [visit.id, visit]));
+                this.displayVisits();
+            }
+        } catch (error) {
+            console.error('Error loading visits:', error);
+        }
+    }
+
+    handleVisitorArrived(visit) {
+        const from = visit.company ? `${visit.name} (${visit.company})` : visit.name;
+        this.showNotification(`Your visitor ${from} has arrived at reception`, 'success');
+    }
+
+    handleVisitUpdated(visit) {
+        if (visit.status === 'checked-in') {
+            this.visits.set(visit.id, visit);
+        } else {
+            this.visits.delete(visit.id);
+        }
+        this.displayVisits();
+    }
+
+    displayVisits() {
+        const visits = Array.from(this.visits.values())
+            .sort((a, b) => new Date(b.checkedInAt) - new Date(a.checkedInAt));
+        this.visitCount.textContent = visits.length;
+        this.visitList.innerHTML = '';
+        
+        if (visits.length === 0) {
+            this.visitList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-door-open"></i>
+                    <p>No visitors checked in</p>
+                </div>
+            `;
+            return;
+        }
+        
+        visits.forEach(visit => {
+            const isMine = this.currentUser && visit.host && String(visit.host.id) === String(this.currentUser.id);
+            const item = document.createElement('div');
+            item.className = `history-item visit-item${isMine ? ' mine' : ''}`;
+            item.innerHTML = `
+                <h3></h3>
+                <p></p>
+                <div class="meta">
+                    <span></span>
+                    <button class="btn btn-secondary">Check out</button>
+                </div>
+            `;
+            // Visitor details come from the kiosk, so they are set as text
+            item.querySelector('h3').textContent = visit.company ? `${visit.name} (${visit.company})` : visit.name;
+            item.querySelector('p').textContent = `Visiting ${visit.host ? visit.host.name : 'reception'} - ${visit.purpose}`;
+            item.querySelector('.meta span').textContent =
+                `${visit.badgeCode} · in at ${new Date(visit.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            item.querySelector('button').addEventListener('click', (e) => this.checkOutVisit(visit, e.currentTarget));
+            this.visitList.appendChild(item);
+        });
+    }
+
+    async checkOutVisit(visit, button) {
+        button.disabled = true;
+        try {
+            const response = await fetch(`/api/visits/${visit.id}/check-out`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                this.showNotification(result.error || 'Check-out failed', 'error');
+                button.disabled = false;
+                return;
+            }
+            this.showNotification(`${visit.name} checked out`, 'success');
+            this.handleVisitUpdated(result.visit);
+        } catch (error) {
+            console.error('Error checking out visitor:', error);
+            this.showNotification('Check-out failed', 'error');
+            button.disabled = false;
+        }
+    }
+
+    openChat(sessionId) {
+        if (this.openConversation && this.openConversation.sessionId !== sessionId) {
+            this.socket.emit('unwatch-conversation', { sessionId: this.openConversation.sessionId });
+        }
+        this.openConversation = this.liveChats.get(sessionId) || { sessionId };
+        this.socket.emit('watch-conversation', { sessionId });
+    }
+
+    showTranscript(data) {
+        if (!this.openConversation || this.openConversation.sessionId !== data.sessionId) return;
+        
+        const { messages, ...summary } = data;
+        this.openConversation = summary;
+        this.conversationTranscript.innerHTML = '';
+        messages.forEach(message => this.appendTranscriptMessage(message));
+        this.conversationPanel.style.display = 'flex';
+        this.updateConversationControls();
+        this.displayLiveChats();
+    }
+
+    handleConversationMessage(data) {
+        if (this.openConversation && this.openConversation.sessionId === data.sessionId) {
+            this.appendTranscriptMessage(data.message);
+        }
+    }
+
+    handleConversationTranslation(data) {
+        if (!this.openConversation || this.openConversation.sessionId !== data.sessionId) return;
+        
+        const item = this.conversationTranscript.querySelector(`[data-index="${Number(data.index)}"]`);
+        if (item) {
+            this.showTranslation(item, data.translation);
+        }
+    }
+
+    appendTranscriptMessage(message) {
+        this.conversationTranscript.appendChild(this.createTranscriptMessage(message, this.openConversation.name));
+        this.conversationTranscript.scrollTop = this.conversationTranscript.scrollHeight;
+    }
+
+    createTranscriptMessage(message, visitorName, showDate = false) {
+        const senders = { user: visitorName || 'Visitor', rexbot: 'RexBot', staff: 'Staff', tool: 'Tool result' };
+        const isToolCall = message.messageType === 'tool-call';
+        const item = document.createElement('div');
+        item.className = `transcript-message ${isToolCall ? 'tool' : message.sender}`;
+        
+        if (message.sender !== 'system') {
+            const time = new Date(message.timestamp);
+            const sender = document.createElement('span');
+            sender.className = 'sender';
+            const label = isToolCall ? 'RexBot called a tool' : senders[message.sender];
+            const spoken = message.messageType === 'speech' ? ' (spoken)' : '';
+            sender.textContent = `${label}${spoken} · ${showDate ? time.toLocaleString() : time.toLocaleTimeString()}`;
+            item.appendChild(sender);
+        }
+        // Message text comes from visitors and staff, so it is always set as text
+        item.appendChild(document.createTextNode(message.content));
+        // Translations of messages in other languages arrive later, matched by index
+        if (message.index !== undefined) {
+            item.dataset.index = message.index;
+        }
+        if (message.translation) {
+            this.showTranslation(item, message.translation);
+        }
+        return item;
+    }
+
+    showTranslation(item, translation) {
+        let line = item.querySelector('.translation');
+        if (!line) {
+            line = document.createElement('span');
+            line.className = 'translation';
+            item.appendChild(line);
+        }
+        line.textContent = `English: ${translation}`;
+    }
+
+    updateConversationControls() {
+        const chat = this.openConversation;
+        const isMine = chat.status === 'transferred' && this.currentUser &&
+            String(chat.staffId) === String(this.currentUser.id);
+        
+        this.conversationTitle.textContent = `${chat.name || 'Visitor'}${chat.purpose ? ' - ' + chat.purpose : ''}`;
+        if (chat.status === 'transferred') {
+            this.conversationStatus.textContent = `Answered by ${isMine ? 'you' : chat.staffName}`;
+        } else {
+            this.conversationStatus.textContent = chat.status === 'active' ? 'RexBot is answering' : 'Conversation ended';
+        }
+        
+        this.takeOverBtn.style.display = chat.status === 'active' ? '' : 'none';
+        this.handBackBtn.style.display = isMine ? '' : 'none';
+        this.conversationReply.style.display = isMine ? 'flex' : 'none';
+        if (isMine) {
+            this.conversationInput.focus();
+        }
+    }
+
+    takeOverConversation() {
+        if (this.openConversation) {
+            this.socket.emit('take-over-conversation', { sessionId: this.openConversation.sessionId });
+        }
+    }
+
+    handBackConversation() {
+        if (this.openConversation) {
+            this.socket.emit('hand-back-conversation', { sessionId: this.openConversation.sessionId });
+        }
+    }
+
+    sendStaffMessage(e) {
+        e.preventDefault();
+        const message = this.conversationInput.value.trim();
+        if (!message || !this.openConversation) return;
+        
+        this.socket.emit('staff-message', { sessionId: this.openConversation.sessionId, message });
+        this.conversationInput.value = '';
+    }
+
+    closeConversation() {
+        if (!this.openConversation) return;
+        
+        this.socket.emit('unwatch-conversation', { sessionId: this.openConversation.sessionId });
+        this.openConversation = null;
+        this.conversationPanel.style.display = 'none';
+        this.conversationTranscript.innerHTML = '';
+        this.displayLiveChats();
+    }
+
+    openHistory() {
+        this.historyOverlay.style.display = 'flex';
+        this.loadHistory(1);
+    }
+
+    closeHistory() {
+        this.historyOverlay.style.display = 'none';
+    }
+
+    async loadHistory(page) {
+        // Search text switches from the plain history listing to full-text search
+        const params = new URLSearchParams({ page, limit: 20 });
+        new FormData(this.historyFilters).forEach((value, key) => {
+            if (value.trim()) params.set(key, value.trim());
+        });
+        const path = params.has('q') ? '/api/conversations/search' : '/api/conversations';
+        
+        try {
+            const response = await fetch(`${path}?${params}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.error || 'Failed to load conversation history', 'error');
+                return;
+            }
+            this.historyPage = result.page;
+            this.displayHistory(result);
+        } catch (error) {
+            console.error('Error loading conversation history:', error);
+        }
+    }
+
+    displayHistory({ conversations, page, pages, total }) {
+        this.historyResults.innerHTML = '';
+        this.historyPageInfo.textContent = `Page ${page} of ${Math.max(pages, 1)} (${total} conversations)`;
+        this.historyPrevBtn.disabled = page <= 1;
+        this.historyNextBtn.disabled = page >= pages;
+        
+        if (conversations.length === 0) {
+            this.historyResults.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <p>No conversations found</p>
+                </div>
+            `;
+            return;
+        }
+        
+        conversations.forEach(conversation => {
+            const item = document.createElement('div');
+            item.className = `history-item chat-item ${conversation.status}`;
+            item.innerHTML = `
+                <h3></h3>
+                <p></p>
+                <div class="meta">
+                    <span>${new Date(conversation.createdAt).toLocaleString()}</span>
+                    <span class="decision-badge ${conversation.call ? conversation.call.decision : ''}">${conversation.call ? conversation.call.status : conversation.status}</span>
+                </div>
+            `;
+            item.querySelector('h3').textContent = conversation.name || 'Visitor';
+            item.querySelector('p').textContent = [conversation.purpose, conversation.email].filter(Boolean).join(' · ');
+            
+            (conversation.matches || []).forEach(match => {
+                const snippet = document.createElement('p');
+                snippet.className = 'history-match';
+                snippet.textContent = match.content;
+                item.insertBefore(snippet, item.querySelector('.meta'));
+            });
+            
+            item.addEventListener('click', () => this.showHistoryTranscript(conversation.sessionId));
+            this.historyResults.appendChild(item);
+        });
+    }
+
+    async showHistoryTranscript(sessionId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(sessionId)}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            const conversation = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(conversation.error || 'Failed to load transcript', 'error');
+                return;
+            }
+            
+            this.historySessionId = sessionId;
+            this.exportTranscriptBtn.disabled = false;
+            this.historyTranscript.innerHTML = '';
+            const info = document.createElement('div');
+            info.className = 'history-call-info';
+            const call = conversation.call;
+            info.textContent = [
+                `${conversation.name || 'Visitor'} (${conversation.email || 'no email'})`,
+                conversation.purpose,
+                call && call.staffName ? `Handled by ${call.staffName}` : null,
+                call ? `Call ${call.status}, decision ${call.decision}` : null,
+                call && call.duration ? `${Math.round(call.duration / 60)} min` : null
+            ].filter(Boolean).join(' · ');
+            this.historyTranscript.appendChild(info);
+            
+            conversation.messages.forEach(message => {
+                this.historyTranscript.appendChild(this.createTranscriptMessage(message, conversation.name, true));
+            });
+        } catch (error) {
+            console.error('Error loading transcript:', error);
+        }
+    }
+
+    exportRange() {
+        // The export covers the same filters as the history list, minus the search text
+        const params = new URLSearchParams({ format: this.exportFormat.value });
+        new FormData(this.historyFilters).forEach((value, key) => {
+            if (key !== 'q' && value.trim()) params.set(key, value.trim());
+        });
+        if (!params.has('from') || !params.has('to')) {
+            this.showNotification('Choose From and To dates to export a range', 'error');
+            return;
+        }
+        this.downloadExport(`/api/conversations/export?${params}`);
+    }
+
+    exportTranscript() {
+        if (!this.historySessionId) return;
+        const format = encodeURIComponent(this.exportFormat.value);
+        this.downloadExport(`/api/conversations/${encodeURIComponent(this.historySessionId)}/export?format=${format}`);
+    }
+
+    async downloadExport(path) {
+        try {
+            const response = await fetch(path, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                this.showNotification(result.error || 'Export failed', 'error');
+                return;
+            }
+            
+            // Save the file under the name the server chose
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'export';
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Error exporting conversations:', error);
+            this.showNotification('Export failed', 'error');
+        }
+    }
+
     updateWaitingCount() {
-        const count = this.callQueue.children.length;
+        const count = this.callQueue.querySelectorAll('.call-item').length;
         this.waitingCount.textContent = count;
+        
+        if (count === 0 && !this.callQueue.querySelector('.empty-state')) {
+            this.callQueue.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-phone-slash"></i>
+                    <p>No waiting calls</p>
+                </div>
+            `;
+        }
     }
 
     showNotification(message, type = 'info') {
@@ -0,0 +1,47 @@
+const { createMongoRepositories } = require('./mongo');
+const { createMemoryRepositories } = require('./memory');
+
+/**
+ * Shared repository holder. Always reach repositories through this object
+ * (e.g. `repositories.calls.findById(id)`) rather than destructuring, because the
+ * backend is chosen at startup: memory for STORAGE_BACKEND=memory or when the first
+ * database connection fails, Mongo otherwise.
+ */
+const repositories = {
+  backend: null,
+  users: null,
+  calls: null,
+  conversations: null,
+  appointments: null,
+  knowledge: null,
+  personas: null,
+  visits: null,
+  emails: null,
+  webhooks: null,
+  webhookDeliveries: null,
+  apiKeys: null
+};
+
+let memory = null;
+let mongo = null;
+
+function useBackend(name) {
+  if (name === 'mongo') {
+    mongo = mongo || createMongoRepositories();
+    Object.assign(repositories, mongo);
+  } else if (name === 'memory') {
+    memory = memory || createMemoryRepositories();
+    Object.assign(repositories, memory);
+  } else {
+    throw new Error(`Unknown storage backend "${name}". Expected "mongo" or "memory"`);
+  }
+  repositories.backend = name;
+  return repositories;
+}
+
+repositories.useBackend = useBackend;
+
+// Memory until the server picks the backend (scripts and tests keep it)
+useBackend('memory');
+
+module.exports = repositories;
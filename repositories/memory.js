@@ -0,0 +1,500 @@
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Conversation = require('../models/Conversation');
+const Appointment = require('../models/Appointment');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const Persona = require('../models/Persona');
+const Visit = require('../models/Visit');
+const EmailMessage = require('../models/EmailMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Read a dotted path, collecting values through arrays the way MongoDB does
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((values, key) => {
+    const next = [];
+    values.forEach(value => {
+      if (Array.isArray(value)) {
+        value.forEach(item => item != null && next.push(item[key]));
+      } else if (value != null) {
+        next.push(value[key]);
+      }
+    });
+    return next;
+  }, [doc]).flat();
+}
+
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const equals = (a, b) => normalize(a) === normalize(b) || String(normalize(a)) === String(normalize(b));
+
+function matchCondition(values, condition) {
+  const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !(condition instanceof RegExp) && Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (condition instanceof RegExp) {
+    return values.some(value => typeof value === 'string' && condition.test(value));
+  }
+  if (!isOperatorObject) {
+    return condition == null
+      ? values.length === 0 || values.some(value => value == null)
+      : values.some(value => equals(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const present = values.filter(value => value !== undefined);
+    switch (operator) {
+      case '$eq': return present.some(value => equals(value, operand));
+      case '$ne': return !present.some(value => equals(value, operand));
+      case '$in': return present.some(value => operand.some(option => equals(value, option)));
+      case '$nin': return !present.some(value => operand.some(option => equals(value, option)));
+      case '$gt': return present.some(value => normalize(value) > normalize(operand));
+      case '$gte': return present.some(value => normalize(value) >= normalize(operand));
+      case '$lt': return present.some(value => normalize(value) < normalize(operand));
+      case '$lte': return present.some(value => normalize(value) <= normalize(operand));
+      case '$exists': return (present.length > 0) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return present.some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options': return true;
+      default: throw new Error(`Unsupported query operator in memory backend: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Rough stand-in for MongoDB's $text: true when any search term (or quoted phrase)
+ * appears in one of the text-indexed fields. Negated terms are ignored.
+ */
+function matchText(doc, { $search = '' }, textFields) {
+  const terms = (String($search).toLowerCase().match(/"[^"]+"|[^\s"]+/g) || [])
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(term => term && !term.startsWith('-'));
+  const values = textFields.flatMap(field => getPath(doc, field))
+    .filter(value => typeof value === 'string')
+    .map(value => value.toLowerCase());
+  return terms.some(term => values.some(value => value.includes(term)));
+}
+
+/**
+ * Evaluate the subset of MongoDB query syntax the application uses
+ */
+function matches(doc, filter = {}, textFields = []) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub, textFields));
+    if (key === '$and') return condition.every(sub => matches(doc, sub, textFields));
+    if (key === '$text') return matchText(doc, condition, textFields);
+    return matchCondition(getPath(doc, key), condition);
+  });
+}
+
+function compareBy(sort) {
+  const entries = Object.entries(sort);
+  return (a, b) => {
+    for (const [key, direction] of entries) {
+      const left = normalize(getPath(a, key)[0]);
+      const right = normalize(getPath(b, key)[0]);
+      if (left === right) continue;
+      if (left === undefined) return -direction;
+      if (right === undefined) return direction;
+      return (left < right ? -1 : 1) * direction;
+    }
+    return 0;
+  };
+}
+
+function project(doc, select) {
+  if (!select) return doc;
+  const fields = select.split(/\s+/).filter(Boolean);
+  if (fields.every(field => field.startsWith('-'))) {
+    const result = { ...doc };
+    fields.forEach(field => delete result[field.slice(1)]);
+    return result;
+  }
+  const result = { _id: doc._id };
+  fields.forEach(field => {
+    if (doc[field] !== undefined) result[field] = doc[field];
+  });
+  return result;
+}
+
+/**
+ * Read a field the way an aggregation expression does: through an array, the
+ * values of every element are collected
+ */
+function fieldValue(doc, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) {
+      return value.map(item => (item == null ? undefined : item[key])).filter(item => item !== undefined);
+    }
+    return value[key];
+  }, doc);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar fields of a date in a time zone, for the date operators
+function dateParts(date, timezone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(date));
+  return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+}
+
+// Date operators take either a date or { date, timezone }
+const dateOperand = (operand) => (operand && typeof operand === 'object' && !(operand instanceof Date) ? operand : { date: operand });
+
+const compareValues = (compare) => ([a, b]) => a != null && b != null && compare(normalize(a), normalize(b));
+
+/**
+ * Aggregation expression operators. Operators with several arguments take an array;
+ * one-argument operators take the argument itself.
+ */
+const EXPRESSIONS = {
+  $add: (args) => args.reduce((total, value) => total + normalize(value), 0),
+  $subtract: ([a, b]) => (a == null || b == null ? null : normalize(a) - normalize(b)),
+  $multiply: (args) => args.reduce((total, value) => total * value, 1),
+  $divide: ([a, b]) => (a == null || b == null || b === 0 ? null : a / b),
+  $eq: ([a, b]) => equals(a, b),
+  $ne: ([a, b]) => !equals(a, b),
+  $gt: compareValues((a, b) => a > b),
+  $gte: compareValues((a, b) => a >= b),
+  $lt: compareValues((a, b) => a < b),
+  $lte: compareValues((a, b) => a <= b),
+  $in: ([value, list]) => (list || []).some(item => equals(item, value)),
+  $and: (args) => args.every(Boolean),
+  $or: (args) => args.some(Boolean),
+  $cond: (operand) => {
+    const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+    return condition ? then : otherwise;
+  },
+  $ifNull: ([value, fallback]) => (value == null ? fallback : value),
+  $size: (value) => (Array.isArray(value) ? value.length : 0),
+  $hour: (operand) => {
+    const { date, timezone } = dateOperand(operand);
+    return date == null ? null : Number(dateParts(date, timezone).hour);
+  },
+  $dayOfWeek: (operand) => {
+    const { date, timezone } = dateOperand(operand);
+    return date == null ? null : WEEKDAYS.indexOf(dateParts(date, timezone).weekday) + 1;
+  },
+  $dateToString: ({ format = '%Y-%m-%dT%H:%M:%S', date, timezone }) => {
+    if (date == null) return null;
+    const parts = dateParts(date, timezone);
+    const fields = { Y: parts.year, m: parts.month, d: parts.day, H: parts.hour, M: parts.minute, S: parts.second };
+    return format.replace(/%([YmdHMS])/g, (match, field) => fields[field]);
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && typeof value.toHexString !== 'function';
+
+/**
+ * Evaluate an aggregation expression against a document
+ */
+function evaluate(expression, doc) {
+  if (typeof expression === 'string') {
+    return expression.startsWith('$') ? fieldValue(doc, expression.slice(1)) : expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+
+  const [operator] = Object.keys(expression);
+  if (operator && operator.startsWith('$')) {
+    const handler = EXPRESSIONS[operator];
+    if (!handler) {
+      throw new Error(`Unsupported aggregation operator in memory backend: ${operator}`);
+    }
+    return handler(evaluate(expression[operator], doc));
+  }
+  return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc)]));
+}
+
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    add: (total, value) => total + (typeof value === 'number' ? value : 0),
+    result: (total) => total
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    add: (state, value) => (typeof value === 'number' ? { total: state.total + value, count: state.count + 1 } : state),
+    result: ({ total, count }) => (count ? total / count : null)
+  },
+  $min: {
+    init: () => null,
+    add: (min, value) => (value != null && (min == null || normalize(value) < normalize(min)) ? value : min),
+    result: (min) => min
+  },
+  $max: {
+    init: () => null,
+    add: (max, value) => (value != null && (max == null || normalize(value) > normalize(max)) ? value : max),
+    result: (max) => max
+  },
+  $push: {
+    init: () => [],
+    add: (list, value) => { list.push(value); return list; },
+    result: (list) => list
+  }
+};
+
+function groupDocuments(docs, { _id: keyExpression, ...fields }) {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const _id = evaluate(keyExpression, doc) ?? null;
+    const key = JSON.stringify(_id, (name, value) => normalize(value));
+    if (!groups.has(key)) {
+      groups.set(key, {
+        _id,
+        state: Object.fromEntries(Object.entries(fields).map(([name, spec]) => {
+          const [operator] = Object.keys(spec);
+          if (!ACCUMULATORS[operator]) {
+            throw new Error(`Unsupported accumulator in memory backend: ${operator}`);
+          }
+          return [name, ACCUMULATORS[operator].init()];
+        }))
+      });
+    }
+    const group = groups.get(key);
+    Object.entries(fields).forEach(([name, spec]) => {
+      const [operator] = Object.keys(spec);
+      group.state[name] = ACCUMULATORS[operator].add(group.state[name], evaluate(spec[operator], doc));
+    });
+  });
+
+  return Array.from(groups.values()).map(({ _id, state }) => ({
+    _id,
+    ...Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, ACCUMULATORS[Object.keys(spec)[0]].result(state[name])]))
+  }));
+}
+
+function projectFields(doc, spec) {
+  const result = spec._id === 0 || spec._id === false ? {} : { _id: doc._id };
+  Object.entries(spec).forEach(([field, value]) => {
+    if (field === '_id') return;
+    if (value === 1 || value === true) {
+      if (doc[field] !== undefined) result[field] = doc[field];
+    } else {
+      result[field] = evaluate(value, doc);
+    }
+  });
+  return result;
+}
+
+/**
+ * In-memory repository used in demo mode and tests. Documents are built through the
+ * Mongoose model so defaults, casting and validation match the Mongo backend.
+ */
+class MemoryRepository {
+  constructor(Model, registry) {
+    this.Model = Model;
+    this.registry = registry;
+    this.documents = new Map();
+    // Fields covered by the schema's text index, searched by $text
+    this.textFields = Model.schema.indexes()
+      .flatMap(([fields]) => Object.keys(fields).filter(field => fields[field] === 'text'));
+  }
+
+  hydrate(data) {
+    const doc = new this.Model(data);
+    const error = doc.validateSync();
+    if (error) {
+      throw error;
+    }
+    return doc.toObject({ flattenObjectIds: true });
+  }
+
+  output(doc, { select, populate } = {}) {
+    let result = structuredClone(doc);
+    [].concat(populate || []).forEach(entry => {
+      const { path, select: populateSelect } = typeof entry === 'string' ? { path: entry } : entry;
+      const ref = this.Model.schema.path(path)?.options?.ref;
+      const target = ref && this.registry[ref];
+      if (target && result[path]) {
+        const related = target.documents.get(String(result[path]));
+        result[path] = related ? project(structuredClone(related), populateSelect) : null;
+      }
+    });
+    return project(result, select);
+  }
+
+  async findById(id, options = {}) {
+    const doc = id && this.documents.get(String(id));
+    return doc ? this.output(doc, options) : null;
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 });
+    return doc || null;
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit, ...options } = {}) {
+    let docs = Array.from(this.documents.values()).filter(doc => matches(doc, filter, this.textFields));
+    if (sort) {
+      docs.sort(compareBy(sort));
+    }
+    docs = docs.slice(skip, limit ? skip + limit : undefined);
+    return docs.map(doc => this.output(doc, options));
+  }
+
+  async count(filter = {}) {
+    return Array.from(this.documents.values()).filter(doc => matches(doc, filter, this.textFields)).length;
+  }
+
+  /**
+   * Run an aggregation pipeline over the stored documents. Supports the stages
+   * $match, $group, $project, $addFields, $sort, $skip, $limit and $count.
+   */
+  async aggregate(pipeline) {
+    return pipeline.reduce((docs, stage) => {
+      const [name] = Object.keys(stage);
+      const spec = stage[name];
+      switch (name) {
+        case '$match': return docs.filter(doc => matches(doc, spec, this.textFields));
+        case '$group': return groupDocuments(docs, spec);
+        case '$project': return docs.map(doc => projectFields(doc, spec));
+        case '$addFields': return docs.map(doc => ({ ...doc, ...evaluate(spec, doc) }));
+        case '$sort': return [...docs].sort(compareBy(spec));
+        case '$skip': return docs.slice(spec);
+        case '$limit': return docs.slice(0, spec);
+        case '$count': return docs.length ? [{ [spec]: docs.length }] : [];
+        default: throw new Error(`Unsupported aggregation stage in memory backend: ${name}`);
+      }
+    }, Array.from(this.documents.values()).map(doc => structuredClone(doc)));
+  }
+
+  async create(data) {
+    const doc = this.hydrate(data);
+    this.checkUnique(doc);
+    this.documents.set(String(doc._id), doc);
+    return structuredClone(doc);
+  }
+
+  async update(id, patch) {
+    const existing = this.documents.get(String(id));
+    if (!existing) {
+      return null;
+    }
+    if (this.Model.schema.path('updatedAt')) {
+      patch = { ...patch, updatedAt: new Date() };
+    }
+    const doc = this.hydrate({ ...existing, ...patch });
+    this.checkUnique(doc);
+    this.documents.set(String(doc._id), doc);
+    return structuredClone(doc);
+  }
+
+  async updateWhere(filter, patch) {
+    const match = Array.from(this.documents.values()).find(doc => matches(doc, filter, this.textFields));
+    return match ? this.update(match._id, patch) : null;
+  }
+
+  async delete(id) {
+    const doc = this.documents.get(String(id));
+    if (!doc) {
+      return null;
+    }
+    this.documents.delete(String(id));
+    return structuredClone(doc);
+  }
+
+  checkUnique(doc) {
+    Object.entries(this.Model.schema.paths)
+      .filter(([, schemaType]) => schemaType.options.unique)
+      .forEach(([path]) => {
+        const clash = Array.from(this.documents.values())
+          .find(other => String(other._id) !== String(doc._id) && other[path] !== undefined && equals(other[path], doc[path]));
+        if (clash) {
+          const error = new Error(`Duplicate key: ${path}`);
+          error.code = 11000;
+          throw error;
+        }
+      });
+  }
+
+  clear() {
+    this.documents.clear();
+  }
+}
+
+class MemoryUserRepository extends MemoryRepository {
+  async findByEmail(email) {
+    return this.findOne({ email: String(email || '').trim().toLowerCase() });
+  }
+}
+
+class MemoryConversationRepository extends MemoryRepository {
+  async findBySessionId(sessionId) {
+    return this.findOne({ sessionId });
+  }
+
+  async appendMessage(sessionId, message) {
+    const conversation = await this.findBySessionId(sessionId);
+    if (!conversation) {
+      return null;
+    }
+    return this.update(conversation._id, { messages: [...conversation.messages, message] });
+  }
+
+  async updateMessage(sessionId, index, fields) {
+    const conversation = await this.findBySessionId(sessionId);
+    if (!conversation || !conversation.messages[index]) {
+      return null;
+    }
+    const messages = [...conversation.messages];
+    messages[index] = { ...messages[index], ...fields };
+    return this.update(conversation._id, { messages });
+  }
+}
+
+function createMemoryRepositories() {
+  const registry = {};
+  registry.User = new MemoryUserRepository(User, registry);
+  registry.Call = new MemoryRepository(Call, registry);
+  registry.Conversation = new MemoryConversationRepository(Conversation, registry);
+  registry.Appointment = new MemoryRepository(Appointment, registry);
+  registry.KnowledgeDocument = new MemoryRepository(KnowledgeDocument, registry);
+  registry.Persona = new MemoryRepository(Persona, registry);
+  registry.Visit = new MemoryRepository(Visit, registry);
+  registry.EmailMessage = new MemoryRepository(EmailMessage, registry);
+  registry.Webhook = new MemoryRepository(Webhook, registry);
+  registry.WebhookDelivery = new MemoryRepository(WebhookDelivery, registry);
+  registry.ApiKey = new MemoryRepository(ApiKey, registry);
+
+  return {
+    users: registry.User,
+    calls: registry.Call,
+    conversations: registry.Conversation,
+    appointments: registry.Appointment,
+    knowledge: registry.KnowledgeDocument,
+    personas: registry.Persona,
+    visits: registry.Visit,
+    emails: registry.EmailMessage,
+    webhooks: registry.Webhook,
+    webhookDeliveries: registry.WebhookDelivery,
+    apiKeys: registry.ApiKey
+  };
+}
+
+module.exports = { createMemoryRepositories, MemoryRepository, matches };
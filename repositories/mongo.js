@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Conversation = require('../models/Conversation');
+const Appointment = require('../models/Appointment');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const Persona = require('../models/Persona');
+const Visit = require('../models/Visit');
+const EmailMessage = require('../models/EmailMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * MongoDB-backed repository. Every method resolves to plain objects (lean documents)
+ * so callers behave the same with either backend.
+ */
+class MongoRepository {
+  constructor(Model) {
+    this.Model = Model;
+  }
+
+  applyOptions(query, { sort, skip, limit, select, populate } = {}) {
+    if (sort) query = query.sort(sort);
+    if (skip) query = query.skip(skip);
+    if (limit) query = query.limit(limit);
+    if (select) query = query.select(select);
+    [].concat(populate || []).forEach(entry => {
+      query = typeof entry === 'string'
+        ? query.populate(entry)
+        : query.populate(entry.path, entry.select);
+    });
+    return query;
+  }
+
+  async findById(id, options = {}) {
+    if (!id || !this.Model.base.isValidObjectId(id)) {
+      return null;
+    }
+    return this.applyOptions(this.Model.findById(id), options).lean();
+  }
+
+  async findOne(filter, options = {}) {
+    return this.applyOptions(this.Model.findOne(filter), options).lean();
+  }
+
+  async find(filter = {}, options = {}) {
+    return this.applyOptions(this.Model.find(filter), options).lean();
+  }
+
+  async count(filter = {}) {
+    return this.Model.countDocuments(filter);
+  }
+
+  async aggregate(pipeline) {
+    return this.Model.aggregate(pipeline);
+  }
+
+  async create(data) {
+    const doc = await new this.Model(data).save();
+    return doc.toObject();
+  }
+
+  async update(id, patch) {
+    if (this.Model.schema.path('updatedAt')) {
+      patch = { ...patch, updatedAt: new Date() };
+    }
+    return this.Model.findByIdAndUpdate(id, patch, { new: true, runValidators: true }).lean();
+  }
+
+  /**
+   * Atomically update the first document matching `filter`; null when nothing matched
+   */
+  async updateWhere(filter, patch) {
+    if (this.Model.schema.path('updatedAt')) {
+      patch = { ...patch, updatedAt: new Date() };
+    }
+    return this.Model.findOneAndUpdate(filter, patch, { new: true, runValidators: true }).lean();
+  }
+
+  async delete(id) {
+    if (!id || !this.Model.base.isValidObjectId(id)) {
+      return null;
+    }
+    return this.Model.findByIdAndDelete(id).lean();
+  }
+}
+
+class MongoUserRepository extends MongoRepository {
+  async findByEmail(email) {
+    return this.findOne({ email: String(email || '').trim().toLowerCase() });
+  }
+}
+
+class MongoConversationRepository extends MongoRepository {
+  async findBySessionId(sessionId) {
+    return this.findOne({ sessionId });
+  }
+
+  async appendMessage(sessionId, message) {
+    return this.Model.findOneAndUpdate(
+      { sessionId },
+      { $push: { messages: message }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Set fields on the message at `index`; messages are only ever appended, so indexes are stable
+   */
+  async updateMessage(sessionId, index, fields) {
+    const patch = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      patch[`messages.${index}.${field}`] = value;
+    });
+    return this.Model.findOneAndUpdate(
+      { sessionId, [`messages.${index}`]: { $exists: true } },
+      { $set: patch },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+}
+
+function createMongoRepositories() {
+  return {
+    users: new MongoUserRepository(User),
+    calls: new MongoRepository(Call),
+    conversations: new MongoConversationRepository(Conversation),
+    appointments: new MongoRepository(Appointment),
+    knowledge: new MongoRepository(KnowledgeDocument),
+    personas: new MongoRepository(Persona),
+    visits: new MongoRepository(Visit),
+    emails: new MongoRepository(EmailMessage),
+    webhooks: new MongoRepository(Webhook),
+    webhookDeliveries: new MongoRepository(WebhookDelivery),
+    apiKeys: new MongoRepository(ApiKey)
+  };
+}
+
+module.exports = { createMongoRepositories, MongoRepository };
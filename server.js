@@ -1,19 +1,47 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 require('dotenv').config();
 
-// Import models
-const User = require('./models/User');
+const repositories = require('./repositories');
 const Call = require('./models/Call');
-const Conversation = require('./models/Conversation');
+const { createProvider, toChatMessages, isToolCall, LLMError } = require('./services/llm');
+const scheduling = require('./services/scheduling');
+const { CallRouter } = require('./services/routing');
+const { transitionCall, callEvents, InvalidTransitionError } = require('./services/callLifecycle');
+const queue = require('./services/queue');
+const { departmentNames, findDepartment } = require('./services/departments');
+const {
+  issueToken,
+  verifyToken,
+  issueSessionToken,
+  verifySessionToken,
+  authenticateSocket,
+  authorizeEvent
+} = require('./services/auth');
+const accounts = require('./services/accounts');
+const conversations = require('./services/conversations');
+const transcriptExport = require('./services/transcriptExport');
+const analytics = require('./services/analytics');
+const knowledge = require('./services/knowledge');
+const tools = require('./services/tools');
+const personas = require('./services/personas');
+const languages = require('./services/languages');
+const speech = require('./services/speech');
+const visits = require('./services/visits');
+const mail = require('./services/mail');
+const { Notifications, publicEmail } = require('./services/notifications');
+const webhooks = require('./services/webhooks');
+const apiKeys = require('./services/apiKeys');
+const apiV1 = require('./services/api/v1');
+const { createRealtime, createSocketRelay } = require('./services/realtime');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,7 +52,16 @@ const io = socketIo(server, {
   }
 });
 
+// Presence, the call queue and Socket.IO broadcasts, shared between instances when
+// REALTIME_ADAPTER=redis; the adapter is attached once the backend is connected
+const realtime = createRealtime();
+// Recorded speech can be uploaded to any instance; set up in start() to answer it on the
+// instance that holds the visitor's socket
+let visitorSpeech = null;
+
 const PORT = process.env.PORT || 3000;
+// Where visitors' badges and host emails link to; the QR code on a printed badge must reach it
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // Security middleware
 app.use(helmet());
@@ -39,13 +76,33 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rexbot_db')
-.then(() => console.log('✅ Connected to MongoDB'))
-.catch(err => {
-  console.error('❌ MongoDB connection error:', err);
-  console.log('⚠️  Running in demo mode without database');
-});
+// First admin account from ADMIN_EMAIL / ADMIN_PASSWORD, created in whichever store is active
+const seedAdmin = () => accounts.ensureAdmin().catch(error => console.error('Error creating admin account:', error));
+
+// Storage: STORAGE_BACKEND=memory skips MongoDB entirely. Otherwise MongoDB is used from
+// the start (queries wait while it connects) and only a failed first connection falls back
+// to the in-memory store. A later drop keeps MongoDB: mongoose buffers requests until it
+// reconnects, or fails them, rather than serving an empty store.
+if (process.env.STORAGE_BACKEND === 'memory') {
+  console.log('⚠️  Running in demo mode with in-memory storage');
+  seedAdmin();
+} else {
+  repositories.useBackend('mongo');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rexbot_db')
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+    mongoose.connection.on('disconnected', () => console.log('⚠️  Lost the MongoDB connection; waiting for it to come back'));
+    mongoose.connection.on('reconnected', () => console.log('✅ Reconnected to MongoDB'));
+    seedAdmin();
+  })
+  .catch(err => {
+    console.error('❌ MongoDB connection error:', err);
+    console.log('⚠️  Running in demo mode without database');
+    repositories.useBackend('memory');
+    seedAdmin();
+  });
+}
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -57,565 +114,2259 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const { user } = await verifyToken(token);
     req.user = user;
     next();
   } catch (error) {
+    if (error.code === 'token_expired') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
-// RexBot character prompt
-const REXBOT_PROMPT = `You are RexBot, a professional AI receptionist. Your personality is:
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+const llm = createProvider();
+const speechPipeline = speech.createSpeechPipeline();
+const mailQueue = mail.createMailQueue();
+const notifications = new Notifications({ queue: mailQueue });
+const webhookDispatcher = webhooks.createWebhookDispatcher();
 
-1. Be professional, friendly, and helpful
-2. Use formal but warm language
-3. Ask relevant questions to understand visitor needs
-4. Collect necessary information for appointments
-5. Be efficient and direct
-6. Show empathy and understanding
-7. Guide visitors through the process professionally
+/**
+ * Pick the persona's canned reply used when the provider fails before producing any text
+ */
+function fallbackResponse(error, persona) {
+  if (error instanceof LLMError) {
+    if (error.code === 'not_configured') {
+      return personas.fallback(persona, 'greeting');
+    }
+    console.error(`Error generating response (${error.provider}/${error.code}):`, error.message);
+    if (error.code === 'rate_limited') {
+      return personas.fallback(persona, 'rateLimited');
+    }
+  } else {
+    console.error('Error generating response:', error);
+  }
+  return personas.fallback(persona, 'error');
+}
 
-Always respond as RexBot, maintaining your professional receptionist personality while being helpful and efficient.`;
+// Model turns that may call tools before RexBot has to answer in text
+const MAX_TOOL_ROUNDS = 3;
 
 /**
- * Generate chatbot response using Gemini AI API
+ * Generate chatbot response using the configured LLM provider.
+ * Text is streamed to `onChunk` as it arrives; the full reply is returned.
+ * `persona` sets the system prompt and fallback replies; `language` is the visitor's
+ * language code when known; `context` adds situational notes (booking state, ...)
+ * to the system prompt.
+ * With a `tools` registry the model may call tools first; each call and its result
+ * is passed to `onToolCall(call, result)` and fed back to the model.
  */
-async function generateResponse(message, conversationId, historyMessages = []) {
+async function generateResponse(message, conversationId, historyMessages = [], {
+  onChunk = () => {},
+  persona = personas.DEFAULT_PERSONA,
+  language = null,
+  context: extraContext = [],
+  tools: registry = null,
+  toolContext = {},
+  onToolCall = () => {}
+} = {}) {
+  let text = '';
+  let reply;
+
   try {
     // Use provided history or attempt DB only when connected
-    let messages = Array.isArray(historyMessages) ? historyMessages.slice(-10) : [];
-    if (messages.length === 0 && mongoose.connection.readyState === 1) {
-      const conversation = await Conversation.findOne({ sessionId: conversationId });
-      messages = conversation ? conversation.messages.slice(-10) : [];
-    }
-
-    // Gemini AI API endpoint and key
-    const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent';
-    const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-    // Check if API key is configured or quota exceeded
-    if (!GEMINI_API_KEY || GEMINI_API_KEY === 'your_gemini_api_key_here') {
-      const fallbackResponses = [
-        "Hello! I'm RexBot, your AI receptionist. How may I assist you today?",
-        "Welcome! I'm here to help you. What brings you here today?",
-        "Good day! I'm RexBot, ready to assist you. How can I help?",
-        "Hello there! I'm your AI receptionist. What can I do for you today?",
-        "Welcome! I'm RexBot. How may I be of service to you?"
-      ];
-      
-      return fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-    }
-
-    // Prepare request body for Google Gemini API
-    const requestBody = {
-      "contents": [
-        {
-          "role": "user",
-          "parts": [
-            {
-              "text": `${REXBOT_PROMPT}\n\nConversation history:\n${messages.map(msg => `${msg.sender}: ${msg.content}`).join('\n')}\n\nUser: ${message}`
-            }
-          ]
+    let history = Array.isArray(historyMessages) ? historyMessages.slice(-10) : [];
+    if (history.length === 0) {
+      const conversation = await repositories.conversations.findBySessionId(conversationId);
+      history = conversation ? conversation.messages.slice(-10) : [];
+    }
+
+    // The caller usually stores the user's message before asking for a reply
+    const last = history[history.length - 1];
+    if (last && last.sender === 'user' && last.content === message) {
+      history = history.slice(0, -1);
+    }
+
+    const { context, messages } = toChatMessages(history);
+    messages.push({ role: 'user', content: message });
+
+    const system = [
+      personas.systemPrompt(persona, { visitorLanguage: language }),
+      languages.describeForPrompt(language),
+      ...context,
+      ...extraContext
+    ].filter(Boolean).join('\n\n');
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      const calls = [];
+      let turnText = '';
+      const chunks = llm.stream({
+        system,
+        messages,
+        // The last round has to answer in words
+        tools: registry && round < MAX_TOOL_ROUNDS ? registry.definitions() : undefined,
+        temperature: 0.7,
+        maxTokens: 200
+      });
+      for await (const chunk of chunks) {
+        if (isToolCall(chunk)) {
+          calls.push(chunk);
+        } else {
+          turnText += chunk;
+          text += chunk;
+          onChunk(chunk);
         }
-      ],
-      "generationConfig": {
-        "temperature": 0.7,
-        "maxOutputTokens": 200
       }
-    };
+      if (calls.length === 0) {
+        break;
+      }
 
-    // Call Gemini AI API
-    const response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, requestBody, {
-      headers: {
-        'Content-Type': 'application/json'
+      messages.push({ role: 'assistant', content: turnText, toolCalls: calls });
+      for (const call of calls) {
+        const result = await registry.call(call.name, call.arguments, toolContext);
+        await onToolCall(call, result);
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
       }
-    });
+    }
 
-    return response.data.candidates?.[0]?.content?.parts?.[0]?.text || 'I am here to help. Could you please rephrase that?';
+    reply = text || 'I am here to help. Could you please rephrase that?';
   } catch (error) {
-    console.error('Error generating response:', error);
-    if (error.response) {
-      console.error('API Error Response:', error.response.data);
-      console.error('API Error Status:', error.response.status);
-      
-      // Handle quota exceeded error
-      if (error.response.status === 429) {
-        const fallbackResponses = [
-          "I understand your request. Let me help you with that. Could you please provide more details?",
-          "Thank you for reaching out. I'm here to assist you. What specific information do you need?",
-          "I appreciate your inquiry. Let me guide you through this process. What would you like to know?",
-          "Hello! I'm here to help. Could you please clarify your request so I can assist you better?",
-          "Thank you for contacting us. I'm ready to help you with your needs. What can I do for you?"
-        ];
-        return fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-      }
+    if (text) {
+      // Keep what the visitor has already seen rather than replacing it with a fallback
+      console.error('Response stream interrupted:', error.message);
+      return text;
     }
-    return 'I apologize, but I\'m experiencing some technical difficulties. Please try again in a moment.';
+    reply = fallbackResponse(error, persona);
   }
+
+  if (!text) {
+    onChunk(reply);
+  }
+  return reply;
 }
 
-// Socket.IO connection handling
-const connectedUsers = new Map();
-const waitingCalls = new Map();
+/**
+ * The persona answering a conversation; admin edits apply from the next message
+ */
+const personaFor = (conversation) => personas.resolvePersona({
+  personaId: conversation && conversation.personaId,
+  kiosk: conversation && conversation.kiosk
+});
 
-// In-memory storage for demo mode
-const demoUsers = new Map();
-const demoConversations = new Map();
-const demoCalls = new Map();
+/**
+ * Knowledge-base passages for a visitor's message and the prompt note built from
+ * them. RexBot still answers, ungrounded, if the search fails.
+ */
+async function knowledgeFor(message) {
+  try {
+    const passages = await knowledge.search(message);
+    return { passages, note: await knowledge.describeForPrompt(passages) };
+  } catch (error) {
+    console.error('Error searching the knowledge base:', error);
+    return { passages: [], note: null };
+  }
+}
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+const formatAppointment = (appointment) => ({
+  appointmentId: appointment._id,
+  name: appointment.name,
+  department: appointment.department,
+  reason: appointment.reason,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  status: appointment.status
+});
 
-  // Staff login
-  socket.on('staff-login', async (data) => {
-    try {
-      const { email, password } = data;
-      const user = await User.findOne({ email, role: 'staff' });
-      
-      if (!user || !await bcrypt.compare(password, user.password)) {
-        socket.emit('login-error', { message: 'Invalid credentials' });
-        return;
-      }
+// Each accepted call gets a Socket.IO room shared by the visitor and the staff member
+const callRoom = (callId) => `call:${callId}`;
+
+// Staff watching a conversation join its room to follow the transcript live
+const conversationRoom = (sessionId) => `conversation:${sessionId}`;
+
+// Socket.IO connection handling. Who is connected and which visitors are waiting is
+// shared between instances (REALTIME_ADAPTER), keyed by socket id.
+const connectedUsers = realtime.map('connectedUsers');
+const waitingCalls = realtime.map('waitingCalls');
+
+// The parts of a user the sockets need, without the password hash
+const presenceFor = (user) => ({
+  _id: String(user._id),
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  isAvailable: user.isAvailable
+});
 
-      user.isAvailable = true;
-      user.lastActive = new Date();
-      await user.save();
+const socketsOf = async (userId) => (await connectedUsers.all())
+  .filter(([, user]) => user._id === String(userId))
+  .map(([socketId]) => socketId);
 
-      connectedUsers.set(socket.id, user);
-      socket.emit('login-success', { user: { id: user._id, name: user.name, department: user.department } });
-      
-      // Notify about waiting calls
-      const waitingCallCount = await Call.countDocuments({ status: 'waiting' });
-      socket.emit('waiting-calls', { count: waitingCallCount });
-    } catch (error) {
-      socket.emit('login-error', { message: 'Login failed' });
-    }
-  });
+const listStaff = async () => (await connectedUsers.all())
+  .filter(([, user]) => user.role === 'staff')
+  .map(([socketId, user]) => ({ socketId, user }));
 
-  // Client starts conversation
-  socket.on('start-conversation', async (data) => {
-    try {
-      const { name, email, purpose } = data;
-      
-      // Check if MongoDB is connected
-      if (mongoose.connection.readyState === 1) {
-        // Use MongoDB
-        let user = await User.findOne({ email });
-        if (!user) {
-          user = new User({
-            name,
-            email,
-            password: await bcrypt.hash(Math.random().toString(), 10),
-            role: 'client'
-          });
-          await user.save();
-        }
+const findSocketId = async (userId) => (await socketsOf(userId))[0];
 
-        // Create conversation
-        const sessionId = socket.id;
-        const conversation = new Conversation({
-          userId: user._id,
-          sessionId,
-          messages: [{
-            sender: 'system',
-            content: `New conversation started by ${name} - Purpose: ${purpose}`,
-            messageType: 'system'
-          }]
-        });
-        await conversation.save();
+/**
+ * Sign a user out everywhere (e.g. their account was disabled)
+ */
+const disconnectUser = async (userId) => {
+  (await socketsOf(userId)).forEach(socketId => io.in(socketId).disconnectSockets(true));
+};
 
-        // Create call request
-        const call = new Call({
-          clientId: user._id,
-          purpose,
-          status: 'waiting'
-        });
-        await call.save();
+/**
+ * Keep the on-duty copy of a user in step with admin changes (routing reads the department)
+ */
+const refreshConnectedUser = async (updated) => {
+  for (const socketId of await socketsOf(updated._id)) {
+    const user = await connectedUsers.get(socketId);
+    if (user) {
+      await connectedUsers.set(socketId, { ...user, department: updated.department });
+    }
+  }
+};
 
-        waitingCalls.set(socket.id, call);
-        connectedUsers.set(socket.id, user);
+const emitToStaff = async (event, payload) => {
+  (await listStaff()).forEach(({ socketId }) => io.to(socketId).emit(event, payload));
+};
 
-        // Notify all staff about new call
-        io.emit('new-call-request', {
-          callId: call._id,
-          clientName: name,
-          purpose,
-          timestamp: new Date()
-        });
+/**
+ * Emit to every socket a user is signed in on; resolves to how many there were
+ */
+const emitToUser = async (userId, event, payload) => {
+  const socketIds = await socketsOf(userId);
+  socketIds.forEach(socketId => io.to(socketId).emit(event, payload));
+  return socketIds.length;
+};
 
-        socket.emit('conversation-started', { 
-          sessionId, 
-          callId: call._id,
-          name: name,
-          purpose: purpose
-        });
-      } else {
-        // Use in-memory storage for demo mode
-        const sessionId = socket.id;
-        const userId = `demo_${Date.now()}`;
-        
-        // Create demo user
-        const demoUser = {
-          _id: userId,
-          name,
-          email,
-          role: 'client'
-        };
-        demoUsers.set(userId, demoUser);
-        
-        // Create demo conversation
-        const demoConversation = {
-          sessionId,
-          userId,
-          messages: [{
-            sender: 'system',
-            content: `New conversation started by ${name} - Purpose: ${purpose}`,
-            messageType: 'system'
-          }]
-        };
-        demoConversations.set(sessionId, demoConversation);
-        
-        // Create demo call
-        const demoCall = {
-          _id: `call_${Date.now()}`,
-          clientId: userId,
-          purpose,
-          status: 'waiting',
-          createdAt: new Date()
-        };
-        demoCalls.set(sessionId, demoCall);
-        
-        connectedUsers.set(socket.id, demoUser);
-        
-        // Notify all staff about new call
-        io.emit('new-call-request', {
-          callId: demoCall._id,
-          clientName: name,
-          purpose,
-          timestamp: new Date()
-        });
+const callRouter = new CallRouter({
+  listStaff,
+  emitTo: (socketId, event, payload) => io.to(socketId).emit(event, payload),
+  // Routes outlive the instance that made them, so the others can still escalate them
+  routes: realtime.map('callRoutes', { sweep: false })
+});
 
-        socket.emit('conversation-started', { 
-          sessionId, 
-          callId: demoCall._id,
-          name: name,
-          purpose: purpose
-        });
-      }
+const queueEstimator = new queue.QueueEstimator({
+  listStaff,
+  isBusy: (staffId) => callRouter.isBusy(staffId)
+});
+
+let queueUpdateTimer = null;
+
+/**
+ * Push queue-update (position and estimated wait) to every waiting visitor.
+ * Bursts of changes are coalesced into one update.
+ */
+function scheduleQueueUpdate() {
+  if (queueUpdateTimer) return;
+  queueUpdateTimer = setTimeout(async () => {
+    queueUpdateTimer = null;
+    try {
+      const snapshot = await queueEstimator.snapshot();
+      (await waitingCalls.all()).forEach(([socketId, call]) => {
+        const entry = snapshot.get(String(call._id));
+        if (entry) {
+          io.to(socketId).emit('queue-update', entry);
+        }
+      });
     } catch (error) {
-      console.error('Error starting conversation:', error);
-      socket.emit('error', { message: 'Failed to start conversation: ' + error.message });
+      console.error('Error updating queue positions:', error);
     }
-  });
+  }, 250);
+}
 
-  // Staff accepts call
-  socket.on('accept-call', async (data) => {
-    try {
-      const { callId } = data;
-      const staffUser = connectedUsers.get(socket.id);
-      
-      if (!staffUser || staffUser.role !== 'staff') {
-        return;
-      }
+/**
+ * Send an event to subscribed webhooks without holding up the caller
+ */
+function announce(event, data) {
+  webhookDispatcher.dispatch(event, data).catch(error => console.error(`Error dispatching ${event} webhooks:`, error));
+}
 
-      const call = await Call.findById(callId);
-      if (!call || call.status !== 'waiting') {
-        return;
-      }
+// Any call changing state can move the queue (or the average handle time)
+callEvents.on('transition', scheduleQueueUpdate);
+
+callEvents.on('transition', ({ call, from, to, by, reason }) => {
+  const event = webhooks.callEventFor(from, to);
+  if (event) {
+    announce(event, { call: webhooks.callData(call), from, to, by: by || null, reason: reason || null });
+  }
+});
 
-      call.staffId = staffUser._id;
-      call.status = 'in-progress';
-      call.startTime = new Date();
-      await call.save();
+// Once the call is over the conversation drops off the staff dashboard's live list
+callEvents.on('transition', ({ call, to }) => {
+  if (Call.isTerminal(to)) {
+    conversations.complete(call._id)
+      .then(conversation => conversation && announce('conversation.completed', {
+        sessionId: conversation.sessionId,
+        callId: conversation.callId,
+        status: to,
+        messageCount: (conversation.messages || []).length
+      }))
+      .catch(error => console.error('Error completing conversation:', error));
+  }
+});
 
-      // Find client socket
-      const clientSocketId = Array.from(waitingCalls.entries())
-        .find(([id, c]) => c._id.toString() === callId)?.[0];
+conversations.conversationEvents.on('message', ({ sessionId, message }) => {
+  io.to(conversationRoom(sessionId)).emit('conversation-message', { sessionId, message });
+  announce('message.created', { sessionId, message });
+});
 
-      if (clientSocketId) {
-        io.to(clientSocketId).emit('call-accepted', {
-          staffName: staffUser.name,
-          staffDepartment: staffUser.department
-        });
-        waitingCalls.delete(clientSocketId);
-      }
+conversations.conversationEvents.on('translation', ({ sessionId, index, translation }) => {
+  io.to(conversationRoom(sessionId)).emit('conversation-translation', { sessionId, index, translation });
+});
 
-      socket.emit('call-started', { callId, clientId: call.clientId });
-    } catch (error) {
-      socket.emit('error', { message: 'Failed to accept call' });
+conversations.conversationEvents.on('updated', async ({ sessionId }) => {
+  try {
+    const summary = await conversations.findSummary(sessionId);
+    if (summary) {
+      await emitToStaff('conversation-updated', summary);
     }
-  });
+  } catch (error) {
+    console.error('Error announcing conversation update:', error);
+  }
+});
 
-  // Video call signaling
-  socket.on('offer', (data) => {
-    const { target, offer } = data;
-    io.to(target).emit('offer', { offer, from: socket.id });
-  });
+const badgeUrl = (visit) => `${APP_URL}/badge/${visit.badgeToken}`;
 
-  socket.on('answer', (data) => {
-    const { target, answer } = data;
-    io.to(target).emit('answer', { answer, from: socket.id });
-  });
+/**
+ * Tell the host their visitor has arrived: on their dashboard if they are signed in,
+ * and by email (the visit follows the email's delivery status)
+ */
+async function notifyHost(visit, host) {
+  const delivered = await emitToUser(host._id, 'visitor-arrived', visit);
+  await visits.recordNotification(visit.id, 'inApp', delivered
+    ? { status: 'sent' }
+    : { status: 'skipped', error: 'Host is not signed in' });
+  await notifications.visitorArrived(visit, host, { badgeUrl: badgeUrl(visit) });
+}
 
-  socket.on('ice-candidate', (data) => {
-    const { target, candidate } = data;
-    io.to(target).emit('ice-candidate', { candidate, from: socket.id });
-  });
+mailQueue.on('status', (message) => {
+  const visitId = message.related && message.related.visitId;
+  if (visitId && message.status !== 'sending') {
+    visits.recordNotification(visitId, 'email', { status: message.status, error: message.lastError || undefined })
+      .catch(error => console.error('Error recording host email status:', error));
+  }
+});
 
-  // Call decision
-  socket.on('call-decision', async (data) => {
-    try {
-      const { callId, decision, notes } = data;
-      const staffUser = connectedUsers.get(socket.id);
-      
-      if (!staffUser || staffUser.role !== 'staff') {
-        return;
-      }
+visits.visitEvents.on('checked-in', ({ visit, host }) => {
+  emitToStaff('visit-updated', visit).catch(error => console.error('Error announcing visit:', error));
+  notifyHost(visit, host).catch(error => console.error('Error notifying host:', error));
+});
 
-      const call = await Call.findById(callId);
-      if (!call || call.staffId.toString() !== staffUser._id.toString()) {
-        return;
-      }
+visits.visitEvents.on('checked-out', ({ visit }) => {
+  emitToStaff('visit-updated', visit).catch(error => console.error('Error announcing visit:', error));
+});
 
-      call.status = 'completed';
-      call.endTime = new Date();
-      call.decision = decision;
-      call.notes = notes;
-      call.duration = Math.floor((call.endTime - call.startTime) / 1000);
-      await call.save();
+const ACTIVE_STATUSES = ['in-progress', 'on-hold'];
+const VISITOR_GRACE_MS = parseInt(process.env.VISITOR_RECONNECT_GRACE_MS) || 30000;
 
-      // Notify client
-      const clientSocketId = Array.from(connectedUsers.entries())
-        .find(([id, user]) => user._id.toString() === call.clientId.toString())?.[0];
+// Pending abandonment of disconnected visitors' calls, by session id
+const visitorGraceTimers = new Map();
 
-      if (clientSocketId) {
-        io.to(clientSocketId).emit('call-completed', { decision, notes });
-      }
+/**
+ * The visitor left before anyone picked up
+ */
+async function finishQueuedCall(callId, reason = 'visitor-left') {
+  const call = await repositories.calls.findById(callId);
+  if (!call || !Call.QUEUED_STATUSES.includes(call.status)) {
+    return null;
+  }
+  return transitionCall(call, 'abandoned', { reason });
+}
 
-      socket.emit('decision-saved', { callId, decision });
-    } catch (error) {
-      socket.emit('error', { message: 'Failed to save decision' });
-    }
-  });
+/**
+ * Calls still queued from before a crash or restart lost their grace timers with the
+ * old process. Once visitors have had the grace period to reconnect, abandon the
+ * calls whose visitor is not connected to any instance.
+ */
+async function abandonOrphanedCalls(startedAt) {
+  const queued = await repositories.calls.find({ status: { $in: Call.QUEUED_STATUSES }, createdAt: { $lt: startedAt } });
+  for (const call of queued) {
+    const conversation = await repositories.conversations.findOne({ callId: call._id });
+    if (conversation && await isSessionConnected(conversation.sessionId)) continue;
+
+    await callRouter.release(call._id);
+    await emitToStaff('call-removed', { callId: String(call._id) });
+    await finishQueuedCall(call._id, 'orphaned');
+  }
+}
 
-  // Chat messages
-  socket.on('chat-message', async (data) => {
-    try {
-      const { sessionId, message } = data;
-      const user = connectedUsers.get(socket.id);
-      
-      if (!user) return;
+/**
+ * End an answered call (hang-up or a participant dropping out). Returns null when
+ * the call was not active, e.g. the other side already ended it.
+ */
+async function finishCall(callId, status, { by, reason } = {}) {
+  const call = await repositories.calls.findById(callId);
+  if (!call || !ACTIVE_STATUSES.includes(call.status)) {
+    return null;
+  }
+  return transitionCall(call, status, { by, reason });
+}
 
-      let historyMessages = [];
+// Every socket a visitor has open on their session joins its room, on whichever instance
+const sessionRoom = (sessionId) => `session:${sessionId}`;
 
-      if (mongoose.connection.readyState === 1) {
-        // Persist to MongoDB
-        const conversation = await Conversation.findOne({ sessionId });
-        if (conversation) {
-          conversation.messages.push({
-            sender: 'user',
-            content: message,
-            messageType: 'text'
-          });
-          await conversation.save();
-          historyMessages = conversation.messages;
-        }
-      } else {
-        // Demo mode: use in-memory store
-        const demoConversation = demoConversations.get(sessionId);
-        if (demoConversation) {
-          demoConversation.messages.push({
-            sender: 'user',
-            content: message,
-            messageType: 'text'
-          });
-          historyMessages = demoConversation.messages;
-        } else {
-          historyMessages = [];
-        }
-      }
+const isSessionConnected = async (sessionId) => (await io.in(sessionRoom(sessionId)).fetchSockets()).length > 0;
 
-      // Generate AI response
-      const aiResponse = await generateResponse(message, sessionId, historyMessages);
-      
-      // Save AI response
-      if (mongoose.connection.readyState === 1) {
-        const conversation = await Conversation.findOne({ sessionId });
-        if (conversation) {
-          conversation.messages.push({
-            sender: 'rexbot',
-            content: aiResponse,
-            messageType: 'text'
-          });
-          await conversation.save();
-        }
-      } else {
-        const demoConversation = demoConversations.get(sessionId);
-        if (demoConversation) {
-          demoConversation.messages.push({
-            sender: 'rexbot',
-            content: aiResponse,
-            messageType: 'text'
-          });
-        }
-      }
+const emitToSession = (sessionId, event, payload) => {
+  io.to(sessionRoom(sessionId)).emit(event, payload);
+};
 
-      socket.emit('ai-response', { response: aiResponse });
-    } catch (error) {
-      socket.emit('error', { message: 'Failed to process message' });
-    }
-  });
+/**
+ * The visitor did not come back in time: take the call out of the queue or end it
+ */
+async function abandonVisitorCall(sessionId, callId) {
+  // They may have come back on another instance, which cannot clear this one's timer
+  if (await isSessionConnected(sessionId)) return;
+
+  const call = await repositories.calls.findById(callId);
+  if (!call) return;
+
+  if (Call.QUEUED_STATUSES.includes(call.status)) {
+    await callRouter.release(call._id);
+    await emitToStaff('call-removed', { callId: String(call._id) });
+    await finishQueuedCall(call._id);
+  } else if (ACTIVE_STATUSES.includes(call.status)) {
+    const room = callRoom(call._id);
+    io.to(room).emit('call-ended', { callId: String(call._id), endedBy: 'disconnect' });
+    io.in(room).socketsLeave(room);
+    await finishCall(call._id, 'abandoned', { reason: 'visitor-disconnected' });
+  }
+}
 
-  // Disconnect
-  socket.on('disconnect', async () => {
-    const user = connectedUsers.get(socket.id);
-    if (user) {
-      if (user.role === 'staff') {
-        user.isAvailable = false;
-        user.lastActive = new Date();
-        await user.save();
-      }
-      connectedUsers.delete(socket.id);
-    }
-    
-    const call = waitingCalls.get(socket.id);
-    if (call) {
-      call.status = 'rejected';
-      await call.save();
-      waitingCalls.delete(socket.id);
-    }
+function startGracePeriod(sessionId, callId) {
+  clearTimeout(visitorGraceTimers.get(sessionId));
+  const timer = setTimeout(() => {
+    visitorGraceTimers.delete(sessionId);
+    abandonVisitorCall(sessionId, callId).catch(error => console.error('Error abandoning call:', error));
+  }, VISITOR_GRACE_MS);
+  if (timer.unref) timer.unref();
+  visitorGraceTimers.set(sessionId, timer);
+}
 
-    console.log('User disconnected:', socket.id);
+/**
+ * Put an authenticated staff socket on duty and send it the calls routed to it
+ */
+async function registerStaff(socket, user) {
+  const staffUser = await repositories.users.update(user._id, {
+    isAvailable: true,
+    lastActive: new Date()
   });
-});
-
-// API Routes
-
-// Authentication routes
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, password, role, department } = req.body;
-    
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email already registered' });
-    }
-
-    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role,
-      department
-    });
-    await user.save();
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+  await connectedUsers.set(socket.id, presenceFor(staffUser));
+  socket.emit('login-success', {
+    user: { id: staffUser._id, name: staffUser.name, department: staffUser.department },
+    expiresAt: socket.data.expiresAt
+  });
 
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
-  } catch (error) {
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+  // Notify about waiting calls routed to this staff member
+  const pendingCalls = (await callRouter.pendingFor(staffUser))
+    .sort((a, b) => b.priority - a.priority || new Date(a.timestamp) - new Date(b.timestamp));
+  socket.emit('waiting-calls', { count: pendingCalls.length });
+  pendingCalls.forEach(payload => socket.emit('new-call-request', payload));
+  scheduleQueueUpdate();
+}
 
-app.post('/api/auth/login', async (req, res) => {
+/**
+ * Advance any appointment request in the conversation; a failure here must not block the reply
+ */
+async function updateBooking(socket, conversation, user) {
   try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    
-    if (!user || !await bcrypt.compare(password, user.password)) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const booking = await scheduling.processConversation({ llm, conversation, user });
+    if (booking && booking.created) {
+      socket.emit('appointment-proposal', formatAppointment(booking.appointment));
     }
-
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
-
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    return booking;
   } catch (error) {
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Error processing appointment request:', error);
+    return null;
   }
-});
+}
 
-// Protected routes
-app.get('/api/calls/waiting', authenticateToken, async (req, res) => {
-  try {
-    const calls = await Call.find({ status: 'waiting' })
-      .populate('clientId', 'name email')
-      .sort({ createdAt: 1 });
-    res.json(calls);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch waiting calls' });
+/**
+ * RexBot's `request_human` tool: a waiting call is offered to every staff member
+ * online instead of only its department
+ */
+async function requestHuman({ reason }, { callId }) {
+  const call = callId ? await repositories.calls.findById(callId) : null;
+  if (!call) {
+    return { status: 'no-call', note: 'The visitor has no open call; ask them to start a new one.' };
   }
-});
 
-app.get('/api/calls/my-calls', authenticateToken, async (req, res) => {
-  try {
-    const calls = await Call.find({ staffId: req.user._id })
-      .populate('clientId', 'name email')
-      .sort({ createdAt: -1 });
-    res.json(calls);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch calls' });
+  if (['waiting', 'ringing'].includes(call.status)) {
+    await callRouter.escalate(String(call._id), 'visitor-request');
+    console.log(`🙋 Visitor asked for a staff member on call ${call._id}: ${reason}`);
+    const entry = await queueEstimator.estimateFor(call._id);
+    return {
+      status: 'requested',
+      position: entry ? entry.position : null,
+      estimatedWait: entry ? queue.describeWait(entry.estimatedWaitSeconds) : null
+    };
   }
-});
-
+  if (['in-progress', 'on-hold', 'transferred'].includes(call.status)) {
+    return { status: 'connected', note: 'A staff member is already handling this call.' };
+  }
+  return { status: 'ended', callStatus: call.status, note: 'The call has ended; the visitor can start a new one.' };
+}
+
+/**
+ * Book a visitor's proposed appointment, from the on-screen button or RexBot's
+ * book_appointment tool, and let the visitor, the assigned staff member and the
+ * dashboard know. Returns scheduling.confirmAppointment's result.
+ */
+async function confirmVisitorAppointment(appointmentId, user) {
+  const result = await scheduling.confirmAppointment(appointmentId, user._id);
+  if (result.error) {
+    return result;
+  }
+
+  const appointment = formatAppointment(result.appointment);
+  await conversations.appendMessage(result.appointment.sessionId, {
+    sender: 'system',
+    content: `Appointment confirmed with ${result.staff.name} (${appointment.department}) on ${scheduling.describeSlot(new Date(appointment.startTime))}`,
+    messageType: 'system'
+  });
+
+  emitToSession(result.appointment.sessionId, 'appointment-confirmed', { ...appointment, staffName: result.staff.name });
+  notifications.appointmentConfirmed(result.appointment, result.staff)
+    .catch(error => console.error('Error emailing appointment confirmation:', error));
+  await emitToStaff('appointment-booked', { ...appointment, staffId: result.staff._id, staffName: result.staff.name });
+  return result;
+}
+
+const receptionTools = tools.createReceptionTools({
+  requestHuman,
+  sendIdentityCode: (visitor, code) => notifications.identityCode(visitor, code, conversations.IDENTITY_CODE_MINUTES),
+  onAppointmentProposed: (appointment, { sessionId }) => {
+    emitToSession(sessionId, 'appointment-proposal', formatAppointment(appointment));
+  },
+  confirmAppointment: confirmVisitorAppointment
+});
+
+/**
+ * Store a tool call and its result as typed messages in the conversation
+ */
+async function recordToolCall(sessionId, call, result) {
+  await conversations.appendMessage(sessionId, {
+    sender: 'rexbot',
+    content: `${call.name}(${JSON.stringify(call.arguments)})`,
+    messageType: 'tool-call',
+    tool: { callId: call.id, name: call.name, arguments: call.arguments }
+  });
+  await conversations.appendMessage(sessionId, {
+    sender: 'tool',
+    content: JSON.stringify(result),
+    messageType: 'tool-result',
+    tool: { callId: call.id, name: call.name, result }
+  });
+}
+
+/**
+ * Give the newest message of a conversation its English translation for staff. Runs
+ * in the background: the transcript shows the original until the translation arrives.
+ */
+function translateForStaff(conversation, language) {
+  if (!conversation || !language || language === 'en') {
+    return;
+  }
+  const index = conversation.messages.length - 1;
+  languages.translate(llm, conversation.messages[index].content, { from: language, to: 'en' })
+    .then(translation => translation && conversations.addTranslation(conversation.sessionId, index, translation))
+    .catch(error => console.error('Error storing translation:', error));
+}
+
+const describeLanguage = (code) => {
+  const language = languages.findLanguage(code);
+  return language ? languages.publicLanguage(language) : null;
+};
+
+/**
+ * The language to answer a visitor's message in: the one they picked, or else the one
+ * detected from this message, falling back to the last one detected
+ */
+async function visitorLanguageFor(socket, sessionId, message) {
+  const conversation = await repositories.conversations.findBySessionId(sessionId);
+  if (!conversation) {
+    return null;
+  }
+  if (conversation.languageSelected) {
+    return conversation.language || null;
+  }
+
+  const detected = languages.detectLanguage(message);
+  if (detected && detected.code !== conversation.language) {
+    await repositories.conversations.update(conversation._id, { language: detected.code });
+    socket.emit('visitor-language', { language: describeLanguage(detected.code), auto: true });
+    return detected.code;
+  }
+  return conversation.language || null;
+}
+
+/**
+ * Store a visitor's message and stream RexBot's answer to their socket. `messageType`
+ * is 'speech' for messages spoken into the microphone or uploaded as audio.
+ */
+async function answerVisitor(socket, message, { messageType = 'text' } = {}) {
+  try {
+    const user = await connectedUsers.get(socket.id);
+    // Visitors can only write to the session bound to their socket
+    const sessionId = socket.data.sessionId;
+    
+    if (!user || !sessionId) return;
+
+    const language = await visitorLanguageFor(socket, sessionId, message);
+    const conversation = await conversations.appendMessage(sessionId, {
+      sender: 'user',
+      content: message,
+      messageType,
+      language: language || undefined
+    });
+    translateForStaff(conversation, language);
+    // A staff member has taken over the chat; they answer instead of RexBot
+    if (conversation && conversation.status === 'transferred') {
+      return;
+    }
+
+    const historyMessages = conversation ? conversation.messages : [];
+    const booking = conversation ? await updateBooking(socket, conversation, user) : null;
+
+    const waitingCall = await waitingCalls.get(socket.id);
+    if (waitingCall && conversation) {
+      await callRouter.refine(waitingCall._id, conversation.messages);
+    }
+    const queueEntry = waitingCall ? await queueEstimator.estimateFor(waitingCall._id) : null;
+    const grounding = await knowledgeFor(message);
+    const persona = await personaFor(conversation);
+
+    // Stream the AI response to the visitor as it is generated
+    const aiResponse = await generateResponse(message, sessionId, historyMessages, {
+      onChunk: (chunk) => socket.emit('ai-response-chunk', { text: chunk }),
+      persona,
+      language,
+      context: [
+        scheduling.describeForPrompt(booking),
+        queue.describeForPrompt(queueEntry),
+        grounding.note,
+        tools.describeForPrompt()
+      ].filter(Boolean),
+      tools: receptionTools,
+      toolContext: { visitor: user, sessionId, callId: socket.data.callId },
+      onToolCall: (call, result) => recordToolCall(sessionId, call, result)
+    });
+    const sources = knowledge.citedSources(aiResponse, grounding.passages);
+    
+    // Save AI response
+    const answered = await conversations.appendMessage(sessionId, {
+      sender: 'rexbot',
+      content: aiResponse,
+      messageType: 'text',
+      language: language || undefined,
+      sources
+    });
+    translateForStaff(answered, language);
+
+    socket.emit('ai-response-end', { response: aiResponse, sources });
+  } catch (error) {
+    socket.emit('error', { message: 'Failed to process message' });
+  }
+}
+
+const SPEECH_ERROR_STATUS = { not_configured: 503, bad_request: 400, too_large: 413 };
+// Longest text spoken in one synthesis request (RexBot's replies are spoken sentence by sentence)
+const MAX_SPEECH_TEXT = 1000;
+
+/**
+ * What to tell the visitor when speech fails; engine failures are logged instead
+ */
+function speechErrorMessage(error, fallback) {
+  if (error instanceof speech.SpeechError && SPEECH_ERROR_STATUS[error.code]) {
+    return error.message;
+  }
+  console.error(`${fallback}:`, error.message);
+  return fallback;
+}
+
+/**
+ * Transcribe a visitor's recording with the server speech-to-text engine. A language
+ * the visitor picked is passed on; otherwise the engine detects it.
+ */
+async function transcribeVisitor(sessionId, { audio, mimeType }) {
+  if (!speechPipeline.stt) {
+    throw new speech.SpeechError('Speech recognition is not enabled on this server', { code: 'not_configured' });
+  }
+  const conversation = await repositories.conversations.findBySessionId(sessionId);
+  const language = conversation && conversation.languageSelected ? conversation.language : undefined;
+  const { text } = await speechPipeline.stt.transcribe({ audio, mimeType, language });
+  return text;
+}
+
+io.use(authenticateSocket);
+
+io.on('connection', (socket) => {
+  console.log('User connected:', socket.id);
+
+  // Every event passes the role and token-expiry checks first
+  socket.use(([event], next) => {
+    if (event === 'authenticate') {
+      return next();
+    }
+    const denied = authorizeEvent(socket, event);
+    if (denied) {
+      socket.emit('auth-error', { event, ...denied });
+      return;
+    }
+    next();
+  });
+
+  if (socket.data.user && socket.data.user.role === 'staff') {
+    registerStaff(socket, socket.data.user).catch(error => {
+      console.error('Error registering staff socket:', error);
+      socket.emit('auth-error', { code: 'server_error', message: 'Login failed' });
+    });
+  }
+
+  // Sign in on an open socket, or swap in a refreshed token before the old one expires
+  socket.on('authenticate', async (data) => {
+    try {
+      const { user, expiresAt } = await verifyToken(data && data.token);
+      const current = socket.data.user;
+      if (current && current._id.toString() !== user._id.toString()) {
+        socket.emit('auth-error', { event: 'authenticate', code: 'forbidden', message: 'Sign out before switching accounts' });
+        return;
+      }
+
+      socket.data.user = user;
+      socket.data.expiresAt = expiresAt;
+      if (!current && user.role === 'staff') {
+        await registerStaff(socket, user);
+      }
+      socket.emit('authenticated', { expiresAt });
+    } catch (error) {
+      socket.emit('auth-error', {
+        event: 'authenticate',
+        code: error.code || 'invalid_token',
+        message: error.message
+      });
+    }
+  });
+
+  // Client starts conversation
+  socket.on('start-conversation', async (data) => {
+    try {
+      const { name, email, purpose } = data;
+      const kiosk = personas.normalizeKiosk(data.kiosk);
+      // 'auto' (or nothing) leaves the language to be detected from the visitor's messages
+      const language = languages.findLanguage(data.language);
+      
+      let user = await repositories.users.findByEmail(email);
+      if (user && user.role !== 'client') {
+        // Staff accounts only come online through an authenticated socket
+        socket.emit('error', { message: 'This email belongs to a staff account. Please use another email address.' });
+        return;
+      }
+      if (!user) {
+        user = await repositories.users.create({
+          name,
+          email,
+          password: await bcrypt.hash(Math.random().toString(), 10),
+          role: 'client'
+        });
+      }
+
+      // Create call request
+      const call = await repositories.calls.create({
+        clientId: user._id,
+        purpose,
+        department: callRouter.departmentFor(purpose),
+        priority: callRouter.priorityFor(purpose),
+        status: 'waiting'
+      });
+
+      // The persona stays with the conversation even if the call moves to another department
+      const persona = await personas.resolvePersona({ kiosk, department: call.department });
+
+      // Create conversation; the session id outlives this socket so the visitor can resume it
+      const sessionId = crypto.randomUUID();
+      await repositories.conversations.create({
+        userId: user._id,
+        sessionId,
+        callId: call._id,
+        kiosk,
+        personaId: persona.id || undefined,
+        language: language ? language.code : undefined,
+        languageSelected: Boolean(language),
+        messages: [{
+          sender: 'system',
+          content: `New conversation started by ${name} - Purpose: ${purpose}`,
+          messageType: 'system'
+        }]
+      });
+
+      await waitingCalls.set(socket.id, call);
+      await connectedUsers.set(socket.id, presenceFor(user));
+      socket.join(sessionRoom(sessionId));
+      socket.data.sessionId = sessionId;
+      socket.data.callId = String(call._id);
+
+      // Offer the call to the right department first
+      await callRouter.route(call, {
+        callId: call._id,
+        clientName: name,
+        purpose,
+        department: call.department,
+        priority: call.priority,
+        timestamp: call.createdAt
+      });
+
+      const greeting = personas.greeting(persona, { name, purpose });
+      const translatedGreeting = language
+        ? await languages.translate(llm, greeting, { from: persona.language, to: language.code })
+        : null;
+
+      socket.emit('conversation-started', { 
+        sessionId, 
+        callId: call._id,
+        name: name,
+        purpose: purpose,
+        persona: personas.publicPersona(persona),
+        language: language ? languages.publicLanguage(language) : null,
+        greeting: translatedGreeting || greeting,
+        sessionToken: issueSessionToken({ sessionId, callId: call._id })
+      });
+      scheduleQueueUpdate();
+      await emitToStaff('conversation-updated', await conversations.findSummary(sessionId));
+      announce('call.created', { call: webhooks.callData(call) });
+      announce('conversation.started', {
+        sessionId,
+        callId: call._id,
+        name,
+        email,
+        purpose,
+        kiosk,
+        language: language ? language.code : null
+      });
+
+      // Visitors who named the person they are here to see are checked in too
+      if (data.hostId) {
+        try {
+          const visit = await visits.checkIn(
+            { name, email, purpose, company: data.company, hostId: data.hostId, sessionId, kiosk },
+            { visitor: user }
+          );
+          socket.emit('visit-checked-in', { visit, badgeUrl: badgeUrl(visit) });
+        } catch (error) {
+          if (!(error instanceof visits.VisitError)) {
+            console.error('Error checking in visitor:', error);
+          }
+          socket.emit('visit-error', { message: error instanceof visits.VisitError ? error.message : 'Check-in failed' });
+        }
+      }
+    } catch (error) {
+      console.error('Error starting conversation:', error);
+      socket.emit('error', { message: 'Failed to start conversation: ' + error.message });
+    }
+  });
+
+  // Visitor reconnects (page reload or network drop) and picks up where they left off
+  socket.on('resume-session', async (data) => {
+    try {
+      const { sessionId, callId } = verifySessionToken(data && data.token);
+      const conversation = await repositories.conversations.findBySessionId(sessionId);
+      const call = await repositories.calls.findById(callId);
+      const user = conversation && await repositories.users.findById(conversation.userId);
+      if (!conversation || !call || !user || ['abandoned', 'rejected'].includes(call.status)) {
+        socket.emit('session-expired', { message: 'Your previous session has ended' });
+        return;
+      }
+
+      clearTimeout(visitorGraceTimers.get(sessionId));
+      visitorGraceTimers.delete(sessionId);
+
+      await connectedUsers.set(socket.id, presenceFor(user));
+      socket.join(sessionRoom(sessionId));
+      socket.data.sessionId = sessionId;
+      socket.data.callId = String(call._id);
+      if (Call.QUEUED_STATUSES.includes(call.status)) {
+        await waitingCalls.set(socket.id, call);
+        scheduleQueueUpdate();
+      }
+
+      const staff = call.staffId && ACTIVE_STATUSES.includes(call.status)
+        ? await repositories.users.findById(call.staffId)
+        : null;
+      const chatStaff = conversation.status === 'transferred'
+        ? await repositories.users.findById(conversation.transferredTo)
+        : null;
+
+      const persona = await personaFor(conversation);
+
+      socket.emit('session-resumed', {
+        sessionId,
+        persona: personas.publicPersona(persona),
+        language: describeLanguage(conversation.language),
+        languageSelected: Boolean(conversation.languageSelected),
+        callId: call._id,
+        name: user.name,
+        purpose: call.purpose,
+        callStatus: call.status,
+        staffName: staff ? staff.name : null,
+        chatStaffName: chatStaff ? chatStaff.name : null,
+        messages: conversation.messages
+          .filter(conversations.isChatMessage)
+          .map(({ sender, content, timestamp }) => ({ sender, content, timestamp }))
+      });
+    } catch (error) {
+      socket.emit('session-expired', { message: 'Your previous session has ended' });
+    }
+  });
+
+  // Staff accepts call
+  socket.on('accept-call', async (data) => {
+    try {
+      const { callId } = data;
+      const staffUser = await connectedUsers.get(socket.id);
+      
+      if (!staffUser || staffUser.role !== 'staff') {
+        return;
+      }
+
+      const call = await repositories.calls.findById(callId);
+      if (!call || !Call.QUEUED_STATUSES.includes(call.status)) {
+        return;
+      }
+
+      if (!await callRouter.canAccept(call, staffUser)) {
+        socket.emit('error', { message: `This call is routed to the ${call.department} department` });
+        return;
+      }
+
+      const accepted = await transitionCall(call, 'in-progress', {
+        by: staffUser._id,
+        reason: call.status === 'transferred' ? 'transfer-accepted' : 'accepted',
+        patch: { staffId: staffUser._id }
+      });
+      if (!accepted) {
+        socket.emit('error', { message: 'This call has already been answered' });
+        return;
+      }
+
+      const clientSocketId = await findSocketId(call.clientId);
+
+      socket.join(callRoom(callId));
+
+      if (clientSocketId) {
+        io.to(clientSocketId).emit('call-accepted', {
+          callId,
+          staffName: staffUser.name,
+          staffDepartment: staffUser.department
+        });
+        await waitingCalls.delete(clientSocketId);
+      }
+
+      await callRouter.release(callId);
+      await emitToStaff('call-removed', { callId });
+      socket.emit('call-started', { callId, clientId: call.clientId });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to accept call' });
+    }
+  });
+
+  // Staff declines a queued call: it leaves the queue and the visitor is told
+  socket.on('reject-call', async (data) => {
+    try {
+      const { callId, reason } = data || {};
+      const staffUser = await connectedUsers.get(socket.id);
+
+      if (!staffUser || staffUser.role !== 'staff') {
+        return;
+      }
+
+      const call = await repositories.calls.findById(callId);
+      if (!call || !Call.QUEUED_STATUSES.includes(call.status)) {
+        return;
+      }
+
+      if (!await callRouter.canAccept(call, staffUser)) {
+        socket.emit('error', { message: `This call is routed to the ${call.department} department` });
+        return;
+      }
+
+      const rejected = await transitionCall(call, 'rejected', { by: staffUser._id, reason: reason || 'rejected' });
+      if (!rejected) {
+        socket.emit('error', { message: 'This call has already been answered' });
+        return;
+      }
+
+      const clientSocketId = await findSocketId(call.clientId);
+      if (clientSocketId) {
+        io.to(clientSocketId).emit('call-rejected', {
+          callId,
+          message: 'No staff member is able to take your call right now'
+        });
+        await waitingCalls.delete(clientSocketId);
+      }
+
+      await callRouter.release(callId);
+      await emitToStaff('call-removed', { callId });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to decline call' });
+    }
+  });
+
+  // Visitor (or a reconnecting staff member) joins the call room once media is ready
+  socket.on('join-call', async (data) => {
+    try {
+      const { callId } = data;
+      const user = await connectedUsers.get(socket.id);
+      if (!user || !callId) return;
+
+      const call = await repositories.calls.findById(callId);
+      const participant = call && [call.clientId, call.staffId]
+        .some(id => id && id.toString() === user._id.toString());
+      if (!participant || !ACTIVE_STATUSES.includes(call.status)) {
+        socket.emit('error', { message: 'Unable to join call' });
+        return;
+      }
+
+      socket.join(callRoom(callId));
+      socket.to(callRoom(callId)).emit('peer-joined', { callId, role: user.role });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to join call' });
+    }
+  });
+
+  // Video call signaling, relayed only between members of the call room
+  const inCallRoom = (data) => data && data.callId && socket.rooms.has(callRoom(data.callId));
+
+  socket.on('offer', (data) => {
+    if (!inCallRoom(data)) return;
+    socket.to(callRoom(data.callId)).emit('offer', { callId: data.callId, offer: data.offer, from: socket.id });
+  });
+
+  socket.on('answer', (data) => {
+    if (!inCallRoom(data)) return;
+    socket.to(callRoom(data.callId)).emit('answer', { callId: data.callId, answer: data.answer, from: socket.id });
+  });
+
+  socket.on('ice-candidate', (data) => {
+    if (!inCallRoom(data)) return;
+    socket.to(callRoom(data.callId)).emit('ice-candidate', { callId: data.callId, candidate: data.candidate, from: socket.id });
+  });
+
+  // Either side hangs up: complete the call and tear down the media session for everyone in the room
+  socket.on('end-call', async (data) => {
+    if (!inCallRoom(data)) return;
+    const room = callRoom(data.callId);
+
+    try {
+      const user = await connectedUsers.get(socket.id);
+      const endedBy = user ? user.role : 'unknown';
+      socket.to(room).emit('call-ended', { callId: data.callId, endedBy });
+      io.in(room).socketsLeave(room);
+
+      await finishCall(data.callId, 'completed', { by: user && user._id, reason: `ended-by-${endedBy}` });
+    } catch (error) {
+      console.error('Error ending call:', error);
+    }
+  });
+
+  // Hold, resume and transfer are only available to the staff member on the call
+  const findOwnCall = async (callId) => {
+    const staffUser = await connectedUsers.get(socket.id);
+    if (!staffUser || staffUser.role !== 'staff') {
+      return {};
+    }
+    const call = await repositories.calls.findById(callId);
+    if (!call || !call.staffId || call.staffId.toString() !== staffUser._id.toString()) {
+      socket.emit('error', { message: 'You are not on this call' });
+      return {};
+    }
+    return { staffUser, call };
+  };
+
+  const emitCallError = (error, fallback) => {
+    if (error instanceof InvalidTransitionError) {
+      socket.emit('error', { message: error.message });
+    } else {
+      console.error(`${fallback}:`, error);
+      socket.emit('error', { message: fallback });
+    }
+  };
+
+  socket.on('hold-call', async (data) => {
+    try {
+      const { staffUser, call } = await findOwnCall(data && data.callId);
+      if (!call) return;
+
+      const held = await transitionCall(call, 'on-hold', { by: staffUser._id, reason: data.reason || 'held' });
+      if (held) {
+        io.to(callRoom(call._id)).emit('call-held', { callId: String(call._id), by: staffUser.name });
+      }
+    } catch (error) {
+      emitCallError(error, 'Failed to hold call');
+    }
+  });
+
+  socket.on('resume-call', async (data) => {
+    try {
+      const { staffUser, call } = await findOwnCall(data && data.callId);
+      if (!call) return;
+
+      const resumed = await transitionCall(call, 'in-progress', { by: staffUser._id, reason: 'resumed' });
+      if (resumed) {
+        io.to(callRoom(call._id)).emit('call-resumed', { callId: String(call._id), by: staffUser.name });
+      }
+    } catch (error) {
+      emitCallError(error, 'Failed to resume call');
+    }
+  });
+
+  // Hand the visitor over to another staff member or back to a department queue
+  socket.on('transfer-call', async (data) => {
+    try {
+      const { callId, toStaffId, toDepartment, reason } = data || {};
+      const { staffUser, call } = await findOwnCall(callId);
+      if (!call) return;
+
+      let target = null;
+      let department;
+      if (toStaffId) {
+        target = (await listStaff()).find(({ user }) => user._id.toString() === String(toStaffId));
+        if (!target || target.user._id.toString() === staffUser._id.toString()) {
+          socket.emit('error', { message: 'That staff member is not online' });
+          return;
+        }
+        department = target.user.department;
+      } else if (toDepartment) {
+        department = findDepartment(toDepartment)?.name;
+        if (!department) {
+          socket.emit('error', { message: `Unknown department: ${toDepartment}` });
+          return;
+        }
+      } else {
+        socket.emit('error', { message: 'Choose a staff member or department to transfer to' });
+        return;
+      }
+
+      const transferred = await transitionCall(call, 'transferred', {
+        by: staffUser._id,
+        reason: reason || `to ${target ? target.user.name : department}`,
+        patch: { staffId: null, transferredTo: target ? target.user._id : null, department }
+      });
+      if (!transferred) {
+        socket.emit('error', { message: 'The call changed before it could be transferred' });
+        return;
+      }
+
+      const room = callRoom(callId);
+      io.to(room).emit('call-transferred', {
+        callId,
+        by: staffUser.name,
+        toStaffName: target ? target.user.name : null,
+        department
+      });
+      io.in(room).socketsLeave(room);
+
+      // The visitor is queued again until the new staff member picks up
+      const clientSocketId = await findSocketId(call.clientId);
+      if (clientSocketId) {
+        await waitingCalls.set(clientSocketId, transferred);
+      }
+
+      const client = await repositories.users.findById(call.clientId);
+      await callRouter.route(transferred, {
+        callId: transferred._id,
+        clientName: client ? client.name : 'Visitor',
+        purpose: call.purpose,
+        department,
+        priority: call.priority,
+        timestamp: call.createdAt,
+        transferredBy: staffUser.name
+      }, target ? { staffIds: [target.user._id] } : {});
+    } catch (error) {
+      emitCallError(error, 'Failed to transfer call');
+    }
+  });
+
+  socket.on('disconnecting', () => {
+    // Only visitors' sockets carry a session; the rooms must be read before they are left
+    const isVisitor = Boolean(socket.data.sessionId);
+    socket.rooms.forEach(room => {
+      if (!room.startsWith('call:')) return;
+      const callId = room.slice('call:'.length);
+      // A visitor may come back within the grace period; staff leaving ends the call
+      if (isVisitor) {
+        socket.to(room).emit('peer-disconnected', { callId, graceMs: VISITOR_GRACE_MS });
+      } else {
+        socket.to(room).emit('call-ended', { callId, endedBy: 'disconnect' });
+      }
+    });
+  });
+
+  // Call decision
+  socket.on('call-decision', async (data) => {
+    try {
+      const { callId, decision, notes } = data;
+      const staffUser = await connectedUsers.get(socket.id);
+      
+      if (!staffUser || staffUser.role !== 'staff') {
+        return;
+      }
+
+      const call = await repositories.calls.findById(callId);
+      if (!call || !call.staffId || call.staffId.toString() !== staffUser._id.toString()) {
+        return;
+      }
+
+      // The call is usually already completed by end-call; a decision made mid-call ends it
+      if (ACTIVE_STATUSES.includes(call.status)) {
+        await transitionCall(call, 'completed', { by: staffUser._id, reason: 'decision', patch: { decision, notes } });
+      } else {
+        await repositories.calls.update(call._id, { decision, notes });
+      }
+
+      // Notify client; the email reaches them even if they have already left
+      notifications.callOutcome({ ...call, decision, notes })
+        .catch(error => console.error('Error emailing call outcome:', error));
+      announce('call.decided', { call: webhooks.callData({ ...call, decision, notes }), by: staffUser._id });
+      const clientSocketId = await findSocketId(call.clientId);
+
+      if (clientSocketId) {
+        io.to(clientSocketId).emit('call-completed', { callId, decision, notes });
+      }
+      io.in(callRoom(callId)).socketsLeave(callRoom(callId));
+
+      socket.emit('decision-saved', { callId, decision });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to save decision' });
+    }
+  });
+
+  // Chat messages
+  socket.on('chat-message', async (data) => {
+    const { message, messageType } = data || {};
+    // What the browser's own speech recognition heard is stored as speech
+    await answerVisitor(socket, message, { messageType: messageType === 'speech' ? 'speech' : 'text' });
+  });
+
+  // Server speech recognition: the visitor page streams a recording in chunks
+  socket.on('speech-start', (data) => {
+    if (!socket.data.sessionId) return;
+    try {
+      if (!speechPipeline.stt) {
+        throw new speech.SpeechError('Speech recognition is not enabled on this server', { code: 'not_configured' });
+      }
+      socket.data.recording = new speech.Recording({ mimeType: data && data.mimeType, maxBytes: speechPipeline.maxAudioBytes });
+    } catch (error) {
+      socket.emit('speech-error', { message: speechErrorMessage(error, 'Failed to start recording') });
+    }
+  });
+
+  socket.on('speech-chunk', (chunk) => {
+    const recording = socket.data.recording;
+    if (!recording) return;
+    try {
+      recording.add(chunk);
+    } catch (error) {
+      socket.data.recording = null;
+      socket.emit('speech-error', { message: speechErrorMessage(error, 'Failed to record speech') });
+    }
+  });
+
+  socket.on('speech-end', async () => {
+    const recording = socket.data.recording;
+    socket.data.recording = null;
+    if (!recording || recording.size === 0) return;
+
+    let text;
+    try {
+      text = await transcribeVisitor(socket.data.sessionId, { audio: recording.toBuffer(), mimeType: recording.mimeType });
+    } catch (error) {
+      socket.emit('speech-error', { message: speechErrorMessage(error, 'Speech recognition failed, please try again or type your message') });
+      return;
+    }
+    socket.emit('speech-transcript', { text });
+    if (text) {
+      await answerVisitor(socket, text, { messageType: 'speech' });
+    }
+  });
+
+  // Server speech synthesis: the visitor page asks for each sentence RexBot says
+  socket.on('synthesize-speech', async (data) => {
+    const { id, text } = data || {};
+    const input = typeof text === 'string' ? text.trim() : '';
+    if (!socket.data.sessionId || !input) return;
+    try {
+      if (!speechPipeline.tts) {
+        throw new speech.SpeechError('Speech synthesis is not enabled on this server', { code: 'not_configured' });
+      }
+      if (input.length > MAX_SPEECH_TEXT) {
+        throw new speech.SpeechError(`Speech text can be at most ${MAX_SPEECH_TEXT} characters`, { code: 'bad_request' });
+      }
+      const conversation = await repositories.conversations.findBySessionId(socket.data.sessionId);
+      const { audio, mimeType } = await speechPipeline.tts.synthesize({
+        text: input,
+        language: conversation && conversation.language
+      });
+      socket.emit('speech-audio', { id, audio, mimeType });
+    } catch (error) {
+      socket.emit('speech-error', { id, message: speechErrorMessage(error, 'Speech synthesis failed') });
+    }
+  });
+
+  // Visitor picks a language on the kiosk, or 'auto' to go back to detection
+  socket.on('set-language', async (data) => {
+    try {
+      const sessionId = socket.data.sessionId;
+      const requested = data && data.language;
+      const language = requested === 'auto' ? null : languages.findLanguage(requested);
+      if (!sessionId) return;
+      if (requested !== 'auto' && !language) {
+        socket.emit('error', { message: 'Unsupported language' });
+        return;
+      }
+
+      const conversation = await repositories.conversations.findBySessionId(sessionId);
+      if (!conversation) return;
+      const updated = await repositories.conversations.update(conversation._id, language
+        ? { language: language.code, languageSelected: true }
+        : { languageSelected: false });
+      socket.emit('visitor-language', { language: describeLanguage(updated.language), auto: !language });
+    } catch (error) {
+      console.error('Error changing language:', error);
+      socket.emit('error', { message: 'Failed to change language' });
+    }
+  });
+
+  const emitConversationError = (error, fallback) => {
+    if (error instanceof conversations.ConversationError) {
+      socket.emit('error', { message: error.message });
+    } else {
+      console.error(`${fallback}:`, error);
+      socket.emit('error', { message: fallback });
+    }
+  };
+
+  // Staff open a conversation and follow the transcript as it grows
+  socket.on('watch-conversation', async (data) => {
+    try {
+      const sessionId = data && data.sessionId;
+      // Join first so no message falls between the transcript and the live updates
+      socket.join(conversationRoom(sessionId));
+      socket.emit('conversation-transcript', await conversations.transcript(sessionId));
+    } catch (error) {
+      socket.leave(conversationRoom(data && data.sessionId));
+      emitConversationError(error, 'Failed to open conversation');
+    }
+  });
+
+  socket.on('unwatch-conversation', (data) => {
+    socket.leave(conversationRoom(data && data.sessionId));
+  });
+
+  // Staff take over from RexBot; the AI stays quiet until the conversation is handed back
+  socket.on('take-over-conversation', async (data) => {
+    try {
+      const staffUser = await connectedUsers.get(socket.id);
+      const sessionId = data && data.sessionId;
+      if (!staffUser) return;
+
+      await conversations.takeOver(sessionId, staffUser);
+      socket.join(conversationRoom(sessionId));
+      emitToSession(sessionId, 'staff-joined-chat', { staffName: staffUser.name });
+    } catch (error) {
+      emitConversationError(error, 'Failed to take over conversation');
+    }
+  });
+
+  socket.on('staff-message', async (data) => {
+    try {
+      const staffUser = await connectedUsers.get(socket.id);
+      const { sessionId, message } = data || {};
+      const content = typeof message === 'string' ? message.trim() : '';
+      if (!staffUser || !content) return;
+
+      const conversation = await repositories.conversations.findBySessionId(sessionId);
+      if (!conversation || conversation.status !== 'transferred' ||
+          String(conversation.transferredTo) !== staffUser._id.toString()) {
+        socket.emit('error', { message: 'Take over the conversation before replying' });
+        return;
+      }
+
+      const updated = await conversations.appendMessage(sessionId, {
+        sender: 'staff',
+        content,
+        messageType: 'text'
+      });
+      const saved = updated.messages[updated.messages.length - 1];
+      emitToSession(sessionId, 'staff-message', {
+        content: saved.content,
+        staffName: staffUser.name,
+        timestamp: saved.timestamp
+      });
+    } catch (error) {
+      emitConversationError(error, 'Failed to send message');
+    }
+  });
+
+  socket.on('hand-back-conversation', async (data) => {
+    try {
+      const staffUser = await connectedUsers.get(socket.id);
+      const sessionId = data && data.sessionId;
+      if (!staffUser) return;
+
+      await conversations.handBack(sessionId, staffUser);
+      emitToSession(sessionId, 'staff-left-chat', { staffName: staffUser.name });
+    } catch (error) {
+      emitConversationError(error, 'Failed to hand back conversation');
+    }
+  });
+
+  // Visitor confirms or declines a proposed appointment
+  socket.on('appointment-confirm', async (data) => {
+    try {
+      const user = await connectedUsers.get(socket.id);
+      if (!user) return;
+
+      const result = await confirmVisitorAppointment(data.appointmentId, user);
+      if (result.error) {
+        socket.emit('appointment-error', {
+          message: result.error,
+          alternatives: result.alternatives || []
+        });
+      }
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to confirm appointment' });
+    }
+  });
+
+  socket.on('appointment-decline', async (data) => {
+    try {
+      const user = await connectedUsers.get(socket.id);
+      if (!user) return;
+
+      const result = await scheduling.declineAppointment(data.appointmentId, user._id);
+      if (!result.error) {
+        socket.emit('appointment-declined', formatAppointment(result.appointment));
+      }
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to decline appointment' });
+    }
+  });
+
+  // Disconnect
+  socket.on('disconnect', async () => {
+    try {
+      const user = await connectedUsers.get(socket.id);
+      if (user) {
+        if (user.role === 'staff') {
+          await repositories.users.update(user._id, {
+            isAvailable: false,
+            lastActive: new Date()
+          });
+        }
+        await connectedUsers.delete(socket.id);
+
+        // Calls a staff member was on end with them, and RexBot picks up their chats
+        if (user.role === 'staff') {
+          scheduleQueueUpdate();
+          const released = await conversations.handBackAll(user);
+          released.forEach(({ sessionId }) => emitToSession(sessionId, 'staff-left-chat', { staffName: user.name }));
+          const activeCalls = await repositories.calls.find({ staffId: user._id, status: { $in: ACTIVE_STATUSES } });
+          for (const active of activeCalls) {
+            await finishCall(active._id, 'completed', { by: user._id, reason: 'staff-disconnected' });
+          }
+        }
+      }
+
+      // A visitor keeps their place until the grace period runs out
+      await waitingCalls.delete(socket.id);
+      if (socket.data.sessionId && socket.data.callId && !await isSessionConnected(socket.data.sessionId)) {
+        startGracePeriod(socket.data.sessionId, socket.data.callId);
+      }
+    } catch (error) {
+      console.error('Error handling disconnect:', error);
+    }
+
+    console.log('User disconnected:', socket.id);
+  });
+});
+
+// API Routes
+
+// Authentication routes
+// Staff self-registration; the account must be approved by an admin before it can sign in
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { name, email, password, department } = req.body;
+    const user = await accounts.register({ name, email, password, department });
+
+    res.status(201).json({
+      message: 'Registration received. An administrator will approve your account.',
+      user: accounts.publicUser(user)
+    });
+  } catch (error) {
+    if (error instanceof accounts.AccountError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await repositories.users.findByEmail(email);
+    
+    if (!user || !await bcrypt.compare(password, user.password)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const blocked = accounts.loginBlockedReason(user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const token = issueToken(user);
+
+    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role, department: user.department } });
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange a still-valid token for a fresh one
+app.post('/api/auth/refresh', authenticateToken, (req, res) => {
+  res.json({ token: issueToken(req.user) });
+});
+
+// Invitation and password-reset links
+app.get('/api/auth/setup/:token', async (req, res) => {
+  try {
+    const user = await accounts.findBySetupToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+    res.json({ name: user.name, email: user.email, invited: user.status === 'invited' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load account setup' });
+  }
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const user = await accounts.completeSetup(req.body.token, req.body.password);
+    res.json({ user: accounts.publicUser(user) });
+  } catch (error) {
+    if (error instanceof accounts.AccountError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+// Admin: staff management
+// Built from APP_URL, never the request's Host header, which the client controls
+const setupUrl = (token) => `${APP_URL}/register?token=${token}`;
+
+const sendAccountError = (res, error, fallback) => {
+  if (error instanceof accounts.AccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const filter = { role: { $in: ['staff', 'admin'] } };
+    if (req.query.status) filter.status = req.query.status;
+    const users = await repositories.users.find(filter, { sort: { createdAt: -1 } });
+    res.json(users.map(accounts.publicUser));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/admin/invitations', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, email, department, role } = req.body;
+    const { user, token } = await accounts.invite({ name, email, department, role });
+    const inviteUrl = setupUrl(token);
+    const invitation = await notifications.staffInvite(user, inviteUrl);
+    res.status(201).json({ user: accounts.publicUser(user), inviteUrl, emailStatus: invitation.status });
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to invite user');
+  }
+});
+
+['approve', 'disable', 'enable'].forEach(action => {
+  app.post(`/api/admin/users/:id/${action}`, authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const user = await accounts.changeStatus(req.params.id, action, req.user);
+      if (user.status === 'disabled') {
+        await disconnectUser(user._id);
+      }
+      res.json(accounts.publicUser(user));
+    } catch (error) {
+      sendAccountError(res, error, `Failed to ${action} user`);
+    }
+  });
+});
+
+app.patch('/api/admin/users/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await accounts.changeDepartment(req.params.id, req.body.department);
+    await refreshConnectedUser(user);
+    res.json(accounts.publicUser(user));
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to update user');
+  }
+});
+
+app.post('/api/admin/users/:id/reset-password', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { user, token } = await accounts.resetPassword(req.params.id);
+    await disconnectUser(user._id);
+    res.json({ user: accounts.publicUser(user), resetUrl: setupUrl(token) });
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to reset password');
+  }
+});
+
+// Outgoing email and its delivery status, newest first (?status=queued|sent|failed|skipped&page=&limit=)
+app.get('/api/admin/emails', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = req.query.status ? { status: String(req.query.status) } : {};
+    const [emails, total] = await Promise.all([
+      repositories.emails.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+      repositories.emails.count(filter)
+    ]);
+    res.json({ emails: emails.map(publicEmail), page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+});
+
+app.post('/api/admin/emails/:id/retry', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const message = await mailQueue.retry(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'No failed email with that id' });
+    }
+    res.json(publicEmail(message));
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
+// Outgoing webhooks: admins subscribe URLs to call and conversation events
+const sendWebhookError = (res, error, fallback) => {
+  if (error instanceof webhooks.WebhookError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+app.get('/api/admin/webhooks', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ webhooks: await webhooks.listWebhooks(), events: webhooks.EVENTS });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+// The response carries the signing secret; it is not shown again
+app.post('/api/admin/webhooks', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await webhooks.createWebhook(req.body || {}, { by: req.user }));
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to create webhook');
+  }
+});
+
+// { name, url, events, active, rotateSecret }
+app.patch('/api/admin/webhooks/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await webhooks.updateWebhook(req.params.id, req.body || {}));
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to update webhook');
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    await webhooks.deleteWebhook(req.params.id);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// A webhook's delivery log, newest first (?status=queued|delivered|failed&page=&limit=)
+app.get('/api/admin/webhooks/:id/deliveries', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await webhooks.listDeliveries(req.params.id, req.query));
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch deliveries');
+  }
+});
+
+// Send a logged delivery's payload again
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await webhookDispatcher.redeliver(req.params.id));
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to redeliver');
+  }
+});
+
+// API keys for machine clients of /api/v1; each acts with the staff or admin role
+const sendApiKeyError = (res, error, fallback) => {
+  if (error instanceof apiKeys.ApiKeyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+app.get('/api/admin/api-keys', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await apiKeys.listKeys());
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// The response carries the key itself; it is not shown again
+app.post('/api/admin/api-keys', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await apiKeys.createKey(req.body || {}, { by: req.user }));
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await apiKeys.revokeKey(req.params.id));
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// Knowledge base: admins upload Markdown or text documents that ground RexBot's answers
+const sendKnowledgeError = (res, error, fallback) => {
+  if (error instanceof knowledge.KnowledgeError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const knowledgeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: knowledge.MAX_UPLOAD_BYTES, files: 1 }
+}).single('file');
+
+const receiveKnowledgeFile = (req, res, next) => {
+  knowledgeUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Files can be at most ${Math.round(knowledge.MAX_UPLOAD_BYTES / 1024)} KB`
+      : error.message;
+    res.status(400).json({ error: message });
+  });
+};
+
+app.get('/api/knowledge', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await knowledge.listDocuments());
+  } catch (error) {
+    sendKnowledgeError(res, error, 'Failed to fetch documents');
+  }
+});
+
+app.post('/api/knowledge', authenticateToken, requireRole('admin'), receiveKnowledgeFile, async (req, res) => {
+  try {
+    const document = await knowledge.addDocument(req.file, { title: req.body.title, uploadedBy: req.user });
+    res.status(201).json(document);
+  } catch (error) {
+    sendKnowledgeError(res, error, 'Failed to upload document');
+  }
+});
+
+// The passages RexBot would be given for a question (q), to check what a document answers
+app.get('/api/knowledge/search', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await knowledge.search(req.query.q));
+  } catch (error) {
+    sendKnowledgeError(res, error, 'Failed to search documents');
+  }
+});
+
+app.delete('/api/knowledge/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await knowledge.removeDocument(req.params.id));
+  } catch (error) {
+    sendKnowledgeError(res, error, 'Failed to delete document');
+  }
+});
+
+// Personas: the name, prompts, fallback replies and voice RexBot uses, per kiosk or department
+const sendPersonaError = (res, error, fallback) => {
+  if (error instanceof personas.PersonaError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Server speech pipeline; visitors use the session token from conversation-started
+const authenticateSession = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  try {
+    req.visitorSession = verifySessionToken(authHeader && authHeader.split(' ')[1]);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Session expired' });
+  }
+};
+
+const speechUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: speechPipeline.maxAudioBytes, files: 1 }
+}).single('audio');
+
+const receiveSpeechFile = (req, res, next) => {
+  speechUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Recordings can be at most ${Math.round(speechPipeline.maxAudioBytes / 1024)} KB`
+      : error.message;
+    res.status(400).json({ error: message });
+  });
+};
+
+// Which parts of the pipeline are on; the visitor page uses the browser's speech APIs otherwise (public)
+app.get('/api/speech', (req, res) => {
+  res.json({
+    recognition: Boolean(speechPipeline.stt),
+    synthesis: Boolean(speechPipeline.tts),
+    maxAudioBytes: speechPipeline.maxAudioBytes,
+    formats: Object.keys(speech.AUDIO_TYPES)
+  });
+});
+
+// An audio file (multipart `audio`) is transcribed and sent as the visitor's next
+// message; RexBot's answer streams to their open visitor page
+app.post('/api/speech/messages', authenticateSession, receiveSpeechFile, async (req, res) => {
+  try {
+    const { sessionId } = req.visitorSession;
+    const notConnected = () => res.status(409).json({ error: 'Open the conversation on the visitor page first' });
+    if (!await isSessionConnected(sessionId)) {
+      return notConnected();
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'An audio file is required' });
+    }
+    const mimeType = speech.normalizeMimeType(req.file.mimetype);
+    if (!mimeType) {
+      return res.status(400).json({ error: `Unsupported audio format. Use one of: ${Object.keys(speech.AUDIO_TYPES).join(', ')}` });
+    }
+
+    const text = await transcribeVisitor(sessionId, { audio: req.file.buffer, mimeType });
+    if (!text) {
+      return res.status(422).json({ error: 'No speech was recognised in the recording' });
+    }
+    // The visitor's socket may be on another instance; that instance answers
+    if (!await visitorSpeech.send(sessionRoom(sessionId), text)) {
+      return notConnected();
+    }
+    res.status(202).json({ text });
+  } catch (error) {
+    const status = error instanceof speech.SpeechError && SPEECH_ERROR_STATUS[error.code];
+    res.status(status || 502).json({ error: speechErrorMessage(error, 'Speech recognition failed') });
+  }
+});
+
+// Visitor check-in: kiosks check visitors in (public); staff see who is on site
+const sendVisitError = (res, error, fallback) => {
+  if (error instanceof visits.VisitError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// People a visitor can choose to see (public)
+app.get('/api/visits/hosts', async (req, res) => {
+  try {
+    res.json(await visits.listHosts());
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to fetch hosts');
+  }
+});
+
+app.post('/api/visits', async (req, res) => {
+  try {
+    const { name, email, company, purpose, hostId, kiosk } = req.body || {};
+    const visit = await visits.checkIn({ name, email, company, purpose, hostId, kiosk: personas.normalizeKiosk(kiosk) });
+    res.status(201).json({ visit, badgeUrl: badgeUrl(visit) });
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to check in');
+  }
+});
+
+// The badge page's contents and QR code; the badge token is the only credential (public)
+app.get('/api/visits/badge/:token', async (req, res) => {
+  try {
+    res.json(await visits.badge(req.params.token, { url: `${APP_URL}/badge/${encodeURIComponent(req.params.token)}` }));
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to fetch badge');
+  }
+});
+
+app.post('/api/visits/badge/:token/check-out', async (req, res) => {
+  try {
+    res.json({ visit: await visits.checkOutByBadge(req.params.token) });
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to check out');
+  }
+});
+
+// ?status=checked-in|checked-out&date=YYYY-MM-DD&hostId=; everyone on site by default
+app.get('/api/visits', authenticateToken, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { status, date, hostId } = req.query;
+    res.json(await visits.listVisits({ status, date, hostId }));
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to fetch visits');
+  }
+});
+
+app.post('/api/visits/:id/check-out', authenticateToken, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    res.json({ visit: await visits.checkOutById(req.params.id, { by: req.user }) });
+  } catch (error) {
+    sendVisitError(res, error, 'Failed to check out');
+  }
+});
+
+// Languages offered on the visitor page (public)
+app.get('/api/languages', (req, res) => {
+  res.json(languages.listLanguages());
+});
+
+// What the visitor kiosk shows before a conversation starts (kiosk is the ?kiosk= id of the page)
+app.get('/api/persona', async (req, res) => {
+  try {
+    res.json(personas.publicPersona(await personas.resolvePersona({ kiosk: req.query.kiosk })));
+  } catch (error) {
+    sendPersonaError(res, error, 'Failed to fetch persona');
+  }
+});
+
+app.get('/api/personas', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ personas: await personas.listPersonas(), defaults: personas.DEFAULT_PERSONA });
+  } catch (error) {
+    sendPersonaError(res, error, 'Failed to fetch personas');
+  }
+});
+
+app.post('/api/personas', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await personas.createPersona(req.body, { updatedBy: req.user }));
+  } catch (error) {
+    sendPersonaError(res, error, 'Failed to create persona');
+  }
+});
+
+app.patch('/api/personas/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await personas.updatePersona(req.params.id, req.body, { updatedBy: req.user }));
+  } catch (error) {
+    sendPersonaError(res, error, 'Failed to update persona');
+  }
+});
+
+app.delete('/api/personas/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await personas.deletePersona(req.params.id));
+  } catch (error) {
+    sendPersonaError(res, error, 'Failed to delete persona');
+  }
+});
+
+// Protected routes
+app.get('/api/calls/waiting', authenticateToken, async (req, res) => {
+  try {
+    const calls = await repositories.calls.find({ status: { $in: Call.QUEUED_STATUSES } }, {
+      populate: { path: 'clientId', select: 'name email' },
+      sort: { priority: -1, createdAt: 1 }
+    });
+    res.json(calls);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch waiting calls' });
+  }
+});
+
+app.get('/api/calls/my-calls', authenticateToken, async (req, res) => {
+  try {
+    const calls = await repositories.calls.find({ staffId: req.user._id }, {
+      populate: { path: 'clientId', select: 'name email' },
+      sort: { createdAt: -1 }
+    });
+    res.json(calls);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch calls' });
+  }
+});
+
+// Conversation history: filters are from, to, status, email and purpose; pages via page and limit
+const sendConversationError = (res, error, fallback) => {
+  if (error instanceof conversations.ConversationError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+app.get('/api/conversations', authenticateToken, requireRole('staff'), async (req, res) => {
+  try {
+    res.json(await conversations.listHistory(req.query));
+  } catch (error) {
+    sendConversationError(res, error, 'Failed to fetch conversations');
+  }
+});
+
+// Conversations still running, for the staff dashboard's live list
+app.get('/api/conversations/live', authenticateToken, requireRole('staff'), async (req, res) => {
+  try {
+    res.json(await conversations.listLive());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Full-text search across messages (q), with the same filters and paging as the history
+app.get('/api/conversations/search', authenticateToken, requireRole('staff'), async (req, res) => {
+  try {
+    res.json(await conversations.search(req.query));
+  } catch (error) {
+    sendConversationError(res, error, 'Failed to search conversations');
+  }
+});
+
+// Transcript exports (format = json, csv, txt or pdf) carry the call's staff, decision, notes and duration
+const sendExport = (res, { filename, contentType, body }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(body);
+};
+
+app.get('/api/conversations/export', authenticateToken, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    sendExport(res, await transcriptExport.exportRange(req.query));
+  } catch (error) {
+    sendConversationError(res, error, 'Failed to export conversations');
+  }
+});
+
+app.get('/api/conversations/:sessionId/export', authenticateToken, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    sendExport(res, await transcriptExport.exportConversation(req.params.sessionId, req.query.format));
+  } catch (error) {
+    sendConversationError(res, error, 'Failed to export conversation');
+  }
+});
+
+app.get('/api/conversations/:sessionId', authenticateToken, requireRole('staff'), async (req, res) => {
+  try {
+    res.json(await conversations.transcript(req.params.sessionId));
+  } catch (error) {
+    sendConversationError(res, error, 'Failed to fetch conversation');
+  }
+});
+
+// Call and conversation metrics for a date range (from, to; the last 30 days by default)
+app.get('/api/analytics', authenticateToken, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    res.json(await analytics.report(req.query));
+  } catch (error) {
+    if (error instanceof analytics.AnalyticsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Failed to build analytics:', error);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+});
+
+app.get('/api/appointments', authenticateToken, async (req, res) => {
+  try {
+    const { from, to, department } = req.query;
+    const filter = {
+      status: { $in: ['proposed', 'confirmed'] },
+      startTime: { $gte: from ? new Date(from) : new Date() }
+    };
+    if (to) filter.startTime.$lte = new Date(to);
+    if (department) filter.department = department;
+
+    const appointments = await repositories.appointments.find(filter, {
+      populate: { path: 'staffId', select: 'name department' },
+      sort: { startTime: 1 }
+    });
+    res.json(appointments);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch appointments' });
+  }
+});
+
 app.get('/api/staff/available', async (req, res) => {
   try {
-    const staff = await User.find({ role: 'staff', isAvailable: true })
-      .select('name department lastActive');
-    res.json(staff);
+    res.json(await accounts.availableStaff({ department: req.query.department }));
   } catch (error) {
+    if (error instanceof accounts.AccountError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to fetch available staff' });
   }
 });
 
+app.get('/api/departments', (req, res) => {
+  res.json(departmentNames());
+});
+
+// Admin interface route
+app.get('/admin', (req, res) => {
+  res.sendFile(__dirname + '/public/admin.html');
+});
+
 // Staff interface route
 app.get('/staff', (req, res) => {
   res.sendFile(__dirname + '/public/staff.html');
 });
 
+// Analytics dashboard route
+app.get('/analytics', (req, res) => {
+  res.sendFile(__dirname + '/public/analytics.html');
+});
+
+// Printable visitor badge, opened from the kiosk or by scanning the badge's QR code
+app.get('/badge/:token', (req, res) => {
+  res.sendFile(__dirname + '/public/badge.html');
+});
+
 // Staff registration route
 app.get('/register', (req, res) => {
   res.sendFile(__dirname + '/public/register.html');
 });
 
+// Versioned REST API for integrations; its OpenAPI document is at /api/v1/openapi.json
+app.use('/api/v1', apiV1.createApiV1({
+  serverUrl: `${APP_URL}/api/v1`,
+  hooks: {
+    isOnline: async (userId) => Boolean(await findSocketId(userId)),
+    userChanged: refreshConnectedUser,
+    userDisabled: disconnectUser
+  }
+}));
+// Requests that fail before reaching the router (e.g. malformed JSON) get the same error shape
+app.use('/api/v1', apiV1.handleErrors);
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    service: 'RexBot AI Reception System',
-    connectedUsers: connectedUsers.size,
-    waitingCalls: waitingCalls.size
-  });
+app.get('/api/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      service: 'RexBot AI Reception System',
+      storage: repositories.backend,
+      realtime: realtime.name,
+      connectedUsers: await connectedUsers.size(),
+      waitingCalls: await waitingCalls.size()
+    });
+  } catch (error) {
+    console.error('Error checking health:', error);
+    res.status(503).json({ status: 'UNAVAILABLE', error: 'Shared state is unreachable' });
+  }
 });
 
-// Start server
-server.listen(PORT, () => {
+// Start server once the shared state is reachable, so sockets never use a local-only adapter
+async function start() {
+  const startedAt = new Date();
+  const orphanCheck = setTimeout(() => {
+    abandonOrphanedCalls(startedAt).catch(error => console.error('Error abandoning orphaned calls:', error));
+  }, VISITOR_GRACE_MS);
+  orphanCheck.unref();
+
+  await realtime.connect();
+  io.adapter(realtime.adapter());
+  await knowledge.shareInvalidation(realtime);
+  await personas.shareInvalidation(realtime);
+  visitorSpeech = await createSocketRelay({
+    realtime,
+    io,
+    channel: 'visitor-speech',
+    handler: (socket, text) => {
+      socket.emit('speech-transcript', { text });
+      answerVisitor(socket, text, { messageType: 'speech' });
+    }
+  });
+  server.listen(PORT, onListening);
+}
+
+function onListening() {
   console.log(`🚀 RexBot AI Reception System running on port ${PORT}`);
   console.log(`📱 Client Interface: http://localhost:${PORT}`);
   console.log(`👥 Staff Interface: http://localhost:${PORT}/staff`);
+  console.log(`🛡️  Admin Interface: http://localhost:${PORT}/admin`);
   console.log(`🔧 API health check: http://localhost:${PORT}/api/health`);
+  console.log(`📘 REST API: http://localhost:${PORT}/api/v1 (OpenAPI document at /api/v1/openapi.json)`);
   
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-  if (GEMINI_API_KEY && GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-    console.log(`🤖 Full AI mode enabled with Gemini API`);
+  if (llm.isConfigured()) {
+    console.log(`🤖 Full AI mode enabled with ${llm.name} provider (${llm.model})`);
   } else {
-    console.log(`⚠️  Note: Running in demo mode. Set GEMINI_API_KEY in .env for full AI functionality.`);
+    console.log(`⚠️  Note: Running in demo mode. Configure LLM_PROVIDER and its credentials in .env for full AI functionality.`);
+  }
+  if (speechPipeline.stt || speechPipeline.tts) {
+    const engine = (name) => (speechPipeline[name] ? speechPipeline[name].name : 'browser');
+    console.log(`🎙️  Server speech enabled: recognition via ${engine('stt')}, synthesis via ${engine('tts')}`);
   }
+  mailQueue.start();
+  notifications.startReminders();
+  webhookDispatcher.start();
+  callRouter.start();
+  if (mailQueue.transport) {
+    console.log(`📧 Email notifications are sent via ${mailQueue.transport.name}`);
+  }
+  if (realtime.name !== 'memory') {
+    console.log(`🔗 Presence, call queue and Socket.IO events are shared via ${realtime.name}`);
+  }
+}
+
+start().catch(error => {
+  console.error('Failed to start:', error);
+  process.exit(1);
 });
 
 module.exports = app;
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const repositories = require('../repositories');
+const { findDepartment } = require('./departments');
+
+const SETUP_TOKEN_HOURS = parseInt(process.env.SETUP_TOKEN_HOURS) || 72;
+const MIN_PASSWORD_LENGTH = 6;
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+const hashPassword = (password) => bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomPassword = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * The fields of a user that are safe to send to the browser
+ */
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  status: user.status || 'active',
+  isAvailable: user.isAvailable,
+  lastActive: user.lastActive,
+  createdAt: user.createdAt
+});
+
+/**
+ * Why a user may not sign in, or null when they can
+ */
+function loginBlockedReason(user) {
+  switch (user.status) {
+    case 'pending': return 'Your account is awaiting approval by an administrator';
+    case 'invited': return 'Please finish setting up your account from your invitation link';
+    case 'disabled': return 'Your account has been disabled';
+    default: return null;
+  }
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+}
+
+function validateDepartment(department) {
+  const match = findDepartment(department);
+  if (!match) {
+    throw new AccountError('Please choose a valid department');
+  }
+  return match.name;
+}
+
+async function ensureNewEmail(email) {
+  if (!email) {
+    throw new AccountError('Email is required');
+  }
+  if (await repositories.users.findByEmail(email)) {
+    throw new AccountError('Email already registered');
+  }
+}
+
+async function loadStaffAccount(userId) {
+  const user = await repositories.users.findById(userId);
+  if (!user || user.role === 'client') {
+    throw new AccountError('User not found', 404);
+  }
+  return user;
+}
+
+/**
+ * Store a fresh one-time setup token on the user; the plain token is only returned here
+ */
+async function issueSetupToken(userId, patch = {}) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const user = await repositories.users.update(userId, {
+    ...patch,
+    setupTokenHash: hashToken(token),
+    setupTokenExpires: new Date(Date.now() + SETUP_TOKEN_HOURS * 60 * 60 * 1000)
+  });
+  return { user, token };
+}
+
+/**
+ * Public self-registration. The account stays pending until an admin approves it.
+ */
+async function register({ name, email, password, department }) {
+  if (!name) {
+    throw new AccountError('Name is required');
+  }
+  validatePassword(password);
+  const departmentName = validateDepartment(department);
+  await ensureNewEmail(email);
+
+  return repositories.users.create({
+    name,
+    email,
+    password: await hashPassword(password),
+    role: 'staff',
+    status: 'pending',
+    department: departmentName,
+    isAvailable: false
+  });
+}
+
+/**
+ * Admin invitation: the invitee picks their own password through the setup link
+ */
+async function invite({ name, email, department, role = 'staff' }) {
+  if (!name) {
+    throw new AccountError('Name is required');
+  }
+  if (!['staff', 'admin'].includes(role)) {
+    throw new AccountError('Role must be staff or admin');
+  }
+  const departmentName = (department || role === 'staff') ? validateDepartment(department) : undefined;
+  await ensureNewEmail(email);
+
+  const user = await repositories.users.create({
+    name,
+    email,
+    password: await hashPassword(randomPassword()),
+    role,
+    status: 'invited',
+    department: departmentName,
+    isAvailable: false
+  });
+  return issueSetupToken(user._id);
+}
+
+async function findBySetupToken(token) {
+  if (!token) {
+    return null;
+  }
+  return repositories.users.findOne({
+    setupTokenHash: hashToken(String(token)),
+    setupTokenExpires: { $gt: new Date() }
+  });
+}
+
+/**
+ * Set the password from an invitation or reset link; an invitation also activates the account
+ */
+async function completeSetup(token, password) {
+  const user = await findBySetupToken(token);
+  if (!user) {
+    throw new AccountError('This link is invalid or has expired', 404);
+  }
+  validatePassword(password);
+
+  return repositories.users.update(user._id, {
+    password: await hashPassword(password),
+    passwordChangedAt: new Date(),
+    status: user.status === 'invited' ? 'active' : user.status,
+    setupTokenHash: null,
+    setupTokenExpires: null
+  });
+}
+
+/**
+ * Invalidate the current password and the user's tokens, and issue a reset link
+ */
+async function resetPassword(userId) {
+  const user = await loadStaffAccount(userId);
+  return issueSetupToken(user._id, { password: await hashPassword(randomPassword()), passwordChangedAt: new Date() });
+}
+
+// Which account statuses each admin action may start from
+const STATUS_ACTIONS = {
+  approve: { from: ['pending'], to: 'active' },
+  disable: { from: ['invited', 'pending', 'active'], to: 'disabled' },
+  enable: { from: ['disabled'], to: 'active' }
+};
+
+async function changeStatus(userId, action, actingUser) {
+  const { from, to } = STATUS_ACTIONS[action];
+  const user = await loadStaffAccount(userId);
+  const current = user.status || 'active';
+  if (!from.includes(current)) {
+    throw new AccountError(`Cannot ${action} an account that is ${current}`, 409);
+  }
+  if (actingUser && user._id.toString() === actingUser._id.toString()) {
+    throw new AccountError('You cannot change the status of your own account', 409);
+  }
+
+  const patch = { status: to };
+  if (to === 'disabled') {
+    patch.isAvailable = false;
+  }
+  return repositories.users.update(user._id, patch);
+}
+
+async function changeDepartment(userId, department) {
+  const user = await loadStaffAccount(userId);
+  return repositories.users.update(user._id, { department: validateDepartment(department) });
+}
+
+/**
+ * Staff members who are currently taking calls, optionally in one department
+ */
+async function availableStaff({ department } = {}) {
+  const filter = { role: 'staff', isAvailable: true };
+  if (department) {
+    filter.department = validateDepartment(department);
+  }
+  return repositories.users.find(filter, { select: 'name department lastActive', sort: { name: 1 } });
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no admin exists yet
+ */
+async function ensureAdmin(env = process.env) {
+  if (!env.ADMIN_EMAIL || !env.ADMIN_PASSWORD) {
+    return null;
+  }
+  if (await repositories.users.count({ role: 'admin' }) > 0) {
+    return null;
+  }
+  if (await repositories.users.findByEmail(env.ADMIN_EMAIL)) {
+    console.warn(`⚠️  ADMIN_EMAIL ${env.ADMIN_EMAIL} belongs to an existing non-admin account; no admin created`);
+    return null;
+  }
+
+  const admin = await repositories.users.create({
+    name: env.ADMIN_NAME || 'Administrator',
+    email: env.ADMIN_EMAIL,
+    password: await hashPassword(env.ADMIN_PASSWORD),
+    role: 'admin',
+    status: 'active',
+    isAvailable: false
+  });
+  console.log(`👤 Created admin account ${admin.email}`);
+  return admin;
+}
+
+module.exports = {
+  AccountError,
+  publicUser,
+  loginBlockedReason,
+  register,
+  invite,
+  findBySetupToken,
+  completeSetup,
+  resetPassword,
+  changeStatus,
+  changeDepartment,
+  availableStaff,
+  ensureAdmin
+};
@@ -0,0 +1,228 @@
+const repositories = require('../repositories');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_PURPOSES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hours and days are bucketed in this zone (the server's own unless configured)
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.status = status;
+  }
+}
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AnalyticsError(`Invalid ${name} date`);
+  }
+  // A bare date as the upper bound covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Reporting window from the query; the last 30 days by default
+ */
+function parseRange({ from, to } = {}) {
+  const end = to ? parseDate(to, 'to', { endOfDay: true }) : new Date();
+  const start = from ? parseDate(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start > end) {
+    throw new AnalyticsError('from must be before to');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AnalyticsError(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+}
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const isStatus = (status) => ({ $eq: ['$status', status] });
+const isDecision = (decision) => ({ $eq: ['$decision', decision] });
+const wasAnswered = { $ifNull: ['$startTime', false] };
+
+// Accept/reject counts and handle time, shared by the per-staff and per-department breakdowns
+const DECISION_FIELDS = {
+  calls: { $sum: 1 },
+  accepted: countWhere(isDecision('accepted')),
+  rejected: countWhere(isDecision('rejected')),
+  abandoned: countWhere(isStatus('abandoned')),
+  handleSeconds: { $avg: { $cond: [isStatus('completed'), '$duration', null] } }
+};
+
+const round = (value, digits = 0) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+const ratio = (part, whole) => (whole ? round(part / whole, 3) : null);
+
+const decisionStats = ({ calls, accepted, rejected, abandoned, handleSeconds }) => ({
+  calls,
+  accepted,
+  rejected,
+  abandoned,
+  acceptRate: ratio(accepted, accepted + rejected),
+  averageHandleSeconds: round(handleSeconds)
+});
+
+async function callTotals(match) {
+  const [totals] = await repositories.calls.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        answered: countWhere(wasAnswered),
+        completed: countWhere(isStatus('completed')),
+        abandoned: countWhere(isStatus('abandoned')),
+        rejected: countWhere(isStatus('rejected')),
+        accepted: countWhere(isDecision('accepted')),
+        declined: countWhere(isDecision('rejected')),
+        // Wait runs from the visitor joining the queue until a staff member answered
+        waitSeconds: { $avg: { $cond: [wasAnswered, { $divide: [{ $subtract: ['$startTime', '$createdAt'] }, 1000] }, null] } },
+        handleSeconds: { $avg: { $cond: [isStatus('completed'), '$duration', null] } },
+        holdSeconds: { $avg: { $cond: [isStatus('completed'), '$holdDuration', null] } }
+      }
+    }
+  ]);
+
+  const { total = 0, answered = 0, completed = 0, abandoned = 0, rejected = 0, accepted = 0, declined = 0 } = totals || {};
+  return {
+    total,
+    answered,
+    completed,
+    abandoned,
+    rejected,
+    averageWaitSeconds: round(totals && totals.waitSeconds),
+    averageHandleSeconds: round(totals && totals.handleSeconds),
+    averageHoldSeconds: round(totals && totals.holdSeconds),
+    // Share of finished calls where the visitor left before the call was over
+    abandonmentRate: ratio(abandoned, completed + abandoned + rejected),
+    acceptRate: ratio(accepted, accepted + declined)
+  };
+}
+
+async function callsPerHour(match) {
+  const rows = await repositories.calls.aggregate([
+    { $match: match },
+    { $group: { _id: { $hour: { date: '$createdAt', timezone: TIMEZONE } }, calls: { $sum: 1 } } }
+  ]);
+  const counts = new Map(rows.map(row => [row._id, row.calls]));
+  return Array.from({ length: 24 }, (_, hour) => ({ hour, calls: counts.get(hour) || 0 }));
+}
+
+async function callsPerDay(match, { from, to }) {
+  const rows = await repositories.calls.aggregate([
+    { $match: match },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } }, calls: { $sum: 1 } } }
+  ]);
+  const counts = new Map(rows.map(row => [row._id, row.calls]));
+
+  // Every day of the range, including the quiet ones
+  const dayOf = (date) => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(date);
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime() + DAY_MS; time += DAY_MS) {
+    const date = dayOf(new Date(Math.min(time, to.getTime())));
+    if (days[days.length - 1] !== date) {
+      days.push(date);
+    }
+  }
+  return days.map(date => ({ date, calls: counts.get(date) || 0 }));
+}
+
+async function staffBreakdown(match) {
+  const rows = (await repositories.calls.aggregate([
+    { $match: match },
+    { $group: { _id: '$staffId', ...DECISION_FIELDS } },
+    { $sort: { calls: -1 } }
+  ])).filter(row => row._id);
+
+  const staff = await repositories.users.find({ _id: { $in: rows.map(row => row._id) } }, { select: 'name department' });
+  const byId = new Map(staff.map(user => [String(user._id), user]));
+  return rows.map(row => {
+    const user = byId.get(String(row._id));
+    return {
+      staffId: row._id,
+      name: user ? user.name : 'Former staff member',
+      department: user ? user.department : null,
+      ...decisionStats(row)
+    };
+  });
+}
+
+async function departmentBreakdown(match) {
+  const rows = await repositories.calls.aggregate([
+    { $match: match },
+    { $group: { _id: '$department', ...DECISION_FIELDS } },
+    { $sort: { calls: -1 } }
+  ]);
+  return rows.map(row => ({ department: row._id || 'Unassigned', ...decisionStats(row) }));
+}
+
+async function topPurposes(match) {
+  const rows = await repositories.calls.aggregate([
+    { $match: match },
+    { $group: { _id: '$purpose', calls: { $sum: 1 } } },
+    { $sort: { calls: -1 } },
+    { $limit: TOP_PURPOSES }
+  ]);
+  return rows.map(row => ({ purpose: row._id, calls: row.calls }));
+}
+
+async function conversationTotals(match) {
+  const [totals] = await repositories.conversations.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        messages: { $avg: { $size: '$messages' } },
+        takenOver: countWhere({ $in: ['staff', '$messages.sender'] })
+      }
+    }
+  ]);
+  const { total = 0, messages = null, takenOver = 0 } = totals || {};
+  return {
+    total,
+    averageMessages: round(messages, 1),
+    takenOver,
+    takeoverRate: ratio(takenOver, total)
+  };
+}
+
+/**
+ * Call and conversation metrics for calls created within the range
+ *
+ * @param {Object} query { from, to }
+ */
+async function report(query = {}) {
+  const range = parseRange(query);
+  const match = { createdAt: { $gte: range.from, $lte: range.to } };
+
+  const [calls, perHour, perDay, staff, departments, purposes, conversations] = await Promise.all([
+    callTotals(match),
+    callsPerHour(match),
+    callsPerDay(match, range),
+    staffBreakdown(match),
+    departmentBreakdown(match),
+    topPurposes(match),
+    conversationTotals(match)
+  ]);
+
+  return {
+    range: { ...range, timezone: TIMEZONE },
+    calls,
+    callsPerHour: perHour,
+    callsPerDay: perDay,
+    staff,
+    departments,
+    purposes,
+    conversations
+  };
+}
+
+module.exports = { report, AnalyticsError };
@@ -0,0 +1,256 @@
+const { param, query, body, validationResult, matchedData } = require('express-validator');
+
+/**
+ * Endpoint descriptions for the versioned REST API. Request validation and the OpenAPI
+ * document are both built from them, so the documentation cannot drift from what the
+ * server accepts.
+ *
+ * Inputs are maps of field name to a JSON Schema subset: type (string, integer, number,
+ * boolean, array), enum, format (email, date, date-time), pattern, minimum/maximum,
+ * minLength/maxLength, items.enum, default and description, plus `required: true`.
+ */
+
+// Error codes for the HTTP statuses the API answers with
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+const STATUS_DESCRIPTIONS = {
+  400: 'The request is not valid',
+  401: 'Missing, expired or revoked credentials',
+  403: 'The credentials do not allow this',
+  404: 'Not found',
+  409: 'Conflicts with the current state'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'internal_error';
+    this.details = details;
+  }
+}
+
+const LOCATIONS = { params: param, query, body };
+// Keys that describe a field to us rather than to JSON Schema
+const FIELD_KEYS = ['required', 'description', 'patternMessage'];
+
+function fieldChain(location, name, schema) {
+  let chain = LOCATIONS[location](name);
+  if (schema.required) {
+    chain = chain.exists({ values: 'null' }).withMessage(`${name} is required`).bail();
+  } else {
+    // An empty query parameter (?status=) counts as not given
+    chain = chain.optional({ values: location === 'query' ? 'falsy' : 'null' });
+  }
+
+  const range = [
+    schema.minimum !== undefined ? `at least ${schema.minimum}` : null,
+    schema.maximum !== undefined ? `at most ${schema.maximum}` : null
+  ].filter(Boolean).join(' and ');
+
+  switch (schema.type) {
+    case 'integer':
+      return chain.isInt({ min: schema.minimum, max: schema.maximum })
+        .withMessage(`${name} must be an integer${range ? ` ${range}` : ''}`).toInt();
+    case 'number':
+      return chain.isFloat({ min: schema.minimum, max: schema.maximum })
+        .withMessage(`${name} must be a number${range ? ` ${range}` : ''}`).toFloat();
+    case 'boolean':
+      return chain.isBoolean().withMessage(`${name} must be true or false`).toBoolean(true);
+    case 'array':
+      chain = chain.isArray({ min: schema.minItems }).withMessage(`${name} must be a list`).bail();
+      if (schema.items && schema.items.enum) {
+        chain = chain.custom(values => values.every(value => schema.items.enum.includes(value)))
+          .withMessage(`${name} may only contain: ${schema.items.enum.join(', ')}`);
+      }
+      return chain;
+    default:
+      chain = chain.isString().withMessage(`${name} must be a string`).bail().trim();
+      if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+        chain = chain.isLength({ min: schema.minLength, max: schema.maxLength })
+          .withMessage(schema.minLength && !schema.maxLength
+            ? `${name} must be at least ${schema.minLength} characters`
+            : `${name} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum) {
+        chain = chain.isIn(schema.enum).withMessage(`${name} must be one of: ${schema.enum.join(', ')}`);
+      }
+      if (schema.format === 'email') {
+        chain = chain.isEmail().withMessage(`${name} must be an email address`);
+      }
+      if (schema.format === 'date' || schema.format === 'date-time') {
+        chain = chain.isISO8601().withMessage(`${name} must be a date such as 2024-01-31 or 2024-01-31T09:00:00Z`);
+      }
+      if (schema.pattern) {
+        chain = chain.matches(new RegExp(schema.pattern)).withMessage(`${name} ${schema.patternMessage || 'is not valid'}`);
+      }
+      return chain;
+  }
+}
+
+const inputs = (endpoint) => ['params', 'query', 'body']
+  .flatMap(location => Object.entries(endpoint[location] || {}).map(([name, schema]) => ({ location, name, schema })));
+
+/**
+ * Middleware that checks an endpoint's inputs and leaves the valid, converted values
+ * (with defaults filled in) in req.input; anything invalid is a validation_failed error
+ */
+function validate(endpoint) {
+  const fields = inputs(endpoint);
+  const check = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const details = errors.array().map(error => ({ location: error.location, field: error.path, message: error.msg }));
+      return next(new ApiError(400, 'validation_failed', details[0].message, details));
+    }
+    const defaults = Object.fromEntries(fields
+      .filter(({ schema }) => schema.default !== undefined)
+      .map(({ name, schema }) => [name, schema.default]));
+    req.input = { ...defaults, ...matchedData(req) };
+    next();
+  };
+  return [...fields.map(({ location, name, schema }) => fieldChain(location, name, schema)), check];
+}
+
+const toSchema = (schema) => Object.fromEntries(Object.entries(schema).filter(([key]) => !FIELD_KEYS.includes(key)));
+
+const parameter = (location, name, schema) => ({
+  name,
+  in: location === 'params' ? 'path' : 'query',
+  required: location === 'params' || Boolean(schema.required),
+  ...(schema.description ? { description: schema.description } : {}),
+  schema: toSchema(schema)
+});
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, schema]) => [name, {
+      ...toSchema(schema),
+      ...(schema.description ? { description: schema.description } : {})
+    }])),
+    ...(required.length ? { required } : {})
+  };
+}
+
+const errorResponse = (status) => ({
+  description: STATUS_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+function responseSchema({ schema, list }) {
+  const ref = { $ref: `#/components/schemas/${schema}` };
+  if (!list) {
+    return { type: 'object', properties: { data: ref }, required: ['data'] };
+  }
+  return {
+    allOf: [
+      { $ref: '#/components/schemas/Page' },
+      { type: 'object', properties: { data: { type: 'array', items: ref } }, required: ['data'] }
+    ]
+  };
+}
+
+function operation(endpoint) {
+  const parameters = ['params', 'query']
+    .flatMap(location => Object.entries(endpoint[location] || {}).map(([name, schema]) => parameter(location, name, schema)));
+  const { status = 200, description = 'OK' } = endpoint.response;
+
+  const responses = { [status]: { description, content: { 'application/json': { schema: responseSchema(endpoint.response) } } } };
+  const errors = new Set(endpoint.errors || []);
+  if (inputs(endpoint).length) errors.add(400);
+  if (!endpoint.public) [401, 403].forEach(code => errors.add(code));
+  if (endpoint.params) errors.add(404);
+  [...errors].sort().forEach(code => { responses[code] = errorResponse(code); });
+
+  return {
+    operationId: endpoint.operationId,
+    summary: endpoint.summary,
+    ...(endpoint.description ? { description: endpoint.description } : {}),
+    tags: endpoint.tags,
+    ...(parameters.length ? { parameters } : {}),
+    ...(endpoint.body ? {
+      requestBody: { required: true, content: { 'application/json': { schema: objectSchema(endpoint.body) } } }
+    } : {}),
+    responses,
+    security: endpoint.public ? [] : [{ bearerAuth: [] }, { apiKey: [] }],
+    ...(endpoint.roles ? { 'x-roles': endpoint.roles } : {})
+  };
+}
+
+/**
+ * OpenAPI 3.0 document for a set of endpoints and the schemas their responses use
+ */
+function openApiDocument({ info, serverUrl, endpoints, schemas, tags }) {
+  const paths = {};
+  endpoints.forEach(endpoint => {
+    const path = endpoint.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [endpoint.method]: operation(endpoint) };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: serverUrl }],
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A staff or admin JWT from POST /api/auth/login, or an API key' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'An API key issued on the admin page' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', example: 'validation_failed' },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  description: 'One entry per invalid field',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: { type: 'string', enum: ['params', 'query', 'body'] },
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Page: {
+          type: 'object',
+          required: ['page', 'limit', 'total', 'pages'],
+          properties: {
+            page: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1 },
+            total: { type: 'integer', minimum: 0 },
+            pages: { type: 'integer', minimum: 0 }
+          }
+        },
+        ...schemas
+      }
+    }
+  };
+}
+
+module.exports = { ApiError, STATUS_CODES, validate, openApiDocument };
@@ -0,0 +1,525 @@
+const express = require('express');
+const repositories = require('../../repositories');
+const Call = require('../../models/Call');
+const Conversation = require('../../models/Conversation');
+const accounts = require('../accounts');
+const conversations = require('../conversations');
+const apiKeys = require('../apiKeys');
+const { verifyToken, AuthError } = require('../auth');
+const { departmentNames } = require('../departments');
+const { ApiError, STATUS_CODES, validate, openApiDocument } = require('./spec');
+
+const VERSION = '1.0.0';
+const ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', patternMessage: 'must be a 24-character hex id' };
+const PAGING = {
+  page: { type: 'integer', minimum: 1, default: 1, description: 'Page number, starting at 1' },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Results per page' }
+};
+const DATE_RANGE = {
+  from: { type: 'string', format: 'date-time', description: 'Created at or after this time' },
+  to: { type: 'string', format: 'date-time', description: 'Created at or before this time; a bare date covers the whole day' }
+};
+const INACTIVE_STATUSES = ['invited', 'pending', 'disabled'];
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const endOfDay = (value) => {
+  const date = new Date(value);
+  // Like the history filters, a bare date as the upper bound covers the whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const ref = (doc, fields) => (doc && doc._id
+  ? { id: doc._id, ...Object.fromEntries(fields.map(field => [field, doc[field] || null])) }
+  : (doc ? { id: doc } : null));
+
+const publicCall = (call) => ({
+  id: call._id,
+  status: call.status,
+  purpose: call.purpose,
+  description: call.description || null,
+  department: call.department || null,
+  priority: call.priority,
+  callType: call.callType,
+  client: ref(call.clientId, ['name', 'email']),
+  staff: ref(call.staffId, ['name', 'department']),
+  decision: call.decision,
+  notes: call.notes || null,
+  startTime: call.startTime || null,
+  endTime: call.endTime || null,
+  duration: call.duration ?? null,
+  holdDuration: call.holdDuration ?? null,
+  transitions: (call.transitions || []).map(({ from, to, at, by, reason }) => ({
+    from: from || null, to, at, by: by || null, reason: reason || null
+  })),
+  createdAt: call.createdAt,
+  updatedAt: call.updatedAt
+});
+
+const CALL_POPULATE = [
+  { path: 'clientId', select: 'name email' },
+  { path: 'staffId', select: 'name department' }
+];
+
+async function page(repository, filter, { page, limit }, { sort = { createdAt: -1 }, populate, map }) {
+  const [docs, total] = await Promise.all([
+    repository.find(filter, { sort, skip: (page - 1) * limit, limit, populate }),
+    repository.count(filter)
+  ]);
+  return { data: await Promise.all(docs.map(map)), page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+async function findOr404(repository, id, what) {
+  const doc = await repository.findById(id).catch(() => null);
+  if (!doc) {
+    throw new ApiError(404, 'not_found', `${what} not found`);
+  }
+  return doc;
+}
+
+/**
+ * The /api/v1 endpoints. Each handler gets the validated input and { user, hooks },
+ * where hooks let the server keep signed-in sockets in step with changes.
+ */
+const endpoints = [
+  {
+    method: 'get',
+    path: '/users',
+    operationId: 'listUsers',
+    tags: ['Users'],
+    summary: 'List accounts: staff, admins and visitors',
+    roles: ['admin'],
+    query: {
+      role: { type: 'string', enum: ['admin', 'staff', 'client'] },
+      status: { type: 'string', enum: ['invited', 'pending', 'active', 'disabled'] },
+      department: { type: 'string', enum: departmentNames() },
+      q: { type: 'string', maxLength: 100, description: 'Part of the name or email' },
+      ...PAGING
+    },
+    response: { schema: 'User', list: true },
+    handler: (input) => {
+      const filter = {};
+      ['role', 'status', 'department'].forEach(field => {
+        if (input[field]) filter[field] = input[field];
+      });
+      if (input.q) {
+        const pattern = new RegExp(escapeRegExp(input.q), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+      return page(repositories.users, filter, input, { map: accounts.publicUser });
+    }
+  },
+  {
+    method: 'get',
+    path: '/users/:id',
+    operationId: 'getUser',
+    tags: ['Users'],
+    summary: 'One account',
+    roles: ['admin'],
+    params: { id: ID },
+    response: { schema: 'User' },
+    handler: async ({ id }) => ({ data: accounts.publicUser(await findOr404(repositories.users, id, 'User')) })
+  },
+  {
+    method: 'patch',
+    path: '/users/:id',
+    operationId: 'updateUser',
+    tags: ['Users'],
+    summary: 'Move a staff member to another department, or activate or disable a staff or admin account',
+    description: 'Setting status to active approves a pending account or re-enables a disabled one. Disabling signs the user out everywhere.',
+    roles: ['admin'],
+    params: { id: ID },
+    body: {
+      department: { type: 'string', enum: departmentNames() },
+      status: { type: 'string', enum: ['active', 'disabled'] }
+    },
+    errors: [409],
+    response: { schema: 'User' },
+    handler: async ({ id, department, status }, { user: actor, hooks }) => {
+      if (department === undefined && status === undefined) {
+        throw new ApiError(400, 'validation_failed', 'Send department or status to change');
+      }
+      let user = await findOr404(repositories.users, id, 'User');
+      if (department !== undefined) {
+        user = await accounts.changeDepartment(user._id, department);
+        await hooks.userChanged(user);
+      }
+      const current = user.status || 'active';
+      if (status !== undefined && status !== current) {
+        const action = status === 'disabled' ? 'disable' : (current === 'pending' ? 'approve' : 'enable');
+        user = await accounts.changeStatus(user._id, action, actor);
+        if (user.status === 'disabled') {
+          await hooks.userDisabled(user._id);
+        }
+      }
+      return { data: accounts.publicUser(user) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/staff',
+    operationId: 'listStaff',
+    tags: ['Staff'],
+    summary: 'Active staff members with their availability',
+    roles: ['staff', 'admin'],
+    query: {
+      department: { type: 'string', enum: departmentNames() },
+      available: { type: 'boolean', description: 'Only staff who are (or are not) taking calls' },
+      ...PAGING
+    },
+    response: { schema: 'Staff', list: true },
+    handler: (input, { hooks }) => {
+      const filter = { role: 'staff', status: { $nin: INACTIVE_STATUSES } };
+      if (input.department) filter.department = input.department;
+      if (input.available !== undefined) filter.isAvailable = input.available;
+      return page(repositories.users, filter, input, { sort: { name: 1 }, map: user => publicStaff(user, hooks) });
+    }
+  },
+  {
+    method: 'get',
+    path: '/staff/:id',
+    operationId: 'getStaff',
+    tags: ['Staff'],
+    summary: 'One staff member',
+    roles: ['staff', 'admin'],
+    params: { id: ID },
+    response: { schema: 'Staff' },
+    handler: async ({ id }, { hooks }) => {
+      const user = await findOr404(repositories.users, id, 'Staff member');
+      if (user.role !== 'staff' || INACTIVE_STATUSES.includes(user.status)) {
+        throw new ApiError(404, 'not_found', 'Staff member not found');
+      }
+      return { data: await publicStaff(user, hooks) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/calls',
+    operationId: 'listCalls',
+    tags: ['Calls'],
+    summary: 'Calls, newest first',
+    roles: ['staff', 'admin'],
+    query: {
+      status: { type: 'string', enum: Object.keys(Call.TRANSITIONS) },
+      department: { type: 'string', enum: departmentNames() },
+      decision: { type: 'string', enum: ['accepted', 'rejected', 'pending'] },
+      staffId: ID,
+      clientId: ID,
+      ...DATE_RANGE,
+      ...PAGING
+    },
+    response: { schema: 'Call', list: true },
+    handler: (input) => {
+      const filter = {};
+      ['status', 'department', 'decision', 'staffId', 'clientId'].forEach(field => {
+        if (input[field]) filter[field] = input[field];
+      });
+      if (input.from || input.to) {
+        filter.createdAt = {};
+        if (input.from) filter.createdAt.$gte = new Date(input.from);
+        if (input.to) filter.createdAt.$lte = endOfDay(input.to);
+      }
+      return page(repositories.calls, filter, input, { populate: CALL_POPULATE, map: publicCall });
+    }
+  },
+  {
+    method: 'get',
+    path: '/calls/:id',
+    operationId: 'getCall',
+    tags: ['Calls'],
+    summary: 'One call with its status history',
+    roles: ['staff', 'admin'],
+    params: { id: ID },
+    response: { schema: 'Call' },
+    handler: async ({ id }) => {
+      const call = await repositories.calls.findOne({ _id: id }, { populate: CALL_POPULATE });
+      if (!call) {
+        throw new ApiError(404, 'not_found', 'Call not found');
+      }
+      return { data: publicCall(call) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/conversations',
+    operationId: 'listConversations',
+    tags: ['Conversations'],
+    summary: 'Conversations, newest first, optionally matching a full-text search',
+    roles: ['staff', 'admin'],
+    query: {
+      q: { type: 'string', maxLength: 200, description: 'Words or "quoted phrases" in the messages; results then carry the matching messages' },
+      status: { type: 'string', enum: Conversation.schema.path('status').enumValues },
+      email: { type: 'string', format: 'email', description: "The visitor's email" },
+      purpose: { type: 'string', maxLength: 200 },
+      ...DATE_RANGE,
+      ...PAGING
+    },
+    response: { schema: 'Conversation', list: true },
+    handler: async (input) => {
+      const { conversations: data, ...rest } = input.q ? await conversations.search(input) : await conversations.listHistory(input);
+      return { data, ...rest };
+    }
+  },
+  {
+    method: 'get',
+    path: '/conversations/:sessionId',
+    operationId: 'getConversation',
+    tags: ['Conversations'],
+    summary: 'One conversation with every message',
+    roles: ['staff', 'admin'],
+    params: { sessionId: { type: 'string', maxLength: 100 } },
+    response: { schema: 'ConversationDetail' },
+    handler: async ({ sessionId }) => ({ data: await conversations.transcript(sessionId) })
+  }
+];
+
+async function publicStaff(user, hooks) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    department: user.department || null,
+    isAvailable: Boolean(user.isAvailable),
+    online: await hooks.isOnline(user._id),
+    lastActive: user.lastActive || null
+  };
+}
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+const DATE = { type: 'string', format: 'date-time' };
+
+const message = {
+  type: 'object',
+  properties: {
+    sender: { type: 'string', enum: ['user', 'rexbot', 'staff', 'system', 'tool'] },
+    content: { type: 'string' },
+    timestamp: DATE,
+    messageType: { type: 'string', enum: ['text', 'speech', 'system', 'tool-call', 'tool-result'] },
+    language: nullable({ type: 'string' }),
+    translation: nullable({ type: 'string' })
+  }
+};
+
+const conversation = {
+  type: 'object',
+  properties: {
+    sessionId: { type: 'string' },
+    callId: nullable({ type: 'string' }),
+    name: { type: 'string' },
+    email: { type: 'string' },
+    purpose: { type: 'string' },
+    department: nullable({ type: 'string' }),
+    status: { type: 'string', enum: ['active', 'completed', 'transferred'] },
+    staffId: nullable({ type: 'string' }),
+    staffName: nullable({ type: 'string' }),
+    lastMessage: nullable({ $ref: '#/components/schemas/Message' }),
+    messageCount: { type: 'integer' },
+    matches: { type: 'array', items: { $ref: '#/components/schemas/Message' }, description: 'Only when searching with q' },
+    call: nullable({
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        status: { type: 'string' },
+        staffId: nullable({ type: 'string' }),
+        decision: { type: 'string' },
+        duration: nullable({ type: 'integer' }),
+        startTime: nullable(DATE),
+        endTime: nullable(DATE)
+      }
+    }),
+    createdAt: DATE,
+    updatedAt: DATE
+  }
+};
+
+// Response schemas, matching the serializers above and in the services they call
+const schemas = {
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ['admin', 'staff', 'client'] },
+      department: nullable({ type: 'string' }),
+      status: { type: 'string', enum: ['invited', 'pending', 'active', 'disabled'] },
+      isAvailable: { type: 'boolean' },
+      lastActive: nullable(DATE),
+      createdAt: DATE
+    }
+  },
+  Staff: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      department: nullable({ type: 'string' }),
+      isAvailable: { type: 'boolean', description: 'Taking calls' },
+      online: { type: 'boolean', description: 'Signed in to the staff dashboard right now' },
+      lastActive: nullable(DATE)
+    }
+  },
+  Call: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: Object.keys(Call.TRANSITIONS) },
+      purpose: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      department: nullable({ type: 'string' }),
+      priority: { type: 'integer' },
+      callType: { type: 'string', enum: ['video', 'audio'] },
+      client: nullable({
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } }
+      }),
+      staff: nullable({
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, department: nullable({ type: 'string' }) }
+      }),
+      decision: { type: 'string', enum: ['accepted', 'rejected', 'pending'] },
+      notes: nullable({ type: 'string' }),
+      startTime: nullable(DATE),
+      endTime: nullable(DATE),
+      duration: nullable({ type: 'integer', description: 'Seconds' }),
+      holdDuration: nullable({ type: 'integer', description: 'Seconds on hold, included in duration' }),
+      transitions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: nullable({ type: 'string' }),
+            to: { type: 'string' },
+            at: DATE,
+            by: nullable({ type: 'string' }),
+            reason: nullable({ type: 'string' })
+          }
+        }
+      },
+      createdAt: DATE,
+      updatedAt: DATE
+    }
+  },
+  Message: message,
+  Conversation: conversation,
+  ConversationDetail: {
+    allOf: [
+      { $ref: '#/components/schemas/Conversation' },
+      {
+        type: 'object',
+        properties: {
+          messages: {
+            type: 'array',
+            items: { allOf: [{ $ref: '#/components/schemas/Message' }, { type: 'object', properties: { index: { type: 'integer' } } }] }
+          }
+        }
+      }
+    ]
+  }
+};
+
+/**
+ * Accepts a staff or admin JWT (Authorization: Bearer) or an API key (X-API-Key, or
+ * as the bearer token)
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const key = req.headers['x-api-key'] || (apiKeys.isApiKey(bearer) ? bearer : null);
+
+  try {
+    if (key) {
+      req.user = await apiKeys.authenticate(String(key));
+      if (!req.user) {
+        throw new ApiError(401, 'invalid_api_key', 'The API key is not valid or has been revoked');
+      }
+    } else if (bearer) {
+      ({ user: req.user } = await verifyToken(bearer));
+    } else {
+      throw new ApiError(401, 'unauthorized', 'Send a JWT as Authorization: Bearer <token> or an API key as X-API-Key');
+    }
+    next();
+  } catch (error) {
+    next(error instanceof AuthError ? new ApiError(401, error.code, error.message) : error);
+  }
+}
+
+const authorize = (roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new ApiError(403, 'forbidden', `This endpoint is for ${roles.join(' and ')} accounts`));
+  }
+  next();
+};
+
+/**
+ * Error handler for /api/v1: every error is { error: { code, message, details? } }
+ */
+function handleErrors(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  let apiError = error;
+  if (!(error instanceof ApiError)) {
+    if (error.type === 'entity.parse.failed') {
+      apiError = new ApiError(400, 'invalid_json', 'The request body is not valid JSON');
+    } else if (error.status && error.status < 500) {
+      // Service errors (AccountError, ConversationError, body-parser limits) carry their status
+      apiError = new ApiError(error.status, STATUS_CODES[error.status], error.message);
+    } else {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+      apiError = new ApiError(500, 'internal_error', 'Something went wrong');
+    }
+  }
+
+  res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      ...(apiError.details ? { details: apiError.details } : {})
+    }
+  });
+}
+
+/**
+ * Router for /api/v1, including its OpenAPI document at /openapi.json
+ *
+ * @param {Object} options { serverUrl, hooks: { isOnline(userId), userChanged(user), userDisabled(userId) } },
+ *                         each of which may return a promise
+ */
+function createApiV1({ serverUrl, hooks }) {
+  const router = express.Router();
+  const document = openApiDocument({
+    info: {
+      title: 'RexBot Reception API',
+      version: VERSION,
+      description: 'Users, staff, calls and conversations. Authenticate with a staff or admin JWT, or with an API key issued on the admin page.'
+    },
+    serverUrl,
+    tags: ['Users', 'Staff', 'Calls', 'Conversations'].map(name => ({ name })),
+    endpoints,
+    schemas
+  });
+
+  router.get('/openapi.json', (req, res) => res.json(document));
+
+  endpoints.forEach(endpoint => {
+    const access = endpoint.public ? [] : [authenticate, authorize(endpoint.roles)];
+    router[endpoint.method](endpoint.path, ...access, ...validate(endpoint), async (req, res, next) => {
+      try {
+        res.status(endpoint.response.status || 200).json(await endpoint.handler(req.input, { user: req.user, hooks }));
+      } catch (error) {
+        next(error);
+      }
+    });
+  });
+
+  router.use((req, res, next) => next(new ApiError(404, 'not_found', `No endpoint ${req.method} ${req.originalUrl.split('?')[0]}`)));
+  router.use(handleErrors);
+  return router;
+}
+
+module.exports = { createApiV1, handleErrors, endpoints };
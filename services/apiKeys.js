@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+
+const KEY_PREFIX = 'rxb_';
+const ROLES = ['staff', 'admin'];
+// lastUsedAt is only written again after this long, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// The key itself is only returned when it is created
+const publicApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  role: apiKey.role,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  revokedAt: apiKey.revokedAt || null,
+  createdAt: apiKey.createdAt
+});
+
+async function listKeys() {
+  const apiKeys = await repositories.apiKeys.find({}, { sort: { createdAt: -1 } });
+  return apiKeys.map(publicApiKey);
+}
+
+/**
+ * Issue a key acting with `role`. Resolves to { apiKey, key }; the key is not shown again.
+ */
+async function createKey({ name, role = 'staff' } = {}, { by } = {}) {
+  if (!name || !String(name).trim()) {
+    throw new ApiKeyError('name is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new ApiKeyError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await repositories.apiKeys.create({
+    name: String(name).trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    role,
+    createdBy: by ? by._id : undefined
+  });
+  return { apiKey: publicApiKey(apiKey), key };
+}
+
+async function revokeKey(id) {
+  const apiKey = await repositories.apiKeys.findById(id).catch(() => null);
+  if (!apiKey) {
+    throw new ApiKeyError('API key not found', 404);
+  }
+  if (apiKey.revokedAt) {
+    throw new ApiKeyError('API key is already revoked', 409);
+  }
+  return publicApiKey(await repositories.apiKeys.update(apiKey._id, { revokedAt: new Date() }));
+}
+
+/**
+ * Resolve a key to the client it identifies, shaped like a user ({ _id, name, role })
+ * plus apiKeyId, or null when the key is unknown or revoked
+ */
+async function authenticate(key) {
+  if (!isApiKey(key)) {
+    return null;
+  }
+  const apiKey = await repositories.apiKeys.findOne({ keyHash: hashKey(key) });
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    repositories.apiKeys.update(apiKey._id, { lastUsedAt: new Date() })
+      .catch(error => console.error('Error recording API key use:', error));
+  }
+  return { _id: apiKey._id, name: apiKey.name, role: apiKey.role, apiKeyId: apiKey._id };
+}
+
+module.exports = {
+  ApiKeyError,
+  ROLES,
+  isApiKey,
+  publicApiKey,
+  listKeys,
+  createKey,
+  revokeKey,
+  authenticate
+};
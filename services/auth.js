@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+
+class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+// Without JWT_SECRET tokens are signed with a per-process key and stop working on restart
+let ephemeralSecret = null;
+const secret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET is not set; staff sessions will not survive a restart');
+  }
+  return ephemeralSecret;
+};
+
+// Each token records the password change it was issued after, so a reset signs out older tokens
+const passwordStamp = (user) => (user.passwordChangedAt ? new Date(user.passwordChangedAt).getTime() : 0);
+
+const issueToken = (user) => jwt.sign(
+  { userId: user._id, role: user.role, passwordChangedAt: passwordStamp(user) },
+  secret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+);
+
+// Visitor kiosk sessions get their own token type so they can never pass as a user login
+const SESSION_TOKEN_TYPE = 'visitor-session';
+
+const issueSessionToken = ({ sessionId, callId }) => jwt.sign(
+  { type: SESSION_TOKEN_TYPE, sessionId, callId: String(callId) },
+  secret(),
+  { expiresIn: process.env.VISITOR_SESSION_TTL || '2h' }
+);
+
+/**
+ * Decode a visitor session token to { sessionId, callId }
+ */
+function verifySessionToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret());
+  } catch (error) {
+    throw new AuthError('Session expired', error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token');
+  }
+  if (decoded.type !== SESSION_TOKEN_TYPE) {
+    throw new AuthError('Invalid session', 'invalid_token');
+  }
+  return { sessionId: decoded.sessionId, callId: decoded.callId };
+}
+
+/**
+ * Resolve a token to its user. Throws AuthError with code token_expired (also once the
+ * password has changed), invalid_token or account_inactive.
+ */
+async function verifyToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret());
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? new AuthError('Session expired', 'token_expired')
+      : new AuthError('Invalid token', 'invalid_token');
+  }
+
+  const user = decoded.type ? null : await repositories.users.findById(decoded.userId);
+  if (!user) {
+    throw new AuthError('Invalid token', 'invalid_token');
+  }
+  // Disabled (or not yet approved) accounts lose access even with an unexpired token
+  if (user.status && user.status !== 'active') {
+    throw new AuthError('Account is not active', 'account_inactive');
+  }
+  if ((decoded.passwordChangedAt || 0) !== passwordStamp(user)) {
+    throw new AuthError('Password was changed, please sign in again', 'token_expired');
+  }
+  return { user, expiresAt: decoded.exp * 1000 };
+}
+
+// Socket events that need a signed-in user with one of these roles.
+// Anything not listed is open to the anonymous visitor kiosk.
+const EVENT_ROLES = {
+  'accept-call': ['staff'],
+  'reject-call': ['staff'],
+  'call-decision': ['staff'],
+  'hold-call': ['staff'],
+  'resume-call': ['staff'],
+  'transfer-call': ['staff'],
+  'watch-conversation': ['staff'],
+  'unwatch-conversation': ['staff'],
+  'take-over-conversation': ['staff'],
+  'staff-message': ['staff'],
+  'hand-back-conversation': ['staff']
+};
+
+function socketToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) {
+    return auth.token;
+  }
+  const header = headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+/**
+ * Socket.IO handshake middleware. Connections without a token stay anonymous;
+ * a token that is sent must be valid, and its user is kept on `socket.data`.
+ */
+async function authenticateSocket(socket, next) {
+  const token = socketToken(socket);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, expiresAt } = await verifyToken(token);
+    socket.data.user = user;
+    socket.data.expiresAt = expiresAt;
+    next();
+  } catch (error) {
+    const err = new Error(error.message);
+    err.data = { code: error.code || 'invalid_token' };
+    next(err);
+  }
+}
+
+/**
+ * Check a socket event against EVENT_ROLES. Returns null when allowed, otherwise
+ * { code, message }. A signed-in socket whose token has expired must re-authenticate
+ * before sending anything else.
+ */
+function authorizeEvent(socket, event) {
+  const { user, expiresAt } = socket.data;
+  if (user && expiresAt <= Date.now()) {
+    return { code: 'token_expired', message: 'Session expired, please sign in again' };
+  }
+
+  const roles = EVENT_ROLES[event];
+  if (!roles) {
+    return null;
+  }
+  if (!user) {
+    return { code: 'unauthenticated', message: 'Please sign in first' };
+  }
+  if (!roles.includes(user.role)) {
+    return { code: 'forbidden', message: 'You are not allowed to do that' };
+  }
+  return null;
+}
+
+module.exports = {
+  AuthError,
+  EVENT_ROLES,
+  issueToken,
+  verifyToken,
+  issueSessionToken,
+  verifySessionToken,
+  authenticateSocket,
+  authorizeEvent
+};
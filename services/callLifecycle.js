@@ -0,0 +1,77 @@
+const EventEmitter = require('events');
+const Call = require('../models/Call');
+const repositories = require('../repositories');
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Call cannot move from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Emits 'transition' with { call, from, to, by, reason } after every status change
+const callEvents = new EventEmitter();
+
+/**
+ * Seconds spent on hold, including a hold that is still open at `until`
+ */
+function holdSeconds(transitions = [], until = new Date()) {
+  let total = 0;
+  let heldAt = null;
+  transitions.forEach(({ to, at }) => {
+    if (to === 'on-hold') {
+      heldAt = new Date(at);
+    } else if (heldAt) {
+      total += new Date(at) - heldAt;
+      heldAt = null;
+    }
+  });
+  if (heldAt) {
+    total += until - heldAt;
+  }
+  return Math.round(total / 1000);
+}
+
+/**
+ * Move a call to a new status, recording who made the change and when. The update
+ * only applies if the call is still in the status it was read in, so two staff
+ * members racing for the same call cannot both win.
+ *
+ * @param {Object|string} callOrId call document or id
+ * @param {string} to target status
+ * @param {Object} options { by, reason, patch } — patch is merged into the update
+ */
+async function transitionCall(callOrId, to, { by, reason, patch = {} } = {}) {
+  const call = typeof callOrId === 'object' ? callOrId : await repositories.calls.findById(callOrId);
+  if (!call) {
+    return null;
+  }
+  if (!Call.canTransition(call.status, to)) {
+    throw new InvalidTransitionError(call.status, to);
+  }
+
+  const at = new Date();
+  const transitions = [...(call.transitions || []), { from: call.status, to, at, by, reason }];
+  const update = { ...patch, status: to, transitions };
+
+  if (to === 'in-progress' && !call.startTime) {
+    update.startTime = at;
+  }
+  if (Call.isTerminal(to)) {
+    update.endTime = at;
+    if (call.startTime) {
+      update.duration = Math.round((at - new Date(call.startTime)) / 1000);
+      update.holdDuration = holdSeconds(transitions, at);
+    }
+  }
+
+  const updated = await repositories.calls.updateWhere({ _id: call._id, status: call.status }, update);
+  if (updated) {
+    callEvents.emit('transition', { call: updated, from: call.status, to, by, reason });
+  }
+  return updated;
+}
+
+module.exports = { transitionCall, holdSeconds, callEvents, InvalidTransitionError };
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Conversation = require('../models/Conversation');
+const repositories = require('../repositories');
+
+// Conversations the dashboard lists as live; 'transferred' means a staff member has taken over
+const LIVE_STATUSES = ['active', 'transferred'];
+
+const SUMMARY_POPULATE = [
+  { path: 'userId', select: 'name email' },
+  { path: 'callId', select: 'purpose status department staffId decision duration startTime endTime' },
+  { path: 'transferredTo', select: 'name' }
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Matching messages returned with each search result
+const SEARCH_SNIPPETS = 3;
+// Codes emailed to visitors to prove the address they gave at the kiosk
+const IDENTITY_CODE_MINUTES = 10;
+const IDENTITY_CODE_ATTEMPTS = 5;
+
+class ConversationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.status = status;
+  }
+}
+
+// Emits 'message' with { sessionId, message } for every message added to a conversation,
+// 'translation' with { sessionId, index, translation } when a message's translation is ready,
+// and 'updated' with { sessionId } when a conversation is taken over, handed back or ends
+const conversationEvents = new EventEmitter();
+
+const publicMessage = ({ sender, content, timestamp, messageType, language, translation }) => ({
+  sender, content, timestamp, messageType, language, translation
+});
+
+// Visitor, RexBot and staff messages, as opposed to system notes and RexBot's tool calls
+const isChatMessage = (message) => !message.messageType || message.messageType === 'text' || message.messageType === 'speech';
+
+/**
+ * Dashboard listing entry for a conversation read with SUMMARY_POPULATE
+ */
+function summarize(conversation) {
+  const visitor = conversation.userId || {};
+  const call = conversation.callId || {};
+  const staff = conversation.transferredTo;
+  const last = [...conversation.messages].reverse().find(isChatMessage);
+
+  return {
+    sessionId: conversation.sessionId,
+    callId: call._id || null,
+    name: visitor.name,
+    email: visitor.email,
+    purpose: call.purpose,
+    department: call.department,
+    status: conversation.status,
+    staffId: staff ? staff._id : null,
+    staffName: staff ? staff.name : null,
+    lastMessage: last ? publicMessage(last) : null,
+    messageCount: conversation.messages.length,
+    call: call._id ? {
+      id: call._id,
+      status: call.status,
+      staffId: call.staffId || null,
+      decision: call.decision,
+      duration: call.duration,
+      startTime: call.startTime,
+      endTime: call.endTime
+    } : null,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+async function listLive() {
+  const conversations = await repositories.conversations.find({ status: { $in: LIVE_STATUSES } }, {
+    sort: { updatedAt: -1 },
+    populate: SUMMARY_POPULATE
+  });
+  return conversations.map(summarize);
+}
+
+async function findSummary(sessionId) {
+  const conversation = await repositories.conversations.findOne({ sessionId }, { populate: SUMMARY_POPULATE });
+  return conversation ? summarize(conversation) : null;
+}
+
+/**
+ * Summary plus every message, for a staff member opening the conversation
+ */
+async function transcript(sessionId) {
+  const conversation = await repositories.conversations.findOne({ sessionId }, { populate: SUMMARY_POPULATE });
+  if (!conversation) {
+    throw new ConversationError('Conversation not found', 404);
+  }
+
+  const summary = summarize(conversation);
+  if (summary.call && summary.call.staffId) {
+    const staff = await repositories.users.findById(summary.call.staffId, { select: 'name' });
+    summary.call.staffName = staff ? staff.name : null;
+  }
+  // Indexes let a watching dashboard place translations that arrive later
+  return { ...summary, messages: conversation.messages.map((message, index) => ({ ...publicMessage(message), index })) };
+}
+
+// Words and quoted phrases of a search, lower-cased; negated terms are left out
+const searchTerms = (text) => (text.toLowerCase().match(/"[^"]+"|[^\s"]+/g) || [])
+  .map(term => term.replace(/"/g, '').trim())
+  .filter(term => term && !term.startsWith('-'));
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ConversationError(`Invalid ${name} date`);
+  }
+  // A bare date as the upper bound covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function parsePage({ page, limit } = {}) {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE));
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * Turn history query parameters into a conversation filter. Resolves to null when
+ * nothing can match, e.g. no visitor has the given email.
+ *
+ * @param {Object} query { from, to, status, email, purpose }
+ */
+async function historyFilter({ from, to, status, email, purpose } = {}) {
+  const filter = {};
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, 'from');
+    if (to) filter.createdAt.$lte = parseDate(to, 'to', { endOfDay: true });
+  }
+  if (status) {
+    if (!Conversation.schema.path('status').enumValues.includes(status)) {
+      throw new ConversationError(`Unknown status: ${status}`);
+    }
+    filter.status = status;
+  }
+  if (email) {
+    const visitor = await repositories.users.findByEmail(email);
+    if (!visitor) {
+      return null;
+    }
+    filter.userId = visitor._id;
+  }
+  if (purpose) {
+    const calls = await repositories.calls.find(
+      { purpose: new RegExp(`^${escapeRegExp(String(purpose).trim())}$`, 'i') },
+      { select: '_id' }
+    );
+    filter.callId = { $in: calls.map(call => call._id) };
+  }
+  return filter;
+}
+
+async function findPage(filter, query, mapResult = summarize) {
+  const { page, limit, skip } = parsePage(query);
+  if (!filter) {
+    return { conversations: [], page, limit, total: 0, pages: 0 };
+  }
+
+  const [conversations, total] = await Promise.all([
+    repositories.conversations.find(filter, { sort: { createdAt: -1 }, skip, limit, populate: SUMMARY_POPULATE }),
+    repositories.conversations.count(filter)
+  ]);
+  return {
+    conversations: conversations.map(mapResult),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Past and present conversations, newest first
+ *
+ * @param {Object} query history filters plus { page, limit }
+ */
+async function listHistory(query = {}) {
+  return findPage(await historyFilter(query), query);
+}
+
+/**
+ * Full-text search across message contents, combined with the history filters.
+ * Each result carries the first few messages that mention a search term.
+ *
+ * @param {Object} query { q } plus history filters and { page, limit }
+ */
+async function search(query = {}) {
+  const text = String(query.q || '').trim();
+  if (!text) {
+    throw new ConversationError('Search text is required');
+  }
+
+  const filter = await historyFilter(query);
+  const terms = searchTerms(text);
+
+  return findPage(filter && { ...filter, $text: { $search: text } }, query, (conversation) => ({
+    ...summarize(conversation),
+    matches: conversation.messages
+      .filter(msg => terms.some(term => msg.content.toLowerCase().includes(term)))
+      .slice(0, SEARCH_SNIPPETS)
+      .map(publicMessage)
+  }));
+}
+
+/**
+ * Add a message and let anyone watching the conversation know
+ */
+async function appendMessage(sessionId, message) {
+  const conversation = await repositories.conversations.appendMessage(sessionId, message);
+  if (conversation) {
+    const index = conversation.messages.length - 1;
+    conversationEvents.emit('message', { sessionId, message: { ...publicMessage(conversation.messages[index]), index } });
+  }
+  return conversation;
+}
+
+/**
+ * Store the English translation of a message once it is ready
+ */
+async function addTranslation(sessionId, index, translation) {
+  const conversation = await repositories.conversations.updateMessage(sessionId, index, { translation });
+  if (conversation) {
+    conversationEvents.emit('translation', { sessionId, index, translation });
+  }
+  return conversation;
+}
+
+/**
+ * Pause RexBot and let a staff member answer the visitor. Only one staff member can
+ * hold a conversation at a time; taking over one you already hold is a no-op.
+ */
+async function takeOver(sessionId, staff) {
+  const updated = await repositories.conversations.updateWhere(
+    { sessionId, status: 'active' },
+    { status: 'transferred', transferredTo: staff._id }
+  );
+
+  if (!updated) {
+    const conversation = await repositories.conversations.findBySessionId(sessionId);
+    if (!conversation) {
+      throw new ConversationError('Conversation not found', 404);
+    }
+    if (conversation.status === 'transferred' && String(conversation.transferredTo) === String(staff._id)) {
+      return conversation;
+    }
+    throw new ConversationError(conversation.status === 'transferred'
+      ? 'Another staff member is already handling this conversation'
+      : 'This conversation has ended', 409);
+  }
+
+  await appendMessage(sessionId, {
+    sender: 'system',
+    content: `${staff.name} took over the conversation from RexBot`,
+    messageType: 'system'
+  });
+  conversationEvents.emit('updated', { sessionId });
+  return updated;
+}
+
+/**
+ * Give the conversation back to RexBot; only the staff member holding it can
+ */
+async function handBack(sessionId, staff) {
+  const updated = await repositories.conversations.updateWhere(
+    { sessionId, status: 'transferred', transferredTo: staff._id },
+    { status: 'active', transferredTo: null }
+  );
+  if (!updated) {
+    throw new ConversationError('You are not handling this conversation', 409);
+  }
+
+  await appendMessage(sessionId, {
+    sender: 'system',
+    content: `${staff.name} handed the conversation back to RexBot`,
+    messageType: 'system'
+  });
+  conversationEvents.emit('updated', { sessionId });
+  return updated;
+}
+
+/**
+ * Hand back every conversation a staff member holds (e.g. they went offline)
+ */
+async function handBackAll(staff) {
+  const held = await repositories.conversations.find({ status: 'transferred', transferredTo: staff._id });
+  const released = [];
+  for (const conversation of held) {
+    released.push(await handBack(conversation.sessionId, staff));
+  }
+  return released;
+}
+
+/**
+ * The conversation's call has ended, so it no longer shows as live
+ */
+async function complete(callId) {
+  const updated = await repositories.conversations.updateWhere(
+    { callId, status: { $in: LIVE_STATUSES } },
+    { status: 'completed' }
+  );
+  if (updated) {
+    conversationEvents.emit('updated', { sessionId: updated.sessionId });
+  }
+  return updated;
+}
+
+const hashIdentityCode = (sessionId, code) =>
+  crypto.createHash('sha256').update(`${sessionId}:${String(code).trim()}`).digest('hex');
+
+const identityCheckOpen = (check, now = new Date()) =>
+  Boolean(check && check.codeHash && new Date(check.expiresAt) > now && check.attempts < IDENTITY_CODE_ATTEMPTS);
+
+/**
+ * Start proving the visitor's email for this conversation. Returns the code to email
+ * them, or null while an earlier code can still be used.
+ */
+async function startIdentityCheck(sessionId) {
+  const conversation = await repositories.conversations.findBySessionId(sessionId);
+  if (!conversation) {
+    throw new ConversationError('Conversation not found', 404);
+  }
+  if (conversation.identityVerifiedAt || identityCheckOpen(conversation.identityCheck)) {
+    return null;
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await repositories.conversations.update(conversation._id, {
+    identityCheck: {
+      codeHash: hashIdentityCode(sessionId, code),
+      expiresAt: new Date(Date.now() + IDENTITY_CODE_MINUTES * 60 * 1000),
+      attempts: 0
+    }
+  });
+  return code;
+}
+
+/**
+ * Whether the visitor has proven their email in this conversation, checking `code` first
+ * when given. Each code allows a few guesses before a new one has to be sent.
+ */
+async function verifyIdentity(sessionId, code) {
+  const conversation = await repositories.conversations.findBySessionId(sessionId);
+  if (!conversation) {
+    return false;
+  }
+  if (conversation.identityVerifiedAt) {
+    return true;
+  }
+  const check = conversation.identityCheck;
+  if (!code || !identityCheckOpen(check)) {
+    return false;
+  }
+
+  // Count the guess before comparing, so parallel guesses cannot share an attempt
+  const counted = await repositories.conversations.updateWhere(
+    { _id: conversation._id, 'identityCheck.attempts': check.attempts },
+    { identityCheck: { ...check, attempts: check.attempts + 1 } }
+  );
+  const expected = Buffer.from(check.codeHash, 'hex');
+  const given = Buffer.from(hashIdentityCode(sessionId, code), 'hex');
+  if (!counted || !crypto.timingSafeEqual(expected, given)) {
+    return false;
+  }
+
+  await repositories.conversations.update(conversation._id, { identityVerifiedAt: new Date() });
+  return true;
+}
+
+module.exports = {
+  ConversationError,
+  conversationEvents,
+  LIVE_STATUSES,
+  IDENTITY_CODE_MINUTES,
+  isChatMessage,
+  summarize,
+  listLive,
+  findSummary,
+  transcript,
+  historyFilter,
+  listHistory,
+  search,
+  appendMessage,
+  addTranslation,
+  takeOver,
+  handBack,
+  handBackAll,
+  complete,
+  startIdentityCheck,
+  verifyIdentity
+};
@@ -0,0 +1,32 @@
+const departments = require('../config/departments');
+
+const departmentNames = () => departments.map(department => department.name);
+
+const findDepartment = (name) =>
+  departments.find(department => department.name.toLowerCase() === String(name || '').toLowerCase()) || null;
+
+/**
+ * Acronyms such as "IT" only count in capitals, so the pronoun "it" does not
+ * send visitors to the IT department
+ */
+const mentionsName = (name, original, lower) => (name === name.toUpperCase()
+  ? new RegExp(`\\b${name}\\b`).test(original)
+  : new RegExp(`\\b${name.toLowerCase()}\\b`).test(lower));
+
+/**
+ * Work out which department a piece of visitor text is about.
+ * An explicit department name wins over keyword matches.
+ */
+function matchDepartment(text) {
+  const original = String(text || '');
+  const lower = original.toLowerCase();
+  const byName = departments.find(department => mentionsName(department.name, original, lower));
+  if (byName) {
+    return byName.name;
+  }
+  const byKeyword = departments.find(department =>
+    department.keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lower)));
+  return byKeyword ? byKeyword.name : null;
+}
+
+module.exports = { departmentNames, findDepartment, matchDepartment };
@@ -0,0 +1,318 @@
+const path = require('path');
+const repositories = require('../repositories');
+
+// Passages are cut to about this many words
+const CHUNK_WORDS = parseInt(process.env.KNOWLEDGE_CHUNK_WORDS) || 120;
+// Passages added to RexBot's prompt per question
+const MAX_PASSAGES = parseInt(process.env.KNOWLEDGE_MAX_PASSAGES) || 3;
+const MAX_UPLOAD_BYTES = parseInt(process.env.KNOWLEDGE_MAX_UPLOAD_BYTES) || 1024 * 1024;
+// Passages scoring below this share of the best match are left out
+const RELATIVE_CUTOFF = 0.3;
+
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.faq': 'text'
+};
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'so',
+  'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+class KnowledgeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KnowledgeError';
+    this.status = status;
+  }
+}
+
+/**
+ * Crude English stemming so "parking", "parks" and "park" match one another
+ */
+function stem(term) {
+  let stemmed = term;
+  if (stemmed.length > 4 && stemmed.endsWith('ies')) {
+    return `${stemmed.slice(0, -3)}y`;
+  }
+  if (stemmed.length > 5 && stemmed.endsWith('ing')) {
+    stemmed = stemmed.slice(0, -3);
+  } else if (stemmed.length > 4 && stemmed.endsWith('ed')) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  return stemmed.length > 4 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+/**
+ * Lower-cased, stemmed search terms with accents and stopwords removed
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !STOPWORDS.has(term))
+    .map(stem);
+}
+
+/**
+ * Split a document into passages of about CHUNK_WORDS words. Paragraphs are kept
+ * together where they fit, and a Markdown heading always starts a new passage.
+ */
+function chunkDocument(content, format) {
+  const chunks = [];
+  let heading;
+  let words = [];
+
+  const flush = () => {
+    if (words.length > 0) {
+      chunks.push({ index: chunks.length, heading, text: words.join(' ') });
+      words = [];
+    }
+  };
+
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  blocks.forEach(block => {
+    let lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    if (format === 'markdown') {
+      lines = lines.filter(line => {
+        const match = line.match(/^#{1,6}\s+(.*?)\s*#*$/);
+        if (match) {
+          flush();
+          heading = match[1];
+        }
+        return !match;
+      });
+    }
+
+    const blockWords = lines.join(' ').split(/\s+/).filter(Boolean);
+    if (words.length + blockWords.length > CHUNK_WORDS) {
+      flush();
+    }
+    // A paragraph longer than a whole passage is cut into several
+    for (let start = 0; start < blockWords.length; start += CHUNK_WORDS) {
+      if (start > 0) flush();
+      words.push(...blockWords.slice(start, start + CHUNK_WORDS));
+    }
+  });
+  flush();
+  return chunks;
+}
+
+/**
+ * Okapi BM25 ranking over every passage in the knowledge base
+ */
+class KnowledgeIndex {
+  constructor(documents = [], { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documentFrequency = new Map();
+    this.passages = documents.flatMap(doc => doc.chunks.map(chunk => {
+      // Titles and headings count towards a passage's terms
+      const terms = tokenize([doc.title, chunk.heading, chunk.text].filter(Boolean).join(' '));
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((count, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+      return { documentId: doc._id, title: doc.title, heading: chunk.heading || null, text: chunk.text, frequencies, length: terms.length };
+    }));
+    this.averageLength = this.passages.reduce((total, passage) => total + passage.length, 0) / (this.passages.length || 1);
+  }
+
+  get size() {
+    return this.passages.length;
+  }
+
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.passages.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  search(query, limit = MAX_PASSAGES) {
+    const terms = [...new Set(tokenize(query))].filter(term => this.documentFrequency.has(term));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const scored = this.passages.map(passage => {
+      const norm = this.k1 * (1 - this.b + this.b * passage.length / this.averageLength);
+      const score = terms.reduce((total, term) => {
+        const tf = passage.frequencies.get(term) || 0;
+        return total + (tf ? this.idf(term) * tf * (this.k1 + 1) / (tf + norm) : 0);
+      }, 0);
+      return { passage, score };
+    }).filter(({ score }) => score > 0).sort((a, b) => b.score - a.score);
+
+    const best = scored.length ? scored[0].score : 0;
+    return scored
+      .filter(({ score }) => score >= best * RELATIVE_CUTOFF)
+      .slice(0, limit)
+      .map(({ passage: { documentId, title, heading, text }, score }) => ({
+        documentId, title, heading, text, score: Number(score.toFixed(3))
+      }));
+  }
+}
+
+let index = null;
+let indexedBackend = null;
+
+/**
+ * The index is built from the stored documents on first use, and again after an
+ * upload or delete or when storage moves between memory and MongoDB
+ */
+async function loadIndex() {
+  if (!index || indexedBackend !== repositories.backend) {
+    indexedBackend = repositories.backend;
+    index = new KnowledgeIndex(await repositories.knowledge.find({}, { select: 'title chunks' }));
+  }
+  return index;
+}
+
+// Replaced by shareInvalidation() so other instances rebuild their index too
+let publishInvalidation = () => {};
+
+const invalidateIndex = () => {
+  index = null;
+  publishInvalidation();
+};
+
+/**
+ * Every instance keeps its own index; after this an upload or delete on any of them
+ * drops the index on all of them
+ */
+async function shareInvalidation(realtime) {
+  await realtime.subscribe('knowledge-changed', () => {
+    index = null;
+  });
+  publishInvalidation = () => {
+    realtime.publish('knowledge-changed', {}).catch(error => console.error('Error sharing knowledge change:', error));
+  };
+}
+
+const summarize = (doc) => ({
+  id: doc._id,
+  title: doc.title,
+  filename: doc.filename || null,
+  format: doc.format,
+  chunks: doc.chunks.length,
+  uploadedBy: doc.uploadedBy && doc.uploadedBy.name ? doc.uploadedBy.name : null,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+async function listDocuments() {
+  const documents = await repositories.knowledge.find({}, {
+    sort: { title: 1 },
+    select: 'title filename format chunks uploadedBy createdAt updatedAt',
+    populate: { path: 'uploadedBy', select: 'name' }
+  });
+  return documents.map(summarize);
+}
+
+/**
+ * Index an uploaded Markdown or text file. Uploading a file with the title of an
+ * existing document replaces that document.
+ *
+ * @param {Object} file multer file ({ originalname, buffer, size })
+ * @param {Object} options { title, uploadedBy } — uploadedBy is the admin's user record
+ */
+async function addDocument(file, { title, uploadedBy } = {}) {
+  if (!file) {
+    throw new KnowledgeError('A file is required');
+  }
+  const format = FORMATS[path.extname(file.originalname || '').toLowerCase()];
+  if (!format) {
+    throw new KnowledgeError(`Unsupported file type. Upload one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const content = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const chunks = chunkDocument(content, format);
+  if (chunks.length === 0) {
+    throw new KnowledgeError('The file is empty');
+  }
+
+  const data = {
+    title: String(title || '').trim() || path.basename(file.originalname, path.extname(file.originalname)),
+    filename: file.originalname,
+    format,
+    content,
+    chunks,
+    uploadedBy: uploadedBy ? uploadedBy._id : undefined
+  };
+  const existing = await repositories.knowledge.findOne({ title: data.title });
+  const saved = existing
+    ? await repositories.knowledge.update(existing._id, data)
+    : await repositories.knowledge.create(data);
+
+  invalidateIndex();
+  return summarize({ ...saved, uploadedBy });
+}
+
+async function removeDocument(id) {
+  const removed = await repositories.knowledge.delete(id);
+  if (!removed) {
+    throw new KnowledgeError('Document not found', 404);
+  }
+  invalidateIndex();
+  return summarize(removed);
+}
+
+/**
+ * Passages that best answer a question, best first
+ */
+async function search(query, { limit = MAX_PASSAGES } = {}) {
+  const text = String(query || '').trim();
+  if (!text) {
+    return [];
+  }
+  return (await loadIndex()).search(text, limit);
+}
+
+/**
+ * Knowledge-base note for RexBot's system prompt. With documents uploaded but no
+ * passage matching, RexBot is told not to guess at facts.
+ */
+async function describeForPrompt(passages) {
+  if (passages.length === 0) {
+    return (await loadIndex()).size > 0
+      ? 'Knowledge base: none of our documents matched this message. If the visitor asks about opening hours, addresses, prices, policies or similar facts, do not invent them; say you are not sure and offer to connect the visitor with a staff member.'
+      : null;
+  }
+
+  const excerpts = passages.map(({ title, heading, text }) => `[${title}${heading ? ` - ${heading}` : ''}]\n${text}`);
+  return [
+    'Knowledge base: the passages below come from our own documents. Answer questions about hours, locations, policies and similar facts only from these passages; if they do not contain the answer, say you are not sure and offer to connect the visitor with a staff member.',
+    'When you use a passage, end your reply with the document title in the form "(Source: <document title>)".',
+    ...excerpts
+  ].join('\n\n');
+}
+
+/**
+ * Documents a reply cites by title, from the passages it was given
+ */
+function citedSources(reply, passages) {
+  const text = String(reply || '').toLowerCase();
+  const sources = new Map();
+  passages
+    .filter(({ title }) => text.includes(title.toLowerCase()))
+    .forEach(({ documentId, title }) => sources.set(String(documentId), { documentId, title }));
+  return Array.from(sources.values());
+}
+
+module.exports = {
+  KnowledgeError,
+  KnowledgeIndex,
+  MAX_UPLOAD_BYTES,
+  tokenize,
+  chunkDocument,
+  listDocuments,
+  addDocument,
+  removeDocument,
+  search,
+  describeForPrompt,
+  citedSources,
+  shareInvalidation
+};
@@ -0,0 +1,122 @@
+const languages = require('../config/languages');
+const { LLMError } = require('./llm');
+
+// Messages shorter than this (in letters) are too short to tell the language from
+const MIN_DETECT_LETTERS = 8;
+// Share of letters that must be in a language's own script
+const MIN_SCRIPT_SHARE = 0.15;
+// Translations kept in memory, so repeated greetings and replies are not re-translated
+const TRANSLATION_CACHE_SIZE = 500;
+
+const scriptPatterns = new Map(languages
+  .filter(language => language.scripts)
+  .map(language => [language.code, new RegExp(language.scripts.map(script => `\\p{Script=${script}}`).join('|'), 'gu')]));
+const stopwordSets = new Map(languages
+  .filter(language => language.stopwords)
+  .map(language => [language.code, new Set(language.stopwords)]));
+
+/**
+ * A supported language by code or locale ("fr", "fr-CA"), or null
+ */
+function findLanguage(code) {
+  const primary = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return languages.find(language => language.code === primary) || null;
+}
+
+const publicLanguage = ({ code, name, nativeName, speech }) => ({ code, name, nativeName, speech });
+
+const listLanguages = () => languages.map(publicLanguage);
+
+/**
+ * Guess the language of a visitor's message: { code, confidence } or null when the
+ * text is too short or too ambiguous to say
+ */
+function detectLanguage(text) {
+  const value = String(text || '');
+  const letters = (value.match(/\p{L}/gu) || []).length;
+  if (letters < MIN_DETECT_LETTERS) {
+    return null;
+  }
+
+  for (const [code, pattern] of scriptPatterns) {
+    const share = (value.match(pattern) || []).length / letters;
+    if (share >= MIN_SCRIPT_SHARE) {
+      return { code, confidence: Number(Math.min(1, share * 2).toFixed(2)) };
+    }
+  }
+
+  const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Array.from(stopwordSets, ([code, stopwords]) => ({
+    code,
+    hits: words.filter(word => stopwords.has(word)).length
+  })).sort((a, b) => b.hits - a.hits);
+
+  const [best, second] = scores;
+  // One common word could belong to several languages; a tie says nothing
+  if (!best || best.hits < 2 || best.hits === second.hits) {
+    return null;
+  }
+  return { code: best.code, confidence: Number(((best.hits - second.hits) / best.hits).toFixed(2)) };
+}
+
+/**
+ * Prompt note telling RexBot which language to answer in
+ */
+function describeForPrompt(code) {
+  const language = findLanguage(code);
+  return language
+    ? `The visitor's language is ${language.name}. Always reply in ${language.name}, even if earlier messages or these instructions are in another language.`
+    : null;
+}
+
+const cache = new Map();
+
+/**
+ * Translate text with the configured language model. Returns null when no
+ * translation is needed or the model is unavailable, so callers can go on without one.
+ */
+async function translate(llm, text, { from, to = 'en' } = {}) {
+  const source = findLanguage(from);
+  const target = findLanguage(to);
+  const value = String(text || '').trim();
+  if (!value || !target || (source && source.code === target.code)) {
+    return null;
+  }
+
+  const key = `${source ? source.code : 'auto'}:${target.code}:${value}`;
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  try {
+    const translation = (await llm.generate({
+      system: `Translate the user's message ${source ? `from ${source.name} ` : ''}into ${target.name}. Reply with the translation only, without quotes, notes or explanations.`,
+      messages: [{ role: 'user', content: value }],
+      temperature: 0,
+      maxTokens: 400
+    })).trim();
+    if (!translation) {
+      return null;
+    }
+
+    cache.set(key, translation);
+    if (cache.size > TRANSLATION_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    return translation;
+  } catch (error) {
+    if (!(error instanceof LLMError) || error.code !== 'not_configured') {
+      console.error('Error translating message:', error.message);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  findLanguage,
+  publicLanguage,
+  listLanguages,
+  detectLanguage,
+  describeForPrompt,
+  translate
+};
@@ -0,0 +1,51 @@
+/**
+ * Error raised by LLM providers. `code` is one of:
+ * not_configured, auth, rate_limited, bad_request, unavailable, invalid_response
+ */
+class LLMError extends Error {
+  constructor(message, { code = 'unavailable', status, provider, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Map an axios error to an LLMError using the HTTP status alone.
+ * Providers refine this with their own error body conventions.
+ */
+function classifyHttpError(error, provider) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+
+  if (!error.response) {
+    return new LLMError(`${provider} is unreachable: ${error.message}`, {
+      code: 'unavailable',
+      provider,
+      cause: error
+    });
+  }
+
+  const { status } = error.response;
+  let code = 'unavailable';
+  if (status === 401 || status === 403) {
+    code = 'auth';
+  } else if (status === 429) {
+    code = 'rate_limited';
+  } else if (status >= 400 && status < 500) {
+    code = 'bad_request';
+  }
+
+  return new LLMError(`${provider} request failed with status ${status}`, {
+    code,
+    status,
+    provider,
+    cause: error
+  });
+}
+
+module.exports = { LLMError, classifyHttpError };
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const { LLMError, classifyHttpError } = require('./errors');
+const { readServerSentEvents, bufferErrorBody } = require('./stream');
+const { toolCall } = require('./tools');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const PLACEHOLDER_KEY = 'your_gemini_api_key_here';
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-1.5-pro', baseUrl = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== PLACEHOLDER_KEY;
+  }
+
+  /**
+   * Parts of one chat turn; tool results go back as functionResponse parts of a user turn
+   */
+  toParts(message) {
+    if (message.role === 'tool') {
+      const result = JSON.parse(message.content || '{}');
+      const response = result && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+      return [{ functionResponse: { name: message.name, response } }];
+    }
+    const parts = message.content ? [{ text: message.content }] : [];
+    (message.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.arguments || {} } }));
+    return parts;
+  }
+
+  buildRequest({ system, messages, tools, temperature = 0.7, maxTokens = 200 }) {
+    // Gemini uses "model" for assistant turns and rejects consecutive turns from the same role
+    const contents = [];
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = this.toParts(message);
+      if (parts.length === 0) {
+        continue;
+      }
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    const body = {
+      contents,
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (tools && tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters }))
+      }];
+    }
+    return body;
+  }
+
+  parseResponse(data) {
+    const candidate = data && data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts;
+    if (!parts) {
+      throw new LLMError('Gemini returned no candidates', { code: 'invalid_response', provider: this.name });
+    }
+    return parts.map(part => part.text || '').join('');
+  }
+
+  classifyError(error) {
+    const classified = classifyHttpError(error, this.name);
+    const apiError = error.response && error.response.data && error.response.data.error;
+    if (apiError) {
+      // Gemini reports a bad key as 400 INVALID_ARGUMENT and quota as RESOURCE_EXHAUSTED
+      if (apiError.status === 'RESOURCE_EXHAUSTED') {
+        classified.code = 'rate_limited';
+      } else if (/api key/i.test(apiError.message || '')) {
+        classified.code = 'auth';
+      }
+      classified.message = `Gemini error: ${apiError.message || apiError.status}`;
+    }
+    return classified;
+  }
+
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new LLMError('GEMINI_API_KEY is not set', { code: 'not_configured', provider: this.name });
+    }
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': this.apiKey
+    };
+  }
+
+  async generate(request) {
+    this.ensureConfigured();
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/models/${this.model}:generateContent`,
+        this.buildRequest(request),
+        { headers: this.headers(), timeout: this.timeout }
+      );
+      return this.parseResponse(response.data);
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+  }
+
+  /**
+   * Yield text chunks and tool calls as Gemini produces them (server-sent events)
+   */
+  async *stream(request) {
+    this.ensureConfigured();
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse`,
+        this.buildRequest(request),
+        { headers: this.headers(), timeout: this.timeout, responseType: 'stream' }
+      );
+    } catch (error) {
+      throw this.classifyError(await bufferErrorBody(error));
+    }
+
+    try {
+      for await (const data of readServerSentEvents(response.data)) {
+        // The closing event may only carry finishReason, without any parts
+        const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+        const text = parts.map(part => part.text || '').join('');
+        if (text) {
+          yield text;
+        }
+        for (const part of parts.filter(part => part.functionCall)) {
+          yield toolCall({ id: part.functionCall.id, name: part.functionCall.name, arguments: part.functionCall.args });
+        }
+      }
+    } catch (error) {
+      throw error instanceof LLMError
+        ? error
+        : new LLMError(`Gemini stream failed: ${error.message}`, { code: 'invalid_response', provider: this.name, cause: error });
+    }
+  }
+}
+
+module.exports = GeminiProvider;
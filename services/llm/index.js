@@ -0,0 +1,92 @@
+const GeminiProvider = require('./gemini');
+const OpenAIProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const { LLMError } = require('./errors');
+const { isToolCall } = require('./tools');
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider
+};
+
+/**
+ * Build the LLM provider selected by LLM_PROVIDER (defaults to Gemini)
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const timeout = parseInt(env.LLM_TIMEOUT_MS) || undefined;
+
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL || undefined,
+        baseUrl: env.GEMINI_BASE_URL || undefined,
+        timeout
+      });
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || undefined,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        timeout
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        model: env.OLLAMA_MODEL || undefined,
+        baseUrl: env.OLLAMA_BASE_URL || undefined,
+        timeout
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+}
+
+/**
+ * Convert stored conversation messages into provider-neutral chat turns.
+ * System messages are returned separately so callers can fold them into the prompt.
+ * Tool calls and results are only kept in pairs: a history window that starts
+ * between the two would otherwise be rejected by the provider.
+ */
+function toChatMessages(history = []) {
+  const context = [];
+  const messages = [];
+
+  const idsOf = (type) => new Set(history.filter(msg => msg.messageType === type && msg.tool).map(msg => msg.tool.callId));
+  const called = idsOf('tool-call');
+  const answered = idsOf('tool-result');
+
+  history.forEach(msg => {
+    if (msg.messageType === 'tool-call') {
+      if (msg.tool && answered.has(msg.tool.callId)) {
+        messages.push({
+          role: 'assistant',
+          content: '',
+          toolCalls: [{ id: msg.tool.callId, name: msg.tool.name, arguments: msg.tool.arguments || {} }]
+        });
+      }
+    } else if (msg.messageType === 'tool-result') {
+      if (msg.tool && called.has(msg.tool.callId)) {
+        messages.push({ role: 'tool', toolCallId: msg.tool.callId, name: msg.tool.name, content: msg.content });
+      }
+    } else if (msg.sender === 'system') {
+      context.push(msg.content);
+    } else {
+      messages.push({
+        role: msg.sender === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      });
+    }
+  });
+
+  return { context, messages };
+}
+
+module.exports = {
+  createProvider,
+  toChatMessages,
+  isToolCall,
+  LLMError,
+  providers
+};
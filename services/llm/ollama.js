@@ -0,0 +1,129 @@
+const axios = require('axios');
+const { LLMError, classifyHttpError } = require('./errors');
+const { readLines, bufferErrorBody } = require('./stream');
+const { toolCall } = require('./tools');
+
+/**
+ * Local HTTP model server speaking the Ollama /api/chat protocol
+ */
+class OllamaProvider {
+  constructor({ model = 'llama3', baseUrl = 'http://localhost:11434', timeout = 60000 } = {}) {
+    this.name = 'ollama';
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.model);
+  }
+
+  toMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_name: message.name, content: message.content };
+    }
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+      };
+    }
+    return {
+      role: message.role === 'assistant' ? 'assistant' : 'user',
+      content: message.content
+    };
+  }
+
+  buildRequest({ system, messages, tools, temperature = 0.7, maxTokens = 200 }, stream = false) {
+    const chatMessages = messages.map(message => this.toMessage(message));
+    if (system) {
+      chatMessages.unshift({ role: 'system', content: system });
+    }
+
+    const body = {
+      model: this.model,
+      messages: chatMessages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+    }
+    return body;
+  }
+
+  parseResponse(data) {
+    if (!data || !data.message) {
+      throw new LLMError('Model server returned no message', { code: 'invalid_response', provider: this.name });
+    }
+    return data.message.content || '';
+  }
+
+  classifyError(error) {
+    const classified = classifyHttpError(error, this.name);
+    const apiError = error.response && error.response.data && error.response.data.error;
+    if (apiError) {
+      classified.message = `Model server error: ${apiError}`;
+    }
+    return classified;
+  }
+
+  async generate(request) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, this.buildRequest(request), {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout
+      });
+      return this.parseResponse(response.data);
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+  }
+
+  /**
+   * Yield text chunks and tool calls from the newline-delimited JSON stream
+   */
+  async *stream(request) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/api/chat`, this.buildRequest(request, true), {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout,
+        responseType: 'stream'
+      });
+    } catch (error) {
+      throw this.classifyError(await bufferErrorBody(error));
+    }
+
+    try {
+      for await (const line of readLines(response.data)) {
+        if (!line.trim()) {
+          continue;
+        }
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new LLMError(`Model server error: ${data.error}`, { code: 'unavailable', provider: this.name });
+        }
+        if (data.message && data.message.content) {
+          yield data.message.content;
+        }
+        for (const call of (data.message && data.message.tool_calls) || []) {
+          yield toolCall({ name: call.function.name, arguments: call.function.arguments });
+        }
+        if (data.done) {
+          return;
+        }
+      }
+    } catch (error) {
+      throw error instanceof LLMError
+        ? error
+        : new LLMError(`Model server stream failed: ${error.message}`, { code: 'invalid_response', provider: this.name, cause: error });
+    }
+  }
+}
+
+module.exports = OllamaProvider;
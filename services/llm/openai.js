@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { LLMError, classifyHttpError } = require('./errors');
+const { readServerSentEvents, bufferErrorBody } = require('./stream');
+const { toolCall } = require('./tools');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI-compatible chat completions API (OpenAI, Azure-style gateways, vLLM, LM Studio, ...)
+ */
+class OpenAIProvider {
+  constructor({ apiKey, model = 'gpt-4o-mini', baseUrl = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    // Self-hosted compatible servers usually run without a key
+    return Boolean(this.apiKey) || this.baseUrl !== DEFAULT_BASE_URL;
+  }
+
+  toMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return {
+      role: message.role === 'assistant' ? 'assistant' : 'user',
+      content: message.content
+    };
+  }
+
+  buildRequest({ system, messages, tools, temperature = 0.7, maxTokens = 200 }) {
+    const chatMessages = messages.map(message => this.toMessage(message));
+    if (system) {
+      chatMessages.unshift({ role: 'system', content: system });
+    }
+
+    const body = {
+      model: this.model,
+      messages: chatMessages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+    }
+    return body;
+  }
+
+  parseResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new LLMError('OpenAI-compatible endpoint returned no choices', { code: 'invalid_response', provider: this.name });
+    }
+    return choice.message.content || '';
+  }
+
+  classifyError(error) {
+    const classified = classifyHttpError(error, this.name);
+    const apiError = error.response && error.response.data && error.response.data.error;
+    if (apiError) {
+      if (apiError.code === 'insufficient_quota' || apiError.type === 'insufficient_quota') {
+        classified.code = 'rate_limited';
+      } else if (apiError.code === 'invalid_api_key') {
+        classified.code = 'auth';
+      }
+      classified.message = `OpenAI error: ${apiError.message || apiError.code}`;
+    }
+    return classified;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new LLMError('OPENAI_API_KEY is not set', { code: 'not_configured', provider: this.name });
+    }
+  }
+
+  async generate(request) {
+    this.ensureConfigured();
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildRequest(request), {
+        headers: this.headers(),
+        timeout: this.timeout
+      });
+      return this.parseResponse(response.data);
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+  }
+
+  /**
+   * Yield text chunks from a streamed chat completion (server-sent events). Tool
+   * calls arrive in fragments and are yielded once the stream ends.
+   */
+  async *stream(request) {
+    this.ensureConfigured();
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        { ...this.buildRequest(request), stream: true },
+        { headers: this.headers(), timeout: this.timeout, responseType: 'stream' }
+      );
+    } catch (error) {
+      throw this.classifyError(await bufferErrorBody(error));
+    }
+
+    const calls = [];
+    try {
+      for await (const data of readServerSentEvents(response.data)) {
+        if (data === '[DONE]') {
+          break;
+        }
+        const choice = JSON.parse(data).choices?.[0];
+        const delta = (choice && choice.delta) || {};
+        if (delta.content) {
+          yield delta.content;
+        }
+        (delta.tool_calls || []).forEach(fragment => {
+          const call = calls[fragment.index] || (calls[fragment.index] = { id: null, name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+          if (fragment.function && fragment.function.arguments) call.arguments += fragment.function.arguments;
+        });
+      }
+    } catch (error) {
+      throw new LLMError(`OpenAI stream failed: ${error.message}`, { code: 'invalid_response', provider: this.name, cause: error });
+    }
+
+    for (const call of calls.filter(Boolean)) {
+      yield toolCall(call);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,71 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Helpers for reading streamed HTTP bodies returned by axios (responseType: 'stream').
+ * Chunks are decoded with a StringDecoder, which holds back a multibyte character
+ * split across two chunks until the rest of it arrives.
+ */
+
+async function* readLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      yield line;
+    }
+  }
+  buffer += decoder.end();
+  if (buffer.length > 0) {
+    yield buffer;
+  }
+}
+
+/**
+ * Yield the data payload of each server-sent event
+ */
+async function* readServerSentEvents(stream) {
+  let data = [];
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield data.join('\n');
+        data = [];
+      }
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  if (data.length > 0) {
+    yield data.join('\n');
+  }
+}
+
+/**
+ * With a streamed response the error body is still a stream; read and parse it
+ * so providers can classify streamed failures the same way as regular ones.
+ */
+async function bufferErrorBody(error) {
+  const data = error.response && error.response.data;
+  if (!data || typeof data.on !== 'function') {
+    return error;
+  }
+
+  const decoder = new StringDecoder('utf8');
+  let body = '';
+  try {
+    for await (const chunk of data) {
+      body += decoder.write(chunk);
+    }
+    body += decoder.end();
+    error.response.data = JSON.parse(body);
+  } catch (parseError) {
+    error.response.data = body;
+  }
+  return error;
+}
+
+module.exports = { readLines, readServerSentEvents, bufferErrorBody };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+/**
+ * Provider-neutral tool calling.
+ *
+ * A request may carry `tools`: [{ name, description, parameters }], where parameters
+ * is a JSON Schema object. Streams then yield tool calls as
+ * { type: 'tool-call', id, name, arguments } alongside the usual text chunks.
+ * The model's turn and the results go back as chat turns shaped
+ * { role: 'assistant', content, toolCalls } and { role: 'tool', toolCallId, name, content }.
+ */
+
+/**
+ * Tool arguments arrive as an object (Gemini, Ollama) or a JSON string (OpenAI)
+ */
+function parseArguments(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+function toolCall({ id, name, arguments: args }) {
+  return {
+    type: 'tool-call',
+    // Gemini does not always number its calls
+    id: id || `call_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    arguments: parseArguments(args)
+  };
+}
+
+const isToolCall = (chunk) => Boolean(chunk) && typeof chunk === 'object' && chunk.type === 'tool-call';
+
+module.exports = { toolCall, isToolCall, parseArguments };
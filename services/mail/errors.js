@@ -0,0 +1,15 @@
+/**
+ * Error raised by mail transports. `code` is one of:
+ * not_configured, rejected (the server refused the message), unavailable
+ */
+class MailError extends Error {
+  constructor(message, { code = 'unavailable', transport, cause } = {}) {
+    super(message);
+    this.name = 'MailError';
+    this.code = code;
+    this.transport = transport;
+    this.cause = cause;
+  }
+}
+
+module.exports = { MailError };
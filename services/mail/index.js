@@ -0,0 +1,62 @@
+const SmtpTransport = require('./smtp');
+const LogTransport = require('./log');
+const MailQueue = require('./queue');
+const { MailError } = require('./errors');
+const { render, templates } = require('./templates');
+
+const transports = {
+  smtp: SmtpTransport,
+  log: LogTransport
+};
+
+const DEFAULT_FROM = 'RexBot Reception <reception@localhost>';
+
+/**
+ * Build the mail transport selected by MAIL_TRANSPORT, or null when email is off
+ */
+function createMailTransport(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || '').toLowerCase();
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  switch (name) {
+    case '':
+      return null;
+    case 'smtp':
+      return new SmtpTransport({
+        host: env.SMTP_HOST || undefined,
+        port: parseInt(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER || undefined,
+        password: env.SMTP_PASSWORD || undefined,
+        from,
+        timeout: parseInt(env.SMTP_TIMEOUT_MS) || undefined
+      });
+    case 'log':
+      return new LogTransport({ from });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+}
+
+/**
+ * The mail queue, delivering through the configured transport. MAIL_MAX_ATTEMPTS caps
+ * delivery attempts; retries wait MAIL_RETRY_DELAY_MS, doubling each time.
+ */
+function createMailQueue(env = process.env) {
+  return new MailQueue({
+    transport: createMailTransport(env),
+    maxAttempts: parseInt(env.MAIL_MAX_ATTEMPTS) || undefined,
+    retryDelayMs: parseInt(env.MAIL_RETRY_DELAY_MS) || undefined,
+    pollIntervalMs: parseInt(env.MAIL_POLL_INTERVAL_MS) || undefined
+  });
+}
+
+module.exports = {
+  createMailTransport,
+  createMailQueue,
+  MailQueue,
+  MailError,
+  render,
+  templates,
+  transports
+};
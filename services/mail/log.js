@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Writes messages to the server log instead of sending them, for demos and development
+ */
+class LogTransport {
+  constructor({ from, logger = console } = {}) {
+    this.name = 'log';
+    this.from = from;
+    this.logger = logger;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@rexbot.log>`;
+    this.logger.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return { messageId };
+  }
+}
+
+module.exports = LogTransport;
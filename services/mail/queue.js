@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events');
+const repositories = require('../../repositories');
+
+// Messages delivered per pass over the queue
+const BATCH_SIZE = 20;
+
+/**
+ * Persistent outgoing mail queue. Messages are stored before they are sent, delivered
+ * in the background and retried with exponential backoff until they are sent, the
+ * server rejects them outright or they run out of attempts.
+ *
+ * Emits 'status' with the stored message whenever its delivery status changes.
+ */
+class MailQueue extends EventEmitter {
+  constructor({ transport, maxAttempts = 5, retryDelayMs = 30000, maxRetryDelayMs = 60 * 60 * 1000, pollIntervalMs = 15000, claimTimeoutMs = 15 * 60 * 1000 } = {}) {
+    super();
+    this.transport = transport;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.claimTimeoutMs = claimTimeoutMs;
+    this.timer = null;
+    this.draining = null;
+    this.drainAgain = false;
+  }
+
+  /**
+   * Store a rendered message ({ template, to, subject, text, html, related }) for
+   * delivery. Without a transport it is recorded as skipped.
+   */
+  async enqueue(message) {
+    const stored = await repositories.emails.create({
+      ...message,
+      status: this.transport ? 'queued' : 'skipped',
+      lastError: this.transport ? undefined : 'Email is not configured'
+    });
+    this.emit('status', stored);
+    if (this.transport) {
+      this.process();
+    }
+    return stored;
+  }
+
+  start() {
+    if (!this.transport || this.timer) return;
+    const poll = () => this.recover().then(() => this.process());
+    this.timer = setInterval(poll, this.pollIntervalMs);
+    this.timer.unref();
+    poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Messages left mid-delivery by a crashed or stopped instance are sent again once
+   * their claim (its updatedAt) is older than `claimTimeoutMs`. Younger claims may
+   * belong to another running instance and are left alone.
+   */
+  async recover() {
+    try {
+      const expired = { status: 'sending', updatedAt: { $lt: new Date(Date.now() - this.claimTimeoutMs) } };
+      const stuck = await repositories.emails.find(expired);
+      await Promise.all(stuck.map(message => repositories.emails.updateWhere({ ...expired, _id: message._id }, { status: 'queued' })));
+    } catch (error) {
+      console.error('Error recovering mail queue:', error);
+    }
+  }
+
+  /**
+   * Deliver every message that is due; calls made while a pass is running start another pass
+   */
+  process() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return this.draining;
+    }
+    this.draining = this.drain()
+      .catch(error => console.error('Error processing mail queue:', error))
+      .finally(() => {
+        this.draining = null;
+        if (this.drainAgain) {
+          this.drainAgain = false;
+          this.process();
+        }
+      });
+    return this.draining;
+  }
+
+  async drain() {
+    let due;
+    do {
+      due = await repositories.emails.find(
+        { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+        { sort: { nextAttemptAt: 1 }, limit: BATCH_SIZE }
+      );
+      for (const message of due) {
+        await this.deliver(message);
+      }
+    } while (due.length === BATCH_SIZE);
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+  }
+
+  async deliver(message) {
+    const attempts = message.attempts + 1;
+    // Claiming the message first keeps two servers sharing a database from both sending it
+    const claimed = await repositories.emails.updateWhere(
+      { _id: message._id, status: 'queued' },
+      { status: 'sending', attempts }
+    );
+    if (!claimed) return;
+
+    let updated;
+    try {
+      const { messageId } = await this.transport.send({
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+      updated = await repositories.emails.update(message._id, { status: 'sent', messageId, sentAt: new Date(), lastError: null });
+    } catch (error) {
+      const giveUp = error.code === 'rejected' || attempts >= this.maxAttempts;
+      console.error(`Email ${message._id} to ${message.to} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}):`, error.message);
+      updated = await repositories.emails.update(message._id, giveUp
+        ? { status: 'failed', lastError: error.message }
+        : { status: 'queued', lastError: error.message, nextAttemptAt: new Date(Date.now() + this.retryDelay(attempts)) });
+    }
+    this.emit('status', updated);
+  }
+
+  /**
+   * Send a failed message again with a fresh set of attempts
+   */
+  async retry(id) {
+    const failed = await repositories.emails.findById(id);
+    if (!failed || failed.status !== 'failed') {
+      return null;
+    }
+    const message = await repositories.emails.updateWhere(
+      { _id: failed._id, status: 'failed' },
+      { status: 'queued', attempts: 0, nextAttemptAt: new Date() }
+    );
+    if (message) {
+      this.emit('status', message);
+      this.process();
+    }
+    return message;
+  }
+}
+
+module.exports = MailQueue;
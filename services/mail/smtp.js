@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+const { MailError } = require('./errors');
+
+/**
+ * Any SMTP server: the organisation's mail relay, or a local stand-in such as
+ * Mailpit or MailHog during development
+ */
+class SmtpTransport {
+  constructor({ host = 'localhost', port = 587, secure = false, user, password, from, timeout = 30000 } = {}) {
+    this.name = 'smtp';
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: timeout,
+      socketTimeout: timeout
+    });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send a message. Resolves to { messageId }.
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+      return { messageId: info.messageId };
+    } catch (error) {
+      // 5xx replies mean the server will not take the message, however often it is sent
+      const code = error.responseCode >= 500 ? 'rejected' : 'unavailable';
+      throw new MailError(`SMTP delivery failed: ${error.message}`, { code, transport: this.name, cause: error });
+    }
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,95 @@
+/**
+ * Email templates. Each takes the message's data and returns its subject and
+ * paragraphs; render() adds the greeting, sign-off and an HTML version.
+ */
+const templates = {
+  // data: { name, decision, notes, staffName, department }
+  'call-outcome': ({ decision, notes, staffName, department }) => ({
+    subject: `Your request has been ${decision === 'accepted' ? 'accepted' : 'declined'}`,
+    paragraphs: [
+      `Thank you for visiting us. ${staffName ? `${staffName}${department ? ` from ${department}` : ''}` : 'Our team'} has ` +
+        `${decision === 'accepted' ? 'accepted' : 'declined'} your request.`,
+      notes ? `Notes: ${notes}` : null,
+      'If you have any questions, just reply to this email or ask RexBot at reception.'
+    ]
+  }),
+
+  // data: { name, when, department, staffName, reason }
+  'appointment-confirmed': ({ when, department, staffName, reason }) => ({
+    subject: `Appointment confirmed: ${when}`,
+    paragraphs: [
+      `Your appointment with ${staffName} (${department}) is confirmed for ${when}.`,
+      `Reason: ${reason}`,
+      'Please check in at reception when you arrive.'
+    ]
+  }),
+
+  // data: { name, when, department, staffName, reason }
+  'appointment-reminder': ({ when, department, staffName, reason }) => ({
+    subject: `Reminder: your appointment on ${when}`,
+    paragraphs: [
+      `This is a reminder of your appointment with ${staffName} (${department}) on ${when}.`,
+      `Reason: ${reason}`,
+      'Please check in at reception when you arrive.'
+    ]
+  }),
+
+  // data: { name, role, url, expiresHours }
+  'staff-invite': ({ role, url, expiresHours }) => ({
+    subject: 'You have been invited to RexBot',
+    paragraphs: [
+      `You have been invited to the RexBot reception system as ${role === 'admin' ? 'an administrator' : 'a staff member'}.`,
+      `Choose a password to activate your account: ${url}`,
+      `This link expires in ${expiresHours} hours.`
+    ]
+  }),
+
+  // data: { name, code, expiresMinutes }
+  'identity-code': ({ code, expiresMinutes }) => ({
+    subject: `Your RexBot reception code: ${code}`,
+    paragraphs: [
+      `Tell RexBot this code so it can look up your earlier visits: ${code}`,
+      `The code expires in ${expiresMinutes} minutes. If you are not at our reception right now, you can ignore this email.`
+    ]
+  }),
+
+  // data: { name, visitorName, company, purpose, time, badgeCode, badgeUrl }
+  'visitor-arrived': ({ visitorName, company, purpose, time, badgeCode, badgeUrl }) => ({
+    subject: `Your visitor ${visitorName} has arrived`,
+    paragraphs: [
+      `${company ? `${visitorName} (${company})` : visitorName} checked in at reception at ${time} to see you.`,
+      `Purpose: ${purpose}\nBadge: ${badgeCode}${badgeUrl ? `\nVisit details: ${badgeUrl}` : ''}`,
+      'Please come and meet them at reception.'
+    ]
+  })
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const linkify = (html) => html.replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`);
+
+/**
+ * Render a template to { subject, text, html }. data.name is the recipient's name.
+ */
+function render(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}". Expected one of: ${Object.keys(templates).join(', ')}`);
+  }
+
+  const { subject, paragraphs } = template(data);
+  const body = [data.name ? `Hello ${data.name},` : 'Hello,', ...paragraphs.filter(Boolean), 'RexBot Reception'];
+  return {
+    subject,
+    text: body.join('\n\n'),
+    html: body
+      .map(paragraph => `<p>${linkify(escapeHtml(paragraph)).replace(/\n/g, '<br>')}</p>`)
+      .join('\n')
+  };
+}
+
+module.exports = { templates, render };
@@ -0,0 +1,159 @@
+const repositories = require('../repositories');
+const mail = require('./mail');
+const { describeSlot } = require('./scheduling');
+
+// How long before a confirmed appointment its reminder goes out; 0 turns reminders off
+const REMINDER_MINUTES = Number.isNaN(parseInt(process.env.APPOINTMENT_REMINDER_MINUTES))
+  ? 24 * 60
+  : parseInt(process.env.APPOINTMENT_REMINDER_MINUTES);
+const REMINDER_CHECK_MS = 60 * 1000;
+const SETUP_TOKEN_HOURS = parseInt(process.env.SETUP_TOKEN_HOURS) || 72;
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Email notifications: which template goes to whom, and when. Messages go through the
+ * mail queue, so none of these wait for delivery or fail when the mail server is down.
+ */
+class Notifications {
+  constructor({ queue }) {
+    this.queue = queue;
+    this.reminderTimer = null;
+  }
+
+  async send(template, to, data, related = {}) {
+    if (!to) {
+      return null;
+    }
+    return this.queue.enqueue({ template, to, related, ...mail.render(template, data) });
+  }
+
+  /**
+   * A visitor's call was accepted or declined; reaches them even after they have left the kiosk
+   */
+  async callOutcome(call) {
+    if (!['accepted', 'rejected'].includes(call.decision)) {
+      return null;
+    }
+    const client = await repositories.users.findById(call.clientId);
+    const staff = call.staffId ? await repositories.users.findById(call.staffId) : null;
+    if (!client) {
+      return null;
+    }
+    return this.send('call-outcome', client.email, {
+      name: client.name,
+      decision: call.decision,
+      notes: call.notes,
+      staffName: staff ? staff.name : null,
+      department: call.department
+    }, { callId: call._id, userId: client._id });
+  }
+
+  async appointmentConfirmed(appointment, staff) {
+    const to = appointment.email || (await repositories.users.findById(appointment.clientId) || {}).email;
+    // An appointment confirmed inside the reminder window needs no separate reminder
+    if (REMINDER_MINUTES > 0 && new Date(appointment.startTime) - Date.now() <= REMINDER_MINUTES * 60 * 1000) {
+      await repositories.appointments.update(appointment._id, { remindedAt: new Date() });
+    }
+    return this.send('appointment-confirmed', to, {
+      ...this.describeAppointment(appointment),
+      staffName: staff.name
+    }, { appointmentId: appointment._id, userId: appointment.clientId });
+  }
+
+  describeAppointment(appointment) {
+    return {
+      name: appointment.name,
+      when: describeSlot(new Date(appointment.startTime)),
+      department: appointment.department,
+      reason: appointment.reason
+    };
+  }
+
+  /**
+   * Queue reminders for confirmed appointments starting within the reminder window
+   */
+  async sendDueReminders() {
+    const now = new Date();
+    const appointments = await repositories.appointments.find({
+      status: 'confirmed',
+      remindedAt: { $exists: false },
+      startTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000) }
+    }, { populate: { path: 'staffId', select: 'name' } });
+
+    for (const appointment of appointments) {
+      // Claim the reminder so it is only sent once
+      const claimed = await repositories.appointments.updateWhere(
+        { _id: appointment._id, remindedAt: { $exists: false } },
+        { remindedAt: new Date() }
+      );
+      if (!claimed) continue;
+
+      const to = appointment.email || (await repositories.users.findById(appointment.clientId) || {}).email;
+      await this.send('appointment-reminder', to, {
+        ...this.describeAppointment(appointment),
+        staffName: appointment.staffId ? appointment.staffId.name : 'our team'
+      }, { appointmentId: appointment._id, userId: appointment.clientId });
+    }
+  }
+
+  startReminders() {
+    if (REMINDER_MINUTES <= 0 || this.reminderTimer) return;
+    const check = () => this.sendDueReminders().catch(error => console.error('Error sending appointment reminders:', error));
+    this.reminderTimer = setInterval(check, REMINDER_CHECK_MS);
+    this.reminderTimer.unref();
+    check();
+  }
+
+  stopReminders() {
+    clearInterval(this.reminderTimer);
+    this.reminderTimer = null;
+  }
+
+  async staffInvite(user, url) {
+    return this.send('staff-invite', user.email, {
+      name: user.name,
+      role: user.role,
+      url,
+      expiresHours: SETUP_TOKEN_HOURS
+    }, { userId: user._id });
+  }
+
+  /**
+   * A code the visitor reads back to RexBot to prove the email they gave at the kiosk
+   */
+  async identityCode(user, code, expiresMinutes) {
+    return this.send('identity-code', user.email, { name: user.name, code, expiresMinutes }, { userId: user._id });
+  }
+
+  async visitorArrived(visit, host, { badgeUrl }) {
+    return this.send('visitor-arrived', host.email, {
+      name: host.name,
+      visitorName: visit.name,
+      company: visit.company,
+      purpose: visit.purpose,
+      time: formatTime(visit.checkedInAt),
+      badgeCode: visit.badgeCode,
+      badgeUrl
+    }, { visitId: visit.id, userId: host._id });
+  }
+}
+
+/**
+ * An email for the admin API; the body is left out
+ */
+const publicEmail = (message) => ({
+  id: message._id,
+  template: message.template,
+  to: message.to,
+  subject: message.subject,
+  status: message.status,
+  attempts: message.attempts,
+  lastError: message.lastError || null,
+  nextAttemptAt: message.status === 'queued' ? message.nextAttemptAt : null,
+  sentAt: message.sentAt || null,
+  related: message.related || {},
+  createdAt: message.createdAt
+});
+
+module.exports = { Notifications, publicEmail };
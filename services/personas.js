@@ -0,0 +1,348 @@
+const repositories = require('../repositories');
+const { findDepartment } = require('./departments');
+
+const MAX_LENGTHS = { name: 60, greeting: 500, tone: 200, systemPrompt: 8000, fallback: 500 };
+const KIOSK_ID = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * The built-in persona, used wherever no stored persona matches and for any field a
+ * stored persona leaves empty. {assistant}, {name} and {purpose} are filled in.
+ */
+const DEFAULT_PERSONA = {
+  id: null,
+  name: 'RexBot',
+  greeting: "Welcome! I'm {assistant}, your AI receptionist. I understand you're here for: {purpose}. How can I assist you today?",
+  tone: '',
+  systemPrompt: `You are {assistant}, a professional AI receptionist. Your personality is:
+
+1. Be professional, friendly, and helpful
+2. Use formal but warm language
+3. Ask relevant questions to understand visitor needs
+4. Collect necessary information for appointments
+5. Be efficient and direct
+6. Show empathy and understanding
+7. Guide visitors through the process professionally
+
+Always respond as {assistant}, maintaining your professional receptionist personality while being helpful and efficient.`,
+  fallbacks: {
+    greeting: [
+      "Hello! I'm {assistant}, your AI receptionist. How may I assist you today?",
+      "Welcome! I'm here to help you. What brings you here today?",
+      "Good day! I'm {assistant}, ready to assist you. How can I help?",
+      "Hello there! I'm your AI receptionist. What can I do for you today?",
+      "Welcome! I'm {assistant}. How may I be of service to you?"
+    ],
+    rateLimited: [
+      "I understand your request. Let me help you with that. Could you please provide more details?",
+      "Thank you for reaching out. I'm here to assist you. What specific information do you need?",
+      "I appreciate your inquiry. Let me guide you through this process. What would you like to know?",
+      "Hello! I'm here to help. Could you please clarify your request so I can assist you better?",
+      "Thank you for contacting us. I'm ready to help you with your needs. What can I do for you?"
+    ],
+    error: 'I apologize, but I\'m experiencing some technical difficulties. Please try again in a moment.'
+  },
+  voice: { name: null, rate: 0.9, pitch: 1.1 },
+  language: 'en-US',
+  kiosks: [],
+  departments: [],
+  isDefault: false
+};
+
+class PersonaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PersonaError';
+    this.status = status;
+  }
+}
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+const fill = (template, values) => String(template).replace(/\{(assistant|name|purpose)\}/g, (match, key) =>
+  (values[key] === undefined || values[key] === null ? match : values[key]));
+
+const present = (persona) => ({
+  id: persona._id,
+  name: persona.name,
+  greeting: persona.greeting || '',
+  tone: persona.tone || '',
+  systemPrompt: persona.systemPrompt || '',
+  fallbacks: {
+    greeting: (persona.fallbacks && persona.fallbacks.greeting) || [],
+    rateLimited: (persona.fallbacks && persona.fallbacks.rateLimited) || [],
+    error: (persona.fallbacks && persona.fallbacks.error) || ''
+  },
+  voice: { ...DEFAULT_PERSONA.voice, ...(persona.voice || {}) },
+  language: persona.language || DEFAULT_PERSONA.language,
+  kiosks: persona.kiosks || [],
+  departments: persona.departments || [],
+  isDefault: Boolean(persona.isDefault),
+  updatedAt: persona.updatedAt
+});
+
+let cache = null;
+let cachedBackend = null;
+
+/**
+ * Stored personas, read once and again after every admin edit, so changes reach
+ * the next message without a restart
+ */
+async function loadPersonas() {
+  if (!cache || cachedBackend !== repositories.backend) {
+    cachedBackend = repositories.backend;
+    cache = await repositories.personas.find({}, { sort: { name: 1 } });
+  }
+  return cache;
+}
+
+// Replaced by shareInvalidation() so other instances reload their personas too
+let publishInvalidation = () => {};
+
+const invalidateCache = () => {
+  cache = null;
+  publishInvalidation();
+};
+
+/**
+ * Every instance caches the personas; after this an edit on any of them drops the
+ * cache on all of them
+ */
+async function shareInvalidation(realtime) {
+  await realtime.subscribe('personas-changed', () => {
+    cache = null;
+  });
+  publishInvalidation = () => {
+    realtime.publish('personas-changed', {}).catch(error => console.error('Error sharing persona change:', error));
+  };
+}
+
+/**
+ * Kiosk ids are short slugs; anything else is ignored rather than stored
+ */
+const normalizeKiosk = (kiosk) => {
+  const id = String(kiosk || '').trim().toLowerCase();
+  return KIOSK_ID.test(id) ? id : null;
+};
+
+/**
+ * The persona for a conversation: the one it started with if it still exists,
+ * else the kiosk's, the department's, the default persona, or the built-in one
+ */
+async function resolvePersona({ personaId, kiosk, department } = {}) {
+  const personas = await loadPersonas();
+  const match = (personaId && personas.find(persona => String(persona._id) === String(personaId))) ||
+    (kiosk && personas.find(persona => (persona.kiosks || []).includes(normalizeKiosk(kiosk)))) ||
+    (department && personas.find(persona => (persona.departments || []).includes(department))) ||
+    personas.find(persona => persona.isDefault);
+  return match ? present(match) : { ...DEFAULT_PERSONA };
+}
+
+const languageName = (tag) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag);
+  } catch (error) {
+    return tag;
+  }
+};
+
+/**
+ * The persona's system prompt with its tone and language folded in. The persona's
+ * language is left out once the visitor's own language is known, since RexBot
+ * answers in that instead.
+ */
+function systemPrompt(persona, { visitorLanguage = null } = {}) {
+  const parts = [fill(persona.systemPrompt || DEFAULT_PERSONA.systemPrompt, { assistant: persona.name })];
+  if (persona.tone) {
+    parts.push(`Tone: ${persona.tone}.`);
+  }
+  if (!visitorLanguage && persona.language && !/^en\b/i.test(persona.language)) {
+    parts.push(`Reply in ${languageName(persona.language)}.`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Opening message of a conversation
+ */
+function greeting(persona, { name, purpose } = {}) {
+  return fill(persona.greeting || DEFAULT_PERSONA.greeting, { assistant: persona.name, name, purpose });
+}
+
+/**
+ * A canned reply: kind is 'greeting' (no model configured), 'rateLimited' or 'error'
+ */
+function fallback(persona, kind) {
+  const configured = persona.fallbacks && persona.fallbacks[kind];
+  const replies = [].concat(configured && configured.length ? configured : DEFAULT_PERSONA.fallbacks[kind]);
+  return fill(pickRandom(replies), { assistant: persona.name });
+}
+
+/**
+ * What the visitor kiosk needs to present the persona
+ */
+const publicPersona = (persona) => ({
+  id: persona.id,
+  name: persona.name,
+  language: persona.language,
+  voice: persona.voice
+});
+
+function text(value, field, { required = false } = {}) {
+  const trimmed = String(value === undefined || value === null ? '' : value).trim();
+  if (required && !trimmed) {
+    throw new PersonaError(`${field} is required`);
+  }
+  if (trimmed.length > (MAX_LENGTHS[field] || MAX_LENGTHS.fallback)) {
+    throw new PersonaError(`${field} can be at most ${MAX_LENGTHS[field] || MAX_LENGTHS.fallback} characters`);
+  }
+  return trimmed;
+}
+
+// Kiosks and departments may be comma-separated; replies only one per line
+const list = (value, separator = /[\n,]/) => (Array.isArray(value) ? value : String(value || '').split(separator))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+function number(value, field, min, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new PersonaError(`${field} must be between ${min} and ${max}`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate the fields present in an admin's input
+ */
+function normalize(input, { partial = false } = {}) {
+  const data = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('name')) data.name = text(input.name, 'name', { required: true });
+  ['greeting', 'tone', 'systemPrompt'].filter(has).forEach(field => {
+    data[field] = text(input[field], field);
+  });
+
+  if (has('fallbacks')) {
+    const fallbacks = input.fallbacks || {};
+    data.fallbacks = {
+      greeting: list(fallbacks.greeting, '\n').map(reply => text(reply, 'fallback')),
+      rateLimited: list(fallbacks.rateLimited, '\n').map(reply => text(reply, 'fallback')),
+      error: text(fallbacks.error, 'fallback')
+    };
+  }
+  if (has('voice')) {
+    const voice = input.voice || {};
+    data.voice = {
+      name: String(voice.name || '').trim() || undefined,
+      rate: voice.rate === undefined || voice.rate === '' ? DEFAULT_PERSONA.voice.rate : number(voice.rate, 'Voice rate', 0.5, 2),
+      pitch: voice.pitch === undefined || voice.pitch === '' ? DEFAULT_PERSONA.voice.pitch : number(voice.pitch, 'Voice pitch', 0, 2)
+    };
+  }
+  if (has('language')) {
+    try {
+      data.language = Intl.getCanonicalLocales(String(input.language || DEFAULT_PERSONA.language).trim())[0];
+    } catch (error) {
+      throw new PersonaError('language must be a language tag such as en-US or fr-FR');
+    }
+  }
+  if (has('kiosks')) {
+    data.kiosks = [...new Set(list(input.kiosks).map(kiosk => {
+      const id = normalizeKiosk(kiosk);
+      if (!id) {
+        throw new PersonaError(`Invalid kiosk id "${kiosk}": use letters, digits, - and _`);
+      }
+      return id;
+    }))];
+  }
+  if (has('departments')) {
+    data.departments = [...new Set(list(input.departments).map(name => {
+      const department = findDepartment(name);
+      if (!department) {
+        throw new PersonaError(`Unknown department: ${name}`);
+      }
+      return department.name;
+    }))];
+  }
+  if (has('isDefault')) data.isDefault = input.isDefault === true || input.isDefault === 'true';
+  return data;
+}
+
+/**
+ * A kiosk or department can only be served by one persona
+ */
+async function checkConflicts(data, id = null) {
+  const others = (await loadPersonas()).filter(persona => String(persona._id) !== String(id));
+  for (const field of ['kiosks', 'departments']) {
+    for (const value of data[field] || []) {
+      const owner = others.find(persona => (persona[field] || []).includes(value));
+      if (owner) {
+        throw new PersonaError(`${value} already uses the persona ${owner.name}`, 409);
+      }
+    }
+  }
+}
+
+async function clearOtherDefaults(id) {
+  const defaults = await repositories.personas.find({ isDefault: true });
+  await Promise.all(defaults
+    .filter(persona => String(persona._id) !== String(id))
+    .map(persona => repositories.personas.update(persona._id, { isDefault: false })));
+}
+
+async function listPersonas() {
+  return (await loadPersonas()).map(present);
+}
+
+async function createPersona(input, { updatedBy } = {}) {
+  const data = normalize(input || {});
+  await checkConflicts(data);
+
+  const persona = await repositories.personas.create({ ...data, updatedBy: updatedBy ? updatedBy._id : undefined });
+  if (persona.isDefault) {
+    await clearOtherDefaults(persona._id);
+  }
+  invalidateCache();
+  return present(persona);
+}
+
+async function updatePersona(id, input, { updatedBy } = {}) {
+  const existing = await repositories.personas.findById(id);
+  if (!existing) {
+    throw new PersonaError('Persona not found', 404);
+  }
+  const data = normalize(input || {}, { partial: true });
+  await checkConflicts(data, existing._id);
+
+  const persona = await repositories.personas.update(existing._id, { ...data, updatedBy: updatedBy ? updatedBy._id : undefined });
+  if (persona.isDefault) {
+    await clearOtherDefaults(persona._id);
+  }
+  invalidateCache();
+  return present(persona);
+}
+
+async function deletePersona(id) {
+  const removed = await repositories.personas.delete(id);
+  if (!removed) {
+    throw new PersonaError('Persona not found', 404);
+  }
+  invalidateCache();
+  return present(removed);
+}
+
+module.exports = {
+  PersonaError,
+  DEFAULT_PERSONA,
+  normalizeKiosk,
+  resolvePersona,
+  systemPrompt,
+  greeting,
+  fallback,
+  publicPersona,
+  listPersonas,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  shareInvalidation
+};
@@ -0,0 +1,121 @@
+const Call = require('../models/Call');
+const repositories = require('../repositories');
+const routingConfig = require('../config/routing');
+
+// Calls escalated to every staff member (or with no department) queue together
+const ESCALATED_POOL = '*';
+
+const poolOf = (call) => (call.escalatedAt || !call.department ? ESCALATED_POOL : call.department);
+
+/**
+ * Where each waiting call stands in the queue and roughly how long it will wait,
+ * based on recent call durations and the staff who are online.
+ */
+class QueueEstimator {
+  /**
+   * @param {Function} listStaff resolves to the connected staff as [{ socketId, user }]
+   * @param {Function} isBusy    resolves true while a staff member is on a call
+   */
+  constructor({ listStaff, isBusy, config = routingConfig }) {
+    this.listStaff = listStaff;
+    this.isBusy = isBusy;
+    this.config = config;
+  }
+
+  async averageHandleSeconds() {
+    const recent = await repositories.calls.find({ status: 'completed', duration: { $gt: 0 } }, {
+      sort: { endTime: -1 },
+      limit: this.config.waitHistorySize,
+      select: 'duration'
+    });
+    if (recent.length === 0) {
+      return this.config.defaultHandleSeconds;
+    }
+    return Math.round(recent.reduce((total, call) => total + call.duration, 0) / recent.length);
+  }
+
+  /**
+   * Available staff as [{ department, busy }]
+   */
+  async staffStatus() {
+    const staff = (await this.listStaff()).filter(({ user }) => user.isAvailable !== false);
+    const busy = await Promise.all(staff.map(({ user }) => this.isBusy(user._id)));
+    return staff.map(({ user }, index) => ({ department: user.department, busy: busy[index] }));
+  }
+
+  /**
+   * Map of callId -> { callId, position, queueLength, estimatedWaitSeconds, staffOnline }.
+   * A call queues with the calls offered to the same staff: its department's calls,
+   * or every escalated call once it has been escalated to everyone. Within that pool
+   * calls are ordered the way the staff dashboard shows them (priority, then age).
+   * estimatedWaitSeconds is null while nobody is online to answer.
+   */
+  async snapshot() {
+    const queued = await repositories.calls.find({ status: { $in: Call.QUEUED_STATUSES } }, {
+      sort: { priority: -1, createdAt: 1 }
+    });
+    if (queued.length === 0) {
+      return new Map();
+    }
+
+    const [handleSeconds, staff] = await Promise.all([this.averageHandleSeconds(), this.staffStatus()]);
+
+    const pools = new Map();
+    queued.forEach(call => {
+      const pool = poolOf(call);
+      pools.set(pool, [...(pools.get(pool) || []), call]);
+    });
+
+    const entries = new Map();
+    pools.forEach((calls, pool) => {
+      const answering = staff.filter(member => pool === ESCALATED_POOL || member.department === pool);
+      const online = answering.length;
+      const free = answering.filter(member => !member.busy).length;
+
+      calls.forEach((call, index) => {
+        const position = index + 1;
+        // Free staff pick up the first calls straight away; the rest wait for calls to finish
+        const rounds = online > 0 ? Math.ceil(Math.max(0, position - free) / online) : null;
+        entries.set(String(call._id), {
+          callId: String(call._id),
+          position,
+          queueLength: calls.length,
+          estimatedWaitSeconds: rounds === null ? null : rounds * handleSeconds,
+          staffOnline: online
+        });
+      });
+    });
+    return entries;
+  }
+
+  async estimateFor(callId) {
+    return (await this.snapshot()).get(String(callId)) || null;
+  }
+}
+
+function describeWait(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return null;
+  }
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) {
+    return 'less than a minute';
+  }
+  return minutes === 1 ? 'about 1 minute' : `about ${minutes} minutes`;
+}
+
+/**
+ * Queue status as a note for RexBot's system prompt
+ */
+function describeForPrompt(entry) {
+  if (!entry) {
+    return null;
+  }
+  const wait = describeWait(entry.estimatedWaitSeconds);
+  const estimate = wait
+    ? `The estimated wait is ${wait}.`
+    : 'No staff member is online right now, so there is no wait estimate yet.';
+  return `Queue status: the visitor is number ${entry.position} of ${entry.queueLength} waiting to speak with a staff member. ${estimate} If they ask how long they will wait, tell them; do not promise an exact time.`;
+}
+
+module.exports = { QueueEstimator, describeWait, describeForPrompt };
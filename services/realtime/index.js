@@ -0,0 +1,70 @@
+const { MemoryRealtime, MemoryMap, InProcessAdapter } = require('./memory');
+const { RedisRealtime } = require('./redis');
+
+const adapters = {
+  memory: MemoryRealtime,
+  redis: RedisRealtime
+};
+
+const DEFAULT_REDIS_URL = 'redis://localhost:6379';
+
+/**
+ * Build the shared state and Socket.IO adapter selected by REALTIME_ADAPTER: `memory`
+ * (one instance) or `redis`, which lets several instances run behind a load balancer.
+ *
+ * Both provide `map(name, { sweep })` (async get, set, delete, all and size over JSON
+ * values; `sweep: false` keeps a stopped instance's entries),
+ * `publish(channel, message)`/`subscribe(channel, handler)` to reach every instance,
+ * `adapter()` for `io.adapter(...)`, and `connect()`/`close()`.
+ */
+function createRealtime(env = process.env) {
+  const name = (env.REALTIME_ADAPTER || 'memory').toLowerCase();
+
+  switch (name) {
+    case 'memory':
+      return new MemoryRealtime();
+    case 'redis':
+      return new RedisRealtime({
+        url: env.REDIS_URL || DEFAULT_REDIS_URL,
+        prefix: env.REDIS_PREFIX || undefined,
+        heartbeatMs: parseInt(env.REALTIME_HEARTBEAT_MS) || undefined
+      });
+    default:
+      throw new Error(`Unknown REALTIME_ADAPTER "${name}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+}
+
+/**
+ * Hand work to the instance holding a socket. `send(room, message)` picks the first
+ * socket in `room`, on whichever instance, and `handler(socket, message)` runs there
+ * with the live socket; it resolves false when nobody in the room is connected.
+ */
+async function createSocketRelay({ realtime, io, channel, handler }) {
+  await realtime.subscribe(channel, ({ socketId, message }) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      handler(socket, message);
+    }
+  });
+
+  return {
+    async send(room, message) {
+      const [target] = await io.in(room).fetchSockets();
+      if (!target) {
+        return false;
+      }
+      await realtime.publish(channel, { socketId: target.id, message });
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createRealtime,
+  createSocketRelay,
+  MemoryRealtime,
+  MemoryMap,
+  InProcessAdapter,
+  RedisRealtime,
+  adapters
+};
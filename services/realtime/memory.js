@@ -0,0 +1,137 @@
+const { EventEmitter } = require('events');
+const { Adapter, ClusterAdapterWithHeartbeat, MessageType } = require('socket.io-adapter');
+
+// Values go through JSON as they do in Redis, so callers see the same copies on both
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Shared map held in this process
+ */
+class MemoryMap {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.has(key) ? copy(this.entries.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, copy(value));
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async all() {
+    return Array.from(this.entries, ([key, value]) => [key, copy(value)]);
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Socket.IO cluster adapter whose nodes are Socket.IO servers in the same process,
+ * talking over an EventEmitter. Tests use it to run several instances without Redis.
+ */
+class InProcessAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.onBusMessage = (message) => {
+      if (message.nsp === this.nsp.name) {
+        this.onMessage(message);
+      }
+    };
+    this.onBusResponse = (requesterUid, response) => {
+      if (requesterUid === this.uid && response.nsp === this.nsp.name) {
+        this.onResponse(response);
+      }
+    };
+    bus.on('message', this.onBusMessage);
+    bus.on('response', this.onBusResponse);
+    // Announce this node to the others; not every Socket.IO version calls init() itself
+    this.init();
+  }
+
+  /**
+   * Deliver to this server's sockets straight away, as the Redis adapter does, so an
+   * emit followed by socketsLeave() still reaches the sockets leaving the room
+   */
+  broadcast(packet, opts) {
+    if (!(opts.flags && opts.flags.local)) {
+      this.publish({
+        type: MessageType.BROADCAST,
+        data: { packet, opts: { rooms: [...opts.rooms], except: [...opts.except], flags: opts.flags } }
+      });
+    }
+    Adapter.prototype.broadcast.call(this, packet, opts);
+  }
+
+  async doPublish(message) {
+    // Delivered on the next turn, like a message through a broker
+    setImmediate(() => this.bus.emit('message', message));
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.bus.emit('response', requesterUid, response));
+  }
+
+  close() {
+    super.close();
+    this.bus.off('message', this.onBusMessage);
+    this.bus.off('response', this.onBusResponse);
+  }
+}
+
+/**
+ * Realtime state for a single process. Servers created with the same instance (see
+ * `adapter()`) share their maps and broadcasts, as separate processes do through Redis.
+ */
+class MemoryRealtime {
+  constructor() {
+    this.name = 'memory';
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+    this.maps = new Map();
+  }
+
+  async connect() {}
+
+  map(name) {
+    if (!this.maps.has(name)) {
+      this.maps.set(name, new MemoryMap());
+    }
+    return this.maps.get(name);
+  }
+
+  /**
+   * Deliver `message` to the `channel` subscribers of every server sharing this instance
+   */
+  async publish(channel, message) {
+    const copied = copy(message);
+    setImmediate(() => this.bus.emit(`channel:${channel}`, copied));
+  }
+
+  async subscribe(channel, handler) {
+    this.bus.on(`channel:${channel}`, handler);
+  }
+
+  /**
+   * Adapter constructor for `io.adapter(...)`
+   */
+  adapter() {
+    const { bus } = this;
+    return function createInProcessAdapter(nsp) {
+      return new InProcessAdapter(nsp, bus, {});
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryRealtime, MemoryMap, InProcessAdapter };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+/**
+ * Shared map stored as a Redis hash. Each entry records the instance that first wrote it,
+ * so the entries of an instance that stops (e.g. its sockets' presence) can be swept.
+ */
+class RedisMap {
+  constructor(realtime, name, { sweep = true } = {}) {
+    this.realtime = realtime;
+    this.key = `${realtime.prefix}:${name}`;
+    this.sweep = sweep;
+  }
+
+  get client() {
+    return this.realtime.client;
+  }
+
+  async get(key) {
+    const raw = await this.client.hGet(this.key, key);
+    return raw ? JSON.parse(raw).value : null;
+  }
+
+  async set(key, value) {
+    // An entry stays with the instance holding the socket, even when another one updates it
+    const raw = await this.client.hGet(this.key, key);
+    const instance = raw ? JSON.parse(raw).instance : this.realtime.instanceId;
+    await this.client.hSet(this.key, key, JSON.stringify({ instance, value }));
+  }
+
+  async delete(key) {
+    return await this.client.hDel(this.key, key) > 0;
+  }
+
+  async all() {
+    const hash = await this.client.hGetAll(this.key);
+    return Object.entries(hash).map(([key, raw]) => [key, JSON.parse(raw).value]);
+  }
+
+  async size() {
+    return this.client.hLen(this.key);
+  }
+}
+
+/**
+ * Realtime state shared by every instance connected to the same Redis: maps are hashes
+ * under `prefix`, and Socket.IO broadcasts go through the Redis adapter's pub/sub.
+ * Instances refresh a heartbeat key; entries left by an instance whose heartbeat has
+ * expired are swept by the others.
+ */
+class RedisRealtime {
+  constructor({ url, prefix = 'rexbot', heartbeatMs = 10000 }) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.heartbeatMs = heartbeatMs;
+    this.instanceId = crypto.randomUUID();
+    this.maps = new Map();
+    this.timer = null;
+
+    this.client = createClient({ url });
+    this.subscriber = this.client.duplicate();
+    [this.client, this.subscriber].forEach(client => {
+      client.on('error', error => console.error('Redis error:', error.message));
+    });
+  }
+
+  instanceKey(instanceId) {
+    return `${this.prefix}:instance:${instanceId}`;
+  }
+
+  async connect() {
+    await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    await this.heartbeat();
+    await this.sweep();
+
+    this.timer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.sweep())
+        .catch(error => console.error('Error refreshing shared state:', error));
+    }, this.heartbeatMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async heartbeat() {
+    await this.client.set(this.instanceKey(this.instanceId), String(Date.now()), { PX: this.heartbeatMs * 3 });
+  }
+
+  /**
+   * Remove the entries written by instances that are no longer running
+   */
+  async sweep() {
+    const live = new Map();
+    const isLive = async (instanceId) => {
+      if (!live.has(instanceId)) {
+        live.set(instanceId, await this.client.exists(this.instanceKey(instanceId)) > 0);
+      }
+      return live.get(instanceId);
+    };
+
+    for (const map of this.maps.values()) {
+      if (!map.sweep) continue;
+      const hash = await this.client.hGetAll(map.key);
+      const stale = [];
+      for (const [key, raw] of Object.entries(hash)) {
+        if (!await isLive(JSON.parse(raw).instance)) {
+          stale.push(key);
+        }
+      }
+      if (stale.length > 0) {
+        await this.client.hDel(map.key, stale);
+      }
+    }
+  }
+
+  /**
+   * Pass `{ sweep: false }` for entries that must outlive the instance that wrote them
+   */
+  map(name, options) {
+    if (!this.maps.has(name)) {
+      this.maps.set(name, new RedisMap(this, name, options));
+    }
+    return this.maps.get(name);
+  }
+
+  /**
+   * Deliver `message` to the `channel` subscribers of every instance, this one included
+   */
+  async publish(channel, message) {
+    await this.client.publish(`${this.prefix}:channel:${channel}`, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(`${this.prefix}:channel:${channel}`, raw => handler(JSON.parse(raw)));
+  }
+
+  /**
+   * Adapter constructor for `io.adapter(...)`; call once connected
+   */
+  adapter() {
+    return createAdapter(this.client, this.subscriber, { key: `${this.prefix}:socket.io` });
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    // This instance's sockets go with it
+    await this.client.del(this.instanceKey(this.instanceId));
+    await this.sweep();
+    await Promise.all([this.client.quit(), this.subscriber.quit()]);
+  }
+}
+
+module.exports = { RedisRealtime, RedisMap };
@@ -0,0 +1,233 @@
+const repositories = require('../repositories');
+const routingConfig = require('../config/routing');
+const { matchDepartment } = require('./departments');
+const { transitionCall } = require('./callLifecycle');
+const { MemoryMap } = require('./realtime/memory');
+
+/**
+ * Decides which staff members see a waiting call. A call is first offered to
+ * available staff in its department; after `escalationTimeoutMs` (or straight away
+ * when nobody in the department is free) it is offered to every staff member.
+ *
+ * Routes live in `routes`, a shared map, so any instance can accept or release a call.
+ * The escalation timer stays with the instance that routed it; the route records when
+ * it is due, so the other instances escalate it if that instance stops.
+ */
+class CallRouter {
+  /**
+   * @param {Function} listStaff resolves to the connected staff as [{ socketId, user }]
+   * @param {Function} emitTo    emits (socketId, event, payload)
+   * @param {Object}   routes    shared map of callId -> route
+   */
+  constructor({ listStaff, emitTo, routes = new MemoryMap(), config = routingConfig }) {
+    this.listStaff = listStaff;
+    this.emitTo = emitTo;
+    this.routes = routes;
+    this.config = config;
+    this.timers = new Map();
+    this.checkTimer = null;
+  }
+
+  /**
+   * Start looking for overdue escalations left by instances that stopped
+   */
+  start() {
+    if (this.checkTimer) return;
+    this.checkTimer = setInterval(() => {
+      this.escalateOverdue().catch(error => console.error('Error escalating overdue calls:', error));
+    }, this.config.escalationCheckMs);
+    if (this.checkTimer.unref) this.checkTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  priorityFor(purpose) {
+    const { priorities } = this.config;
+    return purpose in priorities ? priorities[purpose] : priorities.default;
+  }
+
+  /**
+   * Department from the kiosk purpose, falling back to what the visitor said in the chat
+   */
+  departmentFor(purpose, messages = []) {
+    const mapped = this.config.purposeDepartments[purpose];
+    if (mapped) {
+      return mapped;
+    }
+    const visitorText = messages
+      .filter(msg => msg.sender === 'user')
+      .map(msg => msg.content)
+      .reverse();
+    for (const text of visitorText) {
+      const department = matchDepartment(text);
+      if (department) {
+        return department;
+      }
+    }
+    return null;
+  }
+
+  async isBusy(staffId) {
+    return await repositories.calls.count({ staffId, status: { $in: ['in-progress', 'on-hold'] } }) > 0;
+  }
+
+  async availableInDepartment(department) {
+    const staff = (await this.listStaff()).filter(({ user }) => user.department === department && user.isAvailable !== false);
+    const free = await Promise.all(staff.map(async entry => !await this.isBusy(entry.user._id)));
+    return staff.filter((entry, index) => free[index]);
+  }
+
+  /**
+   * A waiting call starts ringing once at least one staff member has been offered it
+   */
+  async markRinging(callId) {
+    const call = await repositories.calls.findById(callId);
+    if (call && call.status === 'waiting') {
+      await transitionCall(call, 'ringing', { reason: 'offered' });
+    }
+  }
+
+  /**
+   * Offer a call. `payload` is the new-call-request body sent to staff. Pass
+   * `staffIds` to offer it to specific staff members (e.g. a transfer) instead of
+   * the available staff in the call's department.
+   */
+  async route(call, payload, { staffIds } = {}) {
+    const callId = String(call._id);
+    await this.release(callId);
+
+    const route = { call, payload, department: call.department, escalated: false };
+    await this.routes.set(callId, route);
+
+    let targets;
+    if (staffIds) {
+      const wanted = staffIds.map(String);
+      targets = (await this.listStaff()).filter(({ user }) => wanted.includes(String(user._id)));
+    } else {
+      if (!call.department) {
+        return this.escalate(callId, 'no-department');
+      }
+      targets = await this.availableInDepartment(call.department);
+    }
+    if (targets.length === 0) {
+      return this.escalate(callId, 'no-staff-available');
+    }
+
+    route.offeredTo = targets.map(({ user }) => String(user._id));
+    route.escalateAt = Date.now() + this.config.escalationTimeoutMs;
+    await this.routes.set(callId, route);
+    await repositories.calls.update(call._id, { offeredTo: route.offeredTo, escalatedAt: null });
+    targets.forEach(({ socketId }) => this.emitTo(socketId, 'new-call-request', { ...payload, escalated: false }));
+    await this.markRinging(call._id);
+
+    const timer = setTimeout(() => {
+      this.escalate(callId, 'timeout').catch(error => console.error('Error escalating call:', error));
+    }, this.config.escalationTimeoutMs);
+    if (timer.unref) timer.unref();
+    this.timers.set(callId, timer);
+  }
+
+  async escalate(callId, reason) {
+    const route = await this.routes.get(callId);
+    if (!route || route.escalated) {
+      return;
+    }
+    this.clearTimer(callId);
+    route.escalated = true;
+    route.reason = reason;
+    await this.routes.set(callId, route);
+
+    await repositories.calls.update(route.call._id, { escalatedAt: new Date() });
+    const staff = await this.listStaff();
+    staff.forEach(({ socketId }) => {
+      this.emitTo(socketId, 'new-call-request', { ...route.payload, escalated: true, escalationReason: reason });
+    });
+    if (staff.length > 0) {
+      await this.markRinging(route.call._id);
+    }
+  }
+
+  /**
+   * Escalate routes a check interval past their escalation time: the instance that
+   * routed them would have done so already if it were still running
+   */
+  async escalateOverdue(now = Date.now()) {
+    const overdue = (await this.routes.all())
+      .filter(([, route]) => !route.escalated && route.escalateAt && route.escalateAt + this.config.escalationCheckMs <= now);
+    for (const [callId] of overdue) {
+      await this.escalate(callId, 'timeout');
+    }
+  }
+
+  /**
+   * Called as the chat continues: a call that had no department is narrowed down
+   * to the department the visitor turns out to need.
+   */
+  async refine(callId, messages) {
+    const route = await this.routes.get(String(callId));
+    if (!route || route.department || route.reason !== 'no-department') {
+      return;
+    }
+
+    const department = this.departmentFor(route.call.purpose, messages);
+    if (!department) {
+      return;
+    }
+
+    const call = await repositories.calls.update(route.call._id, { department });
+    const payload = { ...route.payload, department };
+    const targets = await this.availableInDepartment(department);
+    if (targets.length === 0) {
+      // Keep it visible to everyone; just tell the dashboards which department it belongs to
+      route.department = department;
+      route.payload = payload;
+      await this.routes.set(String(callId), route);
+      (await this.listStaff()).forEach(({ socketId }) => this.emitTo(socketId, 'new-call-request', { ...payload, escalated: true }));
+      return;
+    }
+
+    const targetSockets = new Set(targets.map(({ socketId }) => socketId));
+    (await this.listStaff())
+      .filter(({ socketId }) => !targetSockets.has(socketId))
+      .forEach(({ socketId }) => this.emitTo(socketId, 'call-removed', { callId: String(callId) }));
+    await this.route(call, payload);
+  }
+
+  async canAccept(call, staffUser) {
+    const route = await this.routes.get(String(call._id));
+    if (route) {
+      return route.escalated || (route.offeredTo || []).includes(String(staffUser._id)) || route.department === staffUser.department;
+    }
+    // Not routed by a running instance (e.g. after a restart): fall back to the stored fields
+    return !call.department || Boolean(call.escalatedAt) || call.department === staffUser.department;
+  }
+
+  /**
+   * Waiting calls a staff member should see when they log in
+   */
+  async pendingFor(staffUser) {
+    const routes = (await this.routes.all())
+      .map(([, route]) => route)
+      .filter(route => route.escalated || route.department === staffUser.department ||
+        (route.offeredTo || []).includes(String(staffUser._id)));
+    routes.forEach(route => {
+      this.markRinging(route.call._id).catch(error => console.error('Error marking call as ringing:', error));
+    });
+    return routes.map(route => ({ ...route.payload, escalated: route.escalated }));
+  }
+
+  clearTimer(callId) {
+    clearTimeout(this.timers.get(callId));
+    this.timers.delete(callId);
+  }
+
+  async release(callId) {
+    this.clearTimer(String(callId));
+    await this.routes.delete(String(callId));
+  }
+}
+
+module.exports = { CallRouter };
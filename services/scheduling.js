@@ -0,0 +1,507 @@
+const repositories = require('../repositories');
+const { departmentNames, findDepartment, matchDepartment } = require('./departments');
+
+const DURATION_MINUTES = parseInt(process.env.APPOINTMENT_DURATION_MINUTES) || 30;
+// Accounts that cannot sign in are never booked
+const INACTIVE_STATUSES = ['invited', 'pending', 'disabled'];
+// A booking lock outlives a crashed booking by this long at most; waiters give up after BOOKING_LOCK_WAIT_MS
+const BOOKING_LOCK_MS = 10000;
+const BOOKING_LOCK_WAIT_MS = 2000;
+const BOOKING_INTENT = /\b(appointment|book|booking|schedule|reschedule|meeting|meet with|see someone)\b/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_PATTERN = `(${MONTHS.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|')})`;
+const DATE_PATTERNS = [
+  /\b(\d{4})-(\d{2})-(\d{2})\b/,
+  new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'),
+  new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`, 'i'),
+  /\b(day after tomorrow|today|tomorrow)\b/i,
+  /\b(?:(next|this|on)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i
+];
+const TIME_PATTERNS = [
+  /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\W|$)/i,
+  /\b([01]?\d|2[0-3]):([0-5]\d)\b/,
+  /\b(noon|midday)\b/i,
+  /\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th|:|\/|-))/i
+];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Find a calendar date in free text, relative to `now` (server local time)
+ */
+function parseDate(text, now = new Date()) {
+  const today = startOfDay(now);
+  let match;
+
+  if ((match = text.match(DATE_PATTERNS[0]))) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+  const withYear = (month, day) => {
+    const date = new Date(today.getFullYear(), month, day);
+    return date < today ? new Date(today.getFullYear() + 1, month, day) : date;
+  };
+  if ((match = text.match(DATE_PATTERNS[1]))) {
+    return withYear(monthIndex(match[1]), Number(match[2]));
+  }
+  if ((match = text.match(DATE_PATTERNS[2]))) {
+    return withYear(monthIndex(match[2]), Number(match[1]));
+  }
+
+  if ((match = text.match(DATE_PATTERNS[3]))) {
+    const offset = { today: 0, tomorrow: 1, 'day after tomorrow': 2 }[match[1].toLowerCase()];
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+  }
+
+  if ((match = text.match(DATE_PATTERNS[4]))) {
+    const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+    // The same weekday as today means next week
+    const offset = (target - today.getDay() + 7) % 7 || 7;
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+  }
+
+  return null;
+}
+
+/**
+ * Find a time of day in free text, returned as "HH:MM"
+ */
+function parseTime(text) {
+  let match;
+  const format = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes || 0).padStart(2, '0')}`;
+
+  if ((match = text.match(TIME_PATTERNS[0]))) {
+    let hours = Number(match[1]) % 12;
+    if (/p/i.test(match[3])) hours += 12;
+    return format(hours, Number(match[2] || 0));
+  }
+  if ((match = text.match(TIME_PATTERNS[1]))) {
+    return format(Number(match[1]), Number(match[2]));
+  }
+  if (TIME_PATTERNS[2].test(text)) {
+    return '12:00';
+  }
+  if ((match = text.match(TIME_PATTERNS[3]))) {
+    // "at 3" during office hours almost always means the afternoon
+    const hours = Number(match[1]);
+    return format(hours >= 1 && hours <= 7 ? hours + 12 : hours, 0);
+  }
+  return null;
+}
+
+function matchReason(text) {
+  const match = text.match(/\b(?:about|regarding|to discuss|because|reason is|concerning)\s+(.+?)(?:[.!?]|$)/i);
+  if (!match) {
+    return null;
+  }
+  // Drop trailing date/time phrases such as "... tomorrow at 3pm"
+  const reason = match[1]
+    .replace(/\s+(?:on|at|for|next|this)?\s*(?:today|tomorrow|day after tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\b.*$/i, '')
+    .replace(/[\s,;:]+$/, '');
+  return reason.split(/\s+/).length >= 2 ? reason : null;
+}
+
+function matchName(text) {
+  const match = text.match(/\b(?:my name is|this is|name's)\s+([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Rule-based extraction; scans the visitor's messages newest first so corrections win
+ */
+function extractWithRules(messages, { visitorName, now = new Date() } = {}) {
+  const details = { name: null, date: null, time: null, department: null, reason: null };
+  const visitorMessages = messages.filter(msg => msg.sender === 'user').map(msg => msg.content).reverse();
+
+  visitorMessages.forEach(text => {
+    details.name = details.name || matchName(text);
+    details.date = details.date || parseDate(text, now);
+    details.time = details.time || parseTime(text);
+    details.department = details.department || matchDepartment(text);
+    details.reason = details.reason || matchReason(text);
+  });
+
+  return {
+    name: details.name || visitorName || null,
+    department: details.department,
+    reason: details.reason,
+    startTime: combineDateTime(details.date, details.time)
+  };
+}
+
+function combineDateTime(date, time) {
+  if (!date || !time) {
+    return null;
+  }
+  const start = startOfDay(date);
+  return addMinutes(start, toMinutes(time));
+}
+
+/**
+ * Ask the language model for the same fields as JSON
+ */
+async function extractWithModel(llm, messages, { visitorName, now = new Date() } = {}) {
+  const transcript = messages
+    .filter(msg => msg.sender !== 'system' && msg.sender !== 'tool' && msg.messageType !== 'tool-call')
+    .map(msg => `${msg.sender === 'user' ? 'Visitor' : 'RexBot'}: ${msg.content}`)
+    .join('\n');
+
+  const text = await llm.generate({
+    system: `You extract appointment requests from a reception conversation.
+Today is ${WEEKDAYS[now.getDay()]} ${now.toISOString().slice(0, 10)}.
+Departments: ${departmentNames().join(', ')}.
+Reply with JSON only: {"name": string|null, "date": "YYYY-MM-DD"|null, "time": "HH:MM" (24h)|null, "department": one of the departments|null, "reason": string|null}.
+Use null for anything the visitor has not stated.`,
+    messages: [{ role: 'user', content: transcript }],
+    temperature: 0,
+    maxTokens: 200
+  });
+
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  const parsed = JSON.parse(json);
+  const department = findDepartment(parsed.department);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(parsed.date || '') ? parseDate(parsed.date, now) : null;
+  const time = /^\d{1,2}:\d{2}$/.test(parsed.time || '') ? parsed.time : null;
+
+  return {
+    name: parsed.name || visitorName || null,
+    department: department ? department.name : null,
+    reason: parsed.reason || null,
+    startTime: combineDateTime(date, time)
+  };
+}
+
+/**
+ * Extract name, date/time, department and reason from the conversation. The model is
+ * only asked when the rules leave something out: it runs before RexBot's reply starts
+ * streaming, so every call delays the visitor's first words.
+ */
+async function extractAppointmentDetails(llm, messages, options = {}) {
+  const fromRules = extractWithRules(messages, options);
+  if (!llm || !llm.isConfigured() || missingFields(fromRules).length === 0) {
+    return fromRules;
+  }
+
+  try {
+    const fromModel = await extractWithModel(llm, messages, options);
+    return {
+      name: fromRules.name || fromModel.name,
+      department: fromRules.department || fromModel.department,
+      reason: fromRules.reason || fromModel.reason,
+      startTime: fromRules.startTime || fromModel.startTime
+    };
+  } catch (error) {
+    console.error('Appointment extraction via model failed:', error.message);
+    return fromRules;
+  }
+}
+
+function missingFields(details) {
+  return ['name', 'startTime', 'department', 'reason'].filter(field => !details[field]);
+}
+
+function worksDuring(staff, startTime, endTime) {
+  const hours = staff.workingHours || {};
+  const days = hours.days || [1, 2, 3, 4, 5];
+  const start = startTime.getHours() * 60 + startTime.getMinutes();
+  const end = start + (endTime - startTime) / 60000;
+  return days.includes(startTime.getDay()) &&
+    start >= toMinutes(hours.start || '09:00') &&
+    end <= toMinutes(hours.end || '17:00');
+}
+
+/**
+ * Active staff in `department` and their bookings overlapping `from`..`to`, loaded once so
+ * any number of slots in that window can be checked in memory
+ */
+async function loadSchedule(department, from, to, { excludeAppointmentId } = {}) {
+  const staff = await repositories.users.find({ role: 'staff', department, status: { $nin: INACTIVE_STATUSES } });
+  if (staff.length === 0) {
+    return { staff, appointments: [] };
+  }
+
+  const appointments = await repositories.appointments.find({
+    staffId: { $in: staff.map(member => member._id) },
+    status: { $in: ['proposed', 'confirmed'] },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  });
+  return {
+    staff,
+    appointments: appointments.filter(appointment => String(appointment._id) !== String(excludeAppointmentId))
+  };
+}
+
+function freeStaff({ staff, appointments }, startTime, endTime) {
+  const busy = new Set(appointments
+    .filter(appointment => new Date(appointment.startTime) < endTime && new Date(appointment.endTime) > startTime)
+    .map(appointment => String(appointment.staffId)));
+  return staff.filter(member => !busy.has(String(member._id)) && worksDuring(member, startTime, endTime));
+}
+
+/**
+ * Staff in `department` who work during the slot and have no overlapping booking
+ */
+async function findAvailableStaff(department, startTime, endTime, options = {}) {
+  return freeStaff(await loadSchedule(department, startTime, endTime, options), startTime, endTime);
+}
+
+/**
+ * Next free slots in a department within two weeks, stepping through the days in
+ * appointment-sized blocks
+ */
+async function suggestSlots(department, from, count = 3) {
+  const slots = [];
+  let cursor = new Date(from);
+  cursor.setMinutes(Math.ceil(cursor.getMinutes() / DURATION_MINUTES) * DURATION_MINUTES, 0, 0);
+  const limit = addMinutes(cursor, 14 * 24 * 60);
+  const schedule = await loadSchedule(department, cursor, limit);
+
+  while (slots.length < count && cursor < limit && schedule.staff.length > 0) {
+    const end = addMinutes(cursor, DURATION_MINUTES);
+    if (freeStaff(schedule, cursor, end).length > 0) {
+      slots.push(new Date(cursor));
+    }
+    cursor = end;
+  }
+  return slots;
+}
+
+async function checkAvailability({ department, startTime }) {
+  const endTime = addMinutes(startTime, DURATION_MINUTES);
+  if (startTime < new Date()) {
+    return { available: false, reason: 'in-the-past', staff: [], alternatives: await suggestSlots(department, new Date()) };
+  }
+
+  const staff = await findAvailableStaff(department, startTime, endTime);
+  if (staff.length > 0) {
+    return { available: true, staff, endTime, alternatives: [] };
+  }
+  return { available: false, reason: 'no-staff-available', staff: [], alternatives: await suggestSlots(department, startTime) };
+}
+
+const describeSlot = (date) => date.toLocaleString('en-US', {
+  weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * Look at the conversation for a booking request and move it forward. Returns null when
+ * the visitor is not booking, otherwise the booking state so RexBot can respond to it. A declined proposal stays the state until
+ * the visitor asks for a different time or department.
+ */
+async function processConversation({ llm, conversation, user, now = new Date() }) {
+  const messages = conversation.messages || [];
+  const wantsAppointment = messages.some(msg =>
+    (msg.sender === 'user' && BOOKING_INTENT.test(msg.content)) ||
+    (msg.sender === 'system' && /Purpose: Appointment Booking/.test(msg.content)));
+  if (!wantsAppointment) {
+    return null;
+  }
+
+  const latest = await findLatestAppointment(conversation.sessionId);
+  if (latest && ['proposed', 'confirmed'].includes(latest.status)) {
+    return { status: latest.status, appointment: latest };
+  }
+
+  const details = await extractAppointmentDetails(llm, messages, { visitorName: user.name, now });
+  return requestAppointment({ user, sessionId: conversation.sessionId, details, latest });
+}
+
+/**
+ * Book from details the visitor has given ({ name, department, reason, startTime }), e.g.
+ * through RexBot's book_appointment tool. A proposal or booking already open in the
+ * session is returned instead of a second one, and a declined slot is not proposed again.
+ */
+async function requestAppointment({ user, sessionId, details, latest }) {
+  latest = latest === undefined ? await findLatestAppointment(sessionId) : latest;
+  if (latest && ['proposed', 'confirmed'].includes(latest.status)) {
+    return { status: latest.status, appointment: latest };
+  }
+  if (latest && latest.status === 'declined' && !changedSince(latest, details)) {
+    return { status: 'declined', appointment: latest };
+  }
+  return proposeAppointment({ user, sessionId, details });
+}
+
+const findLatestAppointment = (sessionId) => repositories.appointments.findOne({ sessionId }, { sort: { createdAt: -1 } });
+
+// Only the slot counts: reasons are free text that the model rewords from turn to turn
+const changedSince = (appointment, details) =>
+  Boolean(details.department && details.department !== appointment.department) ||
+  Boolean(details.startTime && new Date(details.startTime).getTime() !== new Date(appointment.startTime).getTime());
+
+/**
+ * Propose an appointment from complete details ({ name, department, reason, startTime }).
+ * Returns the same booking states as processConversation.
+ */
+async function proposeAppointment({ user, sessionId, details }) {
+  const missing = missingFields(details);
+  if (missing.length > 0) {
+    return { status: 'collecting', details, missing };
+  }
+
+  const availability = await checkAvailability(details);
+  if (!availability.available) {
+    return { status: 'unavailable', details, reason: availability.reason, alternatives: availability.alternatives };
+  }
+
+  const appointment = await repositories.appointments.create({
+    clientId: user._id,
+    sessionId,
+    name: details.name,
+    email: user.email,
+    department: details.department,
+    reason: details.reason,
+    startTime: details.startTime,
+    endTime: availability.endTime,
+    status: 'proposed'
+  });
+  return { status: 'proposed', appointment, created: true };
+}
+
+/**
+ * Prompt context telling RexBot where the booking stands
+ */
+function describeForPrompt(booking) {
+  if (!booking) {
+    return null;
+  }
+
+  const labels = { name: 'their name', startTime: 'the date and time', department: 'which department', reason: 'the reason for the visit' };
+  switch (booking.status) {
+    case 'collecting':
+      return `The visitor wants an appointment. Still needed: ${booking.missing.map(field => labels[field]).join(', ')}. Ask for these politely, one or two at a time.`;
+    case 'unavailable':
+      return `The requested slot (${describeSlot(booking.details.startTime)}, ${booking.details.department}) cannot be booked` +
+        (booking.reason === 'in-the-past' ? ' because it is in the past.' : ' because no staff member is available.') +
+        (booking.alternatives.length > 0
+          ? ` Offer these free slots instead: ${booking.alternatives.map(describeSlot).join('; ')}.`
+          : ' No free slots were found in the next two weeks; offer to connect them with staff.');
+    case 'proposed':
+      return `An appointment is ready for confirmation: ${booking.appointment.name}, ${booking.appointment.department}, ` +
+        `${describeSlot(new Date(booking.appointment.startTime))}, reason: ${booking.appointment.reason}. ` +
+        'Read these details back and ask the visitor to confirm using the buttons shown on screen.';
+    case 'declined':
+      return `The visitor declined the proposed appointment (${describeSlot(new Date(booking.appointment.startTime))}, ${booking.appointment.department}). ` +
+        'Do not offer it again; ask whether they would like a different time or department.';
+    case 'confirmed':
+      return `The visitor's appointment is confirmed for ${describeSlot(new Date(booking.appointment.startTime))} with ${booking.appointment.department}.`;
+    default:
+      return null;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` holding the staff member's booking lock, taken with an atomic update so only
+ * one booking at a time can check and claim their calendar. Resolves to null when the
+ * lock stays taken for longer than BOOKING_LOCK_WAIT_MS.
+ */
+async function withBookingLock(staffId, fn) {
+  const giveUpAt = Date.now() + BOOKING_LOCK_WAIT_MS;
+  for (;;) {
+    const now = new Date();
+    const locked = await repositories.users.updateWhere(
+      { _id: staffId, $or: [{ bookingLockUntil: null }, { bookingLockUntil: { $lt: now } }] },
+      { bookingLockUntil: new Date(now.getTime() + BOOKING_LOCK_MS) }
+    );
+    if (locked) break;
+    if (Date.now() >= giveUpAt) return null;
+    await sleep(50);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await repositories.users.update(staffId, { bookingLockUntil: null });
+  }
+}
+
+/**
+ * Give the appointment to `staff` unless another booking took their time first. Must
+ * run under the staff member's booking lock.
+ */
+async function claimSlot(appointment, staff) {
+  const clash = await repositories.appointments.findOne({
+    _id: { $ne: appointment._id },
+    staffId: staff._id,
+    status: { $in: ['proposed', 'confirmed'] },
+    startTime: { $lt: appointment.endTime },
+    endTime: { $gt: appointment.startTime }
+  });
+  if (clash) {
+    return null;
+  }
+  return repositories.appointments.updateWhere(
+    { _id: appointment._id, status: 'proposed' },
+    { status: 'confirmed', staffId: staff._id }
+  );
+}
+
+/**
+ * Visitor accepts a proposed appointment; availability is re-checked and a staff member
+ * assigned. Concurrent confirmations never book the same staff member twice.
+ */
+async function confirmAppointment(appointmentId, clientId) {
+  const appointment = await repositories.appointments.findById(appointmentId);
+  if (!appointment || String(appointment.clientId) !== String(clientId) || appointment.status !== 'proposed') {
+    return { error: 'Appointment not found' };
+  }
+
+  const startTime = new Date(appointment.startTime);
+  const staff = await findAvailableStaff(appointment.department, startTime, new Date(appointment.endTime), {
+    excludeAppointmentId: appointment._id
+  });
+  for (const member of staff) {
+    const confirmed = await withBookingLock(member._id, () => claimSlot(appointment, member));
+    if (confirmed) {
+      return { appointment: confirmed, staff: member };
+    }
+  }
+
+  // Taken by another booking in the meantime, or confirmed twice at once
+  const current = await repositories.appointments.findById(appointment._id);
+  if (current.status !== 'proposed') {
+    return { error: 'Appointment not found' };
+  }
+  await repositories.appointments.update(appointment._id, { status: 'cancelled' });
+  return { error: 'That slot is no longer available', alternatives: await suggestSlots(appointment.department, startTime) };
+}
+
+async function declineAppointment(appointmentId, clientId) {
+  const appointment = await repositories.appointments.findById(appointmentId);
+  if (!appointment || String(appointment.clientId) !== String(clientId) || appointment.status !== 'proposed') {
+    return { error: 'Appointment not found' };
+  }
+  return { appointment: await repositories.appointments.update(appointment._id, { status: 'declined' }) };
+}
+
+module.exports = {
+  DURATION_MINUTES,
+  parseDate,
+  parseTime,
+  extractWithRules,
+  extractAppointmentDetails,
+  checkAvailability,
+  findAvailableStaff,
+  suggestSlots,
+  processConversation,
+  requestAppointment,
+  changedSince,
+  describeForPrompt,
+  describeSlot,
+  confirmAppointment,
+  declineAppointment
+};
@@ -0,0 +1,55 @@
+const { SpeechError } = require('./errors');
+
+// Recording formats browsers produce (MediaRecorder) or visitors upload, by file extension
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/flac': 'flac'
+};
+
+/**
+ * The bare media type of a recording ("audio/webm;codecs=opus" -> "audio/webm"),
+ * or null when it is not a supported audio format
+ */
+function normalizeMimeType(value) {
+  const type = String(value || '').split(';')[0].trim().toLowerCase();
+  return AUDIO_TYPES[type] ? type : null;
+}
+
+const extensionFor = (mimeType) => AUDIO_TYPES[normalizeMimeType(mimeType)] || 'bin';
+
+/**
+ * Audio streamed from the visitor page in chunks while they speak
+ */
+class Recording {
+  constructor({ mimeType, maxBytes }) {
+    this.mimeType = normalizeMimeType(mimeType);
+    if (!this.mimeType) {
+      throw new SpeechError(`Unsupported audio format. Use one of: ${Object.keys(AUDIO_TYPES).join(', ')}`, { code: 'bad_request' });
+    }
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.size = 0;
+  }
+
+  add(chunk) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk || []);
+    this.size += buffer.length;
+    if (this.size > this.maxBytes) {
+      throw new SpeechError(`Recordings can be at most ${Math.round(this.maxBytes / 1024)} KB`, { code: 'too_large' });
+    }
+    this.chunks.push(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks, this.size);
+  }
+}
+
+module.exports = { AUDIO_TYPES, normalizeMimeType, extensionFor, Recording };
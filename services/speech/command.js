@@ -0,0 +1,139 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { SpeechError } = require('./errors');
+const { extensionFor } = require('./audio');
+
+// Most of a failing command's error output kept in the log
+const MAX_STDERR_CHARS = 500;
+
+/**
+ * Split a command line into arguments, honouring single and double quotes.
+ * No shell is involved, so placeholders cannot inject commands.
+ */
+function parseCommand(template) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(template))) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Run a command template with {placeholders} filled in. Resolves to its stdout.
+ */
+function runCommand(template, values, { input, timeout, engine }) {
+  const [command, ...args] = parseCommand(template).map(arg =>
+    arg.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] === undefined ? placeholder : String(values[key]))));
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], timeout });
+    const stdout = [];
+    let stderr = '';
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-MAX_STDERR_CHARS);
+    });
+    child.on('error', error => reject(new SpeechError(`Could not run ${command}: ${error.message}`, { engine, cause: error })));
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        return resolve(Buffer.concat(stdout));
+      }
+      const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+      reject(new SpeechError(`${command} ${reason}${stderr ? `: ${stderr.trim()}` : ''}`, { engine }));
+    });
+    // A command that does not read its input closes stdin early
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+async function withTempDir(callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rexbot-speech-'));
+  try {
+    return await callback(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * A local speech-to-text program (whisper.cpp, a Vosk script, ...). It gets the
+ * recording as {input} and prints the transcript.
+ */
+class CommandSpeechToText {
+  constructor({ command, timeout = 30000 } = {}) {
+    this.name = 'command';
+    this.command = command;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.command);
+  }
+
+  async transcribe({ audio, mimeType, language }) {
+    if (!this.isConfigured()) {
+      throw new SpeechError('SPEECH_STT_COMMAND is not set', { code: 'not_configured', engine: this.name });
+    }
+
+    return withTempDir(async (dir) => {
+      const file = path.join(dir, `recording.${extensionFor(mimeType)}`);
+      await fs.writeFile(file, audio);
+      const output = await runCommand(this.command, { input: file, language: language || '' }, {
+        timeout: this.timeout,
+        engine: this.name
+      });
+      return { text: output.toString('utf8').trim() };
+    });
+  }
+}
+
+/**
+ * A local text-to-speech program (Piper, espeak-ng, ...). It reads the text on stdin
+ * and writes audio to {output}, or to stdout when the command has no {output}.
+ */
+class CommandTextToSpeech {
+  constructor({ command, format = 'wav', voice = '', timeout = 30000 } = {}) {
+    this.name = 'command';
+    this.command = command;
+    this.format = format;
+    this.voice = voice;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.command);
+  }
+
+  get mimeType() {
+    return { wav: 'audio/wav', mp3: 'audio/mpeg', ogg: 'audio/ogg' }[this.format] || 'application/octet-stream';
+  }
+
+  async synthesize({ text, language }) {
+    if (!this.isConfigured()) {
+      throw new SpeechError('SPEECH_TTS_COMMAND is not set', { code: 'not_configured', engine: this.name });
+    }
+
+    return withTempDir(async (dir) => {
+      const file = path.join(dir, `speech.${this.format}`);
+      const stdout = await runCommand(this.command, { output: file, voice: this.voice, language: language || '' }, {
+        input: text,
+        timeout: this.timeout,
+        engine: this.name
+      });
+      const audio = this.command.includes('{output}')
+        ? await fs.readFile(file).catch(() => Buffer.alloc(0))
+        : stdout;
+      if (audio.length === 0) {
+        throw new SpeechError(`${this.name} produced no audio`, { code: 'invalid_response', engine: this.name });
+      }
+      return { audio, mimeType: this.mimeType };
+    });
+  }
+}
+
+module.exports = { CommandSpeechToText, CommandTextToSpeech, parseCommand, runCommand };
@@ -0,0 +1,32 @@
+/**
+ * Error raised by speech engines. `code` is one of:
+ * not_configured, bad_request, too_large, unavailable, invalid_response
+ */
+class SpeechError extends Error {
+  constructor(message, { code = 'unavailable', status, engine, cause } = {}) {
+    super(message);
+    this.name = 'SpeechError';
+    this.code = code;
+    this.status = status;
+    this.engine = engine;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Map an axios error from an HTTP speech service to a SpeechError
+ */
+function classifyHttpError(error, engine) {
+  if (error instanceof SpeechError) {
+    return error;
+  }
+  if (!error.response) {
+    return new SpeechError(`${engine} is unreachable: ${error.message}`, { engine, cause: error });
+  }
+
+  const { status } = error.response;
+  const code = status >= 400 && status < 500 && status !== 401 && status !== 403 && status !== 429 ? 'bad_request' : 'unavailable';
+  return new SpeechError(`${engine} request failed with status ${status}`, { code, status, engine, cause: error });
+}
+
+module.exports = { SpeechError, classifyHttpError };
@@ -0,0 +1,91 @@
+const { OpenAISpeechToText, OpenAITextToSpeech } = require('./openai');
+const { CommandSpeechToText, CommandTextToSpeech } = require('./command');
+const { SpeechError } = require('./errors');
+const { AUDIO_TYPES, normalizeMimeType, Recording } = require('./audio');
+
+const engines = {
+  stt: { openai: OpenAISpeechToText, command: CommandSpeechToText },
+  tts: { openai: OpenAITextToSpeech, command: CommandTextToSpeech }
+};
+
+const DEFAULT_MAX_AUDIO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Build the speech-to-text engine selected by SPEECH_STT_ENGINE, or null when the
+ * server pipeline is off and the browser's own recognition is used
+ */
+function createSpeechToText(env = process.env) {
+  const name = (env.SPEECH_STT_ENGINE || '').toLowerCase();
+  const timeout = parseInt(env.SPEECH_TIMEOUT_MS) || undefined;
+
+  switch (name) {
+    case '':
+      return null;
+    case 'openai':
+      return new OpenAISpeechToText({
+        apiKey: env.SPEECH_STT_API_KEY,
+        model: env.SPEECH_STT_MODEL || undefined,
+        baseUrl: env.SPEECH_STT_URL || undefined,
+        timeout
+      });
+    case 'command':
+      return new CommandSpeechToText({ command: env.SPEECH_STT_COMMAND, timeout });
+    default:
+      throw new Error(`Unknown SPEECH_STT_ENGINE "${name}". Expected one of: ${Object.keys(engines.stt).join(', ')}`);
+  }
+}
+
+/**
+ * Build the text-to-speech engine selected by SPEECH_TTS_ENGINE, or null when the
+ * browser's speech synthesis is used
+ */
+function createTextToSpeech(env = process.env) {
+  const name = (env.SPEECH_TTS_ENGINE || '').toLowerCase();
+  const timeout = parseInt(env.SPEECH_TIMEOUT_MS) || undefined;
+
+  switch (name) {
+    case '':
+      return null;
+    case 'openai':
+      return new OpenAITextToSpeech({
+        apiKey: env.SPEECH_TTS_API_KEY,
+        model: env.SPEECH_TTS_MODEL || undefined,
+        voice: env.SPEECH_TTS_VOICE || undefined,
+        baseUrl: env.SPEECH_TTS_URL || undefined,
+        timeout
+      });
+    case 'command':
+      return new CommandTextToSpeech({
+        command: env.SPEECH_TTS_COMMAND,
+        format: env.SPEECH_TTS_FORMAT || undefined,
+        voice: env.SPEECH_TTS_VOICE || undefined,
+        timeout
+      });
+    default:
+      throw new Error(`Unknown SPEECH_TTS_ENGINE "${name}". Expected one of: ${Object.keys(engines.tts).join(', ')}`);
+  }
+}
+
+/**
+ * The server speech pipeline: { stt, tts, maxAudioBytes }. Either engine may be null.
+ */
+function createSpeechPipeline(env = process.env) {
+  const stt = createSpeechToText(env);
+  const tts = createTextToSpeech(env);
+  return {
+    stt: stt && stt.isConfigured() ? stt : null,
+    tts: tts && tts.isConfigured() ? tts : null,
+    maxAudioBytes: parseInt(env.SPEECH_MAX_AUDIO_BYTES) || DEFAULT_MAX_AUDIO_BYTES
+  };
+}
+
+module.exports = {
+  createSpeechPipeline,
+  createSpeechToText,
+  createTextToSpeech,
+  SpeechError,
+  Recording,
+  AUDIO_TYPES,
+  normalizeMimeType,
+  engines
+};
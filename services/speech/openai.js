@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { SpeechError, classifyHttpError } = require('./errors');
+const { extensionFor } = require('./audio');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+/**
+ * OpenAI-compatible /audio/transcriptions (OpenAI Whisper, or a local Whisper server
+ * such as faster-whisper-server or LocalAI)
+ */
+class OpenAISpeechToText {
+  constructor({ apiKey, model = 'whisper-1', baseUrl = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) || this.baseUrl !== DEFAULT_BASE_URL;
+  }
+
+  /**
+   * Transcribe a recording. Resolves to { text }.
+   */
+  async transcribe({ audio, mimeType, language }) {
+    if (!this.isConfigured()) {
+      throw new SpeechError('SPEECH_STT_API_KEY is not set', { code: 'not_configured', engine: this.name });
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), `recording.${extensionFor(mimeType)}`);
+    form.append('model', this.model);
+    if (language) {
+      form.append('language', language);
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+        headers: authHeaders(this.apiKey),
+        timeout: this.timeout
+      });
+      if (!response.data || typeof response.data.text !== 'string') {
+        throw new SpeechError('Transcription service returned no text', { code: 'invalid_response', engine: this.name });
+      }
+      return { text: response.data.text.trim() };
+    } catch (error) {
+      throw classifyHttpError(error, this.name);
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible /audio/speech (OpenAI TTS, or a local server such as
+ * openedai-speech or Kokoro-FastAPI)
+ */
+class OpenAITextToSpeech {
+  constructor({ apiKey, model = 'tts-1', voice = 'alloy', baseUrl = DEFAULT_BASE_URL, timeout = 30000 } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.voice = voice;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) || this.baseUrl !== DEFAULT_BASE_URL;
+  }
+
+  /**
+   * Speak text. Resolves to { audio: Buffer, mimeType }.
+   */
+  async synthesize({ text }) {
+    if (!this.isConfigured()) {
+      throw new SpeechError('SPEECH_TTS_API_KEY is not set', { code: 'not_configured', engine: this.name });
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/audio/speech`, {
+        model: this.model,
+        voice: this.voice,
+        input: text,
+        response_format: 'mp3'
+      }, {
+        headers: { 'Content-Type': 'application/json', ...authHeaders(this.apiKey) },
+        responseType: 'arraybuffer',
+        timeout: this.timeout
+      });
+      return { audio: Buffer.from(response.data), mimeType: 'audio/mpeg' };
+    } catch (error) {
+      throw classifyHttpError(error, this.name);
+    }
+  }
+}
+
+module.exports = { OpenAISpeechToText, OpenAITextToSpeech };
@@ -0,0 +1,319 @@
+const repositories = require('../repositories');
+const accounts = require('./accounts');
+const conversations = require('./conversations');
+const scheduling = require('./scheduling');
+const { departmentNames, findDepartment } = require('./departments');
+
+// Most previous calls RexBot can look up at once
+const MAX_PREVIOUS_CALLS = 10;
+
+/**
+ * A problem with the arguments or the request, worded for the model to relay
+ */
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean'
+};
+
+/**
+ * Check arguments against a tool's (flat) JSON Schema; returns the problems found
+ */
+function validateArguments(schema, args) {
+  const properties = schema.properties || {};
+  const problems = (schema.required || [])
+    .filter(name => args[name] === undefined || args[name] === null || args[name] === '')
+    .map(name => `${name} is required`);
+
+  Object.entries(args).forEach(([name, value]) => {
+    const property = properties[name];
+    if (!property || value === undefined || value === null) {
+      return;
+    }
+    const check = TYPE_CHECKS[property.type];
+    if (check && !check(value)) {
+      problems.push(`${name} must be a ${property.type}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      problems.push(`${name} must be one of: ${property.enum.join(', ')}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Tools RexBot may call during a conversation. Handlers receive the model's
+ * arguments and the conversation context ({ visitor, sessionId, callId }) and
+ * return a JSON-serialisable result.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register({ name, description, parameters = { type: 'object', properties: {} }, handler }) {
+    this.tools.set(name, { name, description, parameters, handler });
+    return this;
+  }
+
+  /**
+   * Declarations for the LLM request
+   */
+  definitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Run a tool. Failures come back as { error } so the model can tell the visitor
+   * rather than the conversation breaking.
+   */
+  async call(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+    const problems = validateArguments(tool.parameters, args);
+    if (problems.length > 0) {
+      return { error: `Invalid arguments: ${problems.join('; ')}` };
+    }
+
+    try {
+      return await tool.handler(args, context);
+    } catch (error) {
+      if (error instanceof ToolError) {
+        return { error: error.message };
+      }
+      console.error(`Error running tool ${name}:`, error);
+      return { error: 'The tool failed; please try again later' };
+    }
+  }
+}
+
+const describeAppointment = (appointment) => ({
+  appointmentId: appointment._id,
+  name: appointment.name,
+  department: appointment.department,
+  reason: appointment.reason,
+  startTime: appointment.startTime,
+  when: scheduling.describeSlot(new Date(appointment.startTime)),
+  status: appointment.status
+});
+
+const describeCall = (call) => ({
+  date: call.createdAt,
+  purpose: call.purpose,
+  department: call.department || null,
+  status: call.status,
+  decision: call.decision,
+  staffName: call.staffId && call.staffId.name ? call.staffId.name : null
+});
+
+async function checkStaffAvailability({ department }) {
+  const staff = await accounts.availableStaff({ department });
+  return {
+    department: department || null,
+    available: staff.length > 0,
+    staff: staff.map(member => ({ name: member.name, department: member.department }))
+  };
+}
+
+/**
+ * The call behind this conversation. Visitors give their email at the kiosk without
+ * proving it, so RexBot only sees the call this session started, never other calls
+ * made under the same email.
+ */
+async function lookupCurrentCall(args, { visitor, sessionId }) {
+  const conversation = sessionId ? await repositories.conversations.findBySessionId(sessionId) : null;
+  const call = conversation && conversation.callId
+    ? await repositories.calls.findById(conversation.callId, { populate: { path: 'staffId', select: 'name' } })
+    : null;
+  if (!call || String(call.clientId) !== String(visitor._id)) {
+    return { call: null, note: 'This conversation has no call yet.' };
+  }
+  return { call: describeCall(call) };
+}
+
+/**
+ * The visitor's earlier calls, newest first. The email given at the kiosk is not proof
+ * of who the visitor is, so the calls are only shown once they read back a code emailed
+ * to that address.
+ */
+async function lookupPreviousCalls({ code, limit = 5 }, { visitor, sessionId }, sendIdentityCode) {
+  if (!await conversations.verifyIdentity(sessionId, code)) {
+    if (code) {
+      return {
+        status: 'invalid-code',
+        note: 'That code is wrong or has expired. Ask the visitor to check the email, or call again without a code to send a new one.'
+      };
+    }
+    const newCode = await conversations.startIdentityCheck(sessionId);
+    if (newCode) {
+      await sendIdentityCode(visitor, newCode);
+    }
+    return {
+      status: 'verification-sent',
+      note: `A 6-digit code has been emailed to the address the visitor gave. Ask them to read it out, then call this tool again with it. It expires in ${conversations.IDENTITY_CODE_MINUTES} minutes.`
+    };
+  }
+
+  const conversation = await repositories.conversations.findBySessionId(sessionId);
+  const filter = { clientId: visitor._id };
+  if (conversation && conversation.callId) {
+    filter._id = { $ne: conversation.callId };
+  }
+  const calls = await repositories.calls.find(filter, {
+    sort: { createdAt: -1 },
+    limit: Math.min(Math.max(limit, 1), MAX_PREVIOUS_CALLS),
+    populate: { path: 'staffId', select: 'name' }
+  });
+  return { status: 'verified', calls: calls.map(describeCall) };
+}
+
+/**
+ * Propose the appointment the visitor asked for, through the same path as bookings
+ * found in the conversation. With `confirm`, the pending proposal for that slot is
+ * booked; RexBot only sets it once the visitor has agreed to the details read back.
+ */
+async function bookAppointment(args, { visitor, sessionId }, { onAppointmentProposed, confirmAppointment }) {
+  const department = findDepartment(args.department);
+  if (!department) {
+    throw new ToolError(`Unknown department. Choose one of: ${departmentNames().join(', ')}`);
+  }
+  const startTime = new Date(args.startTime);
+  if (Number.isNaN(startTime.getTime())) {
+    throw new ToolError('startTime must be an ISO 8601 date and time, e.g. 2026-03-02T14:30');
+  }
+  const details = { name: args.name || visitor.name, department: department.name, reason: args.reason, startTime };
+
+  const booking = await scheduling.requestAppointment({ user: visitor, sessionId, details });
+  if (booking.status === 'unavailable') {
+    return {
+      status: 'unavailable',
+      reason: booking.reason,
+      alternatives: booking.alternatives.map(slot => ({ startTime: slot, when: scheduling.describeSlot(slot) }))
+    };
+  }
+  if (booking.status === 'collecting') {
+    return { status: 'collecting', missing: booking.missing };
+  }
+  if (booking.created) {
+    onAppointmentProposed(booking.appointment, { sessionId });
+  }
+
+  const sameSlot = !scheduling.changedSince(booking.appointment, details);
+  if (booking.status === 'proposed' && args.confirm && !booking.created && sameSlot) {
+    const result = await confirmAppointment(booking.appointment._id, visitor);
+    if (result.error) {
+      return {
+        status: 'unavailable',
+        reason: result.error,
+        alternatives: (result.alternatives || []).map(slot => ({ startTime: slot, when: scheduling.describeSlot(slot) }))
+      };
+    }
+    return { status: 'confirmed', appointment: describeAppointment(result.appointment), staffName: result.staff.name };
+  }
+
+  return {
+    status: booking.status,
+    created: Boolean(booking.created),
+    appointment: describeAppointment(booking.appointment),
+    next: !sameSlot
+      ? 'The visitor already has a different appointment open; ask them to decline it on screen before booking another'
+      : booking.status === 'proposed'
+        ? 'Read the details back and ask the visitor to confirm, on screen or by saying yes'
+        : null
+  };
+}
+
+/**
+ * RexBot's reception tools. The server supplies the hooks that need the call router,
+ * the visitor's socket or email: `requestHuman(args, context)`,
+ * `sendIdentityCode(visitor, code)`, `onAppointmentProposed(appointment, context)` and
+ * `confirmAppointment(appointmentId, visitor)`.
+ */
+function createReceptionTools({ requestHuman, sendIdentityCode, onAppointmentProposed = () => {}, confirmAppointment }) {
+  const departments = departmentNames();
+
+  return new ToolRegistry()
+    .register({
+      name: 'check_staff_availability',
+      description: 'List the staff members who are available to take a call right now, optionally in one department.',
+      parameters: {
+        type: 'object',
+        properties: {
+          department: { type: 'string', enum: departments, description: 'Only staff in this department' }
+        }
+      },
+      handler: checkStaffAvailability
+    })
+    .register({
+      name: 'lookup_current_call',
+      description: "Look up the visitor's call in this conversation: purpose, department, status, outcome and who took it.",
+      handler: lookupCurrentCall
+    })
+    .register({
+      name: 'lookup_previous_calls',
+      description: "Look up the visitor's earlier calls (newest first): purpose, department, outcome and who took them. " +
+        'The first call emails the visitor a code; call again with the code they read out.',
+      parameters: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', description: 'The 6-digit code the visitor read out from their email' },
+          limit: { type: 'integer', description: `How many calls to return (1-${MAX_PREVIOUS_CALLS}, default 5)` }
+        }
+      },
+      handler: (args, context) => lookupPreviousCalls(args, context, sendIdentityCode)
+    })
+    .register({
+      name: 'book_appointment',
+      description: 'Propose an appointment for the visitor; if the slot is taken, free alternatives are returned. ' +
+        'Call again with confirm: true once the visitor has agreed to the details read back to them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          department: { type: 'string', enum: departments },
+          startTime: { type: 'string', description: 'Local date and time in ISO 8601, e.g. 2026-03-02T14:30' },
+          reason: { type: 'string', description: 'What the visit is about' },
+          name: { type: 'string', description: "Name for the booking; defaults to the visitor's name" },
+          confirm: { type: 'boolean', description: 'Book the proposed slot; only after the visitor has said yes to it' }
+        },
+        required: ['department', 'startTime', 'reason']
+      },
+      handler: (args, context) => bookAppointment(args, context, { onAppointmentProposed, confirmAppointment })
+    })
+    .register({
+      name: 'request_human',
+      description: 'Ask for a staff member to speak with the visitor, e.g. when they ask for a person or RexBot cannot help.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Why the visitor needs a person' }
+        },
+        required: ['reason']
+      },
+      handler: requestHuman
+    });
+}
+
+/**
+ * Prompt note for when tools are offered; models need today's date to talk about times
+ */
+function describeForPrompt(now = new Date()) {
+  const today = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  return `Tools: use them to check staff availability, look up the visitor's current or earlier calls, book appointments or request a staff member, instead of guessing. Today is ${today} and the time is ${now.toTimeString().slice(0, 5)}.`;
+}
+
+module.exports = {
+  ToolError,
+  ToolRegistry,
+  validateArguments,
+  createReceptionTools,
+  describeForPrompt
+};
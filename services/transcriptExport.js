@@ -0,0 +1,315 @@
+const fs = require('fs');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+const repositories = require('../repositories');
+const { ConversationError, historyFilter } = require('./conversations');
+
+// A date-range export larger than this has to be split into smaller ranges
+const MAX_EXPORT_CONVERSATIONS = 1000;
+
+const SENDER_LABELS = { user: 'Visitor', rexbot: 'RexBot', staff: 'Staff', system: 'System', tool: 'Tool' };
+
+const CSV_COLUMNS = [
+  'session_id', 'visitor_name', 'visitor_email', 'conversation_status', 'purpose', 'department',
+  'call_id', 'call_status', 'staff', 'decision', 'notes', 'duration_seconds', 'hold_seconds',
+  'call_start', 'call_end', 'message_time', 'sender', 'message_type', 'content', 'language', 'translation'
+];
+
+// PDFKit's built-in fonts only cover Western European text. PDFs use Noto Sans (Latin,
+// Greek, Cyrillic, Devanagari), Noto Sans Arabic, and Unifont for anything else (CJK,
+// Hangul); each stretch of text gets the first font with glyphs for it.
+const NOTO_SUBSETS = ['latin', 'latin-ext', 'greek', 'greek-ext', 'cyrillic', 'cyrillic-ext', 'vietnamese', 'devanagari'];
+const FALLBACK_FONTS = [
+  ['noto-sans-arabic', 'noto-sans-arabic-arabic-400-normal'],
+  ['unifont', 'unifont-latin-400-normal']
+];
+const FONT_STYLES = { regular: '400-normal', bold: '700-normal', italic: '400-italic' };
+
+let pdfFonts = null;
+
+const fontPath = (pkg, file) => {
+  try {
+    return require.resolve(`@fontsource/${pkg}/files/${file}.woff`);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The font files for each style, read once: { name, data, font } in the order they are
+ * tried. Bold and italic fall back to the regular fonts for scripts they lack.
+ */
+function loadPdfFonts() {
+  if (pdfFonts) {
+    return pdfFonts;
+  }
+  const load = (pkg, file) => {
+    const path = fontPath(pkg, file);
+    if (!path) return null;
+    const data = fs.readFileSync(path);
+    return { name: file, data, font: fontkit.create(data) };
+  };
+  const noto = (style) => NOTO_SUBSETS.map(subset => load('noto-sans', `noto-sans-${subset}-${style}`)).filter(Boolean);
+  const regular = [...noto(FONT_STYLES.regular), ...FALLBACK_FONTS.map(([pkg, file]) => load(pkg, file)).filter(Boolean)];
+
+  pdfFonts = {
+    regular,
+    bold: [...noto(FONT_STYLES.bold), ...regular],
+    italic: [...noto(FONT_STYLES.italic), ...regular]
+  };
+  return pdfFonts;
+}
+
+/**
+ * Split text into runs drawn with one font each. Whitespace stays with the run it is in.
+ */
+function fontRuns(fonts, text) {
+  const runs = [];
+  for (const char of text) {
+    const current = runs[runs.length - 1];
+    const codePoint = char.codePointAt(0);
+    const font = /\s/.test(char) && current
+      ? current.font
+      : fonts.find(candidate => candidate.font.hasGlyphForCodePoint(codePoint)) || fonts[0];
+    if (current && current.font === font) {
+      current.text += char;
+    } else {
+      runs.push({ font, text: char });
+    }
+  }
+  return runs.length > 0 ? runs : [{ font: fonts[0], text: '' }];
+}
+
+/**
+ * doc.text() in the given style, switching fonts for characters the first font lacks
+ */
+function writeText(doc, style, size, text) {
+  const runs = fontRuns(loadPdfFonts()[style], String(text));
+  doc.fontSize(size);
+  runs.forEach((run, index) => {
+    doc.font(run.font.name).text(run.text, { continued: index < runs.length - 1 });
+  });
+}
+
+const registerPdfFonts = (doc) => {
+  const { regular, bold, italic } = loadPdfFonts();
+  new Set([...regular, ...bold, ...italic]).forEach(({ name, data }) => doc.registerFont(name, data));
+};
+
+const iso = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * Conversations with their visitor and call metadata, in export order (oldest first)
+ */
+async function loadRecords(filter) {
+  const conversations = await repositories.conversations.find(filter, {
+    sort: { createdAt: 1 },
+    populate: [{ path: 'userId', select: 'name email' }, 'callId']
+  });
+
+  const staffIds = [...new Set(conversations
+    .map(conversation => conversation.callId && conversation.callId.staffId)
+    .filter(Boolean)
+    .map(String))];
+  const staff = await repositories.users.find({ _id: { $in: staffIds } }, { select: 'name' });
+  const staffNames = new Map(staff.map(user => [String(user._id), user.name]));
+
+  return conversations.map(conversation => {
+    const visitor = conversation.userId || {};
+    const call = conversation.callId;
+    return {
+      sessionId: conversation.sessionId,
+      status: conversation.status,
+      language: conversation.language || null,
+      createdAt: conversation.createdAt,
+      visitor: { name: visitor.name || null, email: visitor.email || null },
+      call: call ? {
+        id: call._id,
+        purpose: call.purpose,
+        department: call.department || null,
+        status: call.status,
+        staffName: call.staffId ? staffNames.get(String(call.staffId)) || null : null,
+        decision: call.decision,
+        notes: call.notes || null,
+        duration: call.duration ?? null,
+        holdDuration: call.holdDuration ?? null,
+        startTime: call.startTime || null,
+        endTime: call.endTime || null
+      } : null,
+      messages: conversation.messages.map(({ sender, content, timestamp, messageType, language, translation }) => ({
+        sender, content, timestamp, messageType, language: language || null, translation: translation || null
+      }))
+    };
+  });
+}
+
+/**
+ * Quote a CSV field. Fields that a spreadsheet would run as a formula are prefixed
+ * with an apostrophe, since message contents come straight from visitors.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const rows = [CSV_COLUMNS.join(',')];
+  records.forEach(record => {
+    const call = record.call || {};
+    const shared = [
+      record.sessionId, record.visitor.name, record.visitor.email, record.status, call.purpose,
+      call.department, call.id, call.status, call.staffName, call.decision, call.notes,
+      call.duration, call.holdDuration, iso(call.startTime), iso(call.endTime)
+    ];
+    record.messages.forEach(message => {
+      rows.push([
+        ...shared, iso(message.timestamp), message.sender, message.messageType, message.content,
+        message.language, message.translation
+      ]
+        .map(csvField)
+        .join(','));
+    });
+  });
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Heading lines describing a conversation and its call, shared by the text and PDF formats
+ */
+function describeRecord(record) {
+  const call = record.call;
+  const lines = [
+    `Visitor: ${record.visitor.name || 'Unknown'}${record.visitor.email ? ` <${record.visitor.email}>` : ''}`,
+    `Started: ${iso(record.createdAt)}`,
+    `Conversation status: ${record.status}`
+  ];
+  if (record.language) {
+    lines.push(`Language: ${record.language}`);
+  }
+  if (call) {
+    lines.push(
+      `Purpose: ${call.purpose}${call.department ? ` (${call.department})` : ''}`,
+      `Call status: ${call.status}`,
+      `Staff member: ${call.staffName || 'None'}`,
+      `Decision: ${call.decision}`,
+      `Duration: ${call.duration === null ? 'n/a' : `${call.duration}s`}${call.holdDuration ? ` (${call.holdDuration}s on hold)` : ''}`
+    );
+    if (call.notes) {
+      lines.push(`Notes: ${call.notes}`);
+    }
+  }
+  return lines;
+}
+
+const messageLine = (message) => `[${iso(message.timestamp)}] ${SENDER_LABELS[message.sender] || message.sender}: ${message.content}` +
+  (message.translation ? `\n    (English: ${message.translation})` : '');
+
+function toText(records) {
+  return records.map(record => [
+    `Conversation ${record.sessionId}`,
+    ...describeRecord(record),
+    '',
+    ...record.messages.map(messageLine)
+  ].join('\n')).join('\n\n' + '='.repeat(72) + '\n\n') + '\n';
+}
+
+function toPdf(records) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: 'RexBot conversation export' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    registerPdfFonts(doc);
+
+    if (records.length === 0) {
+      writeText(doc, 'regular', 12, 'No conversations matched this export.');
+    }
+    records.forEach((record, index) => {
+      // One conversation per page
+      if (index > 0) {
+        doc.addPage();
+      }
+      writeText(doc, 'bold', 14, `Conversation ${record.sessionId}`);
+      doc.moveDown(0.5);
+      describeRecord(record).forEach(line => writeText(doc, 'regular', 10, line));
+      doc.moveDown();
+
+      record.messages.forEach(message => {
+        writeText(doc, 'bold', 9, `${SENDER_LABELS[message.sender] || message.sender} - ${iso(message.timestamp)}`);
+        writeText(doc, 'regular', 10, message.content);
+        if (message.translation) {
+          writeText(doc, 'italic', 9, `English: ${message.translation}`);
+        }
+        doc.moveDown(0.5);
+      });
+    });
+    doc.end();
+  });
+}
+
+const FORMATS = {
+  json: {
+    contentType: 'application/json',
+    render: (records) => JSON.stringify({ exportedAt: new Date().toISOString(), conversations: records }, null, 2)
+  },
+  csv: { contentType: 'text/csv; charset=utf-8', render: toCsv },
+  txt: { contentType: 'text/plain; charset=utf-8', render: toText },
+  pdf: { contentType: 'application/pdf', render: toPdf }
+};
+
+function formatFor(name = 'json') {
+  const format = FORMATS[String(name).toLowerCase()];
+  if (!format) {
+    throw new ConversationError(`Unknown export format: ${name}. Use ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return { extension: String(name).toLowerCase(), ...format };
+}
+
+/**
+ * Export one conversation. Resolves to { filename, contentType, body }.
+ */
+async function exportConversation(sessionId, formatName) {
+  const format = formatFor(formatName);
+  const records = await loadRecords({ sessionId });
+  if (records.length === 0) {
+    throw new ConversationError('Conversation not found', 404);
+  }
+  return {
+    filename: `conversation-${sessionId}.${format.extension}`,
+    contentType: format.contentType,
+    body: await format.render(records)
+  };
+}
+
+/**
+ * Export every conversation started within a date range, optionally narrowed by
+ * the history filters (status, email, purpose).
+ *
+ * @param {Object} query { from, to, format, status, email, purpose }
+ */
+async function exportRange(query = {}) {
+  const format = formatFor(query.format);
+  if (!query.from || !query.to) {
+    throw new ConversationError('Both from and to dates are required');
+  }
+
+  const filter = await historyFilter(query);
+  const total = filter ? await repositories.conversations.count(filter) : 0;
+  if (total > MAX_EXPORT_CONVERSATIONS) {
+    throw new ConversationError(`${total} conversations match; export at most ${MAX_EXPORT_CONVERSATIONS} at a time by narrowing the range`);
+  }
+
+  const records = filter ? await loadRecords(filter) : [];
+  const range = `${String(query.from).slice(0, 10)}_${String(query.to).slice(0, 10)}`.replace(/[^\w-]/g, '-');
+  return {
+    filename: `conversations-${range}.${format.extension}`,
+    contentType: format.contentType,
+    body: await format.render(records)
+  };
+}
+
+module.exports = { exportConversation, exportRange, FORMATS };
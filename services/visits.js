@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const repositories = require('../repositories');
+
+const MAX_LENGTHS = { name: 100, company: 100, purpose: 200 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Badge codes avoid characters that are easy to misread (0/O, 1/I)
+const BADGE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BADGE_CODE_LENGTH = 6;
+
+class VisitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VisitError';
+    this.status = status;
+  }
+}
+
+// Emits 'checked-in' with { visit, host } when a visitor arrives and 'checked-out'
+// with { visit } when they leave; the server notifies the host and staff dashboards
+const visitEvents = new EventEmitter();
+
+const badgeCode = () => Array.from(crypto.randomBytes(BADGE_CODE_LENGTH), byte => BADGE_ALPHABET[byte % BADGE_ALPHABET.length]).join('');
+
+const startOfDay = (date = new Date()) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const describeHost = (host) => (host && host._id
+  ? { id: host._id, name: host.name, department: host.department || null }
+  : null);
+
+/**
+ * A visit for staff; `host` is the populated host or the visit's hostId
+ */
+const publicVisit = (visit, host = visit.hostId) => ({
+  id: visit._id,
+  name: visit.name,
+  email: visit.email,
+  company: visit.company || null,
+  purpose: visit.purpose,
+  host: describeHost(host),
+  status: visit.status,
+  badgeCode: visit.badgeCode,
+  badgeToken: visit.badgeToken,
+  sessionId: visit.sessionId || null,
+  kiosk: visit.kiosk || null,
+  checkedInAt: visit.checkedInAt,
+  checkedOutAt: visit.checkedOutAt || null,
+  hostNotification: visit.hostNotification || {}
+});
+
+/**
+ * What the printed badge shows; no email address or badge token
+ */
+const badgeVisit = (visit) => ({
+  name: visit.name,
+  company: visit.company || null,
+  host: describeHost(visit.hostId),
+  status: visit.status,
+  badgeCode: visit.badgeCode,
+  checkedInAt: visit.checkedInAt,
+  checkedOutAt: visit.checkedOutAt || null
+});
+
+function text(value, field, { required = false } = {}) {
+  const trimmed = String(value === undefined || value === null ? '' : value).trim();
+  if (required && !trimmed) {
+    throw new VisitError(`${field} is required`);
+  }
+  if (trimmed.length > MAX_LENGTHS[field]) {
+    throw new VisitError(`${field} can be at most ${MAX_LENGTHS[field]} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Staff and admins a visitor can come to see
+ */
+async function listHosts() {
+  const hosts = await repositories.users.find(
+    { role: { $in: ['staff', 'admin'] }, status: { $nin: ['invited', 'pending', 'disabled'] } },
+    { select: 'name department', sort: { name: 1 } }
+  );
+  return hosts.map(describeHost);
+}
+
+async function findHost(hostId) {
+  const host = hostId ? await repositories.users.findById(hostId).catch(() => null) : null;
+  if (!host || host.role === 'client' || ['invited', 'pending', 'disabled'].includes(host.status)) {
+    throw new VisitError('Please choose who you are visiting');
+  }
+  return host;
+}
+
+/**
+ * The visitor's client account, created on their first visit
+ */
+async function findOrCreateVisitor(name, email) {
+  const user = await repositories.users.findByEmail(email);
+  if (user && user.role !== 'client') {
+    throw new VisitError('This email belongs to a staff account. Please use another email address.');
+  }
+  return user || repositories.users.create({
+    name,
+    email,
+    password: await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10),
+    role: 'client'
+  });
+}
+
+/**
+ * Check a visitor in to see a host. Checking in again to the same host on the same
+ * day is refused (409) rather than printing a second badge; the open visit is not
+ * returned, since anyone who knows the email and host could ask for it.
+ *
+ * @param {Object} input { name, email, company, purpose, hostId, sessionId, kiosk }
+ * @param {Object} options { visitor } when the kiosk already knows the visitor's account
+ */
+async function checkIn(input = {}, { visitor } = {}) {
+  const name = text(input.name, 'name', { required: true });
+  const email = text(input.email, 'email', { required: true }).toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new VisitError('Please enter a valid email address');
+  }
+  const company = text(input.company, 'company');
+  const purpose = text(input.purpose, 'purpose', { required: true });
+  const host = await findHost(input.hostId);
+
+  const open = await repositories.visits.findOne({
+    email,
+    hostId: host._id,
+    status: 'checked-in',
+    checkedInAt: { $gte: startOfDay() }
+  });
+  if (open) {
+    throw new VisitError(`You are already checked in to see ${host.name} today. Please ask reception if you need a new badge.`, 409);
+  }
+
+  const user = visitor || await findOrCreateVisitor(name, email);
+  const visit = await repositories.visits.create({
+    visitorId: user._id,
+    name,
+    email,
+    company: company || undefined,
+    purpose,
+    hostId: host._id,
+    sessionId: input.sessionId || undefined,
+    kiosk: input.kiosk || undefined,
+    badgeToken: crypto.randomBytes(18).toString('base64url'),
+    badgeCode: badgeCode()
+  });
+
+  const result = publicVisit(visit, host);
+  visitEvents.emit('checked-in', { visit: result, host });
+  return result;
+}
+
+async function loadVisit(filter) {
+  const visit = await repositories.visits.findOne(filter, { populate: { path: 'hostId', select: 'name department' } });
+  if (!visit) {
+    throw new VisitError('Visit not found', 404);
+  }
+  return visit;
+}
+
+const findById = (id) => repositories.visits.findById(id)
+  .catch(() => null)
+  .then(visit => loadVisit({ _id: visit ? visit._id : null }));
+
+const findByBadge = (token) => loadVisit({ badgeToken: String(token || '') });
+
+async function checkOut(visit, { by } = {}) {
+  if (visit.status === 'checked-out') {
+    throw new VisitError(`${visit.name} has already checked out`, 409);
+  }
+  await repositories.visits.update(visit._id, {
+    status: 'checked-out',
+    checkedOutAt: new Date(),
+    checkedOutBy: by ? by._id : undefined
+  });
+
+  const result = publicVisit(await loadVisit({ _id: visit._id }));
+  visitEvents.emit('checked-out', { visit: result });
+  return result;
+}
+
+/**
+ * Check a visit out from the staff dashboard
+ */
+async function checkOutById(id, { by } = {}) {
+  return checkOut(await findById(id), { by });
+}
+
+/**
+ * Check out with the badge, e.g. by scanning its QR code at the exit
+ */
+async function checkOutByBadge(token) {
+  await checkOut(await findByBadge(token));
+  return badgeVisit(await findByBadge(token));
+}
+
+/**
+ * The badge for printing: what it shows and its QR code (SVG) pointing at `url`
+ */
+async function badge(token, { url }) {
+  const visit = await findByBadge(token);
+  const qrCode = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+  return { visit: badgeVisit(visit), url, qrCode };
+}
+
+/**
+ * Visits for the staff dashboard: everyone on site by default, or those checked in
+ * on `date` (YYYY-MM-DD), optionally only one host's
+ */
+async function listVisits({ status, date, hostId } = {}) {
+  const filter = {};
+  if (status) {
+    if (!['checked-in', 'checked-out'].includes(status)) {
+      throw new VisitError('status must be checked-in or checked-out');
+    }
+    filter.status = status;
+  }
+  if (date) {
+    const day = new Date(`${date}T00:00:00`);
+    if (Number.isNaN(day.getTime())) {
+      throw new VisitError('date must be a date such as 2024-01-31');
+    }
+    filter.checkedInAt = { $gte: day, $lt: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) };
+  }
+  if (!status && !date) {
+    filter.status = 'checked-in';
+  }
+  if (hostId) {
+    filter.hostId = hostId;
+  }
+
+  const visits = await repositories.visits.find(filter, {
+    sort: { checkedInAt: -1 },
+    populate: { path: 'hostId', select: 'name department' }
+  });
+  return visits.map(visit => publicVisit(visit));
+}
+
+// Writes for the same visit are chained so one channel's result cannot overwrite another's
+const notificationWrites = new Map();
+
+/**
+ * Note how the host was told about a visit: channel is 'inApp' or 'email'
+ */
+function recordNotification(visitId, channel, result) {
+  const key = String(visitId);
+  const write = (notificationWrites.get(key) || Promise.resolve())
+    .catch(() => {})
+    .then(() => writeNotification(visitId, channel, result))
+    .finally(() => {
+      if (notificationWrites.get(key) === write) {
+        notificationWrites.delete(key);
+      }
+    });
+  notificationWrites.set(key, write);
+  return write;
+}
+
+async function writeNotification(visitId, channel, { status, error }) {
+  const visit = await repositories.visits.findById(visitId);
+  if (!visit) {
+    return;
+  }
+  await repositories.visits.update(visitId, {
+    hostNotification: { ...visit.hostNotification, [channel]: { status, error, at: new Date() } }
+  });
+}
+
+module.exports = {
+  VisitError,
+  visitEvents,
+  listHosts,
+  checkIn,
+  checkOutById,
+  checkOutByBadge,
+  badge,
+  listVisits,
+  recordNotification
+};
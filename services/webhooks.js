@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const repositories = require('../repositories');
+
+// Events a webhook can subscribe to
+const EVENTS = [
+  'call.created',
+  'call.accepted',
+  'call.transferred',
+  'call.completed',
+  'call.abandoned',
+  'call.rejected',
+  'call.decided',
+  'conversation.started',
+  'conversation.completed',
+  'message.created'
+];
+
+// call.* event for a call entering a status; in-progress only counts when it is first answered
+const CALL_STATUS_EVENTS = {
+  transferred: 'call.transferred',
+  completed: 'call.completed',
+  abandoned: 'call.abandoned',
+  rejected: 'call.rejected'
+};
+
+const BATCH_SIZE = 20;
+// Start of the receiver's reply kept in the delivery log
+const MAX_RESPONSE_CHARS = 1000;
+
+class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+/**
+ * The call.* event for a status change, or null when subscribers do not hear about it
+ */
+function callEventFor(from, to) {
+  if (to === 'in-progress') {
+    return ['waiting', 'ringing', 'transferred'].includes(from) ? 'call.accepted' : null;
+  }
+  return CALL_STATUS_EVENTS[to] || null;
+}
+
+/**
+ * What subscribers are told about a call
+ */
+const callData = (call) => ({
+  id: call._id,
+  status: call.status,
+  purpose: call.purpose,
+  department: call.department,
+  priority: call.priority,
+  clientId: call.clientId,
+  staffId: call.staffId || null,
+  decision: call.decision,
+  notes: call.notes || null,
+  startTime: call.startTime || null,
+  endTime: call.endTime || null,
+  duration: call.duration || null,
+  createdAt: call.createdAt
+});
+
+/**
+ * The signature receivers check: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// The secret is only ever returned when it is created or rotated
+const publicWebhook = (webhook) => ({
+  id: webhook._id,
+  name: webhook.name,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+const publicDelivery = (delivery) => ({
+  id: delivery._id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'queued' ? delivery.nextAttemptAt : null,
+  responseStatus: delivery.responseStatus || null,
+  responseBody: delivery.responseBody || null,
+  lastError: delivery.lastError || null,
+  durationMs: delivery.durationMs ?? null,
+  deliveredAt: delivery.deliveredAt || null,
+  redeliveryOf: delivery.redeliveryOf || null,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt
+});
+
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw new WebhookError('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new WebhookError('url must be an absolute http or https URL');
+  }
+  return url.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError(`events must list at least one of: *, ${EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown events: ${unknown.join(', ')}. Expected any of: *, ${EVENTS.join(', ')}`);
+  }
+  return Array.from(new Set(events));
+}
+
+async function findWebhook(id) {
+  const webhook = await repositories.webhooks.findById(id).catch(() => null);
+  if (!webhook) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+  return webhook;
+}
+
+async function listWebhooks() {
+  const webhooks = await repositories.webhooks.find({}, { sort: { createdAt: 1 } });
+  return webhooks.map(publicWebhook);
+}
+
+/**
+ * Register an endpoint. Resolves to { webhook, secret }; the secret is not shown again.
+ */
+async function createWebhook({ name, url, events, active = true }, { by } = {}) {
+  if (!name || !String(name).trim()) {
+    throw new WebhookError('name is required');
+  }
+  const secret = generateSecret();
+  const webhook = await repositories.webhooks.create({
+    name: String(name).trim(),
+    url: validateUrl(url),
+    events: validateEvents(events),
+    active: Boolean(active),
+    secret,
+    createdBy: by ? by._id : undefined
+  });
+  return { webhook: publicWebhook(webhook), secret };
+}
+
+/**
+ * Change name, url, events or active; rotateSecret issues a new secret (returned once)
+ */
+async function updateWebhook(id, { name, url, events, active, rotateSecret } = {}) {
+  const webhook = await findWebhook(id);
+  const patch = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      throw new WebhookError('name cannot be empty');
+    }
+    patch.name = String(name).trim();
+  }
+  if (url !== undefined) patch.url = validateUrl(url);
+  if (events !== undefined) patch.events = validateEvents(events);
+  if (active !== undefined) patch.active = Boolean(active);
+  const secret = rotateSecret ? generateSecret() : undefined;
+  if (secret) patch.secret = secret;
+
+  const updated = await repositories.webhooks.update(webhook._id, patch);
+  return secret ? { webhook: publicWebhook(updated), secret } : { webhook: publicWebhook(updated) };
+}
+
+async function deleteWebhook(id) {
+  const webhook = await findWebhook(id);
+  await repositories.webhooks.delete(webhook._id);
+  return publicWebhook(webhook);
+}
+
+/**
+ * A webhook's delivery log, newest first; { deliveries, page, limit, total, pages }
+ */
+async function listDeliveries(id, { status, page, limit } = {}) {
+  const webhook = await findWebhook(id);
+  page = Math.max(parseInt(page) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const filter = { webhookId: webhook._id };
+  if (status) filter.status = String(status);
+
+  const [deliveries, total] = await Promise.all([
+    repositories.webhookDeliveries.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+    repositories.webhookDeliveries.count(filter)
+  ]);
+  return { deliveries: deliveries.map(publicDelivery), page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+const subscribes = (webhook, event) => webhook.events.includes('*') || webhook.events.includes(event);
+
+/**
+ * Sends events to subscribed webhooks. Every delivery is stored first, POSTed in the
+ * background and retried with exponential backoff until the receiver answers 2xx or
+ * it runs out of attempts.
+ */
+class WebhookDispatcher {
+  constructor({ maxAttempts = 6, retryDelayMs = 10000, maxRetryDelayMs = 60 * 60 * 1000, pollIntervalMs = 10000, timeout = 10000, claimTimeoutMs = 5 * 60 * 1000 } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeout = timeout;
+    this.claimTimeoutMs = claimTimeoutMs;
+    this.timer = null;
+    this.draining = null;
+    this.drainAgain = false;
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it
+   */
+  async dispatch(event, data) {
+    const webhooks = (await repositories.webhooks.find({ active: true })).filter(webhook => subscribes(webhook, event));
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    // Plain JSON, so the stored payload is exactly what is signed and sent
+    const payload = JSON.parse(JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date(), data }));
+    const deliveries = await Promise.all(webhooks.map(webhook =>
+      repositories.webhookDeliveries.create({ webhookId: webhook._id, event, payload })));
+    this.process();
+    return deliveries;
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery with the same payload
+   */
+  async redeliver(deliveryId) {
+    const original = await repositories.webhookDeliveries.findById(deliveryId).catch(() => null);
+    if (!original) {
+      throw new WebhookError('Delivery not found', 404);
+    }
+    const webhook = await findWebhook(original.webhookId);
+    if (!webhook.active) {
+      throw new WebhookError('Enable the webhook before redelivering to it', 409);
+    }
+
+    const delivery = await repositories.webhookDeliveries.create({
+      webhookId: webhook._id,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id
+    });
+    this.process();
+    return publicDelivery(delivery);
+  }
+
+  start() {
+    if (this.timer) return;
+    const poll = () => this.recover().then(() => this.process());
+    this.timer = setInterval(poll, this.pollIntervalMs);
+    this.timer.unref();
+    poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliveries left in flight by a crashed or stopped instance are sent again once
+   * their claim (its updatedAt) is older than `claimTimeoutMs`, which is well past the
+   * request timeout; younger claims may belong to another running instance.
+   */
+  async recover() {
+    try {
+      const expired = { status: 'delivering', updatedAt: { $lt: new Date(Date.now() - this.claimTimeoutMs) } };
+      const stuck = await repositories.webhookDeliveries.find(expired);
+      await Promise.all(stuck.map(delivery => repositories.webhookDeliveries.updateWhere({ ...expired, _id: delivery._id }, { status: 'queued' })));
+    } catch (error) {
+      console.error('Error recovering webhook deliveries:', error);
+    }
+  }
+
+  process() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return this.draining;
+    }
+    this.draining = this.drain()
+      .catch(error => console.error('Error processing webhook deliveries:', error))
+      .finally(() => {
+        this.draining = null;
+        if (this.drainAgain) {
+          this.drainAgain = false;
+          this.process();
+        }
+      });
+    return this.draining;
+  }
+
+  async drain() {
+    let due;
+    do {
+      due = await repositories.webhookDeliveries.find(
+        { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+        { sort: { nextAttemptAt: 1 }, limit: BATCH_SIZE }
+      );
+      for (const delivery of due) {
+        await this.deliver(delivery);
+      }
+    } while (due.length === BATCH_SIZE);
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+  }
+
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    const claimed = await repositories.webhookDeliveries.updateWhere(
+      { _id: delivery._id, status: 'queued' },
+      { status: 'delivering', attempts }
+    );
+    if (!claimed) return;
+
+    const webhook = await repositories.webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await repositories.webhookDeliveries.update(delivery._id, {
+        status: 'failed',
+        lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = {};
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RexBot-Webhooks/1.0',
+          'X-RexBot-Event': delivery.event,
+          'X-RexBot-Delivery': String(delivery._id),
+          'X-RexBot-Timestamp': String(timestamp),
+          'X-RexBot-Signature': sign(webhook.secret, timestamp, body)
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      result.responseStatus = response.status;
+      result.responseBody = String(response.data || '').slice(0, MAX_RESPONSE_CHARS);
+      if (response.status < 200 || response.status >= 300) {
+        result.lastError = `Receiver answered ${response.status}`;
+      }
+    } catch (error) {
+      result.lastError = error.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    if (!result.lastError) {
+      await repositories.webhookDeliveries.update(delivery._id, { ...result, status: 'delivered', lastError: null, deliveredAt: new Date() });
+      return;
+    }
+
+    const giveUp = attempts >= this.maxAttempts;
+    console.error(`Webhook delivery ${delivery._id} (${delivery.event}) to ${webhook.url} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}): ${result.lastError}`);
+    await repositories.webhookDeliveries.update(delivery._id, giveUp
+      ? { ...result, status: 'failed' }
+      : { ...result, status: 'queued', nextAttemptAt: new Date(Date.now() + this.retryDelay(attempts)) });
+  }
+}
+
+/**
+ * The dispatcher, tuned by WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_DELAY_MS (doubling per
+ * retry), WEBHOOK_POLL_INTERVAL_MS and WEBHOOK_TIMEOUT_MS
+ */
+function createWebhookDispatcher(env = process.env) {
+  return new WebhookDispatcher({
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+    retryDelayMs: parseInt(env.WEBHOOK_RETRY_DELAY_MS) || undefined,
+    pollIntervalMs: parseInt(env.WEBHOOK_POLL_INTERVAL_MS) || undefined,
+    timeout: parseInt(env.WEBHOOK_TIMEOUT_MS) || undefined
+  });
+}
+
+module.exports = {
+  EVENTS,
+  WebhookError,
+  WebhookDispatcher,
+  createWebhookDispatcher,
+  callEventFor,
+  callData,
+  sign,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries
+};
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer } = require('./helpers/server');
+
+describe('admin account management', () => {
+  let server;
+  let admin;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer({ APP_URL: 'https://reception.example.com/' });
+    const login = await server.request('POST', '/api/auth/login', { body: ADMIN });
+    ({ token: adminToken, user: admin } = login.body);
+  });
+
+  after(() => server && server.close());
+
+  it('builds invitation and reset links from APP_URL, not the Host header', async () => {
+    const headers = { Host: 'attacker.example', 'X-Forwarded-Host': 'attacker.example' };
+    const invited = await server.request('POST', '/api/admin/invitations', {
+      token: adminToken,
+      headers,
+      body: { name: 'Ian Invitee', email: 'ian@example.com', department: 'Sales', role: 'staff' }
+    });
+    assert.equal(invited.status, 201);
+    assert.match(invited.body.inviteUrl, /^https:\/\/reception\.example\.com\/register\?token=\w+$/);
+
+    const reset = await server.request('POST', `/api/admin/users/${invited.body.user.id}/reset-password`, { token: adminToken, headers });
+    assert.equal(reset.status, 200);
+    assert.match(reset.body.resetUrl, /^https:\/\/reception\.example\.com\/register\?token=\w+$/);
+  });
+
+  it('keeps registered staff pending until an admin approves them, and signs out disabled staff', async () => {
+    const credentials = { email: 'penny@example.com', password: 'penny-password' };
+    const registered = await server.request('POST', '/api/auth/register', {
+      body: { name: 'Penny Pending', department: 'Support', ...credentials }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.status, 'pending');
+    assert.equal(registered.body.user.role, 'staff');
+
+    const pending = await server.request('POST', '/api/auth/login', { body: credentials });
+    assert.equal(pending.status, 403);
+    assert.equal(pending.body.error, 'Your account is awaiting approval by an administrator');
+
+    const userId = registered.body.user.id;
+    const approved = await server.request('POST', `/api/admin/users/${userId}/approve`, { token: adminToken });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'active');
+    const again = await server.request('POST', `/api/admin/users/${userId}/approve`, { token: adminToken });
+    assert.equal(again.status, 409);
+
+    const login = await server.request('POST', '/api/auth/login', { body: credentials });
+    assert.equal(login.status, 200);
+    const staffToken = login.body.token;
+    assert.equal((await server.request('GET', '/api/admin/users', { token: staffToken })).status, 403);
+    assert.equal((await server.request('POST', `/api/admin/users/${userId}/disable`, { token: staffToken })).status, 403);
+
+    const disabled = await server.request('POST', `/api/admin/users/${userId}/disable`, { token: adminToken });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.body.status, 'disabled');
+    assert.equal((await server.request('POST', '/api/auth/refresh', { token: staffToken })).status, 403,
+      'a token issued before the account was disabled stops working');
+    const blocked = await server.request('POST', '/api/auth/login', { body: credentials });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.error, 'Your account has been disabled');
+
+    assert.equal((await server.request('POST', `/api/admin/users/${userId}/enable`, { token: adminToken })).status, 200);
+    assert.equal((await server.request('POST', '/api/auth/login', { body: credentials })).status, 200);
+  });
+
+  it('activates invited accounts once the invitee sets a password', async () => {
+    const invited = await server.request('POST', '/api/admin/invitations', {
+      token: adminToken,
+      body: { name: 'Ivy Invitee', email: 'ivy@example.com', department: 'Finance', role: 'staff' }
+    });
+    assert.equal(invited.body.user.status, 'invited');
+    const token = new URL(invited.body.inviteUrl).searchParams.get('token');
+
+    const setup = await server.request('GET', `/api/auth/setup/${token}`);
+    assert.deepEqual(setup.body, { name: 'Ivy Invitee', email: 'ivy@example.com', invited: true });
+    const tooShort = await server.request('POST', '/api/auth/setup', { body: { token, password: 'short' } });
+    assert.equal(tooShort.status, 400);
+
+    const done = await server.request('POST', '/api/auth/setup', { body: { token, password: 'ivy-password' } });
+    assert.equal(done.body.user.status, 'active');
+    assert.equal((await server.request('POST', '/api/auth/setup', { body: { token, password: 'ivy-password' } })).status, 404,
+      'the link only works once');
+    assert.equal((await server.request('POST', '/api/auth/login', { body: { email: 'ivy@example.com', password: 'ivy-password' } })).status, 200);
+  });
+
+  it('does not let an admin change the status of their own account', async () => {
+    const response = await server.request('POST', `/api/admin/users/${admin.id}/disable`, { token: adminToken });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'You cannot change the status of your own account');
+    assert.equal((await server.request('POST', '/api/auth/login', { body: ADMIN })).status, 200);
+  });
+
+  it('signs a user out everywhere when their password is reset', async () => {
+    const invited = await server.request('POST', '/api/admin/invitations', {
+      token: adminToken,
+      body: { name: 'Rita Reset', email: 'rita@example.com', department: 'Support', role: 'staff' }
+    });
+    const setup = (url, password) =>
+      server.request('POST', '/api/auth/setup', { body: { token: new URL(url).searchParams.get('token'), password } });
+    const login = async (password) =>
+      (await server.request('POST', '/api/auth/login', { body: { email: 'rita@example.com', password } })).body.token;
+    await setup(invited.body.inviteUrl, 'first-password');
+    const before = await login('first-password');
+    assert.equal((await server.request('POST', '/api/auth/refresh', { token: before })).status, 200);
+
+    const reset = await server.request('POST', `/api/admin/users/${invited.body.user.id}/reset-password`, { token: adminToken });
+    const expired = await server.request('POST', '/api/auth/refresh', { token: before });
+    assert.equal(expired.status, 401);
+    assert.equal((await server.request('GET', '/api/v1/staff', { token: before })).body.error.code, 'token_expired');
+
+    await setup(reset.body.resetUrl, 'second-password');
+    const after = await login('second-password');
+    assert.equal((await server.request('POST', '/api/auth/refresh', { token: after })).status, 200);
+    assert.equal((await server.request('POST', '/api/auth/refresh', { token: before })).status, 401);
+  });
+});
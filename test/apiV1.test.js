@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer } = require('./helpers/server');
+
+describe('REST API v1 authentication', () => {
+  let server;
+  let admin;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    ({ token: adminToken, user: admin } = (await server.request('POST', '/api/auth/login', { body: ADMIN })).body);
+  });
+
+  after(() => server && server.close());
+
+  const createKey = async (body) => {
+    const response = await server.request('POST', '/api/admin/api-keys', { token: adminToken, body });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+  const withKey = (key) => ({ headers: { 'X-API-Key': key } });
+
+  it('serves the OpenAPI document without credentials and nothing else', async () => {
+    assert.equal((await server.request('GET', '/api/v1/openapi.json')).status, 200);
+
+    const anonymous = await server.request('GET', '/api/v1/staff');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, 'unauthorized');
+
+    const unknown = await server.request('GET', '/api/v1/staff', withKey('rxb_not-a-real-key'));
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error.code, 'invalid_api_key');
+
+    const badToken = await server.request('GET', '/api/v1/staff', { token: 'not-a-jwt' });
+    assert.equal(badToken.status, 401);
+    assert.equal(badToken.body.error.code, 'invalid_token');
+  });
+
+  it('limits a key to the endpoints of its role', async () => {
+    const { key, apiKey } = await createKey({ name: 'Wallboard', role: 'staff' });
+    assert.match(key, /^rxb_/);
+    assert.equal(apiKey.role, 'staff');
+    assert.ok(key.startsWith(apiKey.prefix));
+
+    assert.equal((await server.request('GET', '/api/v1/staff', withKey(key))).status, 200);
+    assert.equal((await server.request('GET', '/api/v1/staff', { token: key })).status, 200, 'the key also works as a bearer token');
+
+    const users = await server.request('GET', '/api/v1/users', withKey(key));
+    assert.equal(users.status, 403);
+    assert.equal(users.body.error.code, 'forbidden');
+    const disable = await server.request('PATCH', `/api/v1/users/${admin.id}`, { ...withKey(key), body: { status: 'disabled' } });
+    assert.equal(disable.status, 403);
+
+    const { key: adminKey } = await createKey({ name: 'CRM sync', role: 'admin' });
+    const admins = await server.request('GET', '/api/v1/users?role=admin', withKey(adminKey));
+    assert.equal(admins.status, 200);
+    assert.deepEqual(admins.body.data.map(user => user.email), [ADMIN.email]);
+  });
+
+  it('only shows a key once and rejects it after it is revoked', async () => {
+    const { key, apiKey } = await createKey({ name: 'Reporting' });
+    assert.equal(apiKey.role, 'staff', 'keys act as staff unless told otherwise');
+
+    const listed = (await server.request('GET', '/api/admin/api-keys', { token: adminToken })).body.find(item => item.id === apiKey.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+
+    const revoked = await server.request('DELETE', `/api/admin/api-keys/${apiKey.id}`, { token: adminToken });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.revokedAt);
+    assert.equal((await server.request('DELETE', `/api/admin/api-keys/${apiKey.id}`, { token: adminToken })).status, 409);
+
+    const rejected = await server.request('GET', '/api/v1/staff', withKey(key));
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.body.error.code, 'invalid_api_key');
+  });
+
+  it('only lets admins issue keys, and only for staff or admin roles', async () => {
+    const clientKey = await server.request('POST', '/api/admin/api-keys', { token: adminToken, body: { name: 'Kiosk', role: 'client' } });
+    assert.equal(clientKey.status, 400);
+    const { key } = await createKey({ name: 'Not a login' });
+    assert.equal((await server.request('POST', '/api/admin/api-keys', { token: key, body: { name: 'Escalated' } })).status, 403,
+      'API keys cannot manage keys');
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, once } = require('./helpers/server');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('staff accept and decision flow on the memory backend', () => {
+  let server;
+  let staffToken;
+
+  before(async () => {
+    server = await startServer();
+
+    const admin = await server.request('POST', '/api/auth/login', { body: ADMIN });
+    assert.equal(admin.status, 200);
+
+    const registered = await server.request('POST', '/api/auth/register', {
+      body: { name: 'Sam Seller', email: 'sam@example.com', password: 'staff-password', department: 'Sales' }
+    });
+    assert.equal(registered.status, 201);
+    const approved = await server.request('POST', `/api/admin/users/${registered.body.user.id}/approve`, { token: admin.body.token });
+    assert.equal(approved.status, 200);
+
+    const login = await server.request('POST', '/api/auth/login', { body: { email: 'sam@example.com', password: 'staff-password' } });
+    assert.equal(login.status, 200);
+    staffToken = login.body.token;
+  });
+
+  after(() => server && server.close());
+
+  it('routes a visitor to staff, who accepts, ends the call and records a decision', async () => {
+    const staff = server.connect({ auth: { token: staffToken } });
+    await once(staff, 'login-success');
+
+    const visitor = server.connect();
+    const callRequest = once(staff, 'new-call-request');
+    const started = once(visitor, 'conversation-started');
+    visitor.emit('start-conversation', { name: 'Vera Visitor', email: 'vera@example.com', purpose: 'Sales Inquiry' });
+    const { callId, sessionId } = await started;
+    assert.ok(sessionId);
+
+    const request = await callRequest;
+    assert.equal(String(request.callId), String(callId));
+    assert.equal(request.department, 'Sales');
+
+    const accepted = once(visitor, 'call-accepted');
+    const callStarted = once(staff, 'call-started');
+    staff.emit('accept-call', { callId });
+    assert.equal((await accepted).staffName, 'Sam Seller');
+    await callStarted;
+
+    visitor.emit('join-call', { callId });
+    await delay(300);
+
+    const ended = once(visitor, 'call-ended');
+    staff.emit('end-call', { callId });
+    assert.equal((await ended).endedBy, 'staff');
+
+    const saved = once(staff, 'decision-saved');
+    staff.emit('call-decision', { callId, decision: 'accepted', notes: 'Sending a quote' });
+    assert.equal((await saved).decision, 'accepted');
+
+    const calls = await server.request('GET', '/api/calls/my-calls', { token: staffToken });
+    assert.equal(calls.status, 200);
+    const [call] = calls.body;
+    assert.equal(String(call._id), String(callId));
+    assert.equal(call.status, 'completed');
+    assert.equal(call.decision, 'accepted');
+    assert.equal(call.notes, 'Sending a quote');
+    assert.equal(call.clientId.name, 'Vera Visitor');
+    assert.deepEqual(call.transitions.map(transition => transition.to), ['ringing', 'in-progress', 'completed']);
+  });
+
+  it('lets staff decline a queued call and tells the visitor', async () => {
+    const staff = server.connect({ auth: { token: staffToken } });
+    await once(staff, 'login-success');
+
+    const visitor = server.connect();
+    const callRequest = once(staff, 'new-call-request');
+    visitor.emit('start-conversation', { name: 'Rita Visitor', email: 'rita@example.com', purpose: 'Sales Inquiry' });
+    const { callId } = await callRequest;
+
+    const rejected = once(visitor, 'call-rejected');
+    const removed = once(staff, 'call-removed');
+    staff.emit('reject-call', { callId });
+    assert.equal(String((await rejected).callId), String(callId));
+    assert.equal(String((await removed).callId), String(callId));
+
+    const waiting = await server.request('GET', '/api/calls/waiting', { token: staffToken });
+    assert.ok(!waiting.body.some(call => String(call._id) === String(callId)));
+  });
+});
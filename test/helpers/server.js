@@ -0,0 +1,111 @@
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+
+const ADMIN = { email: 'admin@example.com', password: 'admin-password' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Runs server.js in a child process on the memory backend and resolves once it listens
+ * and the admin account exists. `env` is added to (and overrides) the defaults.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORAGE_BACKEND: 'memory',
+      JWT_SECRET: 'test-secret',
+      BCRYPT_ROUNDS: '4',
+      ADMIN_EMAIL: ADMIN.email,
+      ADMIN_PASSWORD: ADMIN.password,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (/running on port/.test(output) && /Created admin account/.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+
+  return {
+    url,
+    output: () => output,
+
+    async request(method, route, { token, body, headers = {} } = {}) {
+      const response = await fetch(url + route, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    connect(options = {}) {
+      const socket = io(url, { transports: ['websocket'], forceNew: true, ...options });
+      sockets.push(socket);
+      return socket;
+    },
+
+    close() {
+      sockets.forEach(socket => socket.close());
+      return new Promise(resolve => {
+        if (child.exitCode !== null) {
+          return resolve();
+        }
+        child.removeAllListeners('exit');
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    }
+  };
+}
+
+/**
+ * Resolves with the payload of the next `event` on `socket`
+ */
+function once(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${event}"`)), timeoutMs);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+module.exports = { ADMIN, startServer, once };
@@ -0,0 +1,66 @@
+const http = require('http');
+
+/**
+ * Local HTTP server standing in for a remote API. `handle(req, res, body)` answers each
+ * request; every request is recorded as { method, url, headers, body } for assertions.
+ */
+async function startStub(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        // Not JSON; keep the text
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handle(req, res, body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Write a streamed body in the given pieces, so tests control where chunks are split
+const sendChunks = (res, contentType, chunks) => {
+  res.writeHead(200, { 'Content-Type': contentType });
+  chunks.forEach(chunk => res.write(chunk));
+  res.end();
+};
+
+/**
+ * A base URL nothing is listening on
+ */
+async function closedUrl() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `http://127.0.0.1:${port}`;
+}
+
+/**
+ * Everything an async iterator yields
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+module.exports = { startStub, sendJson, sendChunks, closedUrl, collect };
@@ -0,0 +1,285 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStub, sendJson, sendChunks, closedUrl, collect } = require('./helpers/stub');
+const GeminiProvider = require('../services/llm/gemini');
+const OpenAIProvider = require('../services/llm/openai');
+const OllamaProvider = require('../services/llm/ollama');
+const { LLMError } = require('../services/llm/errors');
+
+const tools = [{
+  name: 'check_staff_availability',
+  description: 'Staff who are free',
+  parameters: { type: 'object', properties: { department: { type: 'string' } } }
+}];
+
+const request = {
+  system: 'You are RexBot.',
+  messages: [
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: 'Hi!' },
+    { role: 'user', content: 'Who is free?' }
+  ],
+  temperature: 0.2,
+  maxTokens: 50
+};
+
+const sse = (events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+
+// Route the stub's answer by a marker the test puts in the last user message
+const scenario = (body) => {
+  const messages = body && (body.messages || body.contents);
+  const last = messages && messages[messages.length - 1];
+  const text = last && (last.content || (last.parts || []).map(part => part.text).join(''));
+  return String(text || '');
+};
+
+const ask = (text) => ({ messages: [{ role: 'user', content: text }] });
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof LLMError, `expected an LLMError, got ${error}`);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('GeminiProvider', () => {
+  let stub;
+  let provider;
+
+  before(async () => {
+    stub = await startStub((req, res, body) => {
+      const text = scenario(body);
+      const streaming = req.url.includes(':streamGenerateContent');
+      if (text === 'status 401') return sendJson(res, 401, { error: { status: 'UNAUTHENTICATED', message: 'Unauthenticated' } });
+      if (text === 'status 403') return sendJson(res, 403, { error: { status: 'PERMISSION_DENIED', message: 'Forbidden' } });
+      if (text === 'status 429') return sendJson(res, 429, { error: { status: 'UNAVAILABLE', message: 'Slow down' } });
+      if (text === 'quota') return sendJson(res, 400, { error: { status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded' } });
+      if (text === 'bad key') return sendJson(res, 400, { error: { status: 'INVALID_ARGUMENT', message: 'API key not valid. Please pass a valid API key.' } });
+      if (streaming) {
+        return sendChunks(res, 'text/event-stream', [sse([
+          { candidates: [{ content: { parts: [{ text: 'Sales has ' }] } }] },
+          { candidates: [{ content: { parts: [{ text: 'two people free.' }, { functionCall: { name: 'check_staff_availability', args: { department: 'Sales' } } }] } }] },
+          { candidates: [{ finishReason: 'STOP' }] }
+        ])]);
+      }
+      sendJson(res, 200, { candidates: [{ content: { parts: [{ text: 'Hello ' }, { text: 'there' }] } }] });
+    });
+    provider = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-test', baseUrl: stub.url, timeout: 2000 });
+  });
+
+  after(() => stub.close());
+
+  it('maps a chat request onto generateContent', async () => {
+    const reply = await provider.generate({ ...request, tools });
+    assert.equal(reply, 'Hello there');
+
+    const { url, headers, body } = stub.requests[stub.requests.length - 1];
+    assert.equal(url, '/models/gemini-test:generateContent');
+    assert.equal(headers['x-goog-api-key'], 'test-key');
+    assert.deepEqual(body.systemInstruction, { parts: [{ text: 'You are RexBot.' }] });
+    assert.deepEqual(body.contents.map(turn => turn.role), ['user', 'model', 'user']);
+    assert.deepEqual(body.generationConfig, { temperature: 0.2, maxOutputTokens: 50 });
+    assert.equal(body.tools[0].functionDeclarations[0].name, 'check_staff_availability');
+  });
+
+  it('merges consecutive turns from the same role and sends tool results back', () => {
+    const body = provider.buildRequest({
+      messages: [
+        { role: 'user', content: 'One' },
+        { role: 'user', content: 'Two' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'c1', name: 'check_staff_availability', arguments: {} }] },
+        { role: 'tool', toolCallId: 'c1', name: 'check_staff_availability', content: '{"free":2}' }
+      ]
+    });
+    assert.deepEqual(body.contents, [
+      { role: 'user', parts: [{ text: 'One' }, { text: 'Two' }] },
+      { role: 'model', parts: [{ functionCall: { name: 'check_staff_availability', args: {} } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'check_staff_availability', response: { free: 2 } } }] }
+    ]);
+  });
+
+  it('streams text and tool calls from server-sent events', async () => {
+    const chunks = await collect(provider.stream(request));
+    assert.equal(stub.requests[stub.requests.length - 1].url, '/models/gemini-test:streamGenerateContent?alt=sse');
+    assert.deepEqual(chunks.slice(0, 2), ['Sales has ', 'two people free.']);
+    assert.equal(chunks[2].type, 'tool-call');
+    assert.equal(chunks[2].name, 'check_staff_availability');
+    assert.deepEqual(chunks[2].arguments, { department: 'Sales' });
+  });
+
+  it('classifies errors', async () => {
+    await rejectsWith(provider.generate(ask('status 401')), 'auth');
+    await rejectsWith(provider.generate(ask('status 403')), 'auth');
+    await rejectsWith(provider.generate(ask('status 429')), 'rate_limited');
+    await rejectsWith(provider.generate(ask('quota')), 'rate_limited');
+    await rejectsWith(provider.generate(ask('bad key')), 'auth');
+  });
+
+  it('classifies errors on streamed requests', async () => {
+    await rejectsWith(collect(provider.stream(ask('quota'))), 'rate_limited');
+    await rejectsWith(collect(provider.stream(ask('status 401'))), 'auth');
+  });
+
+  it('reports an unreachable server as unavailable', async () => {
+    const offline = new GeminiProvider({ apiKey: 'test-key', baseUrl: await closedUrl(), timeout: 2000 });
+    await rejectsWith(offline.generate(request), 'unavailable');
+  });
+
+  it('is not configured without a key', async () => {
+    const unconfigured = new GeminiProvider({ apiKey: 'your_gemini_api_key_here', baseUrl: stub.url });
+    assert.equal(unconfigured.isConfigured(), false);
+    await rejectsWith(unconfigured.generate(request), 'not_configured');
+  });
+});
+
+describe('OpenAIProvider', () => {
+  let stub;
+  let provider;
+
+  before(async () => {
+    stub = await startStub((req, res, body) => {
+      const text = scenario(body);
+      if (text === 'status 401') return sendJson(res, 401, { error: { code: 'invalid_api_key', message: 'Incorrect API key' } });
+      if (text === 'status 403') return sendJson(res, 403, { error: { message: 'Forbidden' } });
+      if (text === 'status 429') return sendJson(res, 429, { error: { code: 'rate_limit_exceeded', message: 'Slow down' } });
+      if (text === 'quota') return sendJson(res, 400, { error: { type: 'insufficient_quota', code: 'insufficient_quota', message: 'Out of credit' } });
+      if (body.stream) {
+        return sendChunks(res, 'text/event-stream', [
+          sse([
+            { choices: [{ delta: { content: 'Checking' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'check_staff_', arguments: '{"depart' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'availability', arguments: 'ment":"Sales"}' } }] } }] }
+          ]),
+          'data: [DONE]\n\n'
+        ]);
+      }
+      sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: 'Hello there' } }] });
+    });
+    provider = new OpenAIProvider({ apiKey: 'sk-test', model: 'gpt-test', baseUrl: stub.url, timeout: 2000 });
+  });
+
+  after(() => stub.close());
+
+  it('maps a chat request onto chat completions', async () => {
+    const reply = await provider.generate({ ...request, tools });
+    assert.equal(reply, 'Hello there');
+
+    const { url, headers, body } = stub.requests[stub.requests.length - 1];
+    assert.equal(url, '/chat/completions');
+    assert.equal(headers.authorization, 'Bearer sk-test');
+    assert.equal(body.model, 'gpt-test');
+    assert.deepEqual(body.messages[0], { role: 'system', content: 'You are RexBot.' });
+    assert.deepEqual(body.messages.slice(1).map(message => message.role), ['user', 'assistant', 'user']);
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 50);
+    assert.deepEqual(body.tools[0], { type: 'function', function: tools[0] });
+  });
+
+  it('sends tool calls and results in the OpenAI shape', () => {
+    const body = provider.buildRequest({
+      messages: [
+        { role: 'assistant', content: '', toolCalls: [{ id: 'c1', name: 'check_staff_availability', arguments: { department: 'Sales' } }] },
+        { role: 'tool', toolCallId: 'c1', name: 'check_staff_availability', content: '{"free":2}' }
+      ]
+    });
+    assert.deepEqual(body.messages, [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'c1', type: 'function', function: { name: 'check_staff_availability', arguments: '{"department":"Sales"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'c1', content: '{"free":2}' }
+    ]);
+  });
+
+  it('streams text and assembles tool call fragments', async () => {
+    const chunks = await collect(provider.stream(request));
+    assert.equal(stub.requests[stub.requests.length - 1].body.stream, true);
+    assert.equal(chunks[0], 'Checking');
+    assert.equal(chunks.length, 2);
+    assert.equal(chunks[1].type, 'tool-call');
+    assert.equal(chunks[1].id, 'call_1');
+    assert.equal(chunks[1].name, 'check_staff_availability');
+    assert.deepEqual(chunks[1].arguments, { department: 'Sales' });
+  });
+
+  it('classifies errors', async () => {
+    await rejectsWith(provider.generate(ask('status 401')), 'auth');
+    await rejectsWith(provider.generate(ask('status 403')), 'auth');
+    await rejectsWith(provider.generate(ask('status 429')), 'rate_limited');
+    await rejectsWith(provider.generate(ask('quota')), 'rate_limited');
+    await rejectsWith(collect(provider.stream(ask('quota'))), 'rate_limited');
+  });
+
+  it('reports an unreachable server as unavailable', async () => {
+    const offline = new OpenAIProvider({ apiKey: 'sk-test', baseUrl: await closedUrl(), timeout: 2000 });
+    await rejectsWith(offline.generate(request), 'unavailable');
+    await rejectsWith(collect(offline.stream(request)), 'unavailable');
+  });
+
+  it('does not need a key for a self-hosted server', () => {
+    assert.equal(new OpenAIProvider({ baseUrl: stub.url }).isConfigured(), true);
+    assert.equal(new OpenAIProvider({}).isConfigured(), false);
+  });
+});
+
+describe('OllamaProvider', () => {
+  let stub;
+  let provider;
+
+  before(async () => {
+    stub = await startStub((req, res, body) => {
+      const text = scenario(body);
+      if (text === 'status 401') return sendJson(res, 401, { error: 'unauthorized' });
+      if (text === 'status 429') return sendJson(res, 429, { error: 'too many requests' });
+      if (text === 'missing model') return sendJson(res, 404, { error: 'model "llama-test" not found' });
+      if (body.stream) {
+        const line = (data) => `${JSON.stringify(data)}\n`;
+        return sendChunks(res, 'application/x-ndjson', [
+          line({ message: { role: 'assistant', content: 'Sales is ' } }),
+          line({ message: { role: 'assistant', content: 'free.', tool_calls: [{ function: { name: 'check_staff_availability', arguments: { department: 'Sales' } } }] } }),
+          line({ message: { role: 'assistant', content: '' }, done: true })
+        ]);
+      }
+      sendJson(res, 200, { message: { role: 'assistant', content: 'Hello there' }, done: true });
+    });
+    provider = new OllamaProvider({ model: 'llama-test', baseUrl: stub.url, timeout: 2000 });
+  });
+
+  after(() => stub.close());
+
+  it('maps a chat request onto /api/chat', async () => {
+    const reply = await provider.generate({ ...request, tools });
+    assert.equal(reply, 'Hello there');
+
+    const { url, body } = stub.requests[stub.requests.length - 1];
+    assert.equal(url, '/api/chat');
+    assert.equal(body.model, 'llama-test');
+    assert.equal(body.stream, false);
+    assert.deepEqual(body.options, { temperature: 0.2, num_predict: 50 });
+    assert.deepEqual(body.messages[0], { role: 'system', content: 'You are RexBot.' });
+    assert.equal(body.tools[0].function.name, 'check_staff_availability');
+  });
+
+  it('streams text and tool calls from newline-delimited JSON', async () => {
+    const chunks = await collect(provider.stream(request));
+    assert.equal(stub.requests[stub.requests.length - 1].body.stream, true);
+    assert.deepEqual(chunks.slice(0, 2), ['Sales is ', 'free.']);
+    assert.equal(chunks[2].name, 'check_staff_availability');
+    assert.deepEqual(chunks[2].arguments, { department: 'Sales' });
+  });
+
+  it('classifies errors', async () => {
+    await rejectsWith(provider.generate(ask('status 401')), 'auth');
+    await rejectsWith(provider.generate(ask('status 429')), 'rate_limited');
+    await rejectsWith(provider.generate(ask('missing model')), 'bad_request');
+    await rejectsWith(collect(provider.stream(ask('status 429'))), 'rate_limited');
+  });
+
+  it('reports an unreachable server as unavailable', async () => {
+    const offline = new OllamaProvider({ baseUrl: await closedUrl(), timeout: 2000 });
+    await rejectsWith(offline.generate(request), 'unavailable');
+    await rejectsWith(collect(offline.stream(request)), 'unavailable');
+  });
+});
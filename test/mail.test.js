@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const { MailQueue, MailError } = require('../services/mail');
+
+// Wait until the queue has nothing left in flight, including a queued second pass
+async function idle(queue) {
+  while (queue.draining) {
+    await queue.draining;
+  }
+}
+
+/**
+ * Transport that answers each send with the next outcome: an error to throw, or a message id
+ */
+function fakeTransport(...outcomes) {
+  const sent = [];
+  return {
+    name: 'fake',
+    sent,
+    async send(message) {
+      sent.push(message);
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return { messageId: outcome };
+    }
+  };
+}
+
+const message = (to) => ({ template: 'call-outcome', to, subject: 'Hello', text: 'Hello', html: '<p>Hello</p>' });
+
+describe('mail queue', () => {
+  it('records messages as skipped when email is not configured', async () => {
+    const stored = await new MailQueue({ transport: null }).enqueue(message('nobody@example.com'));
+    assert.equal(stored.status, 'skipped');
+    assert.equal(stored.lastError, 'Email is not configured');
+  });
+
+  it('sends a queued message once, even with two queues sharing the database', async () => {
+    const transport = fakeTransport('<id-1@example.com>');
+    const first = new MailQueue({ transport });
+    const second = new MailQueue({ transport });
+    const statuses = [];
+    first.on('status', stored => statuses.push(stored.status));
+
+    const queued = await first.enqueue(message('once@example.com'));
+    await Promise.all([second.process(), idle(first)]);
+    await idle(second);
+
+    assert.equal(transport.sent.length, 1);
+    assert.deepEqual(statuses, ['queued', 'sent']);
+    const sent = await repositories.emails.findById(queued._id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 1);
+    assert.equal(sent.messageId, '<id-1@example.com>');
+  });
+
+  it('retries with exponential backoff, then gives up after maxAttempts', async () => {
+    const transport = fakeTransport(new MailError('Connection refused', { code: 'unavailable' }));
+    const queue = new MailQueue({ transport, maxAttempts: 3, retryDelayMs: 1000, maxRetryDelayMs: 3000 });
+    assert.deepEqual([1, 2, 3, 4].map(attempts => queue.retryDelay(attempts)), [1000, 2000, 3000, 3000]);
+
+    const queued = await queue.enqueue(message('retry@example.com'));
+    await idle(queue);
+
+    for (const [attempts, delayMs] of [[1, 1000], [2, 2000]]) {
+      const retry = await repositories.emails.findById(queued._id);
+      assert.equal(retry.status, 'queued');
+      assert.equal(retry.attempts, attempts);
+      assert.equal(retry.lastError, 'Connection refused');
+      const wait = new Date(retry.nextAttemptAt) - Date.now();
+      assert.ok(wait > delayMs - 500 && wait <= delayMs, `attempt ${attempts} waits about ${delayMs}ms, not ${wait}ms`);
+
+      // Not due yet: nothing is sent
+      await queue.process();
+      assert.equal(transport.sent.length, attempts);
+
+      await repositories.emails.update(queued._id, { nextAttemptAt: new Date(Date.now() - 1) });
+      await queue.process();
+      await idle(queue);
+    }
+
+    const failed = await repositories.emails.findById(queued._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 3);
+    assert.equal(transport.sent.length, 3);
+  });
+
+  it('gives up at once when the server rejects the message, and can retry it later', async () => {
+    const transport = fakeTransport(new MailError('Mailbox unavailable', { code: 'rejected' }), '<id-2@example.com>');
+    const queue = new MailQueue({ transport, maxAttempts: 5 });
+
+    const queued = await queue.enqueue(message('rejected@example.com'));
+    await idle(queue);
+    const failed = await repositories.emails.findById(queued._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+
+    const requeued = await queue.retry(queued._id);
+    assert.equal(requeued.status, 'queued');
+    assert.equal(requeued.attempts, 0);
+    await idle(queue);
+    assert.equal((await repositories.emails.findById(queued._id)).status, 'sent');
+    assert.equal(await queue.retry(queued._id), null, 'only failed messages can be retried');
+  });
+
+  it('requeues messages whose sending claim has expired, leaving recent claims alone', async () => {
+    const queue = new MailQueue({ transport: fakeTransport('<id-3@example.com>'), claimTimeoutMs: 60000 });
+    const claimed = (to, updatedAt) => repositories.emails.create({ ...message(to), status: 'sending', attempts: 1, updatedAt });
+    const stale = await claimed('stale@example.com', new Date(Date.now() - 120000));
+    const recent = await claimed('recent@example.com', new Date(Date.now() - 1000));
+
+    await queue.recover();
+    assert.equal((await repositories.emails.findById(stale._id)).status, 'queued');
+    assert.equal((await repositories.emails.findById(recent._id)).status, 'sending');
+  });
+});
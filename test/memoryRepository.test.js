@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../repositories/memory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('MemoryRepository queries', () => {
+  let repos;
+  let staff;
+
+  beforeEach(async () => {
+    repos = createMemoryRepositories();
+    staff = await Promise.all([
+      repos.users.create({ name: 'Ann Lee', email: 'ann@example.com', password: 'x', role: 'staff', department: 'Sales', status: 'active' }),
+      repos.users.create({ name: 'Bob Stone', email: 'bob@example.com', password: 'x', role: 'staff', department: 'Support', status: 'pending' }),
+      repos.users.create({ name: 'Cy Ann', email: 'cy@example.com', password: 'x', role: 'admin', status: 'disabled' })
+    ]);
+  });
+
+  const names = (users) => users.map(user => user.name).sort();
+
+  it('matches $in and $nin, including ids', async () => {
+    assert.deepEqual(names(await repos.users.find({ department: { $in: ['Sales', 'Support'] } })), ['Ann Lee', 'Bob Stone']);
+    assert.deepEqual(names(await repos.users.find({ status: { $nin: ['pending', 'disabled'] } })), ['Ann Lee']);
+    assert.deepEqual(names(await repos.users.find({ _id: { $in: [String(staff[1]._id)] } })), ['Bob Stone']);
+    // A missing field is not "in" anything, and is never excluded by $nin
+    assert.deepEqual(names(await repos.users.find({ department: { $nin: ['Sales'] } })), ['Bob Stone', 'Cy Ann']);
+  });
+
+  it('matches $regex, RegExp values and $or', async () => {
+    assert.deepEqual(names(await repos.users.find({ name: { $regex: '^ann', $options: 'i' } })), ['Ann Lee']);
+    assert.deepEqual(names(await repos.users.find({ name: /ann/i })), ['Ann Lee', 'Cy Ann']);
+    assert.deepEqual(names(await repos.users.find({ $or: [{ role: 'admin' }, { department: 'Support' }] })), ['Bob Stone', 'Cy Ann']);
+  });
+
+  it('matches $text against the schema text index', async () => {
+    const conversation = (sessionId, contents) => repos.conversations.create({
+      userId: staff[2]._id,
+      sessionId,
+      messages: contents.map(content => ({ sender: 'user', content }))
+    });
+    await conversation('a', ['I would like a refund for my order']);
+    await conversation('b', ['Where is the parking garage?']);
+    await conversation('c', ['Is there parking for bikes?', 'Also a refund question']);
+
+    const sessions = async (search) => (await repos.conversations.find({ $text: { $search: search } }))
+      .map(found => found.sessionId).sort();
+    assert.deepEqual(await sessions('refund'), ['a', 'c']);
+    assert.deepEqual(await sessions('PARKING garage'), ['b', 'c']);
+    assert.deepEqual(await sessions('"parking garage"'), ['b']);
+    assert.deepEqual(await sessions('-refund'), []);
+  });
+
+  it('sorts, skips, limits, counts and selects', async () => {
+    const page = await repos.users.find({}, { sort: { name: -1 }, skip: 1, limit: 1, select: 'name' });
+    assert.deepEqual(page.map(user => Object.keys(user).sort()), [['_id', 'name']]);
+    assert.equal(page[0].name, 'Bob Stone');
+    assert.equal(await repos.users.count({ role: 'staff' }), 2);
+  });
+
+  it('claims a document once with updateWhere', async () => {
+    const call = await repos.calls.create({ clientId: staff[2]._id, purpose: 'Sales Inquiry', status: 'waiting' });
+    const claim = () => repos.calls.updateWhere({ _id: call._id, status: 'waiting' }, { status: 'ringing' });
+
+    const [first, second] = await Promise.all([claim(), claim()]);
+    assert.equal(first.status, 'ringing');
+    assert.equal(second, null);
+    assert.equal((await repos.calls.findById(call._id)).status, 'ringing');
+  });
+
+  it('rejects duplicates of unique fields', async () => {
+    await assert.rejects(
+      repos.users.create({ name: 'Ann again', email: 'ann@example.com', password: 'x' }),
+      error => error.code === 11000
+    );
+  });
+
+  it('returns copies, so callers cannot change stored documents', async () => {
+    const found = await repos.users.findById(staff[0]._id);
+    found.name = 'Changed';
+    assert.equal((await repos.users.findById(staff[0]._id)).name, 'Ann Lee');
+  });
+});
+
+describe('MemoryRepository aggregation', () => {
+  let repos;
+  const base = new Date('2024-03-04T00:00:00Z');
+
+  beforeEach(async () => {
+    repos = createMemoryRepositories();
+    const client = await repos.users.create({ name: 'Visitor', email: 'v@example.com', password: 'x' });
+    const at = (hours) => new Date(base.getTime() + hours * HOUR_MS);
+    const call = (fields) => repos.calls.create({ clientId: client._id, purpose: 'Sales Inquiry', ...fields });
+    await call({ department: 'Sales', status: 'completed', decision: 'accepted', duration: 120, createdAt: at(9), startTime: at(9.1) });
+    await call({ department: 'Sales', status: 'completed', decision: 'rejected', duration: 60, createdAt: at(9.5), startTime: at(9.6) });
+    await call({ department: 'Support', status: 'abandoned', purpose: 'Support', createdAt: at(33) });
+  });
+
+  it('groups with $sum, $avg and $cond the way analytics does', async () => {
+    const rows = await repos.calls.aggregate([
+      { $match: { createdAt: { $gte: base } } },
+      {
+        $group: {
+          _id: '$department',
+          calls: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$decision', 'accepted'] }, 1, 0] } },
+          handleSeconds: { $avg: { $cond: [{ $eq: ['$status', 'completed'] }, '$duration', null] } },
+          waitSeconds: { $avg: { $cond: [{ $ifNull: ['$startTime', false] }, { $divide: [{ $subtract: ['$startTime', '$createdAt'] }, 1000] }, null] } }
+        }
+      },
+      { $sort: { calls: -1 } }
+    ]);
+    assert.deepEqual(rows.map(row => row._id), ['Sales', 'Support']);
+    assert.equal(rows[0].calls, 2);
+    assert.equal(rows[0].accepted, 1);
+    assert.equal(rows[0].handleSeconds, 90);
+    assert.equal(Math.round(rows[0].waitSeconds), 360);
+    assert.equal(rows[1].handleSeconds, null);
+  });
+
+  it('buckets by hour and day in a time zone', async () => {
+    const byHour = await repos.calls.aggregate([
+      { $group: { _id: { $hour: { date: '$createdAt', timezone: 'UTC' } }, calls: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    assert.deepEqual(byHour, [{ _id: 9, calls: 3 }]);
+
+    const byDay = await repos.calls.aggregate([
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'America/New_York' } }, calls: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    assert.deepEqual(byDay, [{ _id: '2024-03-04', calls: 2 }, { _id: '2024-03-05', calls: 1 }]);
+  });
+
+  it('supports $size, $in over arrays, $limit and $count', async () => {
+    const userId = (await repos.users.findOne({}))._id;
+    await repos.conversations.create({ userId, sessionId: 'a', messages: [{ sender: 'user', content: 'hi' }, { sender: 'staff', content: 'hello' }] });
+    await repos.conversations.create({ userId, sessionId: 'b', messages: [{ sender: 'user', content: 'hi' }] });
+
+    const [totals] = await repos.conversations.aggregate([
+      {
+        $group: {
+          _id: null,
+          messages: { $avg: { $size: '$messages' } },
+          takenOver: { $sum: { $cond: [{ $in: ['staff', '$messages.sender'] }, 1, 0] } }
+        }
+      }
+    ]);
+    assert.equal(totals.messages, 1.5);
+    assert.equal(totals.takenOver, 1);
+
+    assert.deepEqual(await repos.calls.aggregate([{ $match: { status: 'completed' } }, { $count: 'total' }]), [{ total: 2 }]);
+    assert.equal((await repos.calls.aggregate([{ $sort: { createdAt: -1 } }, { $limit: 1 }]))[0].department, 'Support');
+  });
+
+  it('refuses operators it does not implement', async () => {
+    await assert.rejects(repos.calls.aggregate([{ $unwind: '$transitions' }]), /Unsupported aggregation stage/);
+    await assert.rejects(repos.calls.find({ duration: { $mod: [2, 0] } }), /Unsupported query operator/);
+  });
+});
+
+describe('analytics report on the memory backend', () => {
+  it('summarises calls in the range', async () => {
+    const repositories = require('../repositories');
+    const analytics = require('../services/analytics');
+    repositories.useBackend('memory');
+
+    const client = await repositories.users.create({ name: 'Visitor', email: 'visitor@example.com', password: 'x' });
+    const now = Date.now();
+    await repositories.calls.create({ clientId: client._id, purpose: 'Sales Inquiry', department: 'Sales', status: 'completed', decision: 'accepted', duration: 100, createdAt: new Date(now - HOUR_MS), startTime: new Date(now - HOUR_MS + 30000) });
+    await repositories.calls.create({ clientId: client._id, purpose: 'Sales Inquiry', department: 'Sales', status: 'abandoned', createdAt: new Date(now - 2 * HOUR_MS) });
+
+    const report = await analytics.report({});
+    assert.equal(report.calls.total, 2);
+    assert.equal(report.calls.answered, 1);
+    assert.equal(report.calls.averageWaitSeconds, 30);
+    assert.equal(report.calls.abandonmentRate, 0.5);
+    assert.equal(report.callsPerHour.reduce((total, hour) => total + hour.calls, 0), 2);
+    assert.deepEqual(report.purposes, [{ purpose: 'Sales Inquiry', calls: 2 }]);
+  });
+});
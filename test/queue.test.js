@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const config = require('../config/routing');
+const { QueueEstimator } = require('../services/queue');
+
+describe('QueueEstimator', () => {
+  it('ranks calls among those offered to the same staff', async () => {
+    const client = await repositories.users.create({ name: 'Visitor', email: 'queue-visitor@example.com', password: 'x' });
+    const queued = (fields) => repositories.calls.create({ clientId: client._id, purpose: 'Other', status: 'waiting', ...fields });
+    const sales = await queued({ department: 'Sales' });
+    const support = await queued({ department: 'Support' });
+    const urgentSales = await queued({ department: 'Sales', priority: 3 });
+    const escalated = await queued({ department: 'Sales', escalatedAt: new Date() });
+    const undecided = await queued({});
+
+    const staff = [
+      { user: { _id: 'sales-staff', department: 'Sales' } },
+      { user: { _id: 'support-staff', department: 'Support' } }
+    ];
+    const estimator = new QueueEstimator({
+      listStaff: async () => staff,
+      isBusy: async (staffId) => staffId === 'sales-staff',
+      config: { ...config, defaultHandleSeconds: 300 }
+    });
+    const snapshot = await estimator.snapshot();
+    const entry = (call) => {
+      const { position, queueLength, estimatedWaitSeconds, staffOnline } = snapshot.get(String(call._id));
+      return { position, queueLength, estimatedWaitSeconds, staffOnline };
+    };
+
+    // Sales has one busy staff member: a higher priority call goes first
+    assert.deepEqual(entry(urgentSales), { position: 1, queueLength: 2, estimatedWaitSeconds: 300, staffOnline: 1 });
+    assert.deepEqual(entry(sales), { position: 2, queueLength: 2, estimatedWaitSeconds: 600, staffOnline: 1 });
+    // Support is free and has nobody else waiting
+    assert.deepEqual(entry(support), { position: 1, queueLength: 1, estimatedWaitSeconds: 0, staffOnline: 1 });
+    // Escalated calls and calls without a department wait for anyone
+    assert.deepEqual(entry(escalated), { position: 1, queueLength: 2, estimatedWaitSeconds: 0, staffOnline: 2 });
+    assert.deepEqual(entry(undecided), { position: 2, queueLength: 2, estimatedWaitSeconds: 300, staffOnline: 2 });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { MemoryRealtime, createSocketRelay } = require('../services/realtime');
+const { once } = require('./helpers/server');
+
+/**
+ * A Socket.IO server on its own port, sharing `realtime` with the other instances.
+ * Connecting sockets register their presence the way server.js does.
+ */
+async function startInstance(realtime) {
+  const server = http.createServer();
+  const io = new Server(server);
+  io.adapter(realtime.adapter());
+  const presence = realtime.map('connectedUsers');
+
+  io.on('connection', async (socket) => {
+    const { name, room } = socket.handshake.auth;
+    await presence.set(socket.id, { name });
+    socket.join(room);
+    socket.on('disconnect', () => presence.delete(socket.id));
+    socket.emit('registered');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    io,
+    presence,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => io.close(() => resolve()))
+  };
+}
+
+describe('two instances sharing a MemoryRealtime', () => {
+  const realtime = new MemoryRealtime();
+  const sockets = [];
+  let first;
+  let second;
+
+  const join = async (instance, auth) => {
+    const socket = connect(instance.url, { transports: ['websocket'], forceNew: true, auth });
+    sockets.push(socket);
+    await once(socket, 'registered');
+    return socket;
+  };
+
+  before(async () => {
+    first = await startInstance(realtime);
+    second = await startInstance(realtime);
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await first.close();
+    await second.close();
+  });
+
+  it('shows presence set on one instance to the other', async () => {
+    const staff = await join(first, { name: 'Sam', room: 'staff' });
+
+    const seen = await second.presence.all();
+    assert.deepEqual(seen, [[staff.id, { name: 'Sam' }]]);
+    assert.deepEqual((await second.io.in('staff').fetchSockets()).map(socket => socket.id), [staff.id]);
+  });
+
+  it('delivers broadcasts from one instance to sockets on the other', async () => {
+    const visitor = await join(second, { name: 'Vera', room: 'session:abc' });
+    const other = await join(second, { name: 'Olga', room: 'session:xyz' });
+    let misdelivered = false;
+    other.on('queue-update', () => { misdelivered = true; });
+
+    const update = once(visitor, 'queue-update');
+    first.io.to('session:abc').emit('queue-update', { position: 2 });
+    assert.deepEqual(await update, { position: 2 });
+
+    const everyone = Promise.all([once(visitor, 'announcement'), once(other, 'announcement')]);
+    first.io.emit('announcement', 'closing soon');
+    assert.deepEqual(await everyone, ['closing soon', 'closing soon']);
+    assert.equal(misdelivered, false);
+  });
+
+  it('relays work to the instance holding a socket in the room', async () => {
+    const handled = [];
+    const relay = (instance, name) => createSocketRelay({
+      realtime,
+      io: instance.io,
+      channel: 'visitor-speech',
+      handler: (socket, text) => {
+        handled.push(name);
+        socket.emit('speech-transcript', { text });
+      }
+    });
+    const fromFirst = await relay(first, 'first');
+    await relay(second, 'second');
+    const visitor = await join(second, { name: 'Vic', room: 'session:speech' });
+
+    const transcript = once(visitor, 'speech-transcript');
+    assert.equal(await fromFirst.send('session:speech', 'hello there'), true);
+    assert.deepEqual(await transcript, { text: 'hello there' });
+    assert.deepEqual(handled, ['second']);
+
+    assert.equal(await fromFirst.send('session:nobody', 'hello?'), false);
+  });
+
+  it('publishes channel messages to every instance', async () => {
+    const received = [];
+    await realtime.subscribe('personas-changed', message => received.push(message));
+    await realtime.subscribe('personas-changed', message => received.push(message));
+
+    await realtime.publish('personas-changed', { id: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(received, [{ id: 1 }, { id: 1 }]);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const config = require('../config/routing');
+const { CallRouter } = require('../services/routing');
+const { MemoryMap } = require('../services/realtime/memory');
+const scheduling = require('../services/scheduling');
+
+describe('CallRouter department matching', () => {
+  const router = new CallRouter({ listStaff: async () => [], emitTo: () => {}, routes: new MemoryMap(), config });
+  const said = (...texts) => texts.map(content => ({ sender: 'user', content }));
+
+  it('does not take the pronoun "it" for the IT department', () => {
+    assert.equal(router.departmentFor('Other', said('I want to buy it')), 'Sales');
+    assert.equal(router.departmentFor('Other', said('Can you help me with it?')), 'Support');
+    assert.equal(router.departmentFor('Other', said('price quote, is it possible?')), 'Sales');
+    assert.equal(router.departmentFor('Other', said('Is it far from here?')), null);
+  });
+
+  it('still routes visitors who ask for IT', () => {
+    assert.equal(router.departmentFor('Other', said('I need someone from IT')), 'IT');
+    assert.equal(router.departmentFor('Other', said('is the it department upstairs?')), 'IT');
+    assert.equal(router.departmentFor('Other', said('My laptop will not start')), 'IT');
+  });
+
+  it('leaves the pronoun out of appointment requests', () => {
+    const { department } = scheduling.extractWithRules(said('Can I book it for tomorrow at 3pm?'));
+    assert.equal(department, null);
+  });
+});
+
+describe('CallRouter escalation', () => {
+  let staff;
+  let sent;
+  let call;
+  let run = 0;
+
+  const router = (routes) => new CallRouter({
+    listStaff: async () => staff,
+    emitTo: (socketId, event, payload) => sent.push({ socketId, event, escalated: payload.escalated }),
+    routes,
+    config: { ...config, escalationTimeoutMs: 60000, escalationCheckMs: 15000 }
+  });
+
+  beforeEach(async () => {
+    run++;
+    const user = (name, department) => repositories.users.create({
+      name, email: `${name}@example.com`, password: 'x', role: 'staff', department, status: 'active'
+    });
+    const client = await repositories.users.create({ name: 'Visitor', email: `visitor-${run}@example.com`, password: 'x' });
+    staff = [
+      { socketId: 'sales-socket', user: await user(`sales-${run}`, 'Sales') },
+      { socketId: 'support-socket', user: await user(`support-${run}`, 'Support') }
+    ];
+    sent = [];
+    call = await repositories.calls.create({ clientId: client._id, purpose: 'Sales Inquiry', department: 'Sales', status: 'waiting' });
+  });
+
+  it('offers a call to its department first', async () => {
+    const routes = new MemoryMap();
+    const first = router(routes);
+    await first.route(call, { callId: call._id });
+    first.clearTimer(String(call._id));
+
+    assert.deepEqual(sent, [{ socketId: 'sales-socket', event: 'new-call-request', escalated: false }]);
+    assert.equal((await repositories.calls.findById(call._id)).status, 'ringing');
+  });
+
+  it('lets another instance escalate a call whose timer was lost', async () => {
+    const routes = new MemoryMap();
+    const stopped = router(routes);
+    await stopped.route(call, { callId: call._id });
+    // The instance that routed the call stops; its timer goes with it
+    stopped.clearTimer(String(call._id));
+    sent = [];
+
+    const other = router(routes);
+    const { escalateAt } = await routes.get(String(call._id));
+
+    await other.escalateOverdue(escalateAt);
+    assert.deepEqual(sent, [], 'the routing instance gets a check interval to escalate it itself');
+
+    await other.escalateOverdue(escalateAt + 15000);
+    assert.deepEqual(sent.map(({ socketId, escalated }) => [socketId, escalated]), [['sales-socket', true], ['support-socket', true]]);
+    assert.equal((await routes.get(String(call._id))).escalated, true);
+
+    await other.escalateOverdue(escalateAt + 60000);
+    assert.equal(sent.length, 2, 'an escalated call is not escalated again');
+  });
+});
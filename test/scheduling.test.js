@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const scheduling = require('../services/scheduling');
+
+// Next weekday at 11:00, inside the default working hours
+function nextWeekdayAt11() {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  while ([0, 6].includes(date.getDay())) {
+    date.setDate(date.getDate() + 1);
+  }
+  date.setHours(11, 0, 0, 0);
+  return date;
+}
+
+describe('appointment scheduling', () => {
+  it('only asks the model for details the rules could not find', async () => {
+    let generated = 0;
+    const llm = {
+      isConfigured: () => true,
+      generate: async () => {
+        generated++;
+        return '{"name": null, "date": null, "time": null, "department": "Finance", "reason": null}';
+      }
+    };
+    const said = (content) => [{ sender: 'user', content }];
+    const options = { visitorName: 'Vera Visitor', now: new Date(2026, 2, 2, 9, 0) };
+
+    const complete = await scheduling.extractAppointmentDetails(
+      llm, said('I would like to book Sales tomorrow at 3pm about renewing our contract'), options);
+    assert.equal(generated, 0);
+    assert.equal(complete.department, 'Sales');
+
+    const partial = await scheduling.extractAppointmentDetails(
+      llm, said('Can I book tomorrow at 3pm about renewing our contract?'), options);
+    assert.equal(generated, 1);
+    assert.equal(partial.department, 'Finance');
+  });
+
+  it('books a staff member only once when two visitors confirm the same slot together', async () => {
+    const staff = await repositories.users.create({
+      name: 'Fiona Finance', email: 'fiona@example.com', password: 'x', role: 'staff', department: 'Finance', status: 'active'
+    });
+    const startTime = nextWeekdayAt11();
+    const propose = async (name) => {
+      const client = await repositories.users.create({ name, email: `${name.toLowerCase()}@example.com`, password: 'x' });
+      const appointment = await repositories.appointments.create({
+        clientId: client._id,
+        name,
+        department: 'Finance',
+        reason: 'Invoice query',
+        startTime,
+        endTime: new Date(startTime.getTime() + scheduling.DURATION_MINUTES * 60000),
+        status: 'proposed'
+      });
+      return { client, appointment };
+    };
+    const first = await propose('Anna');
+    const second = await propose('Bert');
+
+    const results = await Promise.all([first, second].map(({ client, appointment }) =>
+      scheduling.confirmAppointment(appointment._id, client._id)));
+
+    const booked = results.filter(result => !result.error);
+    assert.equal(booked.length, 1);
+    assert.equal(String(booked[0].staff._id), String(staff._id));
+    assert.equal(results.find(result => result.error).error, 'That slot is no longer available');
+    assert.equal(await repositories.appointments.count({ staffId: staff._id, status: 'confirmed' }), 1);
+    assert.equal((await repositories.users.findById(staff._id)).bookingLockUntil, null);
+  });
+});
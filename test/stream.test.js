@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { readLines, readServerSentEvents, bufferErrorBody } = require('../services/llm/stream');
+const { collect } = require('./helpers/stub');
+
+// The text as Buffers cut at the given byte offsets; "é" and "€" are two and three bytes long
+const splitAt = (text, ...offsets) => {
+  const bytes = Buffer.from(text, 'utf8');
+  return [0, ...offsets].map((start, index) => bytes.subarray(start, offsets[index]));
+};
+
+describe('stream helpers', () => {
+  it('keeps multibyte characters split across chunks intact', async () => {
+    const text = 'Café\nprix: 5€\r\nend';
+    const chunks = splitAt(text, 4, 15);
+    assert.notEqual(chunks[0].toString('utf8') + chunks[1].toString('utf8'), 'Café\nprix: 5');
+
+    assert.deepEqual(await collect(readLines(Readable.from(chunks))), ['Café', 'prix: 5€', 'end']);
+  });
+
+  it('joins server-sent event data lines', async () => {
+    const body = 'data: {"text":"Grüße"}\n\n: comment\ndata: one\ndata: two\n\n';
+    const events = await collect(readServerSentEvents(Readable.from(splitAt(body, 17, 18))));
+    assert.deepEqual(events, ['{"text":"Grüße"}', 'one\ntwo']);
+  });
+
+  it('buffers a streamed error body, split or not', async () => {
+    const streamedError = (chunks) => ({ response: { status: 400, data: Readable.from(chunks) } });
+
+    const json = await bufferErrorBody(streamedError(splitAt('{"error":"clé invalide"}', 13)));
+    assert.deepEqual(json.response.data, { error: 'clé invalide' });
+
+    const text = await bufferErrorBody(streamedError(splitAt('Zu viele Anfragen – bitte warten', 19)));
+    assert.equal(text.response.data, 'Zu viele Anfragen – bitte warten');
+  });
+});
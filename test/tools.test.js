@@ -0,0 +1,122 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const scheduling = require('../services/scheduling');
+const { createReceptionTools } = require('../services/tools');
+
+// Next weekday at 10:00, inside the default working hours
+function nextWeekdayAt10() {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  while ([0, 6].includes(date.getDay())) {
+    date.setDate(date.getDate() + 1);
+  }
+  date.setHours(10, 0, 0, 0);
+  return date;
+}
+
+const localIso = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}T10:00`;
+
+describe('reception tools', () => {
+  let run = 0;
+  let visitor;
+  let sessionId;
+  let codes;
+  let proposed;
+  let tools;
+
+  beforeEach(async () => {
+    run++;
+    visitor = await repositories.users.create({ name: 'Vera Visitor', email: `tools-visitor-${run}@example.com`, password: 'x' });
+    sessionId = `tools-session-${run}`;
+    const call = await repositories.calls.create({ clientId: visitor._id, purpose: 'Sales Inquiry', status: 'waiting' });
+    await repositories.conversations.create({ userId: visitor._id, sessionId, callId: call._id });
+
+    codes = [];
+    proposed = [];
+    tools = createReceptionTools({
+      requestHuman: async () => ({ status: 'requested' }),
+      sendIdentityCode: async (user, code) => codes.push({ email: user.email, code }),
+      onAppointmentProposed: (appointment) => proposed.push(appointment),
+      confirmAppointment: (appointmentId, user) => scheduling.confirmAppointment(appointmentId, user._id)
+    });
+  });
+
+  it('shows previous calls only after the visitor reads back the emailed code', async () => {
+    await repositories.calls.create({
+      clientId: visitor._id, purpose: 'Support Request', department: 'Support', status: 'completed', decision: 'accepted'
+    });
+    const context = { visitor, sessionId };
+
+    const first = await tools.call('lookup_previous_calls', {}, context);
+    assert.equal(first.status, 'verification-sent');
+    assert.equal(first.calls, undefined);
+    assert.equal(codes.length, 1);
+    assert.equal(codes[0].email, visitor.email);
+
+    // Asking again while the code is valid does not send another
+    await tools.call('lookup_previous_calls', {}, context);
+    assert.equal(codes.length, 1);
+
+    const wrong = await tools.call('lookup_previous_calls', { code: codes[0].code === '000000' ? '111111' : '000000' }, context);
+    assert.equal(wrong.status, 'invalid-code');
+
+    const verified = await tools.call('lookup_previous_calls', { code: codes[0].code }, context);
+    assert.equal(verified.status, 'verified');
+    assert.deepEqual(verified.calls.map(call => call.purpose), ['Support Request']);
+    assert.equal(verified.calls[0].decision, 'accepted');
+
+    // The conversation stays verified
+    assert.equal((await tools.call('lookup_previous_calls', {}, context)).status, 'verified');
+  });
+
+  it('stops accepting guesses after a few wrong codes', async () => {
+    const context = { visitor, sessionId };
+    await tools.call('lookup_previous_calls', {}, context);
+    const wrongCode = codes[0].code === '000000' ? '111111' : '000000';
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await tools.call('lookup_previous_calls', { code: wrongCode }, context);
+    }
+
+    assert.equal((await tools.call('lookup_previous_calls', { code: codes[0].code }, context)).status, 'invalid-code');
+  });
+
+  it('proposes an appointment and books it once the visitor agrees', async () => {
+    const staff = await repositories.users.create({
+      name: 'Sam Seller', email: `tools-staff-${run}@example.com`, password: 'x', role: 'staff', department: 'Sales', status: 'active'
+    });
+    const startTime = nextWeekdayAt10();
+    const args = { department: 'Sales', startTime: localIso(startTime), reason: 'Pricing for the new plan' };
+    const context = { visitor, sessionId };
+
+    const proposal = await tools.call('book_appointment', args, context);
+    assert.equal(proposal.status, 'proposed');
+    assert.equal(proposal.created, true);
+    assert.equal(proposed.length, 1);
+
+    // Asking again does not create a second proposal
+    const again = await tools.call('book_appointment', args, context);
+    assert.equal(again.created, false);
+    assert.equal(proposed.length, 1);
+
+    const booked = await tools.call('book_appointment', { ...args, confirm: true }, context);
+    assert.equal(booked.status, 'confirmed');
+    assert.equal(booked.staffName, 'Sam Seller');
+    const appointment = await repositories.appointments.findById(booked.appointment.appointmentId);
+    assert.equal(appointment.status, 'confirmed');
+    assert.equal(String(appointment.staffId), String(staff._id));
+  });
+
+  it('does not book a slot the visitor was never shown', async () => {
+    await repositories.users.create({
+      name: 'Sally Seller', email: `tools-staff-${run}@example.com`, password: 'x', role: 'staff', department: 'Sales', status: 'active'
+    });
+    const result = await tools.call('book_appointment', {
+      department: 'Sales', startTime: localIso(nextWeekdayAt10()), reason: 'Pricing for the new plan', confirm: true
+    }, { visitor, sessionId });
+
+    assert.equal(result.status, 'proposed');
+    assert.equal((await repositories.appointments.findById(result.appointment.appointmentId)).status, 'proposed');
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../repositories');
+const { exportConversation } = require('../services/transcriptExport');
+
+const embeddedFonts = (pdf) => [...new Set((pdf.toString('latin1').match(/\/BaseFont \/(?:[A-Z]{6}\+)?([\w-]+)/g) || [])
+  .map(entry => entry.replace(/^\/BaseFont \/(?:[A-Z]{6}\+)?/, '')))].sort();
+
+describe('transcript export', () => {
+  it('embeds fonts for every script in a PDF', async () => {
+    const visitor = await repositories.users.create({ name: 'Юлия Петрова', email: 'julia@example.com', password: 'x' });
+    const message = (content, translation) => ({ sender: 'user', content, translation, messageType: 'text' });
+    await repositories.conversations.create({
+      userId: visitor._id,
+      sessionId: 'export-scripts',
+      language: 'ru',
+      messages: [
+        message('Здравствуйте, мне нужна помощь', 'Hello, I need help'),
+        message('Καλημέρα'),
+        message('مرحبا، أريد موعدا', 'Hello, I would like an appointment'),
+        message('नमस्ते'),
+        message('こんにちは、予約したいです'),
+        message('你好'),
+        message('안녕하세요')
+      ]
+    });
+
+    const { contentType, body } = await exportConversation('export-scripts', 'pdf');
+    assert.equal(contentType, 'application/pdf');
+    assert.deepEqual(embeddedFonts(body), ['NotoSans-Bold', 'NotoSans-Italic', 'NotoSans-Regular', 'NotoSansArabic-Regular', 'UnifontMedium']);
+  });
+
+  it('uses Noto Sans alone for Latin transcripts', async () => {
+    const visitor = await repositories.users.create({ name: 'Chloé Martin', email: 'chloe@example.com', password: 'x' });
+    await repositories.conversations.create({
+      userId: visitor._id,
+      sessionId: 'export-latin',
+      messages: [{ sender: 'user', content: 'Bonjour, je voudrais un café à 5 €', messageType: 'text' }]
+    });
+
+    const { body } = await exportConversation('export-latin', 'pdf');
+    assert.deepEqual(embeddedFonts(body), ['NotoSans-Bold', 'NotoSans-Regular']);
+  });
+});
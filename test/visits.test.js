@@ -0,0 +1,29 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('public visitor check-in', () => {
+  let server;
+  let hostId;
+
+  before(async () => {
+    server = await startServer();
+    const hosts = await server.request('GET', '/api/visits/hosts');
+    hostId = hosts.body[0].id;
+  });
+
+  after(() => server && server.close());
+
+  it('refuses a second check-in without revealing the open visit', async () => {
+    const body = { name: 'Vera Visitor', email: 'vera@example.com', purpose: 'Interview', hostId };
+
+    const first = await server.request('POST', '/api/visits', { body });
+    assert.equal(first.status, 201);
+    assert.ok(first.body.visit.badgeToken);
+
+    const second = await server.request('POST', '/api/visits', { body: { ...body, name: 'Someone Else' } });
+    assert.equal(second.status, 409);
+    assert.deepEqual(Object.keys(second.body), ['error']);
+    assert.ok(!JSON.stringify(second.body).includes(first.body.visit.badgeToken));
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const repositories = require('../repositories');
+const webhooks = require('../services/webhooks');
+const { startStub, sendJson } = require('./helpers/stub');
+
+// Wait until the dispatcher has nothing left in flight, including a queued second drain
+async function idle(dispatcher) {
+  while (dispatcher.draining) {
+    await dispatcher.draining;
+  }
+}
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let answer;
+  let seenStatus;
+
+  before(async () => {
+    receiver = await startStub(async (req, res) => {
+      // What the delivery log says while the receiver is being called
+      const delivery = await repositories.webhookDeliveries.findById(req.headers['x-rexbot-delivery']);
+      seenStatus.push(delivery.status);
+      sendJson(res, answer, { ok: answer < 300 });
+    });
+  });
+
+  after(() => receiver.close());
+
+  afterEach(async () => {
+    receiver.requests.length = 0;
+    for (const webhook of await repositories.webhooks.find({})) {
+      await repositories.webhooks.delete(webhook._id);
+    }
+  });
+
+  const subscribe = (events, fields = {}) =>
+    webhooks.createWebhook({ name: 'CRM', url: `${receiver.url}/hooks`, events, ...fields });
+
+  it('signs each delivery with the webhook secret and logs it as delivered', async () => {
+    answer = 200;
+    seenStatus = [];
+    const { webhook, secret } = await subscribe(['call.created']);
+    await subscribe(['call.completed']);
+    await subscribe(['*'], { active: false });
+    const dispatcher = new webhooks.WebhookDispatcher();
+
+    const [queued] = await dispatcher.dispatch('call.created', { id: 'call-1', purpose: 'Sales Inquiry' });
+    assert.equal(queued.status, 'queued');
+    await idle(dispatcher);
+
+    assert.equal(receiver.requests.length, 1, 'only the active webhook subscribed to the event is called');
+    const [request] = receiver.requests;
+    const body = JSON.stringify(request.body);
+    const timestamp = request.headers['x-rexbot-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    assert.equal(request.headers['x-rexbot-signature'], expected);
+    assert.equal(request.headers['x-rexbot-event'], 'call.created');
+    assert.equal(request.body.event, 'call.created');
+    assert.deepEqual(request.body.data, { id: 'call-1', purpose: 'Sales Inquiry' });
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+
+    assert.deepEqual(seenStatus, ['delivering']);
+    const delivered = await repositories.webhookDeliveries.findById(queued._id);
+    assert.equal(String(delivered.webhookId), String(webhook.id));
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.attempts, 1);
+    assert.equal(delivered.responseStatus, 200);
+    assert.ok(delivered.deliveredAt);
+  });
+
+  it('retries with exponential backoff and gives up after maxAttempts', async () => {
+    answer = 500;
+    seenStatus = [];
+    await subscribe(['call.abandoned']);
+    const dispatcher = new webhooks.WebhookDispatcher({ maxAttempts: 3, retryDelayMs: 1000, maxRetryDelayMs: 3000 });
+    assert.deepEqual([1, 2, 3, 4].map(attempts => dispatcher.retryDelay(attempts)), [1000, 2000, 3000, 3000]);
+
+    const [queued] = await dispatcher.dispatch('call.abandoned', { id: 'call-2' });
+    await idle(dispatcher);
+
+    for (const [attempts, delayMs] of [[1, 1000], [2, 2000]]) {
+      const retry = await repositories.webhookDeliveries.findById(queued._id);
+      assert.equal(retry.status, 'queued');
+      assert.equal(retry.attempts, attempts);
+      assert.equal(retry.lastError, 'Receiver answered 500');
+      const wait = new Date(retry.nextAttemptAt) - Date.now();
+      assert.ok(wait > delayMs - 500 && wait <= delayMs, `attempt ${attempts} waits about ${delayMs}ms, not ${wait}ms`);
+
+      // Not due yet: nothing is sent
+      await dispatcher.process();
+      await idle(dispatcher);
+      assert.equal(receiver.requests.length, attempts);
+
+      await repositories.webhookDeliveries.update(queued._id, { nextAttemptAt: new Date(Date.now() - 1) });
+      await dispatcher.process();
+      await idle(dispatcher);
+    }
+
+    const failed = await repositories.webhookDeliveries.findById(queued._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.responseStatus, 500);
+    assert.equal(receiver.requests.length, 3);
+    assert.deepEqual(seenStatus, ['delivering', 'delivering', 'delivering']);
+  });
+
+  it('fails queued deliveries to disabled or deleted webhooks without calling them', async () => {
+    answer = 200;
+    const { webhook: disabled } = await subscribe(['message.created']);
+    const { webhook: deleted } = await subscribe(['message.created']);
+    const dispatcher = new webhooks.WebhookDispatcher();
+    const queue = (webhook) => repositories.webhookDeliveries.create({
+      webhookId: webhook.id, event: 'message.created', payload: { event: 'message.created' }
+    });
+    const toDisabled = await queue(disabled);
+    const toDeleted = await queue(deleted);
+    await webhooks.updateWebhook(disabled.id, { active: false });
+    await webhooks.deleteWebhook(deleted.id);
+
+    await dispatcher.process();
+    await idle(dispatcher);
+
+    assert.equal(receiver.requests.length, 0);
+    const disabledLog = await repositories.webhookDeliveries.findById(toDisabled._id);
+    assert.equal(disabledLog.status, 'failed');
+    assert.equal(disabledLog.lastError, 'Webhook is disabled');
+    const deletedLog = await repositories.webhookDeliveries.findById(toDeleted._id);
+    assert.equal(deletedLog.status, 'failed');
+    assert.equal(deletedLog.lastError, 'Webhook was deleted');
+
+    await assert.rejects(dispatcher.redeliver(toDisabled._id), { status: 409 });
+  });
+});